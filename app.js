@@ -59,170 +59,357 @@ const ThemeManager = {
 // ===========================
 
 /**
- * Email service manager using EmailJS
- * Sends notifications when events are added or when events occur
+ * Email notifications
+ * Delivery happens on the server (server/notifier.js); the browser only
+ * asks for an email to be sent, so no mail credentials ship in app.js.
  */
 const EmailService = {
-    // EmailJS Configuration
-    // You need to set up a free account at https://www.emailjs.com/
-    // and replace these with your actual credentials
-    SERVICE_ID: 'service_fn4woi6',  // Replace with your EmailJS service ID
-    TEMPLATE_ID_NEW_EVENT: 'template_vk9bqqt',  // Replace with your template ID for new events
-    TEMPLATE_ID_REMINDER: 'template_54dvjbj',  // Replace with your template ID for reminders
-    PUBLIC_KEY: '2Ln0CgKlxEsOB0SzA',  // Replace with your EmailJS public key
-    RECIPIENT_EMAIL: 'gunjabhatt122006@gmail.com',
+    ENDPOINTS: {
+        settings: '/api/settings/notifications',
+        newEvent: '/api/notifications/new-event',
+        reminder: '/api/notifications/reminder'
+    },
 
     /**
-     * Initialize EmailJS
+     * Initialize email service
      */
     init() {
-        if (typeof emailjs !== 'undefined') {
-            try {
-                emailjs.init(this.PUBLIC_KEY);
-                console.log('✅ EmailJS initialized successfully');
-                console.log('Service ID:', this.SERVICE_ID);
-                console.log('Public Key:', this.PUBLIC_KEY.substring(0, 5) + '...');
-                console.log('Recipient:', this.RECIPIENT_EMAIL);
-                return true;
-            } catch (error) {
-                console.error('❌ EmailJS initialization failed:', error);
-                return false;
-            }
-        } else {
-            console.error('❌ EmailJS library not loaded!');
-            console.error('Please check:');
-            console.error('1. Internet connection is active');
-            console.error('2. CDN is not blocked by firewall/antivirus');
-            console.error('3. Browser console for network errors');
-            return false;
+        console.log('✅ Email notifications are sent by the server');
+        return true;
+    },
+
+    /**
+     * Call a notification endpoint and return the parsed JSON body
+     */
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...options.headers }
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            AuthManager.requireSignIn();
         }
+        if (!response.ok) {
+            throw new Error(body.error || `Server responded with ${response.status}`);
+        }
+        return body;
     },
 
     /**
-     * Send email notification when a new event is added
+     * Load notification settings stored on the server
      */
-    async sendNewEventNotification(eventData) {
-        console.log('Attempting to send email for new event:', eventData);
-        
-        if (typeof emailjs === 'undefined') {
-            console.error('EmailJS library not loaded. Make sure the script is included in HTML.');
+    fetchSettings() {
+        return this.request(this.ENDPOINTS.settings);
+    },
+
+    /**
+     * Save notification settings on the server
+     */
+    async saveSettings(settings) {
+        try {
+            await this.request(this.ENDPOINTS.settings, {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save notification settings:', error.message);
             return false;
         }
+    },
 
+    /**
+     * Ask the server to send one kind of notification for an event
+     */
+    async send(endpoint, label, eventData) {
         try {
-            // Format date manually if DateUtils not available yet
-            let formattedDate = eventData.date;
-            if (typeof DateUtils !== 'undefined' && DateUtils.formatDateLong) {
-                formattedDate = DateUtils.formatDateLong(eventData.date);
-            } else {
-                // Fallback formatting
-                const date = new Date(eventData.date + 'T00:00:00');
-                formattedDate = date.toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric'
-                });
-            }
-
-            const templateParams = {
-                to_email: this.RECIPIENT_EMAIL,
-                event_title: eventData.title,
-                event_date: formattedDate,
-                event_description: eventData.description || 'No description provided',
-                notification_type: 'New Event Added'
-            };
-
-            console.log('Sending email with params:', templateParams);
+            const result = await this.request(endpoint, {
+                method: 'POST',
+                body: JSON.stringify({
+                    event: {
+                        title: eventData.title,
+                        date: eventData.date,
+                        allDay: eventData.allDay,
+                        startTime: eventData.startTime,
+                        endTime: eventData.endTime,
+                        recurrence: eventData.recurrence,
+                        description: eventData.description
+                    }
+                })
+            });
 
-            const response = await emailjs.send(
-                this.SERVICE_ID,
-                this.TEMPLATE_ID_NEW_EVENT,
-                templateParams
-            );
+            if (!result.sent) {
+                console.log(`ℹ️ ${label} email not sent:`, result.reason);
+                return false;
+            }
 
-            console.log('✅ New event email sent successfully:', response);
+            console.log(`✅ ${label} email sent successfully:`, result.messageId);
             return true;
         } catch (error) {
-            console.error('❌ Failed to send new event email:', error);
-            console.error('Error details:', error.text || error.message);
+            console.error(`❌ Failed to send ${label} email:`, error.message);
             return false;
         }
     },
 
+    /**
+     * Send email notification when a new event is added
+     */
+    sendNewEventNotification(eventData) {
+        return this.send(this.ENDPOINTS.newEvent, 'New event', eventData);
+    },
+
     /**
      * Send reminder email when event time arrives
      */
-    async sendEventReminder(eventData) {
-        console.log('Attempting to send reminder for event:', eventData);
-        
-        if (typeof emailjs === 'undefined') {
-            console.error('EmailJS library not loaded. Make sure the script is included in HTML.');
-            return false;
-        }
+    sendEventReminder(eventData) {
+        return this.send(this.ENDPOINTS.reminder, 'Reminder', eventData);
+    },
 
-        try {
-            // Format date manually if DateUtils not available yet
-            let formattedDate = eventData.date;
-            if (typeof DateUtils !== 'undefined' && DateUtils.formatDateLong) {
-                formattedDate = DateUtils.formatDateLong(eventData.date);
-            } else {
-                // Fallback formatting
-                const date = new Date(eventData.date + 'T00:00:00');
-                formattedDate = date.toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric'
-                });
-            }
+    /**
+     * Remove the per-browser "reminder sent" flags used before the server
+     * scheduler took over reminder delivery
+     */
+    clearLegacyReminderFlags() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith('reminder_sent_'))
+            .forEach(key => localStorage.removeItem(key));
+    }
+};
 
-            const templateParams = {
-                to_email: this.RECIPIENT_EMAIL,
-                event_title: eventData.title,
-                event_date: formattedDate,
-                event_description: eventData.description || 'No description provided',
-                notification_type: 'Event Reminder'
-            };
+// ===========================
+// Auth Manager
+// ===========================
 
-            console.log('Sending reminder email with params:', templateParams);
+/**
+ * Accounts on server.js
+ * The app starts once someone is signed in (or when it runs without
+ * server.js). LocalStorage holds one account's data at a time: it is
+ * cleared when a different account signs in on this browser, or on
+ * signing out.
+ */
+const AuthManager = {
+    ENDPOINTS: {
+        session: '/api/auth/session',
+        login: '/api/auth/login',
+        register: '/api/auth/register',
+        logout: '/api/auth/logout'
+    },
+    USER_KEY: 'eventReminder_userId',
+    user: null,
+    mode: 'login',
+    // Resolves init() once someone signs in at startup
+    onSignedIn: null,
 
-            const response = await emailjs.send(
-                this.SERVICE_ID,
-                this.TEMPLATE_ID_REMINDER,
-                templateParams
-            );
+    /**
+     * Find out who is signed in, asking to sign in when the server requires it
+     * Resolves with the user, or null when running without server.js.
+     */
+    async init() {
+        this.bindForm();
 
-            console.log('✅ Event reminder email sent successfully:', response);
-            return true;
+        let response;
+        try {
+            response = await fetch(this.ENDPOINTS.session);
         } catch (error) {
-            console.error('❌ Failed to send reminder email:', error);
-            console.error('Error details:', error.text || error.message);
-            return false;
+            // Offline: carry on with this browser's data until the server is back
+            console.warn('⚠️ Could not reach the server, starting offline:', error.message);
+            return null;
+        }
+
+        if (response.ok) {
+            const { user } = await response.json();
+            this.setUser(user);
+            return user;
+        }
+        if (response.status !== 401) {
+            // Served without server.js (e.g. Live Server): local-only mode
+            return null;
         }
+
+        return new Promise(resolve => {
+            this.onSignedIn = resolve;
+            this.showScreen();
+        });
     },
 
     /**
-     * Check and send reminders for events happening today
+     * LocalStorage keys that belong to the browser rather than an account
      */
-    checkAndSendReminders() {
-        const events = StateManager.getSortedEvents();
-        const today = DateUtils.getToday();
+    getDeviceKeys() {
+        return [ThemeManager.STORAGE_KEY, TabManager.DEFAULT_VIEW_KEY, 'compactView', this.USER_KEY];
+    },
 
-        events.forEach(event => {
-            const eventDate = DateUtils.parseDate(event.date);
-            
-            // Check if event is today and hasn't been reminded yet
-            if (DateUtils.isToday(event.date)) {
-                // Check if we've already sent a reminder for this event today
-                const reminderKey = `reminder_sent_${event.id}_${today.toISOString().split('T')[0]}`;
-                const reminderSent = localStorage.getItem(reminderKey);
-
-                if (!reminderSent) {
-                    this.sendEventReminder(event);
-                    // Mark reminder as sent
-                    localStorage.setItem(reminderKey, 'true');
-                }
-            }
+    /**
+     * Remember the signed-in user, clearing another account's local data
+     * The first sign-in on a browser syncs from scratch, so events made
+     * before signing in are uploaded to the account.
+     */
+    setUser(user) {
+        const previousId = localStorage.getItem(this.USER_KEY);
+        if (previousId && previousId !== user.id) {
+            this.clearLocalData();
+        }
+        if (previousId !== user.id) {
+            localStorage.removeItem(SyncManager.REVISION_KEY);
+        }
+        localStorage.setItem(this.USER_KEY, user.id);
+        this.user = user;
+
+        document.getElementById('accountEmail').textContent = user.name ? `${user.name} (${user.email})` : user.email;
+        document.getElementById('accountBar').classList.remove('hidden');
+        document.getElementById('notificationEmail')?.setAttribute('placeholder', user.email);
+    },
+
+    /**
+     * Remove the signed-in account's data from this browser
+     */
+    clearLocalData() {
+        const deviceKeys = this.getDeviceKeys();
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        keys.filter(key => !deviceKeys.includes(key)).forEach(key => localStorage.removeItem(key));
+        sessionStorage.removeItem(HistoryManager.STORAGE_KEY);
+    },
+
+    /**
+     * Wire up the sign-in form and the sign-out button
+     */
+    bindForm() {
+        document.getElementById('authForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        document.getElementById('authSwitch').addEventListener('click', () => {
+            this.setMode(this.mode === 'login' ? 'register' : 'login');
         });
+        document.getElementById('signOutBtn').addEventListener('click', () => this.signOut());
+    },
+
+    /**
+     * Switch the form between signing in and creating an account
+     */
+    setMode(mode) {
+        this.mode = mode;
+        const registering = mode === 'register';
+
+        document.getElementById('authTitle').textContent = registering ? 'Create an account' : 'Sign in';
+        document.getElementById('authSubmit').textContent = registering ? 'Create account' : 'Sign in';
+        document.getElementById('authSwitchText').textContent = registering ? 'Already have an account?' : 'New here?';
+        document.getElementById('authSwitch').textContent = registering ? 'Sign in' : 'Create an account';
+        document.getElementById('authNameGroup').classList.toggle('hidden', !registering);
+        document.getElementById('authPassword').setAttribute('autocomplete', registering ? 'new-password' : 'current-password');
+        this.showErrors({});
+    },
+
+    /**
+     * Show the sign-in screen (at startup, or when the session has expired)
+     */
+    showScreen() {
+        document.getElementById('authScreen').classList.remove('hidden');
+        document.getElementById('authEmail').focus();
+    },
+
+    /**
+     * Ask to sign in again after the server turned a request away
+     */
+    requireSignIn() {
+        if (document.getElementById('authScreen').classList.contains('hidden')) {
+            console.warn('⚠️ Session expired, asking to sign in again');
+            this.showScreen();
+        }
+    },
+
+    /**
+     * Show field errors from the server (or a general message)
+     */
+    showErrors(errors, message = '') {
+        document.getElementById('authEmailError').textContent = errors.email || '';
+        document.getElementById('authPasswordError').textContent = errors.password || '';
+        document.getElementById('authError').textContent = errors.email || errors.password ? '' : message;
+    },
+
+    /**
+     * Sign in or create an account with the form's details
+     */
+    async submit() {
+        const registering = this.mode === 'register';
+        const submitButton = document.getElementById('authSubmit');
+        const credentials = {
+            email: document.getElementById('authEmail').value.trim(),
+            password: document.getElementById('authPassword').value
+        };
+        if (registering) {
+            credentials.name = document.getElementById('authName').value.trim() || null;
+        }
+
+        submitButton.disabled = true;
+        try {
+            const response = await fetch(registering ? this.ENDPOINTS.register : this.ENDPOINTS.login, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(credentials)
+            });
+            const body = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                this.showErrors(body.errors || {}, body.error || `Server responded with ${response.status}`);
+                return;
+            }
+            this.signedIn(body.user);
+        } catch (error) {
+            this.showErrors({}, 'Could not reach the server. Check your connection and try again.');
+        } finally {
+            submitButton.disabled = false;
+        }
+    },
+
+    /**
+     * Continue after signing in
+     * A different account than before starts the app afresh with its own data.
+     */
+    signedIn(user) {
+        const previousId = localStorage.getItem(this.USER_KEY);
+        this.setUser(user);
+
+        document.getElementById('authForm').reset();
+        this.showErrors({});
+        document.getElementById('authScreen').classList.add('hidden');
+
+        if (this.onSignedIn) {
+            const resolve = this.onSignedIn;
+            this.onSignedIn = null;
+            resolve(user);
+        } else if (previousId !== user.id) {
+            window.location.reload();
+        } else {
+            SyncManager.sync();
+        }
+    },
+
+    /**
+     * Sign out and remove the account's data from this browser
+     * Changes that haven't reached the server yet would be lost, so those
+     * are synced first (or the user is asked).
+     */
+    async signOut() {
+        await SyncManager.sync();
+        if (SyncManager.queue.length > 0
+            && !confirm(`${SyncManager.queue.length} change(s) haven't been saved to the server yet and will be lost. Sign out anyway?`)) {
+            return;
+        }
+
+        try {
+            await fetch(this.ENDPOINTS.logout, { method: 'POST' });
+        } catch (error) {
+            console.warn('⚠️ Could not reach the server to sign out:', error.message);
+        }
+        this.clearLocalData();
+        localStorage.removeItem(this.USER_KEY);
+        window.location.reload();
     }
 };
 
@@ -236,6 +423,7 @@ const EmailService = {
  */
 const StateManager = {
     STORAGE_KEY: 'eventReminder_events',
+    DEFAULT_MOVE_MINUTES: 60,
     events: [],
 
     /**
@@ -254,19 +442,38 @@ const StateManager = {
             const stored = localStorage.getItem(this.STORAGE_KEY);
             this.events = stored ? JSON.parse(stored) : [];
             // Ensure all events have valid structure
-            this.events = this.events.map(event => ({
-                id: event.id || this.generateId(),
-                title: event.title || 'Untitled Event',
-                date: event.date,
-                description: event.description || '',
-                createdAt: event.createdAt || new Date().toISOString()
-            }));
+            this.events = this.events.map(event => this.normalizeEvent(event));
         } catch (error) {
             console.error('Error loading from storage:', error);
             this.events = [];
         }
     },
 
+    /**
+     * Fill in missing fields on a stored or remote event
+     */
+    normalizeEvent(event) {
+        const createdAt = event.createdAt || new Date().toISOString();
+        const allDay = event.allDay !== false || !event.startTime;
+        return {
+            id: event.id || this.generateId(),
+            title: event.title || 'Untitled Event',
+            date: event.date,
+            allDay,
+            startTime: allDay ? null : event.startTime,
+            endTime: allDay ? null : (event.endTime || null),
+            recurrence: Recurrence.normalize(event.recurrence),
+            reminders: Array.isArray(event.reminders) ? event.reminders : null,
+            channels: ChannelManager.normalizeRoutes(event.channels, event.reminders),
+            categoryId: event.categoryId || null,
+            calendarId: event.calendarId || null,
+            attendees: AttendeeManager.normalize(event.attendees),
+            description: event.description || '',
+            createdAt,
+            updatedAt: event.updatedAt || createdAt
+        };
+    },
+
     /**
      * Save events to LocalStorage
      */
@@ -291,27 +498,41 @@ const StateManager = {
      * Add new event to state
      */
     addEvent(eventData) {
+        const now = new Date().toISOString();
         const newEvent = {
             id: this.generateId(),
             title: eventData.title.trim(),
             date: eventData.date,
+            ...this.getTimeFields(eventData),
+            recurrence: this.getRecurrence(eventData),
+            reminders: ReminderManager.normalize(eventData.reminders),
+            channels: ChannelManager.normalizeRoutes(eventData.channels, ReminderManager.normalize(eventData.reminders)),
+            categoryId: eventData.categoryId || null,
+            calendarId: eventData.calendarId || null,
+            attendees: AttendeeManager.normalize(eventData.attendees),
             description: eventData.description.trim(),
-            createdAt: new Date().toISOString()
+            createdAt: now,
+            updatedAt: now
         };
 
         this.events.push(newEvent);
         this.saveToStorage();
+        SyncManager.queueChange('upsert', newEvent);
         return newEvent;
     },
 
     /**
      * Delete event from state
+     * The event moves to the trash (TrashManager), where it can be
+     * restored; the server deletes it so no more reminders go out.
      */
     deleteEvent(eventId) {
         const index = this.events.findIndex(event => event.id === eventId);
         if (index !== -1) {
-            this.events.splice(index, 1);
+            const [event] = this.events.splice(index, 1);
+            TrashManager.add(event);
             this.saveToStorage();
+            SyncManager.queueChange('delete', { id: eventId, updatedAt: new Date().toISOString() });
             return true;
         }
         return false;
@@ -319,1134 +540,6831 @@ const StateManager = {
 
     /**
      * Get all events sorted by date (ascending)
+     * Recurring events appear once, dated at their next occurrence (or
+     * their last one when the series is over).
      */
     getSortedEvents() {
-        return [...this.events].sort((a, b) => {
-            const dateA = new Date(a.date);
-            const dateB = new Date(b.date);
-            return dateA - dateB;
-        });
+        const today = DateUtils.toDateString(DateUtils.getToday());
+        return this.getVisibleEvents()
+            .map(event => {
+                if (!Recurrence.isRecurring(event)) {
+                    return event;
+                }
+                const date = Recurrence.getNextDate(event, today)
+                    || Recurrence.getPreviousDate(event, today)
+                    || event.date;
+                return { ...event, date };
+            })
+            .sort((a, b) => DateUtils.getEventStart(a) - DateUtils.getEventStart(b));
     },
 
     /**
-     * Get event count
+     * Get the events that pass the active category filter
      */
-    getEventCount() {
-        return this.events.length;
+    getVisibleEvents() {
+        return this.events.filter(event => CategoryManager.matchesFilter(event));
     },
 
     /**
-     * Update existing event
+     * Move every event in one category to another (or to none)
+     * Returns how many events changed.
      */
-    updateEvent(eventId, eventData) {
-        const index = this.events.findIndex(event => event.id === eventId);
-        if (index !== -1) {
-            this.events[index] = {
-                ...this.events[index],
-                title: eventData.title.trim(),
-                date: eventData.date,
-                description: eventData.description.trim()
-            };
+    reassignCategory(fromId, toId) {
+        const now = new Date().toISOString();
+        let changed = 0;
+
+        this.events = this.events.map(event => {
+            if (event.categoryId !== fromId) {
+                return event;
+            }
+            changed++;
+            const updated = { ...event, categoryId: toId, updatedAt: now };
+            SyncManager.queueChange('upsert', updated);
+            return updated;
+        });
+
+        if (changed > 0) {
             this.saveToStorage();
-            return this.events[index];
         }
-        return null;
+        return changed;
     },
 
     /**
-     * Get event by ID
+     * Drop the events of shared calendars the user no longer belongs to
+     * Only this browser's copy goes; nothing is sent to the server.
+     * Returns how many events were removed.
      */
-    getEventById(eventId) {
-        return this.events.find(event => event.id === eventId);
-    }
-};
+    removeCalendarEvents(isGone) {
+        const before = this.events.length;
+        this.events = this.events.filter(event => !event.calendarId || !isGone(event.calendarId));
 
-// ===========================
-// Date Utilities
-// ===========================
+        const removed = before - this.events.length;
+        if (removed > 0) {
+            this.saveToStorage();
+        }
+        return removed;
+    },
 
-/**
- * Date utility functions
- */
-const DateUtils = {
     /**
-     * Get today's date at midnight
+     * Get every occurrence between two YYYY-MM-DD dates (inclusive), sorted
+     * Occurrences keep their event's id with `date` set to the occurrence.
+     * Shared calendars hidden in the calendar and dashboard are left out.
      */
-    getToday() {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        return today;
+    getOccurrences(from, to) {
+        const events = this.getVisibleEvents().filter(event => SharedCalendarManager.isVisible(event));
+        return Recurrence.expand(events, from, to)
+            .sort((a, b) => DateUtils.getEventStart(a) - DateUtils.getEventStart(b));
     },
 
     /**
-     * Parse date string to Date object at midnight
+     * Build the recurrence rule from form data
+     * Skipped dates aren't edited in the form, so they carry over from
+     * the rule being replaced.
      */
-    parseDate(dateString) {
-        const date = new Date(dateString + 'T00:00:00');
-        return date;
+    getRecurrence(eventData, previous) {
+        if (!eventData.recurrence) {
+            return null;
+        }
+        const exdates = eventData.recurrence.exdates || (previous ? previous.exdates : []);
+        return Recurrence.normalize({ ...eventData.recurrence, exdates });
     },
 
     /**
-     * Check if a date is today
+     * Replace an event's recurrence rule
      */
-    isToday(date) {
-        const today = this.getToday();
-        const compareDate = new Date(date);
-        compareDate.setHours(0, 0, 0, 0);
-        return compareDate.getTime() === today.getTime();
+    setRecurrence(eventId, recurrence) {
+        const index = this.events.findIndex(event => event.id === eventId);
+        if (index === -1) {
+            return null;
+        }
+        this.events[index] = {
+            ...this.events[index],
+            recurrence: Recurrence.normalize(recurrence),
+            updatedAt: new Date().toISOString()
+        };
+        this.saveToStorage();
+        SyncManager.queueChange('upsert', this.events[index]);
+        return this.events[index];
     },
 
     /**
-     * Check if a date is in the past
+     * Skip a single occurrence of a recurring event
      */
-    isPast(date) {
-        const today = this.getToday();
-        const compareDate = new Date(date);
-        compareDate.setHours(0, 0, 0, 0);
-        return compareDate < today;
+    skipOccurrence(eventId, occurrenceDate) {
+        const event = this.getEventById(eventId);
+        if (!event || !Recurrence.isRecurring(event)) {
+            return null;
+        }
+        return this.setRecurrence(eventId, {
+            ...event.recurrence,
+            exdates: [...event.recurrence.exdates, occurrenceDate]
+        });
     },
 
     /**
-     * Check if a date is within next 7 days (not including today)
+     * Edit only one occurrence
+     * The occurrence is skipped in the series and saved as its own event.
      */
-    isUpcoming(date) {
-        const today = this.getToday();
-        const compareDate = new Date(date);
-        compareDate.setHours(0, 0, 0, 0);
-        
-        const sevenDaysLater = new Date(today);
-        sevenDaysLater.setDate(today.getDate() + 7);
-        
-        return compareDate > today && compareDate <= sevenDaysLater;
+    updateOccurrence(eventId, occurrenceDate, eventData) {
+        if (!this.skipOccurrence(eventId, occurrenceDate)) {
+            return null;
+        }
+        return this.addEvent({ ...eventData, recurrence: null });
     },
 
     /**
-     * Get event status (today, upcoming, past, future)
+     * Edit an occurrence and every later one
+     * From the first occurrence this edits the whole series; otherwise
+     * the series ends the day before and a new series starts.
      */
-    getEventStatus(date) {
-        if (this.isToday(date)) return 'today';
-        if (this.isPast(date)) return 'past';
-        if (this.isUpcoming(date)) return 'upcoming';
-        return 'future';
+    updateFutureOccurrences(eventId, occurrenceDate, eventData) {
+        const event = this.getEventById(eventId);
+        if (!event) {
+            return null;
+        }
+        if (occurrenceDate <= event.date) {
+            return this.updateEvent(eventId, eventData);
+        }
+
+        const { head, tail } = Recurrence.split(event, occurrenceDate);
+        this.setRecurrence(eventId, head);
+        return this.addEvent({
+            ...eventData,
+            recurrence: eventData.recurrence && { ...eventData.recurrence, exdates: tail.exdates }
+        });
     },
 
     /**
-     * Format date for display (e.g., "January 8, 2026")
+     * Delete an occurrence and every later one
      */
-    formatDateLong(dateString) {
-        const date = this.parseDate(dateString);
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+    deleteFutureOccurrences(eventId, occurrenceDate) {
+        const event = this.getEventById(eventId);
+        if (!event) {
+            return false;
+        }
+        if (occurrenceDate <= event.date) {
+            return this.deleteEvent(eventId);
+        }
+        return Boolean(this.setRecurrence(eventId, Recurrence.split(event, occurrenceDate).head));
     },
 
     /**
-     * Format date as relative string (e.g., "Today", "Tomorrow", "In 3 days")
+     * Pick the time fields from form data (times are dropped for all-day events)
      */
-    formatDateRelative(dateString) {
-        const date = this.parseDate(dateString);
-        const today = this.getToday();
-        const diffTime = date - today;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-        if (diffDays === 0) return 'Today';
-        if (diffDays === 1) return 'Tomorrow';
-        if (diffDays === -1) return 'Yesterday';
-        if (diffDays < -1) return `${Math.abs(diffDays)} days ago`;
-        if (diffDays > 1) return `In ${diffDays} days`;
-        
-        return this.formatDateLong(dateString);
+    getTimeFields(eventData) {
+        const allDay = eventData.allDay !== false;
+        return {
+            allDay,
+            startTime: allDay ? null : eventData.startTime,
+            endTime: allDay ? null : (eventData.endTime || null)
+        };
     },
 
     /**
-     * Calculate countdown to event
-     * Returns object with days, hours, minutes, seconds
+     * Move an event (or one occurrence of a recurring event) to another day or time
+     * `target` is { date, startTime?, allDay? }: a start time makes the
+     * event timed and keeps its length, allDay makes it all-day, and
+     * neither keeps its time of day. Returns the moved event, or null when
+     * nothing changed.
      */
-    getCountdown(dateString) {
-        const eventDate = this.parseDate(dateString);
-        const now = new Date();
-        const diff = eventDate - now;
+    moveEvent(eventId, occurrenceDate, target) {
+        const event = this.getEventById(eventId);
+        if (!event) {
+            return null;
+        }
 
-        if (diff <= 0) {
-            return { days: 0, hours: 0, minutes: 0, seconds: 0, isPast: true };
+        const moved = { ...event, date: target.date, ...this.getMovedTimes(event, target) };
+        if (moved.date === occurrenceDate && moved.allDay === event.allDay
+            && moved.startTime === event.startTime && moved.endTime === event.endTime) {
+            return null;
         }
 
-        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-        const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((diff % (1000 * 60)) / 1000);
+        const now = new Date().toISOString();
+        if (Recurrence.isRecurring(event)) {
+            // Only this occurrence moves: it's skipped in the series and saved on its own
+            if (!this.skipOccurrence(eventId, occurrenceDate)) {
+                return null;
+            }
+            const occurrence = { ...moved, id: this.generateId(), recurrence: null, createdAt: now, updatedAt: now };
+            this.events.push(occurrence);
+            this.saveToStorage();
+            SyncManager.queueChange('upsert', occurrence);
+            return occurrence;
+        }
 
-        return { days, hours, minutes, seconds, isPast: false };
+        const index = this.events.findIndex(item => item.id === eventId);
+        this.events[index] = { ...moved, updatedAt: now };
+        this.saveToStorage();
+        SyncManager.queueChange('upsert', this.events[index]);
+        return this.events[index];
     },
 
     /**
-     * Format countdown as human-readable string
+     * Time fields for an event moved to `target` (see moveEvent)
+     * Timed events keep their length, cut off at the end of the day; all-day
+     * events dropped on a time slot last DEFAULT_MOVE_MINUTES.
      */
-    formatCountdown(countdown) {
-        if (countdown.isPast) {
-            return 'Event has passed';
+    getMovedTimes(event, target) {
+        if (target.allDay) {
+            return { allDay: true, startTime: null, endTime: null };
+        }
+        if (!target.startTime) {
+            return this.getTimeFields(event);
         }
 
-        const parts = [];
-        if (countdown.days > 0) parts.push(`${countdown.days}d`);
-        if (countdown.hours > 0 || countdown.days > 0) parts.push(`${countdown.hours}h`);
-        if (countdown.minutes > 0 || countdown.hours > 0 || countdown.days > 0) {
-            parts.push(`${countdown.minutes}m`);
+        const start = DateUtils.toMinutes(target.startTime);
+        let length = this.DEFAULT_MOVE_MINUTES;
+        if (event.allDay === false) {
+            length = event.endTime ? DateUtils.toMinutes(event.endTime) - DateUtils.toMinutes(event.startTime) : 0;
         }
-        parts.push(`${countdown.seconds}s`);
+        const end = Math.min(start + length, 24 * 60 - 1);
 
-        return parts.join(' ');
-    }
-};
+        return {
+            allDay: false,
+            startTime: target.startTime,
+            endTime: end > start ? DateUtils.fromMinutes(end) : null
+        };
+    },
 
-// ===========================
-// UI Renderer
-// ===========================
+    /**
+     * Get event count
+     */
+    getEventCount() {
+        return this.events.length;
+    },
 
-/**
- * Notification system for user feedback
- */
-const NotificationManager = {
     /**
-     * Show notification message
+     * Update existing event
      */
-    show(type, title, message, duration = 3000) {
-        // Remove existing notifications
-        const existing = document.querySelector('.notification');
-        if (existing) {
-            existing.remove();
+    updateEvent(eventId, eventData) {
+        const index = this.events.findIndex(event => event.id === eventId);
+        if (index !== -1) {
+            this.events[index] = {
+                ...this.events[index],
+                title: eventData.title.trim(),
+                date: eventData.date,
+                ...this.getTimeFields(eventData),
+                recurrence: this.getRecurrence(eventData, this.events[index].recurrence),
+                reminders: ReminderManager.normalize(eventData.reminders),
+                channels: ChannelManager.normalizeRoutes(eventData.channels, ReminderManager.normalize(eventData.reminders)),
+                categoryId: eventData.categoryId || null,
+                attendees: AttendeeManager.normalize(eventData.attendees),
+                description: eventData.description.trim(),
+                updatedAt: new Date().toISOString()
+            };
+            this.saveToStorage();
+            SyncManager.queueChange('upsert', this.events[index]);
+            return this.events[index];
         }
+        return null;
+    },
 
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.setAttribute('role', 'alert');
-        notification.setAttribute('aria-live', 'polite');
-        
-        const icon = type === 'success' ? '✓' : '✕';
-        
-        notification.innerHTML = `
-            <span class="notification-icon" aria-hidden="true">${icon}</span>
-            <div class="notification-content">
-                <div class="notification-title">${title}</div>
-                <div class="notification-message">${message}</div>
-            </div>
-        `;
+    /**
+     * Get event by ID
+     */
+    getEventById(eventId) {
+        return this.events.find(event => event.id === eventId);
+    },
 
-        document.body.appendChild(notification);
+    /**
+     * Replace every event (importing a backup, restoring one)
+     * The server is told to delete the events that are gone.
+     */
+    replaceEvents(events) {
+        const previousIds = this.events.map(event => event.id);
+        const now = new Date().toISOString();
+        this.events = events.map(event => ({ ...this.normalizeEvent(event), updatedAt: now }));
+        this.saveToStorage();
+        SyncManager.queueReplacement(previousIds);
+    },
 
-        // Auto remove after duration
-        setTimeout(() => {
-            notification.style.animation = 'slideInRight 0.3s ease-out reverse';
-            setTimeout(() => notification.remove(), 300);
-        }, duration);
+    /**
+     * Put events back the way they were (undo/redo)
+     * Restored events get a new updatedAt so the server takes them over
+     * its copy. Returns true when anything changed.
+     */
+    restoreEvents(events, removedIds) {
+        const now = new Date().toISOString();
+        let changed = false;
+
+        events.forEach(saved => {
+            const event = { ...saved, updatedAt: now };
+            const index = this.events.findIndex(item => item.id === event.id);
+            if (index === -1) {
+                this.events.push(event);
+            } else {
+                this.events[index] = event;
+            }
+            SyncManager.queueChange('upsert', event);
+            changed = true;
+        });
+
+        removedIds.forEach(eventId => {
+            const index = this.events.findIndex(event => event.id === eventId);
+            if (index !== -1) {
+                this.events.splice(index, 1);
+                SyncManager.queueChange('delete', { id: eventId, updatedAt: now });
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveToStorage();
+        }
+        return changed;
     },
 
-    success(title, message) {
-        this.show('success', title, message);
+    /**
+     * Add or update events read from an import file
+     * Events whose id already exists replace the stored one.
+     * Returns { added, updated }.
+     */
+    importEvents(importedEvents) {
+        const now = new Date().toISOString();
+        let added = 0;
+        let updated = 0;
+
+        importedEvents.forEach(imported => {
+            const index = imported.id ? this.events.findIndex(event => event.id === imported.id) : -1;
+            const event = this.normalizeEvent({
+                ...imported,
+                createdAt: index === -1 ? now : this.events[index].createdAt,
+                updatedAt: now
+            });
+
+            if (index === -1) {
+                this.events.push(event);
+                added++;
+            } else {
+                this.events[index] = event;
+                updated++;
+            }
+            SyncManager.queueChange('upsert', event);
+        });
+
+        this.saveToStorage();
+        return { added, updated };
     },
 
-    error(title, message) {
-        this.show('error', title, message);
+    /**
+     * Apply events and deletions pulled from the server
+     * Remote events only replace local ones that are not newer.
+     * Returns true when anything changed.
+     */
+    applyRemoteChanges(remoteEvents, deletedIds) {
+        let changed = false;
+
+        remoteEvents.forEach(remote => {
+            const event = this.normalizeEvent(remote);
+            const index = this.events.findIndex(local => local.id === event.id);
+
+            if (index === -1) {
+                this.events.push(event);
+                changed = true;
+            } else if (new Date(event.updatedAt) >= new Date(this.events[index].updatedAt)) {
+                this.events[index] = event;
+                changed = true;
+            }
+        });
+
+        if (deletedIds.length > 0) {
+            const before = this.events.length;
+            this.events = this.events.filter(event => !deletedIds.includes(event.id));
+            changed = changed || this.events.length !== before;
+        }
+
+        if (changed) {
+            this.saveToStorage();
+        }
+        return changed;
     }
 };
 
+// ===========================
+// Sync Manager
+// ===========================
+
 /**
- * UI rendering manager
- * Handles all DOM updates
+ * Keeps StateManager in step with the server's /api/sync endpoint
+ * Local changes are queued in LocalStorage and replayed whenever the
+ * server is reachable, so the app keeps working offline. Concurrent
+ * edits to the same event are resolved last-writer-wins on updatedAt;
+ * the losing side is told about it.
  */
-const UIRenderer = {
-    elements: {},
-    editMode: false,
-    editingEventId: null,
+const SyncManager = {
+    ENDPOINT: '/api/sync',
+    QUEUE_KEY: 'eventReminder_syncQueue',
+    REVISION_KEY: 'eventReminder_syncRevision',
+    SYNC_INTERVAL: 30 * 1000,
+    // Characters of queued changes per request: even at 3 bytes each in UTF-8
+    // this stays under the server's 1 MB body limit
+    MAX_BATCH_CHARS: 256 * 1024,
+    queue: [],
+    revision: 0,
+    status: 'idle',
+    syncing: false,
+    resyncRequested: false,
+    intervalId: null,
+    debounceId: null,
 
     /**
-     * Cache DOM elements
+     * Load the offline queue and start syncing
      */
     init() {
-        this.elements = {
-            eventForm: document.getElementById('eventForm'),
-            eventTitle: document.getElementById('eventTitle'),
-            eventDate: document.getElementById('eventDate'),
-            eventDescription: document.getElementById('eventDescription'),
-            titleError: document.getElementById('titleError'),
-            dateError: document.getElementById('dateError'),
-            charCount: document.querySelector('.char-count'),
-            eventsList: document.getElementById('eventsList'),
-            emptyState: document.getElementById('emptyState'),
-            eventCount: document.getElementById('eventCount')
-        };
+        this.loadQueue();
 
-        // Set minimum date to today
-        const today = new Date().toISOString().split('T')[0];
-        this.elements.eventDate.min = today;
+        // First sync from this browser: push everything it already has
+        if (localStorage.getItem(this.REVISION_KEY) === null) {
+            this.queueChanges(StateManager.events.map(event => ({ op: 'upsert', event })));
+        }
 
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => this.setStatus('offline'));
+        this.intervalId = setInterval(() => this.sync(), this.SYNC_INTERVAL);
+
+        this.sync();
         return this;
     },
 
     /**
-     * Render all events
+     * Load queued changes and last seen server revision
      */
-    renderEvents() {
-        const events = StateManager.getSortedEvents();
-        
-        // Update event count
-        this.updateEventCount(events.length);
-
-        // Show/hide empty state
-        if (events.length === 0) {
-            this.elements.emptyState.classList.remove('hidden');
-            this.elements.eventsList.innerHTML = '';
-            return;
+    loadQueue() {
+        try {
+            const stored = localStorage.getItem(this.QUEUE_KEY);
+            this.queue = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading sync queue:', error);
+            this.queue = [];
         }
-
-        this.elements.emptyState.classList.add('hidden');
-
-        // Render event cards
-        this.elements.eventsList.innerHTML = events
-            .map(event => this.createEventCard(event))
-            .join('');
-
-        // Initialize countdowns for upcoming events
-        this.updateAllCountdowns();
+        this.revision = Number(localStorage.getItem(this.REVISION_KEY)) || 0;
     },
 
     /**
-     * Create HTML for single event card
+     * Persist queued changes
      */
-    createEventCard(event) {
-        const status = DateUtils.getEventStatus(event.date);
-        const statusLabel = status.charAt(0).toUpperCase() + status.slice(1);
-        const dateFormatted = DateUtils.formatDateLong(event.date);
-        const dateRelative = DateUtils.formatDateRelative(event.date);
-
-        return `
-            <article class="event-card ${status}" role="listitem" data-event-id="${event.id}">
-                <div class="event-header">
-                    <h3 class="event-title">${this.escapeHtml(event.title)}</h3>
-                    <span class="event-status ${status}">${statusLabel}</span>
-                </div>
-                
-                <div class="event-date" title="${dateFormatted}">
-                    ${dateRelative}
-                </div>
-                
-                ${event.description ? `
-                    <p class="event-description">${this.escapeHtml(event.description)}</p>
-                ` : ''}
-                
-                ${status !== 'past' ? `
-                    <div class="event-countdown" data-countdown="${event.date}">
-                        <span class="countdown-text">Calculating...</span>
-                    </div>
-                ` : ''}
-                
-                <div class="event-actions">
-                    <button 
-                        class="btn btn-edit" 
-                        onclick="EventHandlers.handleEdit('${event.id}')"
-                        aria-label="Edit event: ${this.escapeHtml(event.title)}"
-                    >
-                        Edit
-                    </button>
-                    <button 
-                        class="btn btn-delete" 
-                        onclick="EventHandlers.handleDelete('${event.id}')"
-                        aria-label="Delete event: ${this.escapeHtml(event.title)}"
-                    >
-                        Delete
-                    </button>
-                </div>
-            </article>
-        `;
+    saveQueue() {
+        try {
+            localStorage.setItem(this.QUEUE_KEY, JSON.stringify(this.queue));
+        } catch (error) {
+            console.error('Error saving sync queue:', error);
+        }
     },
 
     /**
-     * Update event count display
+     * Queue a local change for the server
+     * Only the latest change per event is kept.
      */
-    updateEventCount(count) {
-        const text = count === 1 ? '1 event' : `${count} events`;
-        this.elements.eventCount.textContent = text;
+    queueChange(op, event) {
+        this.queueChanges([{ op, event }]);
     },
 
     /**
-     * Update all countdown timers
+     * Queue several local changes ({ op, event }) with a single save
+     * Large accounts queue every event at once, so this avoids rewriting
+     * the stored queue once per event.
      */
-    updateAllCountdowns() {
-        const countdownElements = document.querySelectorAll('[data-countdown]');
-        
-        countdownElements.forEach(element => {
-            const date = element.dataset.countdown;
-            const countdown = DateUtils.getCountdown(date);
-            const formattedCountdown = DateUtils.formatCountdown(countdown);
-            
-            const textElement = element.querySelector('.countdown-text');
-            if (textElement) {
-                textElement.textContent = formattedCountdown;
+    queueChanges(items) {
+        const changes = new Map();
+        items.forEach(({ op, event }) => {
+            const change = {
+                op,
+                id: event.id,
+                updatedAt: event.updatedAt || new Date().toISOString()
+            };
+            if (op === 'upsert') {
+                change.event = { ...event };
             }
+            changes.delete(event.id);
+            changes.set(event.id, change);
         });
-    },
 
-    /**
-     * Clear form inputs
-     */
-    clearForm() {
-        this.elements.eventForm.reset();
-        this.clearErrors();
-        this.updateCharCount();
+        this.queue = this.queue.filter(queued => !changes.has(queued.id)).concat([...changes.values()]);
+        this.saveQueue();
+        this.scheduleSync();
     },
 
     /**
-     * Display validation errors
+     * Queue the difference after StateManager.events was replaced wholesale
+     * (import, clear all): upserts for every current event, deletes for the rest.
      */
-    showError(field, message) {
-        const errorElement = this.elements[`${field}Error`];
-        if (errorElement) {
-            errorElement.textContent = message;
-        }
+    queueReplacement(previousIds) {
+        const currentIds = new Set(StateManager.events.map(event => event.id));
+        const now = new Date().toISOString();
+
+        this.queueChanges([
+            ...previousIds
+                .filter(id => !currentIds.has(id))
+                .map(id => ({ op: 'delete', event: { id, updatedAt: now } })),
+            ...StateManager.events.map(event => ({ op: 'upsert', event }))
+        ]);
     },
 
     /**
-     * Clear all validation errors
+     * Fetch everything again on the next sync (e.g. after joining a shared calendar)
      */
-    clearErrors() {
-        this.elements.titleError.textContent = '';
-        this.elements.dateError.textContent = '';
+    resync() {
+        this.revision = 0;
+        localStorage.setItem(this.REVISION_KEY, '0');
+        this.sync();
     },
 
     /**
-     * Update character count for description
+     * Sync shortly after a burst of changes
      */
-    updateCharCount() {
-        const length = this.elements.eventDescription.value.length;
-        const max = this.elements.eventDescription.maxLength;
-        this.elements.charCount.textContent = `${length} / ${max}`;
+    scheduleSync() {
+        clearTimeout(this.debounceId);
+        this.debounceId = setTimeout(() => this.sync(), 500);
     },
 
     /**
-     * Escape HTML to prevent XSS
+     * The oldest queued changes that fit in one request
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    nextBatch() {
+        const batch = [];
+        let size = 0;
+        for (const change of this.queue) {
+            size += JSON.stringify(change).length + 1;
+            if (batch.length > 0 && size > this.MAX_BATCH_CHARS) break;
+            batch.push(change);
+        }
+        return batch;
     },
 
     /**
-     * Populate form with event data for editing
+     * Push queued changes and pull remote ones in a single request
+     * A large queue (e.g. the first sync of a big account) goes up in
+     * batches, one request after another.
      */
-    populateFormForEdit(event) {
-        this.editMode = true;
-        this.editingEventId = event.id;
-        
-        this.elements.eventTitle.value = event.title;
-        this.elements.eventDate.value = event.date;
-        this.elements.eventDescription.value = event.description;
-        this.updateCharCount();
-        
-        // Update form UI for edit mode
-        const formSection = document.querySelector('.add-event-section h2');
-        if (formSection) {
-            formSection.textContent = 'Edit Event';
+    async sync() {
+        if (this.syncing) {
+            this.resyncRequested = true;
+            return;
         }
-        
-        const buttonGroup = this.elements.eventForm.querySelector('.form-buttons');
-        if (buttonGroup) {
-            buttonGroup.innerHTML = `
-                <button type="button" class="btn btn-cancel" id="cancelEdit">
-                    Cancel
-                </button>
-                <button type="submit" class="btn btn-primary">
-                    <span aria-hidden="true">✓</span> Update Event
-                </button>
-            `;
-            
-            // Attach cancel handler
-            const cancelButton = document.getElementById('cancelEdit');
-            if (cancelButton) {
-                cancelButton.onclick = () => EventHandlers.handleCancelEdit();
+        if (!navigator.onLine) {
+            this.setStatus('offline');
+            return;
+        }
+
+        this.syncing = true;
+        this.setStatus('syncing');
+        const sent = this.nextBatch();
+
+        try {
+            const response = await fetch(this.ENDPOINT, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ since: this.revision, changes: sent })
+            });
+
+            // Served without server.js (e.g. Live Server): stay local-only
+            if (response.status === 404) {
+                this.setStatus('unavailable');
+                return;
+            }
+            // Signed out on the server: changes stay queued until the user signs in again
+            if (response.status === 401) {
+                AuthManager.requireSignIn();
+                this.setStatus('offline');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.acknowledge(sent);
+            this.applyResult(result);
+            this.setStatus('idle');
+
+            // The rest of a batched queue goes up right away
+            if (this.queue.length > 0) {
+                this.resyncRequested = true;
+            }
+        } catch (error) {
+            console.warn('⚠️ Sync failed, changes stay queued:', error.message);
+            this.setStatus('offline');
+        } finally {
+            this.syncing = false;
+            if (this.resyncRequested) {
+                this.resyncRequested = false;
+                this.sync();
             }
         }
-        
-        // Scroll to form
-        this.elements.eventForm.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-        this.elements.eventTitle.focus();
     },
 
     /**
-     * Reset form to add mode
+     * Drop changes the server has processed
+     * Changes made while the request was in flight stay queued.
      */
-    resetToAddMode() {
-        this.editMode = false;
-        this.editingEventId = null;
-        
-        const formSection = document.querySelector('.add-event-section h2');
-        if (formSection) {
-            formSection.textContent = 'Add New Event';
-        }
-        
-        const buttonGroup = this.elements.eventForm.querySelector('.form-buttons');
-        if (buttonGroup) {
-            buttonGroup.innerHTML = `
-                <button type="submit" class="btn btn-primary">
-                    <span aria-hidden="true">+</span> Add Event
-                </button>
-            `;
-        }
-    }
-};
-
-// ===========================
-// Form Validation
-// ===========================
+    acknowledge(sent) {
+        this.queue = this.queue.filter(change => !sent.some(done =>
+            done.id === change.id && done.updatedAt === change.updatedAt
+        ));
+        this.saveQueue();
+    },
 
-/**
- * Form validation utilities
- */
-const FormValidator = {
     /**
-     * Validate event title
+     * Merge the server response into local state
      */
-    validateTitle(title) {
-        if (!title || title.trim().length === 0) {
-            return { valid: false, message: 'Event title is required' };
-        }
-        if (title.trim().length < 3) {
-            return { valid: false, message: 'Event title must be at least 3 characters' };
-        }
-        if (title.trim().length > 100) {
-            return { valid: false, message: 'Event title must not exceed 100 characters' };
+    applyResult(result) {
+        // Events with newer unsent local edits are pushed on the next sync instead
+        const pendingIds = new Set(this.queue.map(change => change.id));
+        const changed = StateManager.applyRemoteChanges(
+            result.events.filter(event => !pendingIds.has(event.id)),
+            result.deleted.filter(id => !pendingIds.has(id))
+        );
+
+        this.revision = result.revision;
+        localStorage.setItem(this.REVISION_KEY, String(result.revision));
+
+        const renamed = this.reassignTakenIds(result.conflicts);
+        this.reportConflicts(result.conflicts);
+
+        if (changed || renamed) {
+            UIRenderer.renderEvents();
+            DashboardManager.update();
+            CalendarManager.render();
         }
-        return { valid: true, message: '' };
     },
 
     /**
-     * Validate event date
+     * Give events whose id is taken by another user's event a new id and queue them again
+     * Ids are global on the server, and the same imported file yields the
+     * same ids in every account. Returns true when any event was renamed.
      */
-    validateDate(dateString) {
-        if (!dateString) {
-            return { valid: false, message: 'Event date is required' };
-        }
-
-        const selectedDate = DateUtils.parseDate(dateString);
-        
-        if (isNaN(selectedDate.getTime())) {
-            return { valid: false, message: 'Invalid date format' };
-        }
-
-        // Allow past dates but warn user
-        // No restriction on past dates for flexibility
+    reassignTakenIds(conflicts) {
+        const takenIds = new Set((conflicts || [])
+            .filter(conflict => conflict.reason === 'id-taken')
+            .map(conflict => conflict.id));
+        if (takenIds.size === 0) return false;
+
+        const now = new Date().toISOString();
+        const renamed = [];
+        StateManager.events = StateManager.events.map(event => {
+            if (!takenIds.has(event.id)) return event;
+            const copy = { ...event, id: StateManager.generateId(), updatedAt: now };
+            renamed.push(copy);
+            return copy;
+        });
+        if (renamed.length === 0) return false;
 
-        return { valid: true, message: '' };
+        StateManager.saveToStorage();
+        // Edits still queued under the old id would only be rejected again
+        this.queue = this.queue.filter(change => !takenIds.has(change.id));
+        this.queueChanges(renamed.map(event => ({ op: 'upsert', event })));
+        return true;
     },
 
     /**
-     * Validate entire form
+     * Tell the user when one of their changes lost to another device
      */
-    validateForm(formData) {
-        const errors = {};
-        let isValid = true;
+    reportConflicts(conflicts) {
+        if (!conflicts || conflicts.length === 0) return;
+
+        const messages = {
+            'newer-remote-edit': title => `"${title}" was changed on another device more recently. Kept that version.`,
+            'deleted-remotely': title => `"${title}" was deleted on another device.`,
+            'read-only': title => `You can only view "${title}" in its shared calendar, so your change wasn't saved.`,
+            'invalid': title => `"${title}" was rejected by the server and not synced.`,
+            'id-taken': title => `"${title}" had the same id as another user's event, so it was given a new one and will sync again.`
+        };
 
-        // Validate title
-        const titleValidation = this.validateTitle(formData.title);
-        if (!titleValidation.valid) {
-            errors.title = titleValidation.message;
-            isValid = false;
-        }
+        conflicts.forEach(conflict => {
+            const describe = messages[conflict.reason] || messages['newer-remote-edit'];
+            console.warn('⚠️ Sync conflict:', conflict);
+            NotificationManager.show(
+                conflict.reason === 'invalid' ? 'error' : 'warning',
+                'Sync Conflict',
+                UIRenderer.escapeHtml(describe(conflict.title || 'An event')),
+                6000
+            );
+        });
+    },
 
-        // Validate date
-        const dateValidation = this.validateDate(formData.date);
-        if (!dateValidation.valid) {
-            errors.date = dateValidation.message;
-            isValid = false;
-        }
+    /**
+     * Update the sync status indicator
+     */
+    setStatus(status) {
+        this.status = status;
+
+        const element = document.getElementById('syncStatus');
+        if (!element) return;
+
+        const pending = this.queue.length;
+        const labels = {
+            idle: pending ? `${pending} change(s) pending` : 'Synced',
+            syncing: 'Syncing…',
+            offline: pending ? `Offline · ${pending} change(s) pending` : 'Offline',
+            unavailable: 'Local only'
+        };
 
-        return { isValid, errors };
+        element.textContent = labels[status];
+        element.dataset.status = status;
     }
 };
 
 // ===========================
-// Event Handlers
+// History Manager
 // ===========================
 
 /**
- * User interaction handlers
+ * Undo/redo for changes to events and categories
+ * Each change is recorded as the events it touched (before and after)
+ * plus the category list when that changed, so undoing puts back exactly
+ * those events and leaves changes synced in since then alone. The
+ * history is kept in sessionStorage: it survives a reload but not the
+ * end of the browsing session.
  */
-const EventHandlers = {
+const HistoryManager = {
+    STORAGE_KEY: 'eventReminder_history',
+    MAX_ENTRIES: 50,
+    UNDO_TOAST_DURATION: 6000,
+    undoStack: [],
+    redoStack: [],
+    // Id of the change made by the latest record() call (null when nothing changed)
+    lastRecordedId: null,
+
     /**
-     * Handle form submission
+     * Load this session's history and listen for Ctrl+Z / Ctrl+Shift+Z
      */
-    handleSubmit(event) {
-        event.preventDefault();
-        
-        UIRenderer.clearErrors();
+    init() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.STORAGE_KEY));
+            this.undoStack = stored && Array.isArray(stored.undo) ? stored.undo : [];
+            this.redoStack = stored && Array.isArray(stored.redo) ? stored.redo : [];
+        } catch (error) {
+            console.error('Error loading undo history:', error);
+            this.undoStack = [];
+            this.redoStack = [];
+        }
 
-        // Get form data
-        const formData = {
-            title: UIRenderer.elements.eventTitle.value,
-            date: UIRenderer.elements.eventDate.value,
-            description: UIRenderer.elements.eventDescription.value
-        };
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        return this;
+    },
 
-        // Validate form
-        const validation = FormValidator.validateForm(formData);
+    /**
+     * Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes (Cmd on macOS)
+     * Text fields keep their own undo, and open dialogs are left alone.
+     */
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
 
-        if (!validation.isValid) {
-            // Display errors
-            if (validation.errors.title) {
-                UIRenderer.showError('title', validation.errors.title);
-            }
-            if (validation.errors.date) {
-                UIRenderer.showError('date', validation.errors.date);
+        const key = e.key.toLowerCase();
+        const isUndo = key === 'z' && !e.shiftKey;
+        const isRedo = (key === 'z' && e.shiftKey) || key === 'y';
+        if (!isUndo && !isRedo) return;
+
+        const target = e.target;
+        if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (document.querySelector('.modal-overlay')) return;
+
+        e.preventDefault();
+        if (isUndo) {
+            this.undo();
+        } else {
+            this.redo();
+        }
+    },
+
+    /**
+     * Save the history for this session
+     * When sessionStorage is full the oldest entries are dropped until it fits.
+     */
+    save() {
+        while (this.undoStack.length + this.redoStack.length > 0) {
+            try {
+                sessionStorage.setItem(this.STORAGE_KEY, JSON.stringify({ undo: this.undoStack, redo: this.redoStack }));
+                return;
+            } catch (error) {
+                console.warn('⚠️ Undo history is too large, dropping the oldest change');
+                if (this.undoStack.length > 0) {
+                    this.undoStack.shift();
+                } else {
+                    this.redoStack.shift();
+                }
             }
-            return;
         }
+        sessionStorage.removeItem(this.STORAGE_KEY);
+    },
 
-        // Check if in edit mode
-        if (UIRenderer.editMode && UIRenderer.editingEventId) {
-            // Update existing event
-            StateManager.updateEvent(UIRenderer.editingEventId, formData);
-            
-            NotificationManager.success(
-                'Event Updated!',
-                `"${formData.title}" has been updated successfully`
-            );
-            
-            UIRenderer.resetToAddMode();
-        } else {
-            // Add new event
-            const newEvent = StateManager.addEvent(formData);
-            
-            // Send email notification for new event
-            EmailService.sendNewEventNotification(newEvent)
-                .then(success => {
-                    if (success) {
-                        console.log('✅ Email notification sent successfully');
-                    } else {
-                        console.warn('⚠️ Email notification failed to send');
-                    }
-                })
-                .catch(error => {
-                    console.error('⚠️ Email notification error:', error);
-                });
-            
-            NotificationManager.success(
-                'Event Added!',
-                `"${formData.title}" has been added to your events`
-            );
+    /**
+     * Run a change to events and/or categories and record it
+     * Returns whatever `mutate` returns. Nothing is recorded when nothing changed.
+     */
+    record(label, mutate) {
+        this.lastRecordedId = null;
+        const serialize = items => new Map(items.map(item => [item.id, JSON.stringify(item)]));
+        const eventsBefore = serialize(StateManager.events);
+        const trashBefore = serialize(TrashManager.items);
+        const categoriesBefore = JSON.stringify(CategoryManager.categories);
+
+        const result = mutate();
+
+        const changes = this.diff(eventsBefore, serialize(StateManager.events));
+        const trash = this.diff(trashBefore, serialize(TrashManager.items));
+        const categoriesAfter = JSON.stringify(CategoryManager.categories);
+        const categories = categoriesBefore === categoriesAfter
+            ? null
+            : { before: JSON.parse(categoriesBefore), after: JSON.parse(categoriesAfter) };
+
+        if (changes.length === 0 && trash.length === 0 && !categories) {
+            return result;
         }
 
-        // Clear form
-        UIRenderer.clearForm();
+        this.lastRecordedId = `history_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.undoStack.push({ id: this.lastRecordedId, label, changes, trash, categories });
+        this.undoStack = this.undoStack.slice(-this.MAX_ENTRIES);
+        this.redoStack = [];
+        this.save();
+        return result;
+    },
 
-        // Re-render events list
-        UIRenderer.renderEvents();
-        
-        // Update calendar and dashboard
-        DashboardManager.update();
-        CalendarManager.render();
+    /**
+     * List the items that differ between two id → JSON maps
+     */
+    diff(before, after) {
+        const parse = json => (json === undefined ? null : JSON.parse(json));
+        return [...new Set([...before.keys(), ...after.keys()])]
+            .filter(id => before.get(id) !== after.get(id))
+            .map(id => ({ id, before: parse(before.get(id)), after: parse(after.get(id)) }));
+    },
 
-        // Focus back to title input for better UX
-        UIRenderer.elements.eventTitle.focus();
+    /**
+     * Undo button for the change just recorded (none when nothing changed)
+     */
+    getUndoActions() {
+        const entryId = this.lastRecordedId;
+        return entryId ? [{ label: 'Undo', onClick: () => this.undo(entryId) }] : [];
     },
 
     /**
-     * Handle event deletion
+     * Show a notification with an Undo button for the change just recorded
      */
-    handleDelete(eventId) {
-        // Confirm deletion
-        const confirmed = confirm('Are you sure you want to delete this event?');
-        
-        if (confirmed) {
-            const deleted = StateManager.deleteEvent(eventId);
-            if (deleted) {
-                NotificationManager.success(
-                    'Event Deleted',
-                    'The event has been removed from your list'
-                );
-            }
-            UIRenderer.renderEvents();
-            DashboardManager.update();
-            CalendarManager.render();
-        }
+    notify(title, message) {
+        NotificationManager.show('success', title, message, this.UNDO_TOAST_DURATION, this.getUndoActions());
     },
 
     /**
-     * Handle character count update
+     * Undo the latest change
+     * With an entry id, only that change is undone (and only while it is
+     * still the latest one).
      */
-    handleDescriptionInput() {
-        UIRenderer.updateCharCount();
+    undo(entryId) {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (!entry) {
+            NotificationManager.show('warning', 'Nothing to Undo', 'There are no changes to undo');
+            return;
+        }
+        if (entryId && entry.id !== entryId) {
+            NotificationManager.show('warning', 'Can\'t Undo', 'Newer changes were made since. Press Ctrl+Z to undo them one at a time.');
+            return;
+        }
+
+        this.undoStack.pop();
+        this.apply(entry, 'before');
+        this.redoStack.push(entry);
+        this.save();
+
+        NotificationManager.show('success', 'Undone', entry.label, this.UNDO_TOAST_DURATION, [
+            { label: 'Redo', onClick: () => this.redo() }
+        ]);
     },
 
     /**
-     * Handle event editing
+     * Redo the latest undone change
      */
-    handleEdit(eventId) {
-        const event = StateManager.getEventById(eventId);
-        if (event) {
-            UIRenderer.populateFormForEdit(event);
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            NotificationManager.show('warning', 'Nothing to Redo', 'There are no undone changes to redo');
+            return;
         }
+
+        this.apply(entry, 'after');
+        this.undoStack.push(entry);
+        this.save();
+
+        NotificationManager.show('success', 'Redone', entry.label, this.UNDO_TOAST_DURATION, [
+            { label: 'Undo', onClick: () => this.undo(entry.id) }
+        ]);
     },
 
     /**
-     * Handle cancel edit
+     * Put events, trash and categories back to one side of a recorded change
+     * side is 'before' (undo) or 'after' (redo).
      */
-    handleCancelEdit() {
-        UIRenderer.resetToAddMode();
-        UIRenderer.clearForm();
-        UIRenderer.elements.eventTitle.focus();
+    apply(entry, side) {
+        const restored = changes => changes.filter(change => change[side]).map(change => change[side]);
+        const removed = changes => changes.filter(change => !change[side]).map(change => change.id);
+
+        StateManager.restoreEvents(restored(entry.changes), removed(entry.changes));
+        TrashManager.restoreItems(restored(entry.trash || []), removed(entry.trash || []));
+
+        if (entry.categories) {
+            CategoryManager.categories = entry.categories[side];
+            CategoryManager.saveCategories();
+            if (!CategoryManager.getCategory(CategoryManager.activeFilter)) {
+                CategoryManager.activeFilter = null;
+                EventFilter.updateUrl();
+            }
+        }
+
+        // The event being edited may no longer exist
+        if (UIRenderer.editMode && !StateManager.getEventById(UIRenderer.editingEventId)) {
+            UIRenderer.resetToAddMode();
+            UIRenderer.clearForm();
+        }
+
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        CalendarManager.render();
+        CategoryManager.render();
+        TrashManager.render();
     }
 };
 
 // ===========================
-// Countdown Timer Manager
+// Date Utilities
 // ===========================
 
 /**
- * Manages live countdown updates
+ * Date utility functions
  */
-const CountdownManager = {
-    intervalId: null,
+const DateUtils = {
+    /**
+     * Get today's date at midnight
+     */
+    getToday() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return today;
+    },
 
     /**
-     * Start countdown interval
+     * Parse date string to Date object at midnight
      */
-    start() {
-        // Update immediately
-        UIRenderer.updateAllCountdowns();
+    parseDate(dateString) {
+        const date = new Date(dateString + 'T00:00:00');
+        return date;
+    },
 
-        // Update every second
-        this.intervalId = setInterval(() => {
-            UIRenderer.updateAllCountdowns();
-            
-            // Check if day has changed and re-render if needed
-            this.checkDayChange();
-        }, 1000);
+    /**
+     * Format a Date as a local YYYY-MM-DD string
+     */
+    toDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
     },
 
     /**
-     * Stop countdown interval
+     * Parse date and HH:MM time strings to a local Date
      */
-    stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
+    parseDateTime(dateString, timeString) {
+        return new Date(`${dateString}T${timeString || '00:00'}:00`);
     },
 
     /**
-     * Check if day has changed and trigger re-render
-     * This ensures event status (today/upcoming/past) stays accurate
+     * Minutes since midnight for HH:MM
      */
-    lastCheckedDate: null,
-    
-    checkDayChange() {
-        const currentDate = new Date().toDateString();
-        
-        if (this.lastCheckedDate && this.lastCheckedDate !== currentDate) {
-            // Day has changed, re-render everything
-            UIRenderer.renderEvents();
-        }
-        
-        this.lastCheckedDate = currentDate;
-    }
-};
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
 
-// Expose EventHandlers to global scope for inline event handlers
-window.EventHandlers = EventHandlers;
+    /**
+     * HH:MM for minutes since midnight
+     */
+    fromMinutes(totalMinutes) {
+        const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        return `${hours}:${minutes}`;
+    },
 
-// ===========================
-// Tab Management
-// ===========================
+    /**
+     * When an event starts (midnight for all-day events)
+     */
+    getEventStart(event) {
+        return this.parseDateTime(event.date, event.allDay === false ? event.startTime : null);
+    },
 
-const TabManager = {
-    currentTab: 'dashboard',
+    /**
+     * When an event ends (the rule the server uses too, see Recurrence.getEnd)
+     */
+    getEventEnd(event) {
+        return Recurrence.getEnd(event, this.getEventStart(event));
+    },
 
-    init() {
-        console.log('TabManager initializing...');
-        const tabButtons = document.querySelectorAll('.tab-btn');
-        console.log('Found tab buttons:', tabButtons.length);
-        
-        tabButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                const tabName = btn.dataset.tab;
-                console.log('Tab clicked:', tabName);
-                this.switchTab(tabName);
-            });
+    /**
+     * Format HH:MM as a 12-hour time (e.g., "2:30 PM")
+     */
+    formatTime(timeString) {
+        const [hours, minutes] = timeString.split(':').map(Number);
+        const period = hours >= 12 ? 'PM' : 'AM';
+        return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${period}`;
+    },
+
+    /**
+     * Format a Date with day and time (e.g., "Oct 25, 9:00 AM")
+     */
+    formatDateTimeShort(date) {
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
         });
-        
-        // Load saved tab preference
-        const savedTab = localStorage.getItem('eventReminder_currentTab');
-        if (savedTab) {
-            console.log('Loading saved tab:', savedTab);
-            this.switchTab(savedTab);
-        } else {
-            console.log('No saved tab, using dashboard');
+    },
+
+    /**
+     * Describe when an event happens on its day (e.g., "All day", "2:30 PM – 3:30 PM")
+     */
+    formatEventTime(event) {
+        if (event.allDay !== false) {
+            return 'All day';
         }
+        return event.endTime
+            ? `${this.formatTime(event.startTime)} – ${this.formatTime(event.endTime)}`
+            : this.formatTime(event.startTime);
     },
 
-    switchTab(tabName) {
-        console.log('Switching to tab:', tabName);
-        this.currentTab = tabName;
+    /**
+     * Check if a date is today
+     */
+    isToday(date) {
+        const today = this.getToday();
+        const compareDate = new Date(date);
+        compareDate.setHours(0, 0, 0, 0);
+        return compareDate.getTime() === today.getTime();
+    },
+
+    /**
+     * Check if a date is in the past
+     */
+    isPast(date) {
+        const today = this.getToday();
+        const compareDate = new Date(date);
+        compareDate.setHours(0, 0, 0, 0);
+        return compareDate < today;
+    },
+
+    /**
+     * Check if a date is within next 7 days (not including today)
+     */
+    isUpcoming(date) {
+        const today = this.getToday();
+        const compareDate = new Date(date);
+        compareDate.setHours(0, 0, 0, 0);
         
-        // Update buttons
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tab === tabName);
-        });
+        const sevenDaysLater = new Date(today);
+        sevenDaysLater.setDate(today.getDate() + 7);
         
-        // Update content
-        document.querySelectorAll('.tab-content').forEach(content => {
-            const isActive = content.id === `${tabName}-tab`;
-            content.classList.toggle('active', isActive);
-            console.log(`${content.id} active:`, isActive);
+        return compareDate > today && compareDate <= sevenDaysLater;
+    },
+
+    /**
+     * Get event status (today, upcoming, past, future)
+     */
+    getEventStatus(date) {
+        if (this.isToday(date)) return 'today';
+        if (this.isPast(date)) return 'past';
+        if (this.isUpcoming(date)) return 'upcoming';
+        return 'future';
+    },
+
+    /**
+     * Format date for display (e.g., "January 8, 2026")
+     */
+    formatDateLong(dateString) {
+        const date = this.parseDate(dateString);
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
         });
-        
-        // Save preference
-        localStorage.setItem('eventReminder_currentTab', tabName);
-        
-        // Refresh content for specific tabs
-        if (tabName === 'dashboard') {
-            DashboardManager.update();
-        } else if (tabName === 'calendar') {
-            CalendarManager.render();
-        } else if (tabName === 'categories') {
-            CategoryManager.render();
-        }
-    }
-};
+    },
 
-// ===========================
-// Dashboard Manager
-// ===========================
+    /**
+     * Format date as relative string (e.g., "Today", "Tomorrow", "In 3 days")
+     */
+    formatDateRelative(dateString) {
+        const date = this.parseDate(dateString);
+        const today = this.getToday();
+        const diffTime = date - today;
+        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
-const DashboardManager = {
-    update() {
-        const events = StateManager.getSortedEvents();
-        const today = DateUtils.getToday();
-        
-        // Calculate stats
-        const total = events.length;
-        const upcoming = events.filter(e => DateUtils.isUpcoming(e.date)).length;
-        const todayEvents = events.filter(e => DateUtils.isToday(e.date)).length;
-        const past = events.filter(e => DateUtils.isPast(e.date)).length;
-        
-        // Update stat cards
-        document.getElementById('totalEvents').textContent = total;
-        document.getElementById('upcomingEvents').textContent = upcoming;
-        document.getElementById('todayEvents').textContent = todayEvents;
-        document.getElementById('pastEvents').textContent = past;
-        
-        // Render upcoming events list
-        const dashboardList = document.getElementById('dashboardEventsList');
-        const upcomingEvents = events.filter(e => !DateUtils.isPast(e.date)).slice(0, 5);
-        
-        if (upcomingEvents.length === 0) {
-            dashboardList.innerHTML = '<p style="color: var(--color-text-secondary);">No upcoming events</p>';
-            return;
-        }
+        if (diffDays === 0) return 'Today';
+        if (diffDays === 1) return 'Tomorrow';
+        if (diffDays === -1) return 'Yesterday';
+        if (diffDays < -1) return `${Math.abs(diffDays)} days ago`;
+        if (diffDays > 1) return `In ${diffDays} days`;
         
-        dashboardList.innerHTML = upcomingEvents.map(event => {
-            const status = DateUtils.getEventStatus(event.date);
-            const badgeColors = {
-                today: 'background: #fef3c7; color: #92400e;',
-                upcoming: 'background: #dbeafe; color: #1e40af;',
-                future: 'background: #f3f4f6; color: #374151;'
-            };
-            
-            return `
-                <div class="dashboard-event-item">
-                    <div class="dashboard-event-info">
-                        <h4>${UIRenderer.escapeHtml(event.title)}</h4>
-                        <p>${DateUtils.formatDateRelative(event.date)}</p>
-                    </div>
-                    <span class="dashboard-event-badge" style="${badgeColors[status]}">
-                        ${status.charAt(0).toUpperCase() + status.slice(1)}
-                    </span>
-                </div>
-            `;
-        }).join('');
-    }
-};
+        return this.formatDateLong(dateString);
+    },
 
-// ===========================
-// Calendar Manager
-// ===========================
+    /**
+     * Calculate countdown to an event's start
+     * Returns object with days, hours, minutes, seconds; isOngoing is set
+     * between start and end.
+     */
+    getCountdown(start, end = start) {
+        const now = new Date();
+        const diff = start - now;
 
-const CalendarManager = {
-    currentDate: new Date(),
+        if (diff <= 0) {
+            const isOngoing = now < end;
+            return { days: 0, hours: 0, minutes: 0, seconds: 0, isPast: !isOngoing, isOngoing };
+        }
 
-    init() {
-        document.getElementById('prevMonth')?.addEventListener('click', () => this.changeMonth(-1));
-        document.getElementById('nextMonth')?.addEventListener('click', () => this.changeMonth(1));
-        this.render();
-    },
+        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+        const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+        const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+        const seconds = Math.floor((diff % (1000 * 60)) / 1000);
 
-    changeMonth(delta) {
-        this.currentDate.setMonth(this.currentDate.getMonth() + delta);
-        this.render();
+        return { days, hours, minutes, seconds, isPast: false, isOngoing: false };
     },
 
-    render() {
-        const year = this.currentDate.getFullYear();
-        const month = this.currentDate.getMonth();
-        
-        // Update header
-        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                           'July', 'August', 'September', 'October', 'November', 'December'];
-        document.getElementById('calendarMonthYear').textContent = `${monthNames[month]} ${year}`;
+    /**
+     * Format countdown as human-readable string
+     */
+    formatCountdown(countdown) {
+        if (countdown.isPast) {
+            return 'Event has passed';
+        }
+        if (countdown.isOngoing) {
+            return 'Happening now';
+        }
+
+        const parts = [];
+        if (countdown.days > 0) parts.push(`${countdown.days}d`);
+        if (countdown.hours > 0 || countdown.days > 0) parts.push(`${countdown.hours}h`);
+        if (countdown.minutes > 0 || countdown.hours > 0 || countdown.days > 0) {
+            parts.push(`${countdown.minutes}m`);
+        }
+        parts.push(`${countdown.seconds}s`);
+
+        return parts.join(' ');
+    }
+};
+
+// ===========================
+// Reminder Manager
+// ===========================
+
+/**
+ * Reminder offsets
+ * Events carry a list of minutes before their start at which a reminder
+ * is sent (by the server scheduler). Events without their own list use
+ * the default reminders from Settings.
+ */
+const ReminderManager = {
+    STORAGE_KEY: 'eventReminder_defaultReminders',
+    PRESETS: [0, 5, 15, 30, 60, 120, 1440, 2880, 10080],
+    MAX_REMINDERS: 10,
+    defaults: [0],
+
+    /**
+     * Load default reminders from LocalStorage
+     */
+    init() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (Array.isArray(stored)) {
+                this.defaults = this.normalize(stored);
+            }
+        } catch (error) {
+            console.error('Error loading default reminders:', error);
+        }
+        return this;
+    },
+
+    /**
+     * Sort offsets earliest first and drop duplicates (like the server)
+     */
+    normalize(offsets) {
+        return [...new Set(offsets.map(Number))].sort((a, b) => b - a);
+    },
+
+    /**
+     * Save new default reminders locally and on the server
+     */
+    setDefaults(offsets) {
+        this.defaults = this.normalize(offsets);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.defaults));
+        EmailService.saveSettings({ defaultReminders: this.defaults });
+    },
+
+    /**
+     * Reminder offsets that apply to an event
+     */
+    getOffsets(event) {
+        return Array.isArray(event.reminders) ? event.reminders : this.defaults;
+    },
+
+    /**
+     * Describe an offset (e.g., "15 minutes before", "1 week before")
+     */
+    describe(offset) {
+        if (offset === 0) {
+            return 'At time of event';
+        }
+        const units = [['week', 10080], ['day', 1440], ['hour', 60], ['minute', 1]];
+        const [unit, size] = units.find(([, minutes]) => offset % minutes === 0);
+        const amount = offset / size;
+        return `${amount} ${unit}${amount === 1 ? '' : 's'} before`;
+    },
+
+    /**
+     * How many days ahead of an occurrence its earliest reminder fires
+     */
+    getLookaheadDays(event) {
+        return Math.ceil(Math.max(0, ...this.getOffsets(event)) / 1440);
+    },
+
+    /**
+     * List an event's reminders for occurrences between two dates
+     * Keys match the server's delivery records (event:date:offset).
+     */
+    getReminders(event, from, to) {
+        const offsets = this.getOffsets(event);
+        return Recurrence.getDates(event, from, to).flatMap(date => {
+            const occurrence = { ...event, date };
+            const start = DateUtils.getEventStart(occurrence);
+            return offsets.map(offset => ({
+                key: `${event.id}:${date}:${offset}`,
+                occurrence,
+                offset,
+                dueAt: new Date(start.getTime() - offset * 60 * 1000),
+                endsAt: DateUtils.getEventEnd(occurrence)
+            }));
+        });
+    },
+
+    /**
+     * Find the next reminder that hasn't come due yet, or null
+     */
+    getNextReminder(event) {
+        const now = new Date();
+        const today = DateUtils.toDateString(DateUtils.getToday());
+        // Look a year past the earliest reminder's reach so the next occurrence is found too
+        const to = Recurrence.addDays(today, this.getLookaheadDays(event) + 366);
+
+        return this.getReminders(event, today, to)
+            .filter(reminder => reminder.dueAt > now)
+            .sort((a, b) => a.dueAt - b.dueAt)[0] || null;
+    },
+
+    /**
+     * Wire up a reminder list editor
+     * Returns { get, set } for the offsets it shows.
+     */
+    createPicker({ list, select, addButton, onChange = () => {} }) {
+        let offsets = [];
+
+        select.innerHTML = this.PRESETS
+            .map(offset => `<option value="${offset}">${this.describe(offset)}</option>`)
+            .join('');
+
+        const render = () => {
+            list.innerHTML = offsets.length
+                ? offsets.map(offset => `
+                    <li class="reminder-chip">
+                        ${this.describe(offset)}
+                        <button type="button" data-offset="${offset}" aria-label="Remove reminder: ${this.describe(offset)}">×</button>
+                    </li>
+                `).join('')
+                : '<li class="reminder-empty">No reminders</li>';
+            addButton.disabled = offsets.length >= this.MAX_REMINDERS;
+        };
+
+        const set = (newOffsets) => {
+            offsets = this.normalize(newOffsets);
+            render();
+        };
+
+        addButton.addEventListener('click', () => {
+            set([...offsets, Number(select.value)]);
+            onChange(offsets);
+        });
+
+        list.addEventListener('click', (e) => {
+            const offset = e.target.dataset.offset;
+            if (offset === undefined) return;
+            set(offsets.filter(item => item !== Number(offset)));
+            onChange(offsets);
+        });
+
+        return { get: () => [...offsets], set };
+    }
+};
+
+// ===========================
+// Channel Manager
+// ===========================
+
+/**
+ * Notification channels
+ * Reminders go out by email and to webhooks (sent by the server
+ * scheduler) and as desktop and in-app notifications (raised by
+ * BrowserNotificationManager while the app is open). Settings pick the
+ * channels reminders use; an event can send each of its reminders on
+ * other channels. Works like EventModel.getReminderChannels on the server.
+ */
+const ChannelManager = {
+    STORAGE_KEY: 'eventReminder_channels',
+    CHANNELS: ['email', 'browser', 'in-app', 'webhook'],
+    LABELS: {
+        email: 'Email',
+        browser: 'Desktop',
+        'in-app': 'In-app',
+        webhook: 'Webhooks'
+    },
+    ICONS: {
+        email: '📧',
+        browser: '🖥️',
+        'in-app': '🔔',
+        webhook: '🪝'
+    },
+    defaults: ['email', 'browser', 'in-app', 'webhook'],
+
+    /**
+     * Load channel preferences from LocalStorage
+     */
+    init() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (Array.isArray(stored)) {
+                this.defaults = this.normalize(stored);
+            }
+        } catch (error) {
+            console.error('Error loading notification channels:', error);
+        }
+        return this;
+    },
+
+    /**
+     * Keep known channels, in the usual order
+     */
+    normalize(channels) {
+        return this.CHANNELS.filter(channel => channels.includes(channel));
+    },
+
+    /**
+     * Save new channel preferences locally and on the server
+     */
+    setDefaults(channels) {
+        this.defaults = this.normalize(channels);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.defaults));
+        EmailService.saveSettings({ channels: this.defaults });
+    },
+
+    /**
+     * Tidy an event's channel overrides ({ "<offset>": [channels] }) like the server
+     * Overrides for offsets the event no longer reminds at are dropped.
+     */
+    normalizeRoutes(routes, reminders) {
+        if (!routes || typeof routes !== 'object') {
+            return null;
+        }
+        const entries = Object.keys(routes)
+            .filter(offset => Array.isArray(routes[offset]))
+            .filter(offset => !Array.isArray(reminders) || reminders.includes(Number(offset)))
+            .map(offset => [String(Number(offset)), this.normalize(routes[offset])]);
+        return entries.length ? Object.fromEntries(entries) : null;
+    },
+
+    /**
+     * Channels one of an event's reminders goes out on
+     */
+    getChannels(event, offset) {
+        if (event.channels && Array.isArray(event.channels[offset])) {
+            return event.channels[offset];
+        }
+        return this.defaults;
+    },
+
+    /**
+     * Whether two channel lists hold the same channels
+     */
+    isSame(a, b) {
+        return a.length === b.length && a.every(channel => b.includes(channel));
+    },
+
+    /**
+     * Icons for a list of channels (e.g., on event cards)
+     */
+    describeIcons(channels) {
+        return channels.map(channel => this.ICONS[channel]).join(' ');
+    },
+
+    /**
+     * Name a list of channels (e.g., "Email, Desktop")
+     */
+    describe(channels) {
+        return channels.length
+            ? channels.map(channel => this.LABELS[channel]).join(', ')
+            : 'No channels';
+    },
+
+    /**
+     * Wire up the per-reminder channel editor of the event form
+     * Each reminder gets a row of channel checkboxes showing where it
+     * goes. Rows left on the default channels aren't saved as overrides,
+     * so they follow later changes to the defaults.
+     * Returns { get, set, setOffsets, refresh }.
+     */
+    createRoutingPicker({ container }) {
+        let offsets = [];
+        let routes = {};
+
+        const render = () => {
+            container.innerHTML = offsets.map(offset => {
+                const active = routes[offset] || this.defaults;
+                const label = ReminderManager.describe(offset);
+                return `
+                    <div class="reminder-channel-row">
+                        <span class="reminder-channel-offset">${label}</span>
+                        <div class="reminder-channel-options" role="group" aria-label="Channels for ${label}">
+                            ${this.CHANNELS.map(channel => `
+                                <label class="reminder-channel-option">
+                                    <input type="checkbox" data-offset="${offset}" data-channel="${channel}" ${active.includes(channel) ? 'checked' : ''}>
+                                    ${this.ICONS[channel]} ${this.LABELS[channel]}
+                                </label>
+                            `).join('')}
+                        </div>
+                        ${routes[offset] ? `
+                            <button type="button" class="reminder-channel-reset" data-reset="${offset}">Use defaults</button>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+        };
+
+        container.addEventListener('change', (e) => {
+            const offset = e.target.dataset.offset;
+            if (offset === undefined) return;
+
+            const channels = this.normalize([...container.querySelectorAll(`input[data-offset="${offset}"]:checked`)]
+                .map(input => input.dataset.channel));
+            if (this.isSame(channels, this.defaults)) {
+                delete routes[offset];
+            } else {
+                routes[offset] = channels;
+            }
+            render();
+        });
+
+        container.addEventListener('click', (e) => {
+            const offset = e.target.dataset.reset;
+            if (offset === undefined) return;
+            delete routes[offset];
+            render();
+        });
+
+        const setOffsets = (newOffsets) => {
+            offsets = newOffsets;
+            routes = this.normalizeRoutes(routes, offsets) || {};
+            render();
+        };
+
+        return {
+            get: () => this.normalizeRoutes(routes, offsets),
+            set: (newRoutes, newOffsets) => {
+                routes = { ...newRoutes };
+                setOffsets(newOffsets);
+            },
+            setOffsets,
+            // Redraw rows that follow the defaults after they change
+            refresh: render
+        };
+    }
+};
+
+// ===========================
+// Attendee Manager
+// ===========================
+
+/**
+ * Event attendees and their RSVP answers
+ * The server emails each attendee an invitation with links to answer
+ * (see server/rsvp.js) and answers come back through sync. The organizer
+ * can also record an answer in the event form; the later answer wins.
+ */
+const AttendeeManager = {
+    STATUSES: ['pending', 'accepted', 'tentative', 'declined'],
+    STATUS_LABELS: {
+        pending: 'No reply',
+        accepted: 'Going',
+        tentative: 'Maybe',
+        declined: 'Not going'
+    },
+    MAX_ATTENDEES: 50,
+    NAME_MAX_LENGTH: 100,
+    EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+
+    /**
+     * Fill in missing fields on a list of attendees
+     */
+    normalize(attendees) {
+        if (!Array.isArray(attendees)) {
+            return [];
+        }
+        return attendees
+            .filter(attendee => attendee && typeof attendee.email === 'string')
+            .map(attendee => ({
+                email: attendee.email.trim().toLowerCase(),
+                name: (attendee.name || '').trim(),
+                status: this.STATUSES.includes(attendee.status) ? attendee.status : 'pending',
+                respondedAt: attendee.respondedAt || null
+            }));
+    },
+
+    /**
+     * Count an event's attendees by answer
+     */
+    countResponses(event) {
+        const counts = Object.fromEntries(this.STATUSES.map(status => [status, 0]));
+        (event.attendees || []).forEach(attendee => {
+            counts[attendee.status] += 1;
+        });
+        return counts;
+    },
+
+    /**
+     * Summarize the answers (e.g., "3 going · 1 maybe · 2 no reply"), or '' without attendees
+     */
+    describeResponses(event) {
+        const counts = this.countResponses(event);
+        return ['accepted', 'tentative', 'declined', 'pending']
+            .filter(status => counts[status] > 0)
+            .map(status => `${counts[status]} ${this.STATUS_LABELS[status].toLowerCase()}`)
+            .join(' · ');
+    },
+
+    /**
+     * Check an attendee about to be added to a list
+     */
+    validateNew(attendee, attendees) {
+        if (!this.EMAIL_PATTERN.test(attendee.email)) {
+            return { valid: false, message: 'Enter a valid email address' };
+        }
+        if (attendee.name.length > this.NAME_MAX_LENGTH) {
+            return { valid: false, message: `Names must not exceed ${this.NAME_MAX_LENGTH} characters` };
+        }
+        if (attendees.some(item => item.email === attendee.email)) {
+            return { valid: false, message: `${attendee.email} is already invited` };
+        }
+        if (attendees.length >= this.MAX_ATTENDEES) {
+            return { valid: false, message: `No more than ${this.MAX_ATTENDEES} attendees per event` };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Wire up an attendee list editor
+     * Returns { get, set } for the attendees it shows.
+     */
+    createPicker({ list, nameInput, emailInput, addButton, errorElement }) {
+        let attendees = [];
+
+        const render = () => {
+            list.innerHTML = attendees.length
+                ? attendees.map(attendee => {
+                    const label = UIRenderer.escapeHtml(attendee.name || attendee.email);
+                    return `
+                        <li class="attendee-item" data-status="${attendee.status}">
+                            <span class="attendee-info">
+                                <span class="attendee-name">${label}</span>
+                                ${attendee.name ? `<span class="attendee-email">${UIRenderer.escapeHtml(attendee.email)}</span>` : ''}
+                            </span>
+                            <select data-email="${UIRenderer.escapeHtml(attendee.email)}" aria-label="Answer from ${label}">
+                                ${this.STATUSES.map(status => `
+                                    <option value="${status}" ${status === attendee.status ? 'selected' : ''}>${this.STATUS_LABELS[status]}</option>
+                                `).join('')}
+                            </select>
+                            <button type="button" data-remove="${UIRenderer.escapeHtml(attendee.email)}" aria-label="Remove attendee: ${label}">×</button>
+                        </li>
+                    `;
+                }).join('')
+                : '<li class="attendee-empty">No attendees</li>';
+            addButton.disabled = attendees.length >= this.MAX_ATTENDEES;
+        };
+
+        const set = (newAttendees) => {
+            attendees = this.normalize(newAttendees);
+            errorElement.textContent = '';
+            render();
+        };
+
+        const add = () => {
+            const [attendee] = this.normalize([{ email: emailInput.value, name: nameInput.value }]);
+            const validation = this.validateNew(attendee, attendees);
+            if (!validation.valid) {
+                errorElement.textContent = validation.message;
+                emailInput.focus();
+                return;
+            }
+            set([...attendees, attendee]);
+            nameInput.value = '';
+            emailInput.value = '';
+            nameInput.focus();
+        };
+
+        addButton.addEventListener('click', add);
+
+        // Enter adds the attendee instead of submitting the event form
+        [nameInput, emailInput].forEach(input => input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                add();
+            }
+        }));
+
+        list.addEventListener('click', (e) => {
+            const email = e.target.dataset.remove;
+            if (email === undefined) return;
+            set(attendees.filter(attendee => attendee.email !== email));
+        });
+
+        // An answer recorded by hand counts as given now
+        list.addEventListener('change', (e) => {
+            const attendee = attendees.find(item => item.email === e.target.dataset.email);
+            if (!attendee) return;
+            attendee.status = e.target.value;
+            attendee.respondedAt = new Date().toISOString();
+            e.target.closest('.attendee-item').dataset.status = attendee.status;
+        });
+
+        return { get: () => attendees.map(attendee => ({ ...attendee })), set };
+    }
+};
+
+// ===========================
+// Browser Notifications
+// ===========================
+
+/**
+ * Desktop and in-app notifications for due reminders
+ * While the app is open it checks the same reminders the server sends
+ * and, depending on the channels each reminder goes out on
+ * (ChannelManager), raises a desktop Notification and/or an in-page
+ * reminder with Snooze/Dismiss. Desktop notifications also need to be
+ * turned on for this device. Raised reminders are remembered in
+ * LocalStorage so a reload doesn't repeat them, and reported to the
+ * server's delivery history.
+ */
+const BrowserNotificationManager = {
+    STORAGE_KEY: 'browserNotifications',
+    NOTIFIED_KEY: 'eventReminder_notifiedReminders',
+    SNOOZED_KEY: 'eventReminder_snoozedReminders',
+    DELIVERIES_ENDPOINT: '/api/deliveries',
+    CHECK_INTERVAL: 30 * 1000,
+    SNOOZE_MINUTES: 10,
+    // How long raised reminders are remembered
+    RETENTION: 30 * 24 * 60 * 60 * 1000,
+    enabled: false,
+    notified: {},
+    snoozed: [],
+    intervalId: null,
+
+    /**
+     * Load saved state and start checking for due reminders
+     */
+    init() {
+        this.enabled = localStorage.getItem(this.STORAGE_KEY) === 'true';
+        try {
+            this.notified = JSON.parse(localStorage.getItem(this.NOTIFIED_KEY)) || {};
+            this.snoozed = JSON.parse(localStorage.getItem(this.SNOOZED_KEY)) || [];
+        } catch (error) {
+            console.error('Error loading notification state:', error);
+            this.notified = {};
+            this.snoozed = [];
+        }
+        this.prune();
+
+        this.check();
+        this.intervalId = setInterval(() => this.check(), this.CHECK_INTERVAL);
+        return this;
+    },
+
+    /**
+     * Save raised and snoozed reminders
+     */
+    save() {
+        localStorage.setItem(this.NOTIFIED_KEY, JSON.stringify(this.notified));
+        localStorage.setItem(this.SNOOZED_KEY, JSON.stringify(this.snoozed));
+    },
+
+    /**
+     * Forget reminders raised long ago
+     */
+    prune() {
+        const cutoff = Date.now() - this.RETENTION;
+        Object.keys(this.notified).forEach(key => {
+            if (new Date(this.notified[key]).getTime() < cutoff) {
+                delete this.notified[key];
+            }
+        });
+        this.save();
+    },
+
+    /**
+     * Turn desktop notifications on or off (permission is asked for by SettingsManager)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(this.STORAGE_KEY, enabled);
+        this.check();
+    },
+
+    /**
+     * Check whether desktop notifications can be shown right now
+     */
+    canNotify() {
+        return this.enabled && 'Notification' in window && Notification.permission === 'granted';
+    },
+
+    /**
+     * Channels a reminder can be raised on here
+     * In-app reminders always can; desktop ones need permission.
+     */
+    getChannels(event, offset) {
+        return ChannelManager.getChannels(event, offset)
+            .filter(channel => channel === 'in-app' || (channel === 'browser' && this.canNotify()));
+    },
+
+    /**
+     * Raise reminders that have come due and snoozes that have run out
+     * When several reminders for one occurrence are due only the latest
+     * is raised, like the server scheduler does.
+     */
+    check(now = new Date()) {
+        const today = DateUtils.toDateString(DateUtils.getToday());
+        const latest = new Map();
+
+        StateManager.events
+            .filter(event => SharedCalendarManager.remindsMe(event))
+            .flatMap(event => ReminderManager.getReminders(
+                event,
+                today,
+                Recurrence.addDays(today, ReminderManager.getLookaheadDays(event))
+            ))
+            .filter(reminder => reminder.dueAt <= now && reminder.endsAt > now)
+            .forEach(reminder => {
+                const occurrenceKey = `${reminder.occurrence.id}:${reminder.occurrence.date}`;
+                const current = latest.get(occurrenceKey);
+                if (!current || reminder.dueAt > current.dueAt) {
+                    latest.set(occurrenceKey, reminder);
+                }
+            });
+
+        // A reminder raised before it was last due belongs to an event that has since moved
+        latest.forEach(reminder => {
+            const channels = this.getChannels(reminder.occurrence, reminder.offset);
+            if (channels.length === 0) return;
+            if (!this.notified[reminder.key] || new Date(this.notified[reminder.key]) < reminder.dueAt) {
+                this.raise(reminder, channels);
+            }
+        });
+
+        // Snoozed reminders come back once their time is up
+        const expired = this.snoozed.filter(snooze => new Date(snooze.until) <= now);
+        if (expired.length > 0) {
+            this.snoozed = this.snoozed.filter(snooze => !expired.includes(snooze));
+            this.save();
+            expired.forEach(snooze => {
+                const event = StateManager.getEventById(snooze.eventId);
+                const channels = event ? this.getChannels(event, snooze.offset) : [];
+                if (channels.length > 0) {
+                    // Snoozes were already reported when first raised
+                    this.raise(
+                        { key: snooze.key, occurrence: { ...event, date: snooze.date }, offset: snooze.offset },
+                        channels,
+                        { report: false }
+                    );
+                }
+            });
+        }
+    },
+
+    /**
+     * Show a reminder on the given channels ('browser' and/or 'in-app')
+     * The desktop notification's Snooze lives on the in-page reminder, so
+     * a desktop-only reminder can only be opened or closed.
+     */
+    raise(reminder, channels, { report = true } = {}) {
+        const { occurrence } = reminder;
+        const when = `${DateUtils.formatDateRelative(occurrence.date)} · ${DateUtils.formatEventTime(occurrence)}`;
+        let desktop = null;
+        let removeInPage = () => {};
+
+        this.notified[reminder.key] = new Date().toISOString();
+        this.save();
+
+        if (channels.includes('in-app')) {
+            removeInPage = NotificationManager.showWithActions(
+                'reminder',
+                UIRenderer.escapeHtml(occurrence.title),
+                when,
+                [
+                    { label: 'View', onClick: () => { desktop?.close(); this.focusEvent(occurrence.id); } },
+                    { label: `Snooze ${this.SNOOZE_MINUTES} min`, onClick: () => { desktop?.close(); this.snooze(reminder); } },
+                    { label: 'Dismiss', onClick: () => desktop?.close() }
+                ]
+            );
+            if (report) this.report(reminder, 'in-app', 'sent');
+        }
+
+        if (channels.includes('browser')) {
+            try {
+                desktop = new Notification(`🔔 ${occurrence.title}`, {
+                    body: when,
+                    tag: reminder.key,
+                    requireInteraction: true
+                });
+                desktop.onclick = () => {
+                    desktop.close();
+                    removeInPage();
+                    this.focusEvent(occurrence.id);
+                };
+                if (report) this.report(reminder, 'browser', 'sent');
+            } catch (error) {
+                // Some mobile browsers only allow notifications from a service worker
+                console.warn('⚠️ Could not show desktop notification:', error.message);
+                if (report) this.report(reminder, 'browser', 'failed', error.message);
+            }
+        }
+    },
+
+    /**
+     * Add a raised reminder to the server's delivery history
+     * Best effort: without the server (or for events it hasn't synced
+     * yet) the reminder simply isn't recorded.
+     */
+    async report(reminder, channel, status, error = null) {
+        try {
+            await EmailService.request(this.DELIVERIES_ENDPOINT, {
+                method: 'POST',
+                body: JSON.stringify({
+                    channel,
+                    eventId: reminder.occurrence.id,
+                    occurrenceDate: reminder.occurrence.date,
+                    offset: reminder.offset,
+                    dueAt: reminder.dueAt.toISOString(),
+                    status,
+                    error
+                })
+            });
+        } catch (reportError) {
+            console.warn(`⚠️ Could not record ${channel} reminder:`, reportError.message);
+        }
+    },
+
+    /**
+     * Raise a reminder again in a few minutes
+     */
+    snooze(reminder) {
+        this.snoozed.push({
+            key: reminder.key,
+            eventId: reminder.occurrence.id,
+            date: reminder.occurrence.date,
+            offset: reminder.offset,
+            until: new Date(Date.now() + this.SNOOZE_MINUTES * 60 * 1000).toISOString()
+        });
+        this.save();
+    },
+
+    /**
+     * Drop snoozes for an occurrence that moved and check its new reminders
+     */
+    reschedule(eventId, occurrenceDate) {
+        this.snoozed = this.snoozed.filter(snooze => snooze.eventId !== eventId || snooze.date !== occurrenceDate);
+        this.save();
+        this.check();
+    },
+
+    /**
+     * Bring the app forward and point at the event's card
+     */
+    focusEvent(eventId) {
+        window.focus();
+        TabManager.switchTab('events');
+
+        const card = document.querySelector(`.event-card[data-event-id="${eventId}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.classList.add('highlight');
+            setTimeout(() => card.classList.remove('highlight'), 2000);
+        }
+    }
+};
+
+// ===========================
+// UI Renderer
+// ===========================
+
+/**
+ * Notification system for user feedback
+ */
+const NotificationManager = {
+    ICONS: { success: '✓', error: '✕', warning: '!', reminder: '🔔' },
+
+    /**
+     * Show notification message
+     * actions is an optional list of { label, onClick } (e.g. Undo); the
+     * notification still goes away on its own.
+     */
+    show(type, title, message, duration = 3000, actions = []) {
+        // Remove existing notifications (reminders in the stack stay)
+        const existing = document.querySelector('body > .notification');
+        if (existing) {
+            existing.remove();
+        }
+
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.setAttribute('role', 'alert');
+        notification.setAttribute('aria-live', 'polite');
+        
+        const icon = this.ICONS[type] || this.ICONS.error;
+        
+        notification.innerHTML = `
+            <span class="notification-icon" aria-hidden="true">${icon}</span>
+            <div class="notification-content">
+                <div class="notification-title">${title}</div>
+                <div class="notification-message">${message}</div>
+                ${actions.length > 0 ? `
+                    <div class="notification-actions">
+                        ${actions.map((action, index) => `
+                            <button type="button" class="btn btn-secondary" data-action="${index}">${action.label}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        if (actions.length > 0) {
+            notification.querySelector('.notification-actions').addEventListener('click', (e) => {
+                const index = e.target.dataset.action;
+                if (index === undefined) return;
+                notification.remove();
+                actions[index].onClick();
+            });
+        }
+
+        document.body.appendChild(notification);
+
+        // Auto remove after duration
+        setTimeout(() => {
+            notification.style.animation = 'slideInRight 0.3s ease-out reverse';
+            setTimeout(() => notification.remove(), 300);
+        }, duration);
+    },
+
+    /**
+     * Show a notification that stays until one of its actions is chosen
+     * actions is a list of { label, onClick }. These stack in the corner
+     * instead of replacing each other. Returns a function that removes it.
+     */
+    showWithActions(type, title, message, actions) {
+        let stack = document.getElementById('notificationStack');
+        if (!stack) {
+            stack = document.createElement('div');
+            stack.id = 'notificationStack';
+            stack.className = 'notification-stack';
+            document.body.appendChild(stack);
+        }
+
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.setAttribute('role', 'alert');
+        notification.innerHTML = `
+            <span class="notification-icon" aria-hidden="true">${this.ICONS[type] || this.ICONS.error}</span>
+            <div class="notification-content">
+                <div class="notification-title">${title}</div>
+                <div class="notification-message">${message}</div>
+                <div class="notification-actions">
+                    ${actions.map((action, index) => `
+                        <button type="button" class="btn btn-secondary" data-action="${index}">${action.label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        const remove = () => notification.remove();
+        notification.querySelector('.notification-actions').addEventListener('click', (e) => {
+            const index = e.target.dataset.action;
+            if (index === undefined) return;
+            remove();
+            actions[index].onClick();
+        });
+
+        stack.appendChild(notification);
+        return remove;
+    },
+
+    success(title, message) {
+        this.show('success', title, message);
+    },
+
+    error(title, message) {
+        this.show('error', title, message);
+    }
+};
+
+/**
+ * UI rendering manager
+ * Handles all DOM updates
+ */
+const UIRenderer = {
+    elements: {},
+    editMode: false,
+    editingEventId: null,
+    editScope: null,
+    editingOccurrenceDate: null,
+    reminderPicker: null,
+    channelPicker: null,
+    attendeePicker: null,
+
+    /**
+     * Cache DOM elements
+     */
+    init() {
+        this.elements = {
+            eventForm: document.getElementById('eventForm'),
+            eventTitle: document.getElementById('eventTitle'),
+            eventDate: document.getElementById('eventDate'),
+            eventAllDay: document.getElementById('eventAllDay'),
+            eventTimeFields: document.getElementById('eventTimeFields'),
+            eventStartTime: document.getElementById('eventStartTime'),
+            eventEndTime: document.getElementById('eventEndTime'),
+            eventRepeatGroup: document.getElementById('eventRepeatGroup'),
+            eventRepeat: document.getElementById('eventRepeat'),
+            eventRecurrenceFields: document.getElementById('eventRecurrenceFields'),
+            eventRepeatInterval: document.getElementById('eventRepeatInterval'),
+            eventRepeatUnit: document.getElementById('eventRepeatUnit'),
+            eventRepeatWeekdays: document.getElementById('eventRepeatWeekdays'),
+            eventRepeatMonthly: document.getElementById('eventRepeatMonthly'),
+            eventRepeatMonthlyBy: document.getElementById('eventRepeatMonthlyBy'),
+            eventRepeatEnd: document.getElementById('eventRepeatEnd'),
+            eventRepeatUntil: document.getElementById('eventRepeatUntil'),
+            eventRepeatCount: document.getElementById('eventRepeatCount'),
+            eventDescription: document.getElementById('eventDescription'),
+            titleError: document.getElementById('titleError'),
+            dateError: document.getElementById('dateError'),
+            timeError: document.getElementById('timeError'),
+            recurrenceError: document.getElementById('recurrenceError'),
+            eventCategory: document.getElementById('eventCategory'),
+            eventCalendar: document.getElementById('eventCalendar'),
+            eventReminderList: document.getElementById('eventReminderList'),
+            eventReminderSelect: document.getElementById('eventReminderSelect'),
+            addEventReminder: document.getElementById('addEventReminder'),
+            eventReminderChannels: document.getElementById('eventReminderChannels'),
+            eventAttendeeList: document.getElementById('eventAttendeeList'),
+            eventAttendeeName: document.getElementById('eventAttendeeName'),
+            eventAttendeeEmail: document.getElementById('eventAttendeeEmail'),
+            addEventAttendee: document.getElementById('addEventAttendee'),
+            attendeesError: document.getElementById('attendeesError'),
+            charCount: document.querySelector('.char-count'),
+            eventsList: document.getElementById('eventsList'),
+            emptyState: document.getElementById('emptyState'),
+            eventCount: document.getElementById('eventCount')
+        };
+
+        // Set minimum date to today
+        const today = new Date().toISOString().split('T')[0];
+        this.elements.eventDate.min = today;
+
+        // Reminder list editor for the event form, with the channels each reminder goes out on
+        this.channelPicker = ChannelManager.createRoutingPicker({
+            container: this.elements.eventReminderChannels
+        });
+        this.reminderPicker = ReminderManager.createPicker({
+            list: this.elements.eventReminderList,
+            select: this.elements.eventReminderSelect,
+            addButton: this.elements.addEventReminder,
+            onChange: (offsets) => this.channelPicker.setOffsets(offsets)
+        });
+        this.setReminders(ReminderManager.defaults, null);
+
+        // Attendee list editor for the event form
+        this.attendeePicker = AttendeeManager.createPicker({
+            list: this.elements.eventAttendeeList,
+            nameInput: this.elements.eventAttendeeName,
+            emailInput: this.elements.eventAttendeeEmail,
+            addButton: this.elements.addEventAttendee,
+            errorElement: this.elements.attendeesError
+        });
+        this.attendeePicker.set([]);
+
+        return this;
+    },
+
+    /**
+     * Render all events
+     */
+    renderEvents() {
+        const visible = StateManager.getSortedEvents();
+        const events = EventFilter.apply(visible);
+        
+        // Update event count
+        this.updateEventCount(events.length, EventFilter.isActive() ? visible.length : null);
+
+        // Show/hide empty state
+        if (events.length === 0) {
+            let message = 'No events yet. Add your first event to get started!';
+            if (visible.length > 0) {
+                message = 'No events match your search and filters.';
+            } else if (StateManager.events.length > 0) {
+                message = 'No events in this category.';
+            }
+            this.elements.emptyState.querySelector('p').textContent = message;
+            this.elements.emptyState.classList.remove('hidden');
+            this.elements.eventsList.innerHTML = '';
+            return;
+        }
+
+        this.elements.emptyState.classList.add('hidden');
+
+        // Render event cards
+        this.elements.eventsList.innerHTML = events
+            .map(event => this.createEventCard(event))
+            .join('');
+
+        // Initialize countdowns for upcoming events
+        this.updateAllCountdowns();
+    },
+
+    /**
+     * Create HTML for single event card
+     */
+    createEventCard(event) {
+        const status = DateUtils.getEventStatus(event.date);
+        const statusLabel = status.charAt(0).toUpperCase() + status.slice(1);
+        const dateFormatted = DateUtils.formatDateLong(event.date);
+        const dateRelative = DateUtils.formatDateRelative(event.date);
+        const category = CategoryManager.getCategory(event.categoryId);
+        const calendar = SharedCalendarManager.getCalendar(event.calendarId);
+        const responses = AttendeeManager.describeResponses(event);
+
+        // Recurring events are shown at an occurrence; reminders need the whole series
+        const nextReminder = status !== 'past'
+            ? ReminderManager.getNextReminder(StateManager.getEventById(event.id) || event)
+            : null;
+        const nextReminderChannels = nextReminder
+            ? ChannelManager.getChannels(nextReminder.occurrence, nextReminder.offset)
+            : [];
+
+        return `
+            <article 
+                class="event-card ${status}${category ? ' has-category' : ''}" 
+                role="listitem" 
+                data-event-id="${event.id}"
+                ${category ? `style="--category-color: ${category.color}"` : ''}
+            >
+                <div class="event-header">
+                    <h3 class="event-title">${this.escapeHtml(event.title)}</h3>
+                    <span class="event-status ${status}">${statusLabel}</span>
+                </div>
+
+                ${category ? `
+                    <span class="event-category">${this.escapeHtml(category.name)}</span>
+                ` : ''}
+
+                ${calendar ? `
+                    <span class="event-calendar" style="--calendar-color: ${calendar.color}">📆 ${this.escapeHtml(calendar.name)}</span>
+                ` : ''}
+                
+                <div class="event-date" title="${dateFormatted}">
+                    ${dateRelative}
+                    <span class="event-time">${DateUtils.formatEventTime(event)}</span>
+                </div>
+
+                ${event.recurrence ? `
+                    <span class="event-repeat">🔁 ${Recurrence.describe(event.recurrence, event.date)}</span>
+                ` : ''}
+
+                ${nextReminder ? `
+                    <span class="event-reminder" title="${ReminderManager.describe(nextReminder.offset)} · ${ChannelManager.describe(nextReminderChannels)}">
+                        🔔 Next reminder ${DateUtils.formatDateTimeShort(nextReminder.dueAt)}
+                        <span class="event-reminder-channels">${ChannelManager.describeIcons(nextReminderChannels)}</span>
+                    </span>
+                ` : ''}
+
+                ${responses ? `
+                    <span class="event-attendees" title="${event.attendees.length} invited">👥 ${responses}</span>
+                ` : ''}
+                
+                ${event.description ? `
+                    <p class="event-description">${this.escapeHtml(event.description)}</p>
+                ` : ''}
+                
+                ${status !== 'past' ? `
+                    <div 
+                        class="event-countdown" 
+                        data-countdown="${DateUtils.getEventStart(event).getTime()}"
+                        data-countdown-end="${DateUtils.getEventEnd(event).getTime()}"
+                    >
+                        <span class="countdown-text">Calculating...</span>
+                    </div>
+                ` : ''}
+                
+                ${SharedCalendarManager.canEdit(event) ? `
+                    <div class="event-actions">
+                        <button 
+                            class="btn btn-edit" 
+                            onclick="EventHandlers.handleEdit('${event.id}', '${event.date}')"
+                            aria-label="Edit event: ${this.escapeHtml(event.title)}"
+                        >
+                            Edit
+                        </button>
+                        <button 
+                            class="btn btn-delete" 
+                            onclick="EventHandlers.handleDelete('${event.id}', '${event.date}')"
+                            aria-label="Delete event: ${this.escapeHtml(event.title)}"
+                        >
+                            Delete
+                        </button>
+                    </div>
+                ` : `
+                    <p class="event-read-only">View only</p>
+                `}
+            </article>
+        `;
+    },
+
+    /**
+     * Update event count display
+     */
+    updateEventCount(count, total = null) {
+        const text = total === null
+            ? (count === 1 ? '1 event' : `${count} events`)
+            : `${count} of ${total === 1 ? '1 event' : `${total} events`}`;
+        this.elements.eventCount.textContent = text;
+    },
+
+    /**
+     * Update all countdown timers
+     */
+    updateAllCountdowns() {
+        const countdownElements = document.querySelectorAll('[data-countdown]');
+        
+        countdownElements.forEach(element => {
+            const start = new Date(Number(element.dataset.countdown));
+            const end = new Date(Number(element.dataset.countdownEnd));
+            const countdown = DateUtils.getCountdown(start, end);
+            const formattedCountdown = DateUtils.formatCountdown(countdown);
+            
+            const textElement = element.querySelector('.countdown-text');
+            if (textElement) {
+                textElement.textContent = formattedCountdown;
+            }
+        });
+    },
+
+    /**
+     * Clear form inputs
+     */
+    clearForm() {
+        this.elements.eventForm.reset();
+        this.clearErrors();
+        this.updateCharCount();
+        this.updateTimeFields();
+        this.updateRecurrenceFields();
+        this.setReminders(ReminderManager.defaults, null);
+        this.attendeePicker.set([]);
+        // New events start in the category being filtered on
+        this.elements.eventCategory.value = CategoryManager.activeFilter || '';
+    },
+
+    /**
+     * Show reminders and their channels in the form
+     */
+    setReminders(offsets, channels) {
+        this.reminderPicker.set(offsets);
+        this.channelPicker.set(channels || {}, this.reminderPicker.get());
+    },
+
+    /**
+     * Show the repeat options that apply to the chosen frequency
+     */
+    updateRecurrenceFields() {
+        const freq = this.elements.eventRepeat.value;
+        const end = this.elements.eventRepeatEnd.value;
+        const units = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' };
+
+        this.elements.eventRecurrenceFields.classList.toggle('hidden', !freq);
+        this.elements.eventRepeatWeekdays.classList.toggle('hidden', freq !== 'weekly');
+        this.elements.eventRepeatMonthly.classList.toggle('hidden', freq !== 'monthly');
+        this.elements.eventRepeatUntil.classList.toggle('hidden', end !== 'until');
+        this.elements.eventRepeatCount.classList.toggle('hidden', end !== 'count');
+        this.elements.eventRepeatUnit.textContent = units[freq] || '';
+
+        // Spell out the monthly options for the chosen date
+        const date = this.elements.eventDate.value;
+        if (date) {
+            const [monthday, weekday] = this.elements.eventRepeatMonthlyBy.options;
+            monthday.textContent = `day ${Number(date.slice(8))}`;
+            weekday.textContent = Recurrence.describeNthWeekday(date);
+        }
+    },
+
+    /**
+     * Read the recurrence rule from the form (null when it doesn't repeat)
+     */
+    readRecurrence() {
+        const freq = this.elements.eventRepeat.value;
+        if (!freq) {
+            return null;
+        }
+
+        const end = this.elements.eventRepeatEnd.value;
+        const rule = {
+            freq,
+            interval: Number(this.elements.eventRepeatInterval.value),
+            until: end === 'until' ? this.elements.eventRepeatUntil.value : null,
+            count: end === 'count' ? Number(this.elements.eventRepeatCount.value) : null
+        };
+        if (freq === 'weekly') {
+            rule.byWeekday = [...this.elements.eventRepeatWeekdays.querySelectorAll('input:checked')]
+                .map(input => Number(input.value));
+        }
+        if (freq === 'monthly') {
+            rule.monthlyBy = this.elements.eventRepeatMonthlyBy.value;
+        }
+        return rule;
+    },
+
+    /**
+     * Fill the repeat options from a rule
+     */
+    populateRecurrence(rule) {
+        const weekdays = rule && rule.byWeekday ? rule.byWeekday : [];
+
+        this.elements.eventRepeat.value = rule ? rule.freq : '';
+        this.elements.eventRepeatInterval.value = rule ? rule.interval : 1;
+        this.elements.eventRepeatMonthlyBy.value = rule && rule.monthlyBy ? rule.monthlyBy : 'monthday';
+        this.elements.eventRepeatEnd.value = rule && rule.until ? 'until' : rule && rule.count ? 'count' : 'never';
+        this.elements.eventRepeatUntil.value = rule && rule.until ? rule.until : '';
+        this.elements.eventRepeatCount.value = rule && rule.count ? rule.count : 10;
+        this.elements.eventRepeatWeekdays.querySelectorAll('input').forEach(input => {
+            input.checked = weekdays.includes(Number(input.value));
+        });
+        this.updateRecurrenceFields();
+    },
+
+    /**
+     * Ask whether a change to a recurring event applies to one occurrence
+     * or to it and all later ones
+     * Resolves to 'occurrence', 'future' or null when cancelled.
+     */
+    chooseRecurrenceScope(action) {
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            overlay.innerHTML = `
+                <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="scopeDialogTitle">
+                    <h3 id="scopeDialogTitle">${action} recurring event</h3>
+                    <button type="button" class="btn btn-secondary" data-scope="occurrence">This occurrence</button>
+                    <button type="button" class="btn btn-secondary" data-scope="future">This and all future occurrences</button>
+                    <button type="button" class="btn btn-cancel" data-scope="">Cancel</button>
+                </div>
+            `;
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay || e.target.dataset.scope !== undefined) {
+                    overlay.remove();
+                    resolve(e.target.dataset.scope || null);
+                }
+            });
+
+            document.body.appendChild(overlay);
+            overlay.querySelector('[data-scope="occurrence"]').focus();
+        });
+    },
+
+    /**
+     * Show the time inputs only for events that aren't all-day
+     */
+    updateTimeFields() {
+        const allDay = this.elements.eventAllDay.checked;
+        this.elements.eventTimeFields.classList.toggle('hidden', allDay);
+        this.elements.eventStartTime.required = !allDay;
+    },
+
+    /**
+     * Display validation errors
+     */
+    showError(field, message) {
+        const errorElement = this.elements[`${field}Error`];
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+    },
+
+    /**
+     * Clear all validation errors
+     */
+    clearErrors() {
+        this.elements.titleError.textContent = '';
+        this.elements.dateError.textContent = '';
+        this.elements.timeError.textContent = '';
+        this.elements.recurrenceError.textContent = '';
+        this.elements.attendeesError.textContent = '';
+    },
+
+    /**
+     * Update character count for description
+     */
+    updateCharCount() {
+        const length = this.elements.eventDescription.value.length;
+        const max = this.elements.eventDescription.maxLength;
+        this.elements.charCount.textContent = `${length} / ${max}`;
+    },
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    /**
+     * Populate form with event data for editing
+     * For recurring events `scope` says whether one occurrence ('occurrence')
+     * or it and later ones ('future') are being edited.
+     */
+    populateFormForEdit(event, scope = null, occurrenceDate = event.date) {
+        this.editMode = true;
+        this.editingEventId = event.id;
+        this.editScope = scope;
+        this.editingOccurrenceDate = occurrenceDate;
+
+        // Splitting a series starts the new one with what's left of it
+        const recurrence = scope === 'future' && occurrenceDate > event.date
+            ? Recurrence.split(event, occurrenceDate).tail
+            : event.recurrence;
+        
+        this.elements.eventTitle.value = event.title;
+        this.elements.eventDate.value = occurrenceDate;
+        this.elements.eventAllDay.checked = event.allDay !== false;
+        this.elements.eventStartTime.value = event.startTime || '';
+        this.elements.eventEndTime.value = event.endTime || '';
+        this.elements.eventDescription.value = event.description;
+        this.updateCharCount();
+        this.updateTimeFields();
+        this.populateRecurrence(scope === 'occurrence' ? null : recurrence);
+        this.setReminders(ReminderManager.getOffsets(event), event.channels);
+        this.attendeePicker.set(event.attendees);
+        this.elements.eventCategory.value = CategoryManager.getCategory(event.categoryId) ? event.categoryId : '';
+        this.setCalendarLocked(event.calendarId || '');
+        this.elements.eventRepeatGroup.classList.toggle('hidden', scope === 'occurrence');
+        
+        // Update form UI for edit mode
+        const formSection = document.querySelector('.add-event-section h2');
+        if (formSection) {
+            formSection.textContent = scope === 'occurrence' ? 'Edit Occurrence' : 'Edit Event';
+        }
+        
+        const buttonGroup = this.elements.eventForm.querySelector('.form-buttons');
+        if (buttonGroup) {
+            buttonGroup.innerHTML = `
+                <button type="button" class="btn btn-cancel" id="cancelEdit">
+                    Cancel
+                </button>
+                <button type="submit" class="btn btn-primary">
+                    <span aria-hidden="true">✓</span> Update Event
+                </button>
+            `;
+            
+            // Attach cancel handler
+            const cancelButton = document.getElementById('cancelEdit');
+            if (cancelButton) {
+                cancelButton.onclick = () => EventHandlers.handleCancelEdit();
+            }
+        }
+        
+        // Scroll to form
+        this.elements.eventForm.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        this.elements.eventTitle.focus();
+    },
+
+    /**
+     * Lock the calendar picker on an event's calendar while it's edited
+     * (events can't move between calendars); null unlocks it.
+     */
+    setCalendarLocked(calendarId) {
+        const locked = calendarId !== null;
+        SharedCalendarManager.renderPicker(calendarId || '');
+        this.elements.eventCalendar.disabled = locked;
+        document.getElementById('eventCalendarHint')?.classList.toggle('hidden', !locked);
+    },
+
+    /**
+     * Reset form to add mode
+     */
+    resetToAddMode() {
+        this.editMode = false;
+        this.editingEventId = null;
+        this.editScope = null;
+        this.editingOccurrenceDate = null;
+        this.elements.eventRepeatGroup.classList.remove('hidden');
+        this.setCalendarLocked(null);
+        
+        const formSection = document.querySelector('.add-event-section h2');
+        if (formSection) {
+            formSection.textContent = 'Add New Event';
+        }
+        
+        const buttonGroup = this.elements.eventForm.querySelector('.form-buttons');
+        if (buttonGroup) {
+            buttonGroup.innerHTML = `
+                <button type="submit" class="btn btn-primary">
+                    <span aria-hidden="true">+</span> Add Event
+                </button>
+            `;
+        }
+    }
+};
+
+// ===========================
+// Event Search & Filters
+// ===========================
+
+/**
+ * Search and filters for the Events tab
+ * The search matches every word against the title and description.
+ * Filters narrow by status, date range and whether reminders are set; the
+ * category filter is CategoryManager.activeFilter, shared with the other
+ * views. Everything is mirrored in the URL query string, so a filtered
+ * view can be bookmarked or shared.
+ */
+const EventFilter = {
+    STATUSES: ['today', 'upcoming', 'future', 'past'],
+    REMINDER_OPTIONS: ['with', 'without'],
+    DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+    SEARCH_DELAY: 150,
+    query: '',
+    status: '',
+    from: '',
+    to: '',
+    reminder: '',
+    searchTimeoutId: null,
+
+    /**
+     * Read filters from the URL and wire up the toolbar
+     */
+    init() {
+        this.readUrl();
+
+        const search = document.getElementById('eventSearch');
+        search?.addEventListener('input', (e) => {
+            clearTimeout(this.searchTimeoutId);
+            this.searchTimeoutId = setTimeout(() => this.set({ query: e.target.value }), this.SEARCH_DELAY);
+        });
+
+        document.getElementById('filterStatus')?.addEventListener('change', (e) => this.set({ status: e.target.value }));
+        document.getElementById('filterFrom')?.addEventListener('change', (e) => this.set({ from: e.target.value }));
+        document.getElementById('filterTo')?.addEventListener('change', (e) => this.set({ to: e.target.value }));
+        document.getElementById('filterReminder')?.addEventListener('change', (e) => this.set({ reminder: e.target.value }));
+        document.getElementById('filterCategory')?.addEventListener('change', (e) => {
+            CategoryManager.filterByCategory(e.target.value || null);
+        });
+        document.getElementById('clearFilters')?.addEventListener('click', () => this.clear());
+
+        this.renderControls();
+        return this;
+    },
+
+    /**
+     * Load filter state from the query string, ignoring invalid values
+     * The category is applied to CategoryManager once categories are loaded.
+     */
+    readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const date = value => (this.DATE_PATTERN.test(value || '') ? value : '');
+
+        this.query = params.get('q') || '';
+        this.status = this.STATUSES.includes(params.get('status')) ? params.get('status') : '';
+        this.from = date(params.get('from'));
+        this.to = date(params.get('to'));
+        this.reminder = this.REMINDER_OPTIONS.includes(params.get('reminder')) ? params.get('reminder') : '';
+
+        const categoryId = params.get('category');
+        if (categoryId && CategoryManager.getCategory(categoryId)) {
+            CategoryManager.activeFilter = categoryId;
+        }
+    },
+
+    /**
+     * Write the filter state to the query string (without adding history entries)
+     */
+    updateUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            q: this.query.trim(),
+            status: this.status,
+            category: CategoryManager.activeFilter || '',
+            from: this.from,
+            to: this.to,
+            reminder: this.reminder
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    },
+
+    /**
+     * Change some of the filters and show the result
+     */
+    set(changes) {
+        Object.assign(this, changes);
+        this.updateUrl();
+        UIRenderer.renderEvents();
+    },
+
+    /**
+     * Reset the search and every filter (including the category)
+     */
+    clear() {
+        this.query = '';
+        this.status = '';
+        this.from = '';
+        this.to = '';
+        this.reminder = '';
+        this.renderControls();
+        CategoryManager.filterByCategory(null);
+    },
+
+    /**
+     * Check whether the search or any Events tab filter is set
+     * (the category filter has its own banner)
+     */
+    isActive() {
+        return Boolean(this.query.trim() || this.status || this.from || this.to || this.reminder);
+    },
+
+    /**
+     * Check an event against the search
+     */
+    matchesQuery(event) {
+        const words = this.query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return true;
+
+        const text = `${event.title} ${event.description || ''}`.toLowerCase();
+        return words.every(word => text.includes(word));
+    },
+
+    /**
+     * Check whether an event (any occurrence of a series) falls in the date range
+     */
+    matchesRange(event) {
+        if (!this.from && !this.to) return true;
+
+        const series = StateManager.getEventById(event.id) || event;
+        const next = Recurrence.getNextDate(series, this.from || series.date);
+        return Boolean(next) && (!this.to || next <= this.to);
+    },
+
+    /**
+     * Check an event against every filter
+     * Events are as listed by StateManager.getSortedEvents (recurring ones
+     * dated at their next occurrence).
+     */
+    matches(event) {
+        if (this.status && DateUtils.getEventStatus(event.date) !== this.status) return false;
+        if (this.reminder) {
+            const hasReminders = ReminderManager.getOffsets(event).length > 0;
+            if (hasReminders !== (this.reminder === 'with')) return false;
+        }
+        return this.matchesQuery(event) && this.matchesRange(event);
+    },
+
+    /**
+     * Filter a list of events
+     */
+    apply(events) {
+        return this.isActive() ? events.filter(event => this.matches(event)) : events;
+    },
+
+    /**
+     * Show the current filter state in the toolbar
+     */
+    renderControls() {
+        const controls = {
+            eventSearch: this.query,
+            filterStatus: this.status,
+            filterFrom: this.from,
+            filterTo: this.to,
+            filterReminder: this.reminder,
+            filterCategory: CategoryManager.activeFilter || ''
+        };
+
+        Object.entries(controls).forEach(([id, value]) => {
+            const control = document.getElementById(id);
+            if (control) control.value = value;
+        });
+    }
+};
+
+// ===========================
+// Form Validation
+// ===========================
+
+/**
+ * Form validation utilities
+ */
+const FormValidator = {
+    /**
+     * Validate event title
+     */
+    validateTitle(title) {
+        if (!title || title.trim().length === 0) {
+            return { valid: false, message: 'Event title is required' };
+        }
+        if (title.trim().length < 3) {
+            return { valid: false, message: 'Event title must be at least 3 characters' };
+        }
+        if (title.trim().length > 100) {
+            return { valid: false, message: 'Event title must not exceed 100 characters' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate event date
+     */
+    validateDate(dateString) {
+        if (!dateString) {
+            return { valid: false, message: 'Event date is required' };
+        }
+
+        if (!Recurrence.isValidDate(dateString)) {
+            return { valid: false, message: 'Date must be a real YYYY-MM-DD date' };
+        }
+
+        // Allow past dates but warn user
+        // No restriction on past dates for flexibility
+
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate optional description
+     * The form enforces the limit with maxlength; imports need the check.
+     */
+    validateDescription(description) {
+        if (description && description.trim().length > 200) {
+            return { valid: false, message: 'Description must not exceed 200 characters' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate a list of reminder offsets (same rules as the server)
+     */
+    validateReminders(reminders) {
+        if (reminders === undefined || reminders === null) {
+            return { valid: true, message: '' };
+        }
+        if (!Array.isArray(reminders)) {
+            return { valid: false, message: 'Reminders must be a list of minutes before the event' };
+        }
+        if (reminders.length > ReminderManager.MAX_REMINDERS) {
+            return { valid: false, message: `No more than ${ReminderManager.MAX_REMINDERS} reminders per event` };
+        }
+        if (!reminders.every(offset => Number.isInteger(offset) && offset >= 0 && offset <= 4 * 7 * 24 * 60)) {
+            return { valid: false, message: 'Reminders must be between 0 minutes and 4 weeks before the event' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate start/end times for events that aren't all-day
+     */
+    validateTimes(formData) {
+        if (formData.allDay !== false) {
+            return { valid: true, message: '' };
+        }
+        if (!formData.startTime) {
+            return { valid: false, message: 'Start time is required unless the event is all-day' };
+        }
+        if (formData.endTime && formData.endTime <= formData.startTime) {
+            return { valid: false, message: 'End time must be after start time' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate the repeat options (same rules as the server)
+     */
+    validateRecurrence(formData) {
+        const rule = formData.recurrence;
+        if (!rule) {
+            return { valid: true, message: '' };
+        }
+        if (rule.until === '') {
+            return { valid: false, message: 'Choose the date the event stops repeating' };
+        }
+        if (rule.freq === 'weekly' && (!Array.isArray(rule.byWeekday) || rule.byWeekday.length === 0)) {
+            return { valid: false, message: 'Choose at least one weekday' };
+        }
+        return Recurrence.validate(rule, formData.date);
+    },
+
+    /**
+     * Validate per-reminder channel overrides ({ "<offset>": [channel ids] }, same rules as the server)
+     */
+    validateChannels(channels) {
+        if (channels === undefined || channels === null) {
+            return { valid: true, message: '' };
+        }
+        if (typeof channels !== 'object' || Array.isArray(channels)) {
+            return { valid: false, message: 'Channels must map reminder offsets to lists of channels' };
+        }
+        const offsets = Object.keys(channels);
+        if (offsets.length > ReminderManager.MAX_REMINDERS) {
+            return { valid: false, message: `No more than ${ReminderManager.MAX_REMINDERS} channel overrides per event` };
+        }
+        if (!offsets.every(offset => /^\d+$/.test(offset) && Number(offset) <= 4 * 7 * 24 * 60)) {
+            return { valid: false, message: 'Channel overrides must be keyed by a reminder offset in minutes' };
+        }
+        const lists = offsets.map(offset => channels[offset]);
+        if (!lists.every(list => Array.isArray(list) && list.every(channel => ChannelManager.CHANNELS.includes(channel)))) {
+            return { valid: false, message: `Channels must be a list of ${ChannelManager.CHANNELS.join(', ')}` };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate a list of attendees (same rules as the server)
+     */
+    validateAttendees(attendees) {
+        if (attendees === undefined || attendees === null) {
+            return { valid: true, message: '' };
+        }
+        if (!Array.isArray(attendees)) {
+            return { valid: false, message: 'Attendees must be a list' };
+        }
+        if (attendees.length > AttendeeManager.MAX_ATTENDEES) {
+            return { valid: false, message: `No more than ${AttendeeManager.MAX_ATTENDEES} attendees per event` };
+        }
+        const emails = attendees.map(attendee => (attendee && typeof attendee.email === 'string'
+            ? attendee.email.trim().toLowerCase()
+            : ''));
+        if (!emails.every(email => AttendeeManager.EMAIL_PATTERN.test(email))) {
+            return { valid: false, message: 'Each attendee needs a valid email address' };
+        }
+        if (new Set(emails).size !== emails.length) {
+            return { valid: false, message: 'Each attendee can only be listed once' };
+        }
+        if (attendees.some(attendee => (attendee.name || '').trim().length > AttendeeManager.NAME_MAX_LENGTH)) {
+            return { valid: false, message: `Attendee names must not exceed ${AttendeeManager.NAME_MAX_LENGTH} characters` };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate entire form
+     */
+    validateForm(formData) {
+        const errors = {};
+        let isValid = true;
+
+        // Validate title
+        const titleValidation = this.validateTitle(formData.title);
+        if (!titleValidation.valid) {
+            errors.title = titleValidation.message;
+            isValid = false;
+        }
+
+        // Validate date
+        const dateValidation = this.validateDate(formData.date);
+        if (!dateValidation.valid) {
+            errors.date = dateValidation.message;
+            isValid = false;
+        }
+
+        // Validate times
+        const timeValidation = this.validateTimes(formData);
+        if (!timeValidation.valid) {
+            errors.time = timeValidation.message;
+            isValid = false;
+        }
+
+        // Validate repeat options
+        const recurrenceValidation = this.validateRecurrence(formData);
+        if (!recurrenceValidation.valid) {
+            errors.recurrence = recurrenceValidation.message;
+            isValid = false;
+        }
+
+        // Validate attendees
+        const attendeesValidation = this.validateAttendees(formData.attendees);
+        if (!attendeesValidation.valid) {
+            errors.attendees = attendeesValidation.message;
+            isValid = false;
+        }
+
+        return { isValid, errors };
+    }
+};
+
+// ===========================
+// Event Handlers
+// ===========================
+
+/**
+ * User interaction handlers
+ */
+const EventHandlers = {
+    /**
+     * Handle form submission
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+        
+        UIRenderer.clearErrors();
+
+        // Get form data
+        const formData = {
+            title: UIRenderer.elements.eventTitle.value,
+            date: UIRenderer.elements.eventDate.value,
+            allDay: UIRenderer.elements.eventAllDay.checked,
+            startTime: UIRenderer.elements.eventStartTime.value,
+            endTime: UIRenderer.elements.eventEndTime.value,
+            recurrence: UIRenderer.editScope === 'occurrence' ? null : UIRenderer.readRecurrence(),
+            reminders: UIRenderer.reminderPicker.get(),
+            channels: UIRenderer.channelPicker.get(),
+            categoryId: UIRenderer.elements.eventCategory.value || null,
+            calendarId: UIRenderer.elements.eventCalendar.value || null,
+            attendees: UIRenderer.attendeePicker.get(),
+            description: UIRenderer.elements.eventDescription.value
+        };
+
+        // Validate form
+        const validation = FormValidator.validateForm(formData);
+
+        if (!validation.isValid) {
+            // Display errors
+            if (validation.errors.title) {
+                UIRenderer.showError('title', validation.errors.title);
+            }
+            if (validation.errors.date) {
+                UIRenderer.showError('date', validation.errors.date);
+            }
+            if (validation.errors.time) {
+                UIRenderer.showError('time', validation.errors.time);
+            }
+            if (validation.errors.recurrence) {
+                UIRenderer.showError('recurrence', validation.errors.recurrence);
+            }
+            if (validation.errors.attendees) {
+                UIRenderer.showError('attendees', validation.errors.attendees);
+            }
+            return;
+        }
+
+        // Check if in edit mode
+        if (UIRenderer.editMode && UIRenderer.editingEventId) {
+            // Update existing event (or part of a recurring series)
+            const { editingEventId, editingOccurrenceDate, editScope } = UIRenderer;
+            HistoryManager.record(`Edit "${formData.title.trim()}"`, () => {
+                if (editScope === 'occurrence') {
+                    StateManager.updateOccurrence(editingEventId, editingOccurrenceDate, formData);
+                } else if (editScope === 'future') {
+                    StateManager.updateFutureOccurrences(editingEventId, editingOccurrenceDate, formData);
+                } else {
+                    StateManager.updateEvent(editingEventId, formData);
+                }
+            });
+            
+            HistoryManager.notify(
+                'Event Updated!',
+                `"${formData.title}" has been updated successfully`
+            );
+            
+            UIRenderer.resetToAddMode();
+        } else {
+            // Add new event
+            const newEvent = HistoryManager.record(`Add "${formData.title.trim()}"`, () => StateManager.addEvent(formData));
+            
+            // Send email notification for new event
+            EmailService.sendNewEventNotification(newEvent)
+                .then(success => {
+                    if (success) {
+                        console.log('✅ Email notification sent successfully');
+                    } else {
+                        console.warn('⚠️ Email notification failed to send');
+                    }
+                })
+                .catch(error => {
+                    console.error('⚠️ Email notification error:', error);
+                });
+            
+            NotificationManager.success(
+                'Event Added!',
+                `"${formData.title}" has been added to your events`
+            );
+        }
+
+        // Clear form
+        UIRenderer.clearForm();
+
+        // Re-render events list
+        UIRenderer.renderEvents();
+        
+        // Update calendar and dashboard
+        DashboardManager.update();
+        CalendarManager.render();
+
+        // Focus back to title input for better UX
+        UIRenderer.elements.eventTitle.focus();
+    },
+
+    /**
+     * Handle event deletion
+     * Recurring events ask whether to delete one occurrence or it and all
+     * later ones.
+     */
+    async handleDelete(eventId, occurrenceDate) {
+        const event = StateManager.getEventById(eventId);
+        if (event && !SharedCalendarManager.canEdit(event)) {
+            return;
+        }
+        if (event && Recurrence.isRecurring(event)) {
+            const scope = await UIRenderer.chooseRecurrenceScope('Delete');
+            if (!scope) {
+                return;
+            }
+            const date = occurrenceDate || event.date;
+            const deleted = HistoryManager.record(`Delete "${event.title}"`, () => (scope === 'occurrence'
+                ? StateManager.skipOccurrence(eventId, date)
+                : StateManager.deleteFutureOccurrences(eventId, date)));
+            if (deleted) {
+                HistoryManager.notify(
+                    scope === 'occurrence' ? 'Occurrence Deleted' : 'Occurrences Deleted',
+                    scope === 'occurrence'
+                        ? `"${event.title}" won't happen on ${DateUtils.formatDateLong(date)}`
+                        : `"${event.title}" no longer repeats from ${DateUtils.formatDateLong(date)}`
+                );
+            }
+            UIRenderer.renderEvents();
+            DashboardManager.update();
+            CalendarManager.render();
+            return;
+        }
+
+        // Confirm deletion
+        const confirmed = confirm('Move this event to the trash?');
+        
+        if (confirmed) {
+            const deleted = HistoryManager.record(`Delete "${event ? event.title : 'event'}"`, () => StateManager.deleteEvent(eventId));
+            if (deleted) {
+                HistoryManager.notify(
+                    'Moved to Trash',
+                    'The event can be restored from the Trash tab'
+                );
+            }
+            UIRenderer.renderEvents();
+            DashboardManager.update();
+            CalendarManager.render();
+        }
+    },
+
+    /**
+     * Handle character count update
+     */
+    handleDescriptionInput() {
+        UIRenderer.updateCharCount();
+    },
+
+    /**
+     * Handle all-day checkbox toggle
+     */
+    handleAllDayToggle() {
+        UIRenderer.updateTimeFields();
+        UIRenderer.elements.timeError.textContent = '';
+    },
+
+    /**
+     * Handle repeat option changes
+     */
+    handleRecurrenceChange() {
+        UIRenderer.updateRecurrenceFields();
+        UIRenderer.elements.recurrenceError.textContent = '';
+    },
+
+    /**
+     * Handle event editing
+     * Recurring events ask whether to edit one occurrence or it and all
+     * later ones.
+     */
+    async handleEdit(eventId, occurrenceDate) {
+        const event = StateManager.getEventById(eventId);
+        if (!event || !SharedCalendarManager.canEdit(event)) {
+            return;
+        }
+
+        let scope = null;
+        if (Recurrence.isRecurring(event)) {
+            scope = await UIRenderer.chooseRecurrenceScope('Edit');
+            if (!scope) {
+                return;
+            }
+        }
+        UIRenderer.populateFormForEdit(event, scope, occurrenceDate || event.date);
+    },
+
+    /**
+     * Handle cancel edit
+     */
+    handleCancelEdit() {
+        UIRenderer.resetToAddMode();
+        UIRenderer.clearForm();
+        UIRenderer.elements.eventTitle.focus();
+    }
+};
+
+// ===========================
+// Countdown Timer Manager
+// ===========================
+
+/**
+ * Manages live countdown updates
+ */
+const CountdownManager = {
+    intervalId: null,
+
+    /**
+     * Start countdown interval
+     */
+    start() {
+        // Update immediately
+        UIRenderer.updateAllCountdowns();
+
+        // Update every second
+        this.intervalId = setInterval(() => {
+            UIRenderer.updateAllCountdowns();
+            
+            // Check if day has changed and re-render if needed
+            this.checkDayChange();
+        }, 1000);
+    },
+
+    /**
+     * Stop countdown interval
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    },
+
+    /**
+     * Check if day has changed and trigger re-render
+     * This ensures event status (today/upcoming/past) stays accurate
+     */
+    lastCheckedDate: null,
+    
+    checkDayChange() {
+        const currentDate = new Date().toDateString();
+        
+        if (this.lastCheckedDate && this.lastCheckedDate !== currentDate) {
+            // Day has changed, re-render everything
+            UIRenderer.renderEvents();
+        }
+        
+        this.lastCheckedDate = currentDate;
+    }
+};
+
+// Expose EventHandlers to global scope for inline event handlers
+window.EventHandlers = EventHandlers;
+
+// ===========================
+// Tab Management
+// ===========================
+
+const TabManager = {
+    DEFAULT_VIEW_KEY: 'eventReminder_defaultView',
+    currentTab: 'dashboard',
+
+    init() {
+        console.log('TabManager initializing...');
+        const tabButtons = document.querySelectorAll('.tab-btn');
+        console.log('Found tab buttons:', tabButtons.length);
+        
+        tabButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                const tabName = btn.dataset.tab;
+                console.log('Tab clicked:', tabName);
+                this.switchTab(tabName);
+            });
+        });
+        
+        // Open the default view, or else the tab used last
+        const savedTab = this.getDefaultView().tab || localStorage.getItem('eventReminder_currentTab');
+        if (savedTab) {
+            console.log('Loading saved tab:', savedTab);
+            this.switchTab(savedTab);
+        } else {
+            console.log('No saved tab, using dashboard');
+        }
+    },
+
+    /**
+     * The view chosen in Settings → Default View
+     * Values are a tab name or "calendar-<view>" for a calendar view;
+     * returns { tab, calendarView } (nulls when not set).
+     */
+    getDefaultView() {
+        const [tab, calendarView] = (localStorage.getItem(this.DEFAULT_VIEW_KEY) || '').split('-');
+        return { tab: tab || null, calendarView: calendarView || null };
+    },
+
+    switchTab(tabName) {
+        console.log('Switching to tab:', tabName);
+        this.currentTab = tabName;
+        
+        // Update buttons
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        });
+        
+        // Update content
+        document.querySelectorAll('.tab-content').forEach(content => {
+            const isActive = content.id === `${tabName}-tab`;
+            content.classList.toggle('active', isActive);
+            console.log(`${content.id} active:`, isActive);
+        });
+        
+        // Save preference
+        localStorage.setItem('eventReminder_currentTab', tabName);
+        
+        // Refresh content for specific tabs
+        if (tabName === 'dashboard') {
+            DashboardManager.update();
+        } else if (tabName === 'calendar') {
+            CalendarManager.render();
+        } else if (tabName === 'categories') {
+            CategoryManager.render();
+        } else if (tabName === 'trash') {
+            TrashManager.render();
+        }
+    }
+};
+
+// ===========================
+// Dashboard Manager
+// ===========================
+
+const DashboardManager = {
+    // How far ahead recurring events are expanded for the upcoming list
+    LOOKAHEAD_DAYS: 365,
+
+    update() {
+        const events = StateManager.getSortedEvents().filter(event => SharedCalendarManager.isVisible(event));
+        const today = DateUtils.toDateString(DateUtils.getToday());
+        const occurrences = StateManager.getOccurrences(today, Recurrence.addDays(today, this.LOOKAHEAD_DAYS));
+        
+        // Calculate stats (recurring events count once per occurrence)
+        const total = events.length;
+        const upcoming = occurrences.filter(e => DateUtils.isUpcoming(e.date)).length;
+        const todayEvents = occurrences.filter(e => DateUtils.isToday(e.date)).length;
+        const past = events.filter(e => DateUtils.isPast(e.date)).length;
+        
+        // Update stat cards
+        document.getElementById('totalEvents').textContent = total;
+        document.getElementById('upcomingEvents').textContent = upcoming;
+        document.getElementById('todayEvents').textContent = todayEvents;
+        document.getElementById('pastEvents').textContent = past;
+        
+        // Render upcoming events list
+        const dashboardList = document.getElementById('dashboardEventsList');
+        const upcomingEvents = occurrences.slice(0, 5);
+        
+        if (upcomingEvents.length === 0) {
+            dashboardList.innerHTML = '<p style="color: var(--color-text-secondary);">No upcoming events</p>';
+            return;
+        }
+        
+        dashboardList.innerHTML = upcomingEvents.map(event => {
+            const status = DateUtils.getEventStatus(event.date);
+            const category = CategoryManager.getCategory(event.categoryId);
+            const badgeColors = {
+                today: 'background: #fef3c7; color: #92400e;',
+                upcoming: 'background: #dbeafe; color: #1e40af;',
+                future: 'background: #f3f4f6; color: #374151;'
+            };
+            
+            return `
+                <div class="dashboard-event-item">
+                    <div class="dashboard-event-info">
+                        <h4>
+                            ${category ? `<span class="category-color-dot" style="background: ${category.color}" title="${UIRenderer.escapeHtml(category.name)}"></span>` : ''}
+                            ${UIRenderer.escapeHtml(event.title)}
+                        </h4>
+                        <p>${DateUtils.formatDateRelative(event.date)} · ${DateUtils.formatEventTime(event)}</p>
+                    </div>
+                    <span class="dashboard-event-badge" style="${badgeColors[status]}">
+                        ${status.charAt(0).toUpperCase() + status.slice(1)}
+                    </span>
+                </div>
+            `;
+        }).join('');
+    }
+};
+
+// ===========================
+// Calendar Manager
+// ===========================
+
+/**
+ * Calendar tab: month, week, day and agenda views
+ * Week and day views lay timed events out on an hourly grid (all-day
+ * events sit in a row above it); the agenda lists AGENDA_DAYS days of
+ * occurrences. Each view has its own step for the previous/next buttons.
+ */
+const CalendarManager = {
+    VIEWS: ['month', 'week', 'day', 'agenda'],
+    HOUR_HEIGHT: 48,
+    SCROLL_TO_HOUR: 7,
+    MIN_EVENT_MINUTES: 30,
+    AGENDA_DAYS: 30,
+    MONTH_CHIPS: 3,
+    SNAP_MINUTES: 15,
+    currentDate: new Date(),
+    view: 'month',
+    dragging: null,
+
+    init() {
+        this.view = TabManager.getDefaultView().calendarView || 'month';
+
+        document.getElementById('calendarPrev')?.addEventListener('click', () => this.navigate(-1));
+        document.getElementById('calendarNext')?.addEventListener('click', () => this.navigate(1));
+        document.getElementById('calendarToday')?.addEventListener('click', () => {
+            this.currentDate = new Date();
+            this.render();
+        });
+
+        document.querySelectorAll('[data-calendar-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.calendarView));
+        });
+
+        // Week, day and agenda views: open a day or an event
+        ['calendarTimeGrid', 'calendarAgenda'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', (e) => {
+                const eventButton = e.target.closest('[data-event-id]');
+                if (eventButton) {
+                    const { eventId, date } = eventButton.dataset;
+                    const occurrences = StateManager.getOccurrences(date, date).filter(event => event.id === eventId);
+                    if (occurrences.length > 0) {
+                        this.showDayEvents(date, occurrences);
+                    }
+                    return;
+                }
+                const dayButton = e.target.closest('[data-calendar-date]');
+                if (dayButton) {
+                    this.currentDate = DateUtils.parseDate(dayButton.dataset.calendarDate);
+                    this.setView('day');
+                }
+            });
+        });
+
+        this.initDragAndDrop();
+        this.render();
+    },
+
+    /**
+     * Reschedule events by dragging them, or with Shift + arrow keys
+     * Month cells take a new day; week and day columns also take a new start
+     * time (snapped to SNAP_MINUTES), and their all-day row makes an event all-day.
+     */
+    initDragAndDrop() {
+        const section = document.querySelector('.calendar-section');
+        if (!section) return;
+
+        const clearDropTarget = () => {
+            section.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+        };
+
+        section.addEventListener('dragstart', (e) => {
+            const chip = e.target.closest('[draggable="true"][data-event-id]');
+            if (!chip) return;
+
+            this.dragging = {
+                eventId: chip.dataset.eventId,
+                date: chip.dataset.date,
+                // Where the event was grabbed, so its top lands where it's dropped
+                grabOffset: e.clientY - chip.getBoundingClientRect().top
+            };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', chip.dataset.eventId);
+            chip.classList.add('dragging');
+        });
+
+        section.addEventListener('dragend', () => {
+            this.dragging = null;
+            clearDropTarget();
+            section.querySelectorAll('.dragging').forEach(element => element.classList.remove('dragging'));
+        });
+
+        section.addEventListener('dragover', (e) => {
+            const dropZone = this.dragging && e.target.closest('[data-drop-date]');
+            if (!dropZone) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            if (!dropZone.classList.contains('drop-target')) {
+                clearDropTarget();
+                dropZone.classList.add('drop-target');
+            }
+        });
+
+        section.addEventListener('drop', (e) => {
+            const dropZone = this.dragging && e.target.closest('[data-drop-date]');
+            if (!dropZone) return;
+
+            e.preventDefault();
+            clearDropTarget();
+            const { eventId, date, grabOffset } = this.dragging;
+            this.dragging = null;
+            this.moveEvent(eventId, date, this.getDropTarget(dropZone, e.clientY - grabOffset));
+        });
+
+        section.addEventListener('keydown', (e) => this.handleMoveKey(e));
+    },
+
+    /**
+     * Work out the new date/time for a drop on a month cell, all-day cell or time column
+     * `top` is where the top of the dragged event ends up (viewport pixels).
+     */
+    getDropTarget(dropZone, top) {
+        const target = { date: dropZone.dataset.dropDate };
+        if (dropZone.dataset.dropAllDay) {
+            target.allDay = true;
+        } else if (dropZone.dataset.dropTime) {
+            const offset = top - dropZone.getBoundingClientRect().top;
+            const minutes = Math.round(offset / this.HOUR_HEIGHT * 60 / this.SNAP_MINUTES) * this.SNAP_MINUTES;
+            target.startTime = DateUtils.fromMinutes(Math.min(Math.max(minutes, 0), 24 * 60 - this.SNAP_MINUTES));
+        }
+        return target;
+    },
+
+    /**
+     * Shift + arrow keys move the focused event
+     * Left/right move it a day; up/down move it a week in the month and
+     * agenda views, or SNAP_MINUTES earlier/later in the week and day views.
+     */
+    handleMoveKey(e) {
+        const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -1, ArrowDown: 1 };
+        if (!e.shiftKey || e.altKey || e.ctrlKey || e.metaKey || !(e.key in steps)) return;
+
+        const chip = e.target.closest('[data-event-id][data-date]');
+        const event = chip && StateManager.getEventById(chip.dataset.eventId);
+        if (!event) return;
+
+        e.preventDefault();
+        const { date } = chip.dataset;
+        const step = steps[e.key];
+        const vertical = e.key === 'ArrowUp' || e.key === 'ArrowDown';
+        const timeGrid = this.view === 'week' || this.view === 'day';
+
+        let target;
+        if (!vertical) {
+            target = { date: Recurrence.addDays(date, step) };
+        } else if (!timeGrid) {
+            target = { date: Recurrence.addDays(date, step * 7) };
+        } else if (event.allDay === false) {
+            const start = DateUtils.toMinutes(event.startTime) + step * this.SNAP_MINUTES;
+            if (start < 0 || start >= 24 * 60) return;
+            target = { date, startTime: DateUtils.fromMinutes(start) };
+        } else {
+            return;
+        }
+
+        const moved = this.moveEvent(event.id, date, target);
+        if (moved) {
+            document.querySelector(`.calendar-section [data-event-id="${moved.id}"][data-date="${moved.date}"]`)?.focus();
+        }
+    },
+
+    /**
+     * Move an event (one occurrence for recurring events) and refresh the views
+     * The move can be undone, and its reminders are worked out again.
+     */
+    moveEvent(eventId, occurrenceDate, target) {
+        const event = StateManager.getEventById(eventId);
+        if (!event || !SharedCalendarManager.canEdit(event)) return null;
+
+        const moved = HistoryManager.record(
+            `Move "${event.title}"`,
+            () => StateManager.moveEvent(eventId, occurrenceDate, target)
+        );
+        if (!moved) return null;
+
+        BrowserNotificationManager.reschedule(eventId, occurrenceDate);
+
+        // Follow the event so it stays in view
+        this.currentDate = DateUtils.parseDate(moved.date);
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        this.render();
+
+        const when = moved.allDay === false
+            ? `${DateUtils.formatDateLong(moved.date)} at ${DateUtils.formatTime(moved.startTime)}`
+            : DateUtils.formatDateLong(moved.date);
+        HistoryManager.notify(
+            'Event Moved',
+            `"${UIRenderer.escapeHtml(moved.title)}" moved to ${when}${Recurrence.isRecurring(event) ? ' (this occurrence only)' : ''}`
+        );
+        return moved;
+    },
+
+    /**
+     * Switch between month, week, day and agenda
+     */
+    setView(view) {
+        if (!this.VIEWS.includes(view)) return;
+        this.view = view;
+        this.render();
+    },
+
+    /**
+     * Step back or forward by one month, week, day or agenda page
+     */
+    navigate(delta) {
+        if (this.view === 'month') {
+            // From the 1st, so e.g. Jan 31 + 1 month doesn't skip February
+            this.currentDate.setDate(1);
+            this.currentDate.setMonth(this.currentDate.getMonth() + delta);
+        } else {
+            const days = { week: 7, day: 1, agenda: this.AGENDA_DAYS }[this.view];
+            this.currentDate.setDate(this.currentDate.getDate() + delta * days);
+        }
+        this.render();
+    },
+
+    /**
+     * Show the heading for the current view
+     */
+    setTitle(title) {
+        document.getElementById('calendarTitle').textContent = title;
+    },
+
+    render() {
+        const containers = {
+            month: document.getElementById('calendarGrid'),
+            week: document.getElementById('calendarTimeGrid'),
+            day: document.getElementById('calendarTimeGrid'),
+            agenda: document.getElementById('calendarAgenda')
+        };
+        Object.values(containers).forEach(container => container?.classList.add('hidden'));
+        containers[this.view]?.classList.remove('hidden');
+
+        document.querySelectorAll('[data-calendar-view]').forEach(button => {
+            const isActive = button.dataset.calendarView === this.view;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+
+        const labels = { month: 'month', week: 'week', day: 'day', agenda: `${this.AGENDA_DAYS} days` };
+        document.getElementById('calendarPrev')?.setAttribute('aria-label', `Previous ${labels[this.view]}`);
+        document.getElementById('calendarNext')?.setAttribute('aria-label', `Next ${labels[this.view]}`);
+
+        if (this.view === 'week') {
+            this.renderWeek();
+        } else if (this.view === 'day') {
+            this.renderDay();
+        } else if (this.view === 'agenda') {
+            this.renderAgenda();
+        } else {
+            this.renderMonth();
+        }
+    },
+
+    /**
+     * Month grid: a fixed 6-week grid with the events of each day
+     */
+    renderMonth() {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        
+        // Update header
+        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+                           'July', 'August', 'September', 'October', 'November', 'December'];
+        this.setTitle(`${monthNames[month]} ${year}`);
+        
+        // Get calendar data
+        const firstDay = new Date(year, month, 1).getDay();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const daysInPrevMonth = new Date(year, month, 0).getDate();
+        
+        const grid = document.getElementById('calendarGrid');
+        grid.innerHTML = '';
+        
+        // Day headers
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        dayNames.forEach(day => {
+            const header = document.createElement('div');
+            header.className = 'calendar-day-header';
+            header.textContent = day;
+            grid.appendChild(header);
+        });
+        
+        // Get this month's occurrences
+        const monthStart = `${year}-${String(month + 1).padStart(2, '0')}-01`;
+        const monthEnd = `${year}-${String(month + 1).padStart(2, '0')}-${String(daysInMonth).padStart(2, '0')}`;
+        const events = StateManager.getOccurrences(monthStart, monthEnd);
+        const eventsByDate = {};
+        events.forEach(event => {
+            if (!eventsByDate[event.date]) {
+                eventsByDate[event.date] = [];
+            }
+            eventsByDate[event.date].push(event);
+        });
+        
+        // Previous month days
+        const prevMonthEnd = Recurrence.addDays(monthStart, -1);
+        for (let i = firstDay - 1; i >= 0; i--) {
+            const day = document.createElement('div');
+            day.className = 'calendar-day other-month';
+            day.dataset.dropDate = Recurrence.addDays(prevMonthEnd, -i);
+            day.textContent = daysInPrevMonth - i;
+            grid.appendChild(day);
+        }
+        
+        // Current month days
+        const today = new Date();
+        for (let i = 1; i <= daysInMonth; i++) {
+            const day = document.createElement('div');
+            day.className = 'calendar-day';
+            
+            const dateString = `${year}-${String(month + 1).padStart(2, '0')}-${String(i).padStart(2, '0')}`;
+            day.dataset.dropDate = dateString;
+            
+            // Check if today
+            const isToday = year === today.getFullYear() && month === today.getMonth() && i === today.getDate();
+            if (isToday) {
+                day.classList.add('today');
+            }
+            
+            // Check if has event
+            const dayEvents = eventsByDate[dateString];
+            if (dayEvents && dayEvents.length > 0) {
+                day.classList.add('has-event');
+                
+                // Create day number
+                const dayNumber = document.createElement('div');
+                dayNumber.className = 'calendar-day-number';
+                dayNumber.textContent = i;
+                day.appendChild(dayNumber);
+                
+                // A chip per event, which can be dragged to another day
+                const chips = document.createElement('div');
+                chips.className = 'calendar-chips';
+                chips.innerHTML = dayEvents.slice(0, this.MONTH_CHIPS).map(event => this.renderChip(event)).join('');
+                if (dayEvents.length > this.MONTH_CHIPS) {
+                    chips.insertAdjacentHTML('beforeend', `<span class="calendar-chip-more">+${dayEvents.length - this.MONTH_CHIPS} more</span>`);
+                }
+                day.appendChild(chips);
+            } else {
+                day.textContent = i;
+            }
+            
+            // Add click handler to show events for that day
+            day.addEventListener('click', () => {
+                if (dayEvents && dayEvents.length > 0) {
+                    this.showDayEvents(dateString, dayEvents);
+                }
+            });
+            
+            grid.appendChild(day);
+        }
+        
+        // Next month days
+        const remainingDays = 42 - (firstDay + daysInMonth);
+        for (let i = 1; i <= remainingDays; i++) {
+            const day = document.createElement('div');
+            day.className = 'calendar-day other-month';
+            day.dataset.dropDate = Recurrence.addDays(monthEnd, i);
+            day.textContent = i;
+            grid.appendChild(day);
+        }
+    },
+
+    /**
+     * A draggable chip for an event in the month grid
+     */
+    renderChip(event) {
+        const category = CategoryManager.getCategory(event.categoryId);
+        return `
+            <button 
+                type="button" 
+                class="calendar-chip" 
+                style="${category ? `--category-color: ${category.color};` : ''}" 
+                draggable="${SharedCalendarManager.canEdit(event)}" 
+                data-event-id="${event.id}" 
+                data-date="${event.date}" 
+                title="${UIRenderer.escapeHtml(`${DateUtils.formatEventTime(event)} · ${event.title}`)}" 
+                aria-describedby="calendarMoveHint"
+            >${UIRenderer.escapeHtml(event.title)}</button>
+        `;
+    },
+
+    /**
+     * Week view: Sunday to Saturday on an hourly grid
+     */
+    renderWeek() {
+        const current = DateUtils.toDateString(this.currentDate);
+        const weekStart = Recurrence.addDays(current, -this.currentDate.getDay());
+        const days = Array.from({ length: 7 }, (_, i) => Recurrence.addDays(weekStart, i));
+
+        const first = DateUtils.parseDate(days[0]);
+        const last = DateUtils.parseDate(days[6]);
+        const sameMonth = first.getMonth() === last.getMonth();
+        this.setTitle(`${first.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString('en-US', sameMonth ? { day: 'numeric' } : { month: 'short', day: 'numeric' })}, ${last.getFullYear()}`);
+
+        this.renderTimeGrid(days);
+    },
+
+    /**
+     * Day view: one day on an hourly grid
+     */
+    renderDay() {
+        const day = DateUtils.toDateString(this.currentDate);
+        this.setTitle(this.currentDate.toLocaleDateString('en-US', {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        }));
+
+        this.renderTimeGrid([day]);
+    },
+
+    /**
+     * Place a day's timed events side by side where they overlap
+     * Returns blocks with start/end minutes, a lane and the number of lanes
+     * in their group of overlapping events.
+     */
+    layoutDay(events) {
+        const blocks = events
+            .map(event => {
+                const start = DateUtils.toMinutes(event.startTime);
+                const end = event.endTime ? DateUtils.toMinutes(event.endTime) : start;
+                return { event, start, end: Math.min(24 * 60, Math.max(end, start + this.MIN_EVENT_MINUTES)) };
+            })
+            .sort((a, b) => a.start - b.start || b.end - a.end);
+
+        let group = [];
+        let groupEnd = -1;
+        let laneEnds = [];
+        const closeGroup = () => group.forEach(block => { block.lanes = laneEnds.length; });
+
+        blocks.forEach(block => {
+            if (block.start >= groupEnd) {
+                closeGroup();
+                group = [];
+                laneEnds = [];
+            }
+            let lane = laneEnds.findIndex(end => end <= block.start);
+            if (lane === -1) {
+                lane = laneEnds.length;
+                laneEnds.push(block.end);
+            } else {
+                laneEnds[lane] = block.end;
+            }
+            block.lane = lane;
+            group.push(block);
+            groupEnd = Math.max(groupEnd, block.end);
+        });
+        closeGroup();
+
+        return blocks;
+    },
+
+    /**
+     * Draw the hourly grid for a list of days (week and day views)
+     */
+    renderTimeGrid(days) {
+        const container = document.getElementById('calendarTimeGrid');
+        const today = DateUtils.toDateString(new Date());
+        const occurrences = StateManager.getOccurrences(days[0], days[days.length - 1]);
+        const categoryStyle = event => {
+            const category = CategoryManager.getCategory(event.categoryId);
+            return category ? `--category-color: ${category.color};` : '';
+        };
+
+        const hours = Array.from({ length: 24 }, (_, hour) => `
+            <div class="time-grid-hour" style="height: ${this.HOUR_HEIGHT}px;">
+                ${hour === 0 ? '' : DateUtils.formatTime(`${String(hour).padStart(2, '0')}:00`).replace(':00', '')}
+            </div>
+        `).join('');
+
+        const header = days.map(day => {
+            const date = DateUtils.parseDate(day);
+            return `
+                <button type="button" class="time-grid-day${day === today ? ' today' : ''}" data-calendar-date="${day}">
+                    <span>${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                    <strong>${date.getDate()}</strong>
+                </button>
+            `;
+        }).join('');
+
+        const allDay = days.map(day => `
+            <div class="time-grid-allday-cell" data-drop-date="${day}" data-drop-all-day="true">
+                ${occurrences.filter(event => event.date === day && event.allDay !== false).map(event => `
+                    <button type="button" class="time-grid-event all-day" style="${categoryStyle(event)}" draggable="${SharedCalendarManager.canEdit(event)}" data-event-id="${event.id}" data-date="${day}" title="${UIRenderer.escapeHtml(event.title)}" aria-describedby="calendarMoveHint">
+                        ${UIRenderer.escapeHtml(event.title)}
+                    </button>
+                `).join('')}
+            </div>
+        `).join('');
+
+        const now = new Date();
+        const nowMinutes = now.getHours() * 60 + now.getMinutes();
+        const columns = days.map(day => {
+            const blocks = this.layoutDay(occurrences.filter(event => event.date === day && event.allDay === false));
+            return `
+                <div class="time-grid-column${day === today ? ' today' : ''}" style="height: ${24 * this.HOUR_HEIGHT}px;" data-drop-date="${day}" data-drop-time="true">
+                    ${blocks.map(({ event, start, end, lane, lanes }) => `
+                        <button 
+                            type="button" 
+                            class="time-grid-event" 
+                            style="top: ${start / 60 * this.HOUR_HEIGHT}px; height: ${(end - start) / 60 * this.HOUR_HEIGHT}px; left: ${lane / lanes * 100}%; width: ${100 / lanes}%; ${categoryStyle(event)}" 
+                            draggable="${SharedCalendarManager.canEdit(event)}" 
+                            data-event-id="${event.id}" 
+                            data-date="${day}" 
+                            title="${UIRenderer.escapeHtml(`${DateUtils.formatEventTime(event)} · ${event.title}`)}" 
+                            aria-describedby="calendarMoveHint"
+                        >
+                            <span class="time-grid-event-time">${DateUtils.formatTime(event.startTime)}</span>
+                            <span class="time-grid-event-title">${UIRenderer.escapeHtml(event.title)}</span>
+                        </button>
+                    `).join('')}
+                    ${day === today ? `<div class="time-grid-now" style="top: ${nowMinutes / 60 * this.HOUR_HEIGHT}px;" aria-hidden="true"></div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        container.style.setProperty('--day-count', days.length);
+        container.innerHTML = `
+            <div class="time-grid-header">
+                <div class="time-grid-gutter"></div>
+                ${header}
+            </div>
+            <div class="time-grid-allday">
+                <div class="time-grid-gutter">All day</div>
+                ${allDay}
+            </div>
+            <div class="time-grid-body">
+                <div class="time-grid-gutter">${hours}</div>
+                ${columns}
+            </div>
+        `;
+
+        // Start the day in the morning rather than at midnight
+        container.querySelector('.time-grid-body').scrollTop = this.SCROLL_TO_HOUR * this.HOUR_HEIGHT;
+    },
+
+    /**
+     * Agenda view: every occurrence over the next AGENDA_DAYS days, by day
+     */
+    renderAgenda() {
+        const container = document.getElementById('calendarAgenda');
+        const from = DateUtils.toDateString(this.currentDate);
+        const to = Recurrence.addDays(from, this.AGENDA_DAYS - 1);
+        const today = DateUtils.toDateString(new Date());
+
+        const last = DateUtils.parseDate(to);
+        this.setTitle(`${this.currentDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`);
+
+        const occurrences = StateManager.getOccurrences(from, to);
+        if (occurrences.length === 0) {
+            container.innerHTML = `<p class="agenda-empty">No events between ${DateUtils.formatDateLong(from)} and ${DateUtils.formatDateLong(to)}.</p>`;
+            return;
+        }
+
+        const byDate = new Map();
+        occurrences.forEach(event => {
+            if (!byDate.has(event.date)) byDate.set(event.date, []);
+            byDate.get(event.date).push(event);
+        });
+
+        container.innerHTML = [...byDate.entries()].map(([date, events]) => `
+            <section class="agenda-day${date === today ? ' today' : ''}">
+                <h3 class="agenda-date">
+                    <button type="button" data-calendar-date="${date}">
+                        ${DateUtils.parseDate(date).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+                    </button>
+                    <small>${DateUtils.formatDateRelative(date)}</small>
+                </h3>
+                ${events.map(event => {
+                    const category = CategoryManager.getCategory(event.categoryId);
+                    return `
+                    <button type="button" class="agenda-event" data-event-id="${event.id}" data-date="${date}">
+                        <span class="agenda-time">${DateUtils.formatEventTime(event)}</span>
+                        ${category ? `<span class="category-color-dot" style="background: ${category.color}"></span>` : ''}
+                        <span class="agenda-title">${UIRenderer.escapeHtml(event.title)}</span>
+                        ${Recurrence.isRecurring(event) ? '<span class="agenda-repeat" title="Repeats">🔁</span>' : ''}
+                    </button>
+                `;
+                }).join('')}
+            </section>
+        `).join('');
+    },
+    
+    showDayEvents(dateString, events) {
+        const formattedDate = DateUtils.formatDateLong(dateString);
         
-        // Get calendar data
-        const firstDay = new Date(year, month, 1).getDay();
-        const daysInMonth = new Date(year, month + 1, 0).getDate();
-        const daysInPrevMonth = new Date(year, month, 0).getDate();
+        let eventsList = events.map(event => `
+            <div style="padding: 10px; background: var(--color-bg-secondary); border-radius: 8px; margin-bottom: 8px;">
+                ${CategoryManager.getCategory(event.categoryId) ? `
+                    <span class="category-color-dot" style="display: inline-block; width: 10px; height: 10px; background: ${CategoryManager.getCategory(event.categoryId).color}"></span>
+                ` : ''}
+                <strong>${UIRenderer.escapeHtml(event.title)}</strong>
+                <small style="color: var(--color-text-secondary);"> · ${DateUtils.formatEventTime(event)}</small><br>
+                ${event.recurrence ? `
+                    <small style="color: var(--color-primary);">🔁 ${Recurrence.describe(event.recurrence, event.date)}</small><br>
+                ` : ''}
+                ${AttendeeManager.describeResponses(event) ? `
+                    <small style="color: var(--color-text-secondary);">👥 ${AttendeeManager.describeResponses(event)}</small><br>
+                ` : ''}
+                <small style="color: var(--color-text-secondary);">${event.description || 'No description'}</small>
+                ${SharedCalendarManager.canEdit(event) ? `
+                    <div style="margin-top: 8px; display: flex; gap: 8px;">
+                        <button class="btn btn-edit" data-day-action="edit" data-event-id="${event.id}">Edit</button>
+                        <button class="btn btn-delete" data-day-action="delete" data-event-id="${event.id}">Delete</button>
+                    </div>
+                ` : `
+                    <p class="event-read-only">View only in ${UIRenderer.escapeHtml(SharedCalendarManager.getCalendar(event.calendarId).name)}</p>
+                `}
+            </div>
+        `).join('');
         
-        const grid = document.getElementById('calendarGrid');
-        grid.innerHTML = '';
+        const message = `
+            <div style="max-height: 300px; overflow-y: auto;">
+                <h3 style="margin-bottom: 15px;">${formattedDate}</h3>
+                <div style="margin-bottom: 10px;">
+                    <strong>${events.length} event(s) on this day:</strong>
+                </div>
+                ${eventsList}
+            </div>
+        `;
         
-        // Day headers
-        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        dayNames.forEach(day => {
-            const header = document.createElement('div');
-            header.className = 'calendar-day-header';
-            header.textContent = day;
-            grid.appendChild(header);
+        // Create modal or alert
+        const modal = document.createElement('div');
+        modal.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: var(--color-bg);
+            padding: 25px;
+            border-radius: 12px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.3);
+            z-index: 10000;
+            max-width: 500px;
+            width: 90%;
+        `;
+        
+        modal.innerHTML = message + `
+            <button onclick="this.parentElement.remove(); document.getElementById('modalOverlay').remove()" 
+                    style="margin-top: 15px; padding: 10px 20px; background: var(--color-primary); color: white; border: none; border-radius: 8px; cursor: pointer; width: 100%;">
+                Close
+            </button>
+        `;
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'modalOverlay';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0,0,0,0.5);
+            z-index: 9999;
+        `;
+        overlay.onclick = () => {
+            modal.remove();
+            overlay.remove();
+        };
+
+        // Edit/delete act on this day's occurrence of the event
+        modal.addEventListener('click', (e) => {
+            const { dayAction, eventId } = e.target.dataset;
+            if (!dayAction) return;
+
+            modal.remove();
+            overlay.remove();
+            if (dayAction === 'edit') {
+                TabManager.switchTab('events');
+                EventHandlers.handleEdit(eventId, dateString);
+            } else {
+                EventHandlers.handleDelete(eventId, dateString);
+            }
+        });
+        
+        document.body.appendChild(overlay);
+        document.body.appendChild(modal);
+    }
+};
+
+// ===========================
+// Category Manager
+// ===========================
+
+const CategoryManager = {
+    STORAGE_KEY: 'eventReminder_categories',
+    // Set while local changes haven't reached the server
+    PENDING_KEY: 'eventReminder_categoriesPending',
+    ENDPOINT: '/api/categories',
+    categories: [],
+    // Category id the events list, calendar and dashboard are narrowed to
+    activeFilter: null,
+
+    init() {
+        this.loadCategories();
+        
+        document.getElementById('addCategoryBtn')?.addEventListener('click', () => this.addCategory());
+        document.getElementById('newCategory')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addCategory();
+        });
+
+        this.pull();
+    },
+
+    loadCategories() {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        this.categories = stored ? JSON.parse(stored) : [
+            { id: 'work', name: 'Work', color: '#667eea' },
+            { id: 'personal', name: 'Personal', color: '#f093fb' },
+            { id: 'family', name: 'Family', color: '#4facfe' }
+        ];
+    },
+
+    saveCategories() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.categories));
+        localStorage.setItem(this.PENDING_KEY, 'true');
+        this.upload();
+    },
+
+    /**
+     * Load the account's categories from the server
+     * Local changes that haven't been uploaded yet win; an account
+     * without categories on the server gets this browser's.
+     */
+    async pull() {
+        try {
+            const response = await fetch(this.ENDPOINT);
+            if (!response.ok) {
+                if (response.status === 401) AuthManager.requireSignIn();
+                return;
+            }
+
+            const { categories } = await response.json();
+            if (categories === null || localStorage.getItem(this.PENDING_KEY)) {
+                this.upload();
+                return;
+            }
+            if (JSON.stringify(categories) !== JSON.stringify(this.categories)) {
+                this.categories = categories;
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.categories));
+                this.render();
+                this.refreshViews();
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load categories from the server:', error.message);
+        }
+    },
+
+    /**
+     * Save the categories on the server
+     */
+    async upload() {
+        try {
+            const response = await fetch(this.ENDPOINT, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ categories: this.categories })
+            });
+            if (response.ok) {
+                localStorage.removeItem(this.PENDING_KEY);
+            } else if (response.status === 401) {
+                AuthManager.requireSignIn();
+            }
+        } catch (error) {
+            console.warn('⚠️ Categories not saved to the server yet:', error.message);
+        }
+    },
+
+    addCategory() {
+        const input = document.getElementById('newCategory');
+        const colorInput = document.getElementById('categoryColor');
+        const name = input.value.trim();
+        
+        if (!name) return;
+        
+        const newCategory = {
+            id: `cat_${Date.now()}`,
+            name: name,
+            color: colorInput.value
+        };
+        
+        HistoryManager.record(`Add category "${name}"`, () => {
+            this.categories.push(newCategory);
+            this.saveCategories();
+        });
+        this.render();
+        UIRenderer.renderEvents();
+        
+        input.value = '';
+    },
+
+    /**
+     * Find a category by id (null for missing or deleted ones)
+     */
+    getCategory(id) {
+        return (id && this.categories.find(cat => cat.id === id)) || null;
+    },
+
+    /**
+     * Check an event against the active filter
+     */
+    matchesFilter(event) {
+        return !this.activeFilter || event.categoryId === this.activeFilter;
+    },
+
+    /**
+     * Delete a category
+     * Events in it are moved to another category or left uncategorized,
+     * as chosen in a dialog, so no event points at a missing category.
+     */
+    async deleteCategory(id) {
+        const category = this.getCategory(id);
+        if (!category) return;
+
+        const count = StateManager.events.filter(event => event.categoryId === id).length;
+        let choice = null;
+        if (count > 0) {
+            choice = await this.chooseReassignment(category, count);
+            if (!choice) return;
+        }
+
+        HistoryManager.record(`Delete category "${category.name}"`, () => {
+            if (choice) {
+                StateManager.reassignCategory(id, choice.categoryId);
+            }
+            this.categories = this.categories.filter(cat => cat.id !== id);
+            this.saveCategories();
+        });
+        if (this.activeFilter === id) {
+            this.activeFilter = null;
+            EventFilter.updateUrl();
+        }
+        this.render();
+        this.refreshViews();
+        HistoryManager.notify('Category Deleted', `"${UIRenderer.escapeHtml(category.name)}" has been deleted`);
+    },
+
+    /**
+     * Ask where a deleted category's events should go
+     * Resolves to { categoryId } (null for no category) or null when cancelled.
+     */
+    chooseReassignment(category, count) {
+        const others = this.categories.filter(cat => cat.id !== category.id);
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            overlay.innerHTML = `
+                <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="categoryDialogTitle">
+                    <h3 id="categoryDialogTitle">Delete "${UIRenderer.escapeHtml(category.name)}"?</h3>
+                    <p>${count === 1 ? '1 event is' : `${count} events are`} in this category.</p>
+                    <label for="reassignCategory">Move ${count === 1 ? 'it' : 'them'} to</label>
+                    <select id="reassignCategory">
+                        <option value="">No category</option>
+                        ${others.map(cat => `<option value="${cat.id}">${UIRenderer.escapeHtml(cat.name)}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn btn-delete" data-choice="delete">Delete Category</button>
+                    <button type="button" class="btn btn-cancel" data-choice="">Cancel</button>
+                </div>
+            `;
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay || e.target.dataset.choice !== undefined) {
+                    const confirmed = e.target.dataset.choice === 'delete';
+                    const categoryId = overlay.querySelector('#reassignCategory').value || null;
+                    overlay.remove();
+                    resolve(confirmed ? { categoryId } : null);
+                }
+            });
+
+            document.body.appendChild(overlay);
+            overlay.querySelector('#reassignCategory').focus();
+        });
+    },
+
+    render() {
+        this.renderPicker();
+        this.renderFilterBanners();
+
+        const list = document.getElementById('categoriesList');
+        if (!list) return;
+        
+        list.innerHTML = this.categories.map(cat => {
+            const count = StateManager.events.filter(event => event.categoryId === cat.id).length;
+            return `
+            <div class="category-item" style="border-left-color: ${cat.color}">
+                <div class="category-info">
+                    <span class="category-color-dot" style="background: ${cat.color}"></span>
+                    <span class="category-name">${UIRenderer.escapeHtml(cat.name)}</span>
+                    <span class="category-count">${count === 1 ? '1 event' : `${count} events`}</span>
+                </div>
+                <button class="btn btn-delete" onclick="CategoryManager.deleteCategory('${cat.id}')" style="padding: 4px 8px; font-size: 12px;">
+                    Delete
+                </button>
+            </div>
+        `;
+        }).join('');
+        
+        // Render filters
+        const filters = document.getElementById('categoryFilters');
+        if (filters) {
+            filters.innerHTML = `
+                <button 
+                    class="category-filter-btn${this.activeFilter ? '' : ' active'}" 
+                    onclick="CategoryManager.filterByCategory(null)"
+                >All</button>
+                ${this.categories.map(cat => `
+                    <button 
+                        class="category-filter-btn${this.activeFilter === cat.id ? ' active' : ''}" 
+                        onclick="CategoryManager.filterByCategory('${cat.id}')"
+                    >
+                        <span class="category-color-dot" style="background: ${cat.color}"></span>
+                        ${UIRenderer.escapeHtml(cat.name)}
+                    </button>
+                `).join('')}
+            `;
+        }
+    },
+
+    /**
+     * Fill the category pickers (event form, calendar export and feeds),
+     * keeping the current choice
+     */
+    renderPicker() {
+        const pickers = [
+            { id: 'eventCategory', emptyLabel: 'No category' },
+            { id: 'exportCategory', emptyLabel: 'All events' },
+            { id: 'feedCategory', emptyLabel: 'All events' },
+            { id: 'filterCategory', emptyLabel: 'All categories' }
+        ];
+
+        pickers.forEach(({ id, emptyLabel }) => {
+            const picker = document.getElementById(id);
+            if (!picker) return;
+
+            const selected = picker.value;
+            picker.innerHTML = `
+                <option value="">${emptyLabel}</option>
+                ${this.categories.map(cat => `<option value="${cat.id}">${UIRenderer.escapeHtml(cat.name)}</option>`).join('')}
+            `;
+            picker.value = this.getCategory(selected) ? selected : '';
+        });
+
+        // The Events tab filter follows the active category
+        const filterPicker = document.getElementById('filterCategory');
+        if (filterPicker) filterPicker.value = this.activeFilter || '';
+    },
+
+    /**
+     * Show which category the views are narrowed to
+     */
+    renderFilterBanners() {
+        const category = this.getCategory(this.activeFilter);
+
+        document.querySelectorAll('[data-filter-banner]').forEach(banner => {
+            banner.classList.toggle('hidden', !category);
+            banner.innerHTML = category ? `
+                <span class="category-color-dot" style="background: ${category.color}"></span>
+                Showing <strong>${UIRenderer.escapeHtml(category.name)}</strong> events
+                <button type="button" class="btn btn-secondary" onclick="CategoryManager.filterByCategory(null)">Show all</button>
+            ` : '';
+        });
+    },
+
+    /**
+     * Narrow the events list, calendar and dashboard to one category (null for all)
+     */
+    filterByCategory(categoryId) {
+        this.activeFilter = this.getCategory(categoryId) ? categoryId : null;
+        if (!UIRenderer.editMode) {
+            UIRenderer.elements.eventCategory.value = this.activeFilter || '';
+        }
+        EventFilter.updateUrl();
+        this.render();
+        this.refreshViews();
+    },
+
+    /**
+     * Re-render everything that shows events
+     */
+    refreshViews() {
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        CalendarManager.render();
+    }
+};
+
+// ===========================
+// Trash Manager
+// ===========================
+
+/**
+ * Deleted events, kept so they can be restored
+ * Trashed events are out of StateManager.events (so the views, stats and
+ * reminders ignore them) and deleted on the server; restoring one adds it
+ * back everywhere. Items older than the retention period are deleted
+ * forever.
+ */
+const TrashManager = {
+    STORAGE_KEY: 'eventReminder_trash',
+    RETENTION_KEY: 'eventReminder_trashRetention',
+    RETENTION_OPTIONS: [7, 14, 30, 60, 90],
+    DEFAULT_RETENTION: 30,
+    PURGE_INTERVAL: 60 * 60 * 1000,
+    DAY: 24 * 60 * 60 * 1000,
+    items: [],
+    retentionDays: 30,
+    intervalId: null,
+
+    /**
+     * Load the trash, drop expired items and wire up the Trash tab
+     */
+    init() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            this.items = Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.items = [];
+        }
+
+        const retention = Number(localStorage.getItem(this.RETENTION_KEY));
+        this.retentionDays = this.RETENTION_OPTIONS.includes(retention) ? retention : this.DEFAULT_RETENTION;
+
+        const retentionSelect = document.getElementById('trashRetention');
+        if (retentionSelect) {
+            retentionSelect.value = String(this.retentionDays);
+            retentionSelect.addEventListener('change', (e) => this.setRetention(Number(e.target.value)));
+        }
+
+        document.getElementById('emptyTrash')?.addEventListener('click', () => this.empty());
+
+        document.getElementById('trashList')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-trash-action]');
+            if (!button) return;
+            const { trashAction, eventId } = button.dataset;
+            if (trashAction === 'restore') this.restore(eventId);
+            if (trashAction === 'purge') this.purge(eventId);
+        });
+
+        this.purgeExpired();
+        this.intervalId = setInterval(() => this.purgeExpired(), this.PURGE_INTERVAL);
+        this.render();
+        return this;
+    },
+
+    /**
+     * Save the trash to LocalStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.items));
+        } catch (error) {
+            console.error('Error saving trash:', error);
+        }
+    },
+
+    /**
+     * Move a deleted event into the trash
+     */
+    add(event) {
+        this.items = this.items.filter(item => item.id !== event.id);
+        this.items.push({ ...event, deletedAt: new Date().toISOString() });
+        this.save();
+    },
+
+    /**
+     * When a trashed item will be deleted forever
+     */
+    getPurgeDate(item) {
+        return new Date(new Date(item.deletedAt).getTime() + this.retentionDays * this.DAY);
+    },
+
+    /**
+     * Change how many days items stay in the trash
+     */
+    setRetention(days) {
+        if (!this.RETENTION_OPTIONS.includes(days)) return;
+        this.retentionDays = days;
+        localStorage.setItem(this.RETENTION_KEY, days);
+        this.purgeExpired();
+        this.render();
+    },
+
+    /**
+     * Delete items that have been in the trash longer than the retention period
+     */
+    purgeExpired(now = new Date()) {
+        const before = this.items.length;
+        this.items = this.items.filter(item => this.getPurgeDate(item) > now);
+        if (this.items.length !== before) {
+            this.save();
+            this.render();
+            console.log(`🗑️ Deleted ${before - this.items.length} expired item(s) from the trash`);
+        }
+    },
+
+    /**
+     * Put trashed items back as they were (undo/redo), without syncing
+     */
+    restoreItems(items, removedIds) {
+        this.items = this.items.filter(item => !removedIds.includes(item.id));
+        items.forEach(saved => {
+            const index = this.items.findIndex(item => item.id === saved.id);
+            if (index === -1) {
+                this.items.push(saved);
+            } else {
+                this.items[index] = saved;
+            }
+        });
+        this.save();
+    },
+
+    /**
+     * Restore a trashed event
+     */
+    restore(eventId) {
+        const item = this.items.find(trashed => trashed.id === eventId);
+        if (!item) return;
+
+        HistoryManager.record(`Restore "${item.title}"`, () => {
+            const { deletedAt, ...event } = item;
+            this.items = this.items.filter(trashed => trashed.id !== eventId);
+            this.save();
+            StateManager.restoreEvents([event], []);
+        });
+
+        this.refreshViews();
+        HistoryManager.notify('Event Restored', `"${UIRenderer.escapeHtml(item.title)}" is back in your events`);
+    },
+
+    /**
+     * Delete one trashed event forever
+     */
+    purge(eventId) {
+        const item = this.items.find(trashed => trashed.id === eventId);
+        if (!item || !confirm(`Delete "${item.title}" forever?`)) return;
+
+        HistoryManager.record(`Delete "${item.title}" forever`, () => {
+            this.items = this.items.filter(trashed => trashed.id !== eventId);
+            this.save();
+        });
+
+        this.render();
+        HistoryManager.notify('Deleted Forever', `"${UIRenderer.escapeHtml(item.title)}" has been deleted`);
+    },
+
+    /**
+     * Delete everything in the trash forever
+     */
+    empty() {
+        if (this.items.length === 0) return;
+        const count = this.items.length;
+        if (!confirm(`Delete ${count === 1 ? '1 event' : `${count} events`} in the trash forever?`)) return;
+
+        HistoryManager.record('Empty trash', () => {
+            this.items = [];
+            this.save();
+        });
+
+        this.render();
+        HistoryManager.notify('Trash Emptied', `${count === 1 ? '1 event was' : `${count} events were`} deleted forever`);
+    },
+
+    /**
+     * Re-render everything that shows events
+     */
+    refreshViews() {
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        CalendarManager.render();
+        CategoryManager.render();
+        this.render();
+    },
+
+    /**
+     * Render the Trash tab, most recently deleted first
+     */
+    render() {
+        const list = document.getElementById('trashList');
+        const emptyButton = document.getElementById('emptyTrash');
+        if (!list) return;
+
+        if (emptyButton) emptyButton.disabled = this.items.length === 0;
+
+        if (this.items.length === 0) {
+            list.innerHTML = '<p class="setting-description">The trash is empty.</p>';
+            return;
+        }
+
+        const items = [...this.items].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        list.innerHTML = items.map(item => {
+            const daysLeft = Math.max(0, Math.ceil((this.getPurgeDate(item) - Date.now()) / this.DAY));
+            const category = CategoryManager.getCategory(item.categoryId);
+            return `
+            <div class="trash-item">
+                <div class="trash-info">
+                    <strong>${UIRenderer.escapeHtml(item.title)}</strong>
+                    <small>
+                        📅 ${DateUtils.formatDateLong(item.date)}${Recurrence.isRecurring(item) ? ' · 🔁 Repeats' : ''}${category ? ` · ${UIRenderer.escapeHtml(category.name)}` : ''}
+                    </small>
+                    <small>
+                        Deleted ${DateUtils.formatDateTimeShort(new Date(item.deletedAt))} ·
+                        ${daysLeft === 1 ? 'deleted forever in 1 day' : `deleted forever in ${daysLeft} days`}
+                    </small>
+                </div>
+                <div class="trash-actions">
+                    <button type="button" class="btn btn-secondary" data-trash-action="restore" data-event-id="${item.id}">Restore</button>
+                    <button type="button" class="btn btn-delete" data-trash-action="purge" data-event-id="${item.id}">Delete Forever</button>
+                </div>
+            </div>
+        `;
+        }).join('');
+    }
+};
+
+// ===========================
+// Calendar Feed Manager
+// ===========================
+
+/**
+ * Subscribable calendar feeds served by server.js (/calendar.ics)
+ * Each feed has its own secret URL that calendar apps can subscribe to,
+ * optionally limited to one category.
+ */
+const CalendarFeedManager = {
+    ENDPOINT: '/api/feeds',
+    feeds: [],
+    available: false,
+
+    /**
+     * Load the feed list and wire up the settings controls
+     */
+    init() {
+        document.getElementById('createFeed')?.addEventListener('click', () => this.create());
+
+        document.getElementById('feedsList')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-feed-action]');
+            if (!button) return;
+            const { feedAction, feedId } = button.dataset;
+            if (feedAction === 'copy') this.copy(feedId);
+            if (feedAction === 'revoke') this.revoke(feedId);
+        });
+
+        this.load();
+    },
+
+    /**
+     * Fetch the feeds from the server
+     * Without server.js (local-only mode) feeds aren't available.
+     */
+    async load() {
+        try {
+            this.feeds = await EmailService.request(this.ENDPOINT);
+            this.available = true;
+        } catch (error) {
+            this.feeds = [];
+            this.available = false;
+            console.warn('⚠️ Calendar feeds are unavailable:', error.message);
+        }
+        this.render();
+    },
+
+    /**
+     * Feed URL for calendar apps (http or webcal)
+     */
+    getUrl(feed, protocol = window.location.protocol) {
+        return `${protocol}//${window.location.host}/calendar.ics?token=${feed.token}`;
+    },
+
+    /**
+     * Create a feed for the category picked in settings (or all events)
+     */
+    async create() {
+        const category = CategoryManager.getCategory(document.getElementById('feedCategory')?.value);
+
+        try {
+            const feed = await EmailService.request(this.ENDPOINT, {
+                method: 'POST',
+                body: JSON.stringify({
+                    categoryId: category ? category.id : null,
+                    categoryName: category ? category.name : null
+                })
+            });
+            this.feeds.push(feed);
+            this.render();
+            NotificationManager.success('Feed Created', 'Copy the feed URL into your calendar app to subscribe');
+        } catch (error) {
+            NotificationManager.error('Feed Not Created', error.message);
+        }
+    },
+
+    /**
+     * Copy a feed URL to the clipboard
+     */
+    async copy(feedId) {
+        const feed = this.feeds.find(item => item.id === feedId);
+        if (!feed) return;
+
+        try {
+            await navigator.clipboard.writeText(this.getUrl(feed));
+            NotificationManager.success('Copied', 'Feed URL copied to the clipboard');
+        } catch (error) {
+            // Clipboard access can be blocked; leave the URL selected instead
+            document.querySelector(`[data-feed-url="${feedId}"]`)?.select();
+        }
+    },
+
+    /**
+     * Revoke a feed so its URL stops working
+     */
+    async revoke(feedId) {
+        if (!confirm('Revoke this feed? Calendars subscribed to it will stop updating.')) return;
+
+        try {
+            await EmailService.request(`${this.ENDPOINT}/${encodeURIComponent(feedId)}`, { method: 'DELETE' });
+            this.feeds = this.feeds.filter(feed => feed.id !== feedId);
+            this.render();
+            NotificationManager.success('Feed Revoked', 'The feed URL no longer works');
+        } catch (error) {
+            NotificationManager.error('Feed Not Revoked', error.message);
+        }
+    },
+
+    /**
+     * Render the feed list
+     */
+    render() {
+        const list = document.getElementById('feedsList');
+        const createButton = document.getElementById('createFeed');
+        if (!list) return;
+
+        if (createButton) createButton.disabled = !this.available;
+
+        if (!this.available) {
+            list.innerHTML = '<p class="setting-description">Calendar feeds need the server (node server.js) to be running.</p>';
+            return;
+        }
+        if (this.feeds.length === 0) {
+            list.innerHTML = '<p class="setting-description">No feeds yet.</p>';
+            return;
+        }
+
+        list.innerHTML = this.feeds.map(feed => `
+            <div class="feed-item">
+                <div class="feed-info">
+                    <strong>${UIRenderer.escapeHtml(feed.name)}</strong>
+                    <small>${feed.lastAccessedAt
+                        ? `Last fetched ${DateUtils.formatDateTimeShort(new Date(feed.lastAccessedAt))}`
+                        : 'Not fetched yet'}</small>
+                </div>
+                <input 
+                    type="text" 
+                    class="setting-input feed-url" 
+                    value="${UIRenderer.escapeHtml(this.getUrl(feed))}" 
+                    data-feed-url="${feed.id}" 
+                    aria-label="Feed URL for ${UIRenderer.escapeHtml(feed.name)}" 
+                    readonly
+                >
+                <div class="feed-actions">
+                    <button type="button" class="btn btn-secondary" data-feed-action="copy" data-feed-id="${feed.id}">Copy URL</button>
+                    <a class="btn btn-secondary" href="${UIRenderer.escapeHtml(this.getUrl(feed, 'webcal:'))}">Subscribe</a>
+                    <button type="button" class="btn btn-delete" data-feed-action="revoke" data-feed-id="${feed.id}">Revoke</button>
+                </div>
+            </div>
+        `).join('');
+    }
+};
+
+// ===========================
+// Webhook Manager
+// ===========================
+
+/**
+ * Outgoing webhooks (server/webhooks.js)
+ * Each webhook gets a signed JSON POST for the event changes and due
+ * reminders it is set up for. Failed deliveries are retried by the
+ * server; the delivery log shows how each one went.
+ */
+const WebhookManager = {
+    ENDPOINT: '/api/webhooks',
+    EVENT_LABELS: {
+        'event.created': 'Event created',
+        'event.updated': 'Event updated',
+        'event.deleted': 'Event deleted',
+        'reminder.due': 'Reminder due',
+        'ping': 'Test'
+    },
+    LOG_LIMIT: 20,
+    webhooks: [],
+    deliveries: [],
+    available: false,
+
+    /**
+     * Load webhooks and wire up the settings controls
+     */
+    init() {
+        document.getElementById('webhookForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.create();
+        });
+
+        const list = document.getElementById('webhooksList');
+        list?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-webhook-action]');
+            if (!button) return;
+            const { webhookAction, webhookId } = button.dataset;
+            if (webhookAction === 'test') this.test(webhookId);
+            if (webhookAction === 'toggle') this.toggle(webhookId);
+            if (webhookAction === 'copy') this.copySecret(webhookId);
+            if (webhookAction === 'delete') this.remove(webhookId);
+        });
+        list?.addEventListener('change', (e) => {
+            const { webhookId } = e.target.dataset;
+            if (webhookId && e.target.dataset.webhookEvent) this.updateEvents(webhookId);
+        });
+
+        document.getElementById('webhookDeliveries')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-delivery-retry]');
+            if (button) this.retry(button.dataset.deliveryRetry);
+        });
+        document.getElementById('refreshWebhookDeliveries')?.addEventListener('click', () => this.loadDeliveries());
+
+        this.load();
+    },
+
+    /**
+     * Fetch webhooks and recent deliveries from the server
+     * Without server.js (local-only mode) webhooks aren't available.
+     */
+    async load() {
+        try {
+            this.webhooks = await EmailService.request(this.ENDPOINT);
+            this.available = true;
+        } catch (error) {
+            this.webhooks = [];
+            this.available = false;
+            console.warn('⚠️ Webhooks are unavailable:', error.message);
+        }
+        this.render();
+        if (this.available) {
+            await this.loadDeliveries();
+        } else {
+            this.deliveries = [];
+            this.renderDeliveries();
+        }
+    },
+
+    /**
+     * Fetch the latest deliveries
+     */
+    async loadDeliveries() {
+        try {
+            this.deliveries = await EmailService.request(`${this.ENDPOINT}/deliveries?limit=${this.LOG_LIMIT}`);
+        } catch (error) {
+            console.warn('⚠️ Could not load webhook deliveries:', error.message);
+        }
+        this.renderDeliveries();
+    },
+
+    /**
+     * Replace a webhook in the list with the server's copy
+     */
+    replace(webhook) {
+        this.webhooks = this.webhooks.map(item => (item.id === webhook.id ? webhook : item));
+        this.render();
+    },
+
+    /**
+     * Add a webhook from the settings form
+     */
+    async create() {
+        const form = document.getElementById('webhookForm');
+        const url = form.elements.url.value.trim();
+        const events = [...form.querySelectorAll('[name="webhookEvent"]:checked')].map(input => input.value);
+
+        if (events.length === 0) {
+            NotificationManager.error('Webhook Not Added', 'Choose at least one thing to send');
+            return;
+        }
+
+        try {
+            const webhook = await EmailService.request(this.ENDPOINT, {
+                method: 'POST',
+                body: JSON.stringify({ url, events })
+            });
+            this.webhooks.push(webhook);
+            form.elements.url.value = '';
+            this.render();
+            NotificationManager.success('Webhook Added', 'Use its signing secret to verify requests');
+        } catch (error) {
+            NotificationManager.error('Webhook Not Added', error.message);
+        }
+    },
+
+    /**
+     * Save which events a webhook is sent
+     */
+    async updateEvents(webhookId) {
+        const events = [...document.querySelectorAll(`[data-webhook-event][data-webhook-id="${webhookId}"]:checked`)]
+            .map(input => input.dataset.webhookEvent);
+        if (events.length === 0) {
+            NotificationManager.error('Webhook Not Changed', 'A webhook needs at least one thing to send');
+            this.render();
+            return;
+        }
+
+        try {
+            this.replace(await EmailService.request(`${this.ENDPOINT}/${encodeURIComponent(webhookId)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ events })
+            }));
+        } catch (error) {
+            NotificationManager.error('Webhook Not Changed', error.message);
+            this.render();
+        }
+    },
+
+    /**
+     * Pause or resume a webhook
+     */
+    async toggle(webhookId) {
+        const webhook = this.webhooks.find(item => item.id === webhookId);
+        if (!webhook) return;
+
+        try {
+            this.replace(await EmailService.request(`${this.ENDPOINT}/${encodeURIComponent(webhookId)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ active: !webhook.active })
+            }));
+        } catch (error) {
+            NotificationManager.error('Webhook Not Changed', error.message);
+        }
+    },
+
+    /**
+     * Send a test delivery and report how it went
+     */
+    async test(webhookId) {
+        try {
+            const delivery = await EmailService.request(`${this.ENDPOINT}/${encodeURIComponent(webhookId)}/test`, { method: 'POST' });
+            if (delivery.status === 'delivered') {
+                NotificationManager.success('Test Delivered', `The receiver answered ${delivery.responseStatus}`);
+            } else {
+                NotificationManager.error('Test Failed', `${delivery.error || 'No answer yet'}. It will be retried.`);
+            }
+        } catch (error) {
+            NotificationManager.error('Test Not Sent', error.message);
+        }
+        this.loadDeliveries();
+    },
+
+    /**
+     * Copy a webhook's signing secret to the clipboard
+     */
+    async copySecret(webhookId) {
+        const webhook = this.webhooks.find(item => item.id === webhookId);
+        if (!webhook) return;
+
+        try {
+            await navigator.clipboard.writeText(webhook.secret);
+            NotificationManager.success('Copied', 'Signing secret copied to the clipboard');
+        } catch (error) {
+            // Clipboard access can be blocked; leave the secret selected instead
+            document.querySelector(`[data-webhook-secret="${webhookId}"]`)?.select();
+        }
+    },
+
+    /**
+     * Delete a webhook (its queued deliveries are dropped)
+     */
+    async remove(webhookId) {
+        if (!confirm('Delete this webhook? Deliveries still waiting to be sent are dropped.')) return;
+
+        try {
+            await EmailService.request(`${this.ENDPOINT}/${encodeURIComponent(webhookId)}`, { method: 'DELETE' });
+            this.webhooks = this.webhooks.filter(webhook => webhook.id !== webhookId);
+            this.render();
+            this.loadDeliveries();
+            NotificationManager.success('Webhook Deleted', 'Nothing more will be sent to it');
+        } catch (error) {
+            NotificationManager.error('Webhook Not Deleted', error.message);
+        }
+    },
+
+    /**
+     * Send a failed delivery again
+     */
+    async retry(deliveryId) {
+        try {
+            const delivery = await EmailService.request(`${this.ENDPOINT}/deliveries/${encodeURIComponent(deliveryId)}/retry`, { method: 'POST' });
+            if (delivery.status === 'delivered') {
+                NotificationManager.success('Delivered', `The receiver answered ${delivery.responseStatus}`);
+            }
+        } catch (error) {
+            NotificationManager.error('Retry Failed', error.message);
+        }
+        this.loadDeliveries();
+    },
+
+    /**
+     * Describe where a delivery stands
+     */
+    describeDelivery(delivery) {
+        if (delivery.status === 'delivered') {
+            return `Delivered (${delivery.responseStatus})`;
+        }
+        if (delivery.status === 'failed') {
+            return `Failed after ${delivery.attempts} attempt(s): ${delivery.error}`;
+        }
+        return delivery.attempts > 0
+            ? `Retrying ${DateUtils.formatDateTimeShort(new Date(delivery.nextAttemptAt))} (${delivery.error})`
+            : 'Queued';
+    },
+
+    /**
+     * Render the webhook list
+     */
+    render() {
+        const list = document.getElementById('webhooksList');
+        const form = document.getElementById('webhookForm');
+        if (!list) return;
+
+        form?.querySelectorAll('input, button').forEach(control => {
+            control.disabled = !this.available;
+        });
+
+        if (!this.available) {
+            list.innerHTML = '<p class="setting-description">Webhooks need the server (node server.js) to be running.</p>';
+            return;
+        }
+        if (this.webhooks.length === 0) {
+            list.innerHTML = '<p class="setting-description">No webhooks yet.</p>';
+            return;
+        }
+
+        list.innerHTML = this.webhooks.map(webhook => `
+            <div class="webhook-item${webhook.active ? '' : ' paused'}">
+                <div class="webhook-info">
+                    <strong class="webhook-url">${UIRenderer.escapeHtml(webhook.url)}</strong>
+                    <small>${webhook.active ? 'Active' : 'Paused'}</small>
+                </div>
+                <div class="webhook-events" role="group" aria-label="Sent to ${UIRenderer.escapeHtml(webhook.url)}">
+                    ${Object.keys(this.EVENT_LABELS).filter(type => type !== 'ping').map(type => `
+                        <label>
+                            <input type="checkbox" data-webhook-event="${type}" data-webhook-id="${webhook.id}" ${webhook.events.includes(type) ? 'checked' : ''}>
+                            ${this.EVENT_LABELS[type]}
+                        </label>
+                    `).join('')}
+                </div>
+                <input 
+                    type="text" 
+                    class="setting-input webhook-secret" 
+                    value="${UIRenderer.escapeHtml(webhook.secret)}" 
+                    data-webhook-secret="${webhook.id}" 
+                    aria-label="Signing secret for ${UIRenderer.escapeHtml(webhook.url)}" 
+                    readonly
+                >
+                <div class="feed-actions">
+                    <button type="button" class="btn btn-secondary" data-webhook-action="test" data-webhook-id="${webhook.id}" ${webhook.active ? '' : 'disabled'}>Send Test</button>
+                    <button type="button" class="btn btn-secondary" data-webhook-action="toggle" data-webhook-id="${webhook.id}">${webhook.active ? 'Pause' : 'Resume'}</button>
+                    <button type="button" class="btn btn-secondary" data-webhook-action="copy" data-webhook-id="${webhook.id}">Copy Secret</button>
+                    <button type="button" class="btn btn-delete" data-webhook-action="delete" data-webhook-id="${webhook.id}">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Render the delivery log
+     */
+    renderDeliveries() {
+        const log = document.getElementById('webhookDeliveries');
+        if (!log) return;
+
+        if (!this.available || this.deliveries.length === 0) {
+            log.innerHTML = this.available ? '<p class="setting-description">Nothing sent yet.</p>' : '';
+            return;
+        }
+
+        log.innerHTML = this.deliveries.map(delivery => `
+            <div class="webhook-delivery" data-status="${delivery.status}">
+                <div class="backup-info">
+                    <strong>${this.EVENT_LABELS[delivery.type] || UIRenderer.escapeHtml(delivery.type)}</strong>
+                    <small>${DateUtils.formatDateTimeShort(new Date(delivery.createdAt))} · ${UIRenderer.escapeHtml(delivery.url || 'Deleted webhook')}</small>
+                    <small class="webhook-delivery-status">${UIRenderer.escapeHtml(this.describeDelivery(delivery))}</small>
+                </div>
+                ${delivery.status === 'failed' ? `
+                    <button type="button" class="btn btn-secondary" data-delivery-retry="${delivery.id}">Retry</button>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+};
+
+// ===========================
+// Delivery History Manager
+// ===========================
+
+/**
+ * Reminder delivery history (GET /api/deliveries)
+ * One entry per reminder, recipient and channel: emails and webhooks
+ * sent by the server, desktop and in-app reminders the app reported
+ * raising. Each entry lists the outcome of every attempt.
+ */
+const DeliveryHistoryManager = {
+    ENDPOINT: '/api/deliveries',
+    LIMIT: 30,
+    STATUS_LABELS: {
+        sent: 'Sent',
+        queued: 'Queued',
+        failed: 'Failed'
+    },
+    entries: [],
+    available: false,
+
+    /**
+     * Wire up the history controls and load it
+     */
+    init() {
+        document.getElementById('deliveryHistoryChannel')?.addEventListener('change', () => this.load());
+        document.getElementById('refreshDeliveryHistory')?.addEventListener('click', () => this.load());
+        this.load();
+    },
+
+    /**
+     * Fetch the latest entries, for one channel or all
+     */
+    async load() {
+        const channel = document.getElementById('deliveryHistoryChannel')?.value;
+        const query = new URLSearchParams({ limit: this.LIMIT });
+        if (channel) query.set('channel', channel);
+
+        try {
+            this.entries = await EmailService.request(`${this.ENDPOINT}?${query}`);
+            this.available = true;
+        } catch (error) {
+            this.entries = [];
+            this.available = false;
+            console.warn('⚠️ Delivery history is unavailable:', error.message);
+        }
+        this.render();
+    },
+
+    /**
+     * Describe one attempt (e.g., "Oct 19, 7:18 PM · Failed: timeout")
+     */
+    describeOutcome(outcome) {
+        const when = DateUtils.formatDateTimeShort(new Date(outcome.attemptedAt));
+        const status = this.STATUS_LABELS[outcome.status] || outcome.status;
+        return `${when} · ${status}${outcome.error ? `: ${outcome.error}` : ''}`;
+    },
+
+    /**
+     * Render the history list
+     */
+    render() {
+        const list = document.getElementById('deliveryHistory');
+        if (!list) return;
+
+        if (!this.available) {
+            list.innerHTML = '<p class="setting-description">The delivery history needs the server (node server.js) to be running.</p>';
+            return;
+        }
+        if (this.entries.length === 0) {
+            list.innerHTML = '<p class="setting-description">No reminders sent yet.</p>';
+            return;
+        }
+
+        list.innerHTML = this.entries.map(entry => {
+            const outcomes = entry.outcomes || [];
+            const status = this.STATUS_LABELS[entry.status] || entry.status;
+            return `
+                <div class="delivery-item" data-status="${entry.status}">
+                    <div class="backup-info">
+                        <strong>${ChannelManager.ICONS[entry.channel] || ''} ${UIRenderer.escapeHtml(entry.channelLabel || entry.channel)} · ${UIRenderer.escapeHtml(entry.eventTitle || 'Deleted event')}</strong>
+                        <small>${ReminderManager.describe(entry.offset)} · due ${DateUtils.formatDateTimeShort(new Date(entry.dueAt))}</small>
+                        <small class="delivery-status">
+                            ${status} · ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}${entry.error ? ` · ${UIRenderer.escapeHtml(entry.error)}` : ''}
+                        </small>
+                        ${outcomes.length > 1 ? `
+                            <details class="delivery-attempts">
+                                <summary>Attempts</summary>
+                                <ol>
+                                    ${outcomes.map(outcome => `<li>${UIRenderer.escapeHtml(this.describeOutcome(outcome))}</li>`).join('')}
+                                </ol>
+                            </details>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+};
+
+// ===========================
+// Shared Calendar Manager
+// ===========================
+
+/**
+ * Team calendars shared through server.js (/api/calendars)
+ * Events with a calendarId belong to a shared calendar; the rest are the
+ * user's own ("My events"). Members are owners, editors or viewers, and
+ * each chooses whether the calendar's reminders reach them. Which
+ * calendars the calendar and dashboard show is kept per browser.
+ */
+const SharedCalendarManager = {
+    ENDPOINT: '/api/calendars',
+    STORAGE_KEY: 'eventReminder_sharedCalendars',
+    HIDDEN_KEY: 'eventReminder_hiddenCalendars',
+    // Stands for the user's own events in the visibility toggles
+    PERSONAL_ID: 'personal',
+    EDIT_ROLES: ['owner', 'editor'],
+    ROLE_LABELS: { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' },
+    REFRESH_INTERVAL: 60 * 1000,
+    calendars: [],
+    invitations: [],
+    // From an emailed invitation link (?invitation=<token>), until it's answered
+    invitationToken: null,
+    hidden: new Set(),
+    available: false,
+    intervalId: null,
+
+    /**
+     * Load the cached calendars, wire up the controls and refresh from the server
+     */
+    init() {
+        try {
+            this.calendars = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+            this.hidden = new Set(JSON.parse(localStorage.getItem(this.HIDDEN_KEY)) || []);
+        } catch (error) {
+            console.error('Error loading shared calendars:', error);
+            this.calendars = [];
+            this.hidden = new Set();
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('invitation')) {
+            this.invitationToken = params.get('invitation');
+            params.delete('invitation');
+            const query = params.toString();
+            window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        }
+
+        document.getElementById('createSharedCalendar')?.addEventListener('click', () => this.create());
+        document.getElementById('newSharedCalendar')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.create();
+        });
+
+        const list = document.getElementById('sharedCalendarsList');
+        list?.addEventListener('click', (e) => this.handleAction(e));
+        list?.addEventListener('change', (e) => {
+            const { calendarId } = e.target.dataset;
+            if (e.target.matches('[data-member-role]')) {
+                this.setRole(calendarId, e.target.dataset.userId, e.target.value);
+            } else if (e.target.matches('[data-calendar-subscribe]')) {
+                this.setSubscribed(calendarId, e.target.checked);
+            }
+        });
+        list?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target.closest('[data-invite-form]');
+            if (form) this.invite(form.dataset.calendarId, form.elements.email.value, form.elements.role.value);
+        });
+        document.getElementById('calendarInvitations')?.addEventListener('click', (e) => this.handleAction(e));
+
+        document.querySelectorAll('[data-calendar-toggles]').forEach(container => {
+            container.addEventListener('change', (e) => {
+                if (e.target.matches('[data-calendar-toggle]')) {
+                    this.setVisible(e.target.dataset.calendarToggle, e.target.checked);
+                }
+            });
+        });
+
+        this.render();
+        this.load();
+        this.intervalId = setInterval(() => this.load(), this.REFRESH_INTERVAL);
+    },
+
+    /**
+     * Fetch calendars and the invitation the app was opened with from the server
+     * Joining a calendar syncs from scratch so its existing events arrive;
+     * events of calendars the user no longer belongs to are dropped.
+     */
+    async load() {
+        let result;
+        try {
+            result = await EmailService.request(this.ENDPOINT);
+            this.available = true;
+        } catch (error) {
+            this.available = false;
+            this.invitations = [];
+            console.warn('⚠️ Shared calendars are unavailable:', error.message);
+            this.render();
+            return;
+        }
+
+        const knownIds = new Set(this.calendars.map(calendar => calendar.id));
+        const currentIds = new Set(result.calendars.map(calendar => calendar.id));
+        const joined = result.calendars.some(calendar => !knownIds.has(calendar.id));
+
+        this.calendars = result.calendars;
+        this.invitations = await this.loadInvitation();
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.calendars));
+
+        const removed = StateManager.removeCalendarEvents(id => !currentIds.has(id));
+        if (joined) {
+            SyncManager.resync();
+        }
+
+        this.render();
+        if (removed > 0 || joined) {
+            UIRenderer.renderEvents();
+            DashboardManager.update();
+            CalendarManager.render();
+        }
+    },
+
+    /**
+     * Find a calendar the user belongs to
+     */
+    getCalendar(id) {
+        return (id && this.calendars.find(calendar => calendar.id === id)) || null;
+    },
+
+    /**
+     * Whether the user may change an event
+     * The server has the final say for calendars not loaded yet.
+     */
+    canEdit(event) {
+        const calendar = this.getCalendar(event.calendarId);
+        return !calendar || this.EDIT_ROLES.includes(calendar.role);
+    },
+
+    /**
+     * Whether an event's calendar is shown in the calendar and dashboard
+     */
+    isVisible(event) {
+        return !this.hidden.has(event.calendarId || this.PERSONAL_ID);
+    },
+
+    /**
+     * Whether the user gets reminders for an event
+     */
+    remindsMe(event) {
+        const calendar = this.getCalendar(event.calendarId);
+        return !calendar || calendar.subscribed;
+    },
+
+    /**
+     * Show or hide a calendar's events in the calendar and dashboard
+     */
+    setVisible(id, visible) {
+        if (visible) {
+            this.hidden.delete(id);
+        } else {
+            this.hidden.add(id);
+        }
+        localStorage.setItem(this.HIDDEN_KEY, JSON.stringify([...this.hidden]));
+        this.renderToggles();
+        DashboardManager.update();
+        CalendarManager.render();
+    },
+
+    /**
+     * The invitation behind the link the app was opened with, as a list of zero or one
+     */
+    async loadInvitation() {
+        if (!this.invitationToken) return [];
+
+        try {
+            const invitation = await EmailService.request(`${this.ENDPOINT}/invitations/${encodeURIComponent(this.invitationToken)}`);
+            return [{ ...invitation, token: this.invitationToken }];
+        } catch (error) {
+            this.invitationToken = null;
+            NotificationManager.error('Invitation Unavailable', 'It was already answered or withdrawn. Ask the calendar\'s owner to invite you again.');
+            return [];
+        }
+    },
+
+    /**
+     * Route clicks on calendar and invitation buttons
+     */
+    handleAction(e) {
+        const button = e.target.closest('[data-calendar-action]');
+        if (!button) return;
+
+        const { calendarAction, calendarId, userId, email } = button.dataset;
+        const actions = {
+            accept: () => this.respond(calendarId, 'accept'),
+            decline: () => this.respond(calendarId, 'decline'),
+            delete: () => this.remove(calendarId),
+            leave: () => this.removeMember(calendarId, userId, true),
+            'remove-member': () => this.removeMember(calendarId, userId, false),
+            withdraw: () => this.withdraw(calendarId, email)
+        };
+        actions[calendarAction]?.();
+    },
+
+    /**
+     * Send a request about one calendar and keep the returned copy
+     */
+    async update(calendarId, path, options) {
+        const calendar = await EmailService.request(`${this.ENDPOINT}/${encodeURIComponent(calendarId)}${path}`, options);
+        this.calendars = this.calendars.map(item => (item.id === calendarId ? calendar : item));
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.calendars));
+        this.render();
+        return calendar;
+    },
+
+    /**
+     * Create a shared calendar from the settings form
+     */
+    async create() {
+        const nameInput = document.getElementById('newSharedCalendar');
+        const name = nameInput.value.trim();
+        if (!name) {
+            NotificationManager.error('Missing Name', 'Enter a name for the calendar');
+            return;
+        }
+
+        try {
+            const calendar = await EmailService.request(this.ENDPOINT, {
+                method: 'POST',
+                body: JSON.stringify({ name, color: document.getElementById('sharedCalendarColor').value })
+            });
+            this.calendars.push(calendar);
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.calendars));
+            nameInput.value = '';
+            this.render();
+            NotificationManager.success('Calendar Created', `Invite people to "${UIRenderer.escapeHtml(calendar.name)}" by email`);
+        } catch (error) {
+            NotificationManager.error('Calendar Not Created', error.message);
+        }
+    },
+
+    /**
+     * Delete a calendar (owner) together with its events
+     */
+    async remove(calendarId) {
+        const calendar = this.getCalendar(calendarId);
+        if (!calendar || !confirm(`Delete "${calendar.name}" and all of its events for everyone?`)) return;
+
+        try {
+            await EmailService.request(`${this.ENDPOINT}/${encodeURIComponent(calendarId)}`, { method: 'DELETE' });
+            NotificationManager.success('Calendar Deleted', `"${UIRenderer.escapeHtml(calendar.name)}" has been deleted`);
+            this.load();
+        } catch (error) {
+            NotificationManager.error('Calendar Not Deleted', error.message);
+        }
+    },
+
+    /**
+     * Invite someone by email (owner)
+     */
+    async invite(calendarId, email, role) {
+        try {
+            await this.update(calendarId, '/invitations', {
+                method: 'POST',
+                body: JSON.stringify({ email: email.trim(), role })
+            });
+            NotificationManager.success('Invitation Sent', `${UIRenderer.escapeHtml(email.trim())} gets an email with a link to join`);
+        } catch (error) {
+            NotificationManager.error('Invitation Not Sent', error.message);
+        }
+    },
+
+    /**
+     * Withdraw an invitation that hasn't been answered (owner)
+     */
+    async withdraw(calendarId, email) {
+        try {
+            await this.update(calendarId, `/invitations/${encodeURIComponent(email)}`, { method: 'DELETE' });
+        } catch (error) {
+            NotificationManager.error('Invitation Not Withdrawn', error.message);
+        }
+    },
+
+    /**
+     * Accept or decline an invitation (with the token from its link)
+     */
+    async respond(calendarId, answer) {
+        const invitation = this.invitations.find(item => item.calendarId === calendarId);
+        if (!invitation) return;
+
+        try {
+            await EmailService.request(`${this.ENDPOINT}/invitations/${encodeURIComponent(invitation.token)}/${answer}`, { method: 'POST' });
+            if (answer === 'accept') {
+                NotificationManager.success('Calendar Joined', `"${UIRenderer.escapeHtml(invitation.name)}" is now in your calendar`);
+            }
+            this.invitationToken = null;
+            this.load();
+        } catch (error) {
+            NotificationManager.error('Invitation Not Answered', error.message);
+        }
+    },
+
+    /**
+     * Change a member's role (owner)
+     */
+    async setRole(calendarId, userId, role) {
+        try {
+            await this.update(calendarId, `/members/${encodeURIComponent(userId)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ role })
+            });
+        } catch (error) {
+            NotificationManager.error('Role Not Changed', error.message);
+            this.render();
+        }
+    },
+
+    /**
+     * Remove a member (owner), or leave a calendar
+     */
+    async removeMember(calendarId, userId, leaving) {
+        const calendar = this.getCalendar(calendarId);
+        if (!calendar) return;
+        const question = leaving
+            ? `Leave "${calendar.name}"? Its events will disappear from your calendar.`
+            : `Remove this member from "${calendar.name}"?`;
+        if (!confirm(question)) return;
+
+        try {
+            await EmailService.request(
+                `${this.ENDPOINT}/${encodeURIComponent(calendarId)}/members/${encodeURIComponent(userId)}`,
+                { method: 'DELETE' }
+            );
+            this.load();
+        } catch (error) {
+            NotificationManager.error(leaving ? 'Could Not Leave' : 'Member Not Removed', error.message);
+        }
+    },
+
+    /**
+     * Choose whether the calendar's reminders reach the user
+     */
+    async setSubscribed(calendarId, subscribed) {
+        try {
+            await this.update(calendarId, '/subscription', {
+                method: 'PUT',
+                body: JSON.stringify({ subscribed })
+            });
+        } catch (error) {
+            NotificationManager.error('Reminders Not Changed', error.message);
+            this.render();
+        }
+    },
+
+    /**
+     * Render everything that lists calendars
+     */
+    render() {
+        this.renderList();
+        this.renderInvitations();
+        this.renderToggles();
+        this.renderPicker();
+    },
+
+    /**
+     * Calendars and their members in settings
+     */
+    renderList() {
+        const list = document.getElementById('sharedCalendarsList');
+        const createButton = document.getElementById('createSharedCalendar');
+        if (!list) return;
+
+        if (createButton) createButton.disabled = !this.available;
+
+        if (!this.available) {
+            list.innerHTML = '<p class="setting-description">Shared calendars need the server (node server.js) to be running.</p>';
+            return;
+        }
+        if (this.calendars.length === 0) {
+            list.innerHTML = '<p class="setting-description">No shared calendars yet.</p>';
+            return;
+        }
+
+        const escape = text => UIRenderer.escapeHtml(text);
+        list.innerHTML = this.calendars.map(calendar => {
+            const isOwner = calendar.role === 'owner';
+            const me = AuthManager.user && AuthManager.user.id;
+
+            const members = calendar.members.map(member => `
+                <li class="calendar-member">
+                    <span>${escape(member.name ? `${member.name} (${member.email})` : member.email || 'Unknown user')}</span>
+                    ${isOwner && member.role !== 'owner' ? `
+                        <select class="setting-input" data-member-role data-calendar-id="${calendar.id}" data-user-id="${member.userId}" aria-label="Role of ${escape(member.email || '')}">
+                            <option value="editor" ${member.role === 'editor' ? 'selected' : ''}>Editor</option>
+                            <option value="viewer" ${member.role === 'viewer' ? 'selected' : ''}>Viewer</option>
+                        </select>
+                        <button type="button" class="link-btn" data-calendar-action="remove-member" data-calendar-id="${calendar.id}" data-user-id="${member.userId}">Remove</button>
+                    ` : `<span class="calendar-role">${this.ROLE_LABELS[member.role]}</span>`}
+                </li>
+            `).join('');
+
+            const invitations = calendar.invitations.map(invitation => `
+                <li class="calendar-member pending">
+                    <span>${escape(invitation.email)} <small>(invited)</small></span>
+                    <span class="calendar-role">${this.ROLE_LABELS[invitation.role]}</span>
+                    <button type="button" class="link-btn" data-calendar-action="withdraw" data-calendar-id="${calendar.id}" data-email="${escape(invitation.email)}">Withdraw</button>
+                </li>
+            `).join('');
+
+            return `
+                <div class="shared-calendar-item" style="border-left-color: ${calendar.color}">
+                    <div class="shared-calendar-header">
+                        <span class="category-color-dot" style="background: ${calendar.color}"></span>
+                        <strong>${escape(calendar.name)}</strong>
+                        <span class="calendar-role">${this.ROLE_LABELS[calendar.role]}</span>
+                        ${isOwner
+                            ? `<button type="button" class="btn btn-delete" data-calendar-action="delete" data-calendar-id="${calendar.id}">Delete</button>`
+                            : `<button type="button" class="btn btn-secondary" data-calendar-action="leave" data-calendar-id="${calendar.id}" data-user-id="${me}">Leave</button>`}
+                    </div>
+                    <label class="calendar-subscribe">
+                        <input type="checkbox" data-calendar-subscribe data-calendar-id="${calendar.id}" ${calendar.subscribed ? 'checked' : ''}>
+                        <span>Send me this calendar's reminders</span>
+                    </label>
+                    <ul class="calendar-members">${members}${invitations}</ul>
+                    ${isOwner ? `
+                        <form class="shared-calendar-form" data-invite-form data-calendar-id="${calendar.id}">
+                            <input type="email" name="email" class="setting-input" placeholder="Invite by email..." required aria-label="Email to invite">
+                            <select name="role" class="setting-input" aria-label="Role">
+                                <option value="editor">Editor</option>
+                                <option value="viewer">Viewer</option>
+                            </select>
+                            <button type="submit" class="btn btn-secondary">Invite</button>
+                        </form>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Invitations waiting for the user
+     */
+    renderInvitations() {
+        const container = document.getElementById('calendarInvitations');
+        if (!container) return;
+
+        container.innerHTML = this.invitations.map(invitation => `
+            <div class="calendar-invitation">
+                <span class="category-color-dot" style="background: ${invitation.color}"></span>
+                <span>
+                    <strong>${UIRenderer.escapeHtml(invitation.invitedBy || 'Someone')}</strong> invited you to
+                    <strong>${UIRenderer.escapeHtml(invitation.name)}</strong> as ${this.ROLE_LABELS[invitation.role].toLowerCase()}
+                </span>
+                <button type="button" class="btn btn-primary" data-calendar-action="accept" data-calendar-id="${invitation.calendarId}">Accept</button>
+                <button type="button" class="btn btn-secondary" data-calendar-action="decline" data-calendar-id="${invitation.calendarId}">Decline</button>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Visibility toggles above the calendar and dashboard
+     * Only shown once the user belongs to a shared calendar.
+     */
+    renderToggles() {
+        const options = [
+            { id: this.PERSONAL_ID, name: 'My events', color: null },
+            ...this.calendars.map(({ id, name, color }) => ({ id, name, color }))
+        ];
+
+        document.querySelectorAll('[data-calendar-toggles]').forEach(container => {
+            container.classList.toggle('hidden', this.calendars.length === 0);
+            container.innerHTML = this.calendars.length === 0 ? '' : options.map(option => `
+                <label class="calendar-toggle">
+                    <input type="checkbox" data-calendar-toggle="${option.id}" ${this.hidden.has(option.id) ? '' : 'checked'}>
+                    ${option.color ? `<span class="category-color-dot" style="background: ${option.color}"></span>` : ''}
+                    ${UIRenderer.escapeHtml(option.name)}
+                </label>
+            `).join('');
         });
-        
-        // Get events
-        const events = StateManager.getSortedEvents();
-        const eventsByDate = {};
-        events.forEach(event => {
-            if (!eventsByDate[event.date]) {
-                eventsByDate[event.date] = [];
+    },
+
+    /**
+     * Calendar picker in the event form: the user's own events plus
+     * calendars they can add events to
+     */
+    renderPicker(selected = document.getElementById('eventCalendar')?.value) {
+        const picker = document.getElementById('eventCalendar');
+        const group = document.getElementById('eventCalendarGroup');
+        if (!picker) return;
+
+        const editable = this.calendars.filter(calendar => this.EDIT_ROLES.includes(calendar.role));
+        const current = this.getCalendar(selected);
+        // An event being edited keeps showing its calendar
+        const choices = current && !editable.includes(current) ? [...editable, current] : editable;
+
+        picker.innerHTML = `
+            <option value="">My events</option>
+            ${choices.map(calendar => `<option value="${calendar.id}">${UIRenderer.escapeHtml(calendar.name)}</option>`).join('')}
+        `;
+        picker.value = current ? selected : '';
+        group?.classList.toggle('hidden', choices.length === 0);
+    }
+};
+
+// ===========================
+// CSV Import/Export
+// ===========================
+
+/**
+ * CSV reading and writing (RFC 4180)
+ */
+const CsvUtils = {
+    /**
+     * Parse CSV text into rows of cells
+     * Handles quoted cells with commas, quotes and line breaks, a UTF-8 BOM,
+     * and files saved with semicolons or tabs by spreadsheet apps.
+     */
+    parse(text) {
+        const input = text.replace(/^﻿/, '');
+        const delimiter = this.detectDelimiter(input);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Guess the delimiter from the header line
+     */
+    detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: header.split(delimiter).length }));
+        return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+    },
+
+    /**
+     * Write rows of cells as CSV
+     * Cells that a spreadsheet would run as a formula are prefixed with '
+     */
+    stringify(rows) {
+        return rows.map(cells => cells.map(value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (/^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n') + '\r\n';
+    }
+};
+
+/**
+ * CSV import with a column-mapping preview
+ * File headers are matched to event fields (and can be changed by hand),
+ * every row is checked with FormValidator, and nothing is saved until
+ * the import is confirmed.
+ */
+const CsvImporter = {
+    PREVIEW_ROWS: 5,
+    MAX_REPORTED_ERRORS: 50,
+    DESCRIPTION_MAX_LENGTH: 200,
+    CATEGORY_COLORS: ['#667eea', '#f093fb', '#4facfe', '#43e97b', '#fa709a', '#fee140'],
+
+    FIELDS: [
+        { key: 'title', label: 'Title', aliases: ['title', 'name', 'event', 'event name', 'subject', 'summary'] },
+        { key: 'date', label: 'Date', aliases: ['date', 'start date', 'event date', 'day', 'when'] },
+        { key: 'startTime', label: 'Start time', aliases: ['start time', 'time', 'start', 'from'] },
+        { key: 'endTime', label: 'End time', aliases: ['end time', 'end', 'ends', 'finish', 'to', 'until'] },
+        { key: 'description', label: 'Description', aliases: ['description', 'notes', 'note', 'details'] },
+        { key: 'category', label: 'Category', aliases: ['category', 'categories', 'type', 'tag', 'label'] }
+    ],
+
+    DATE_FORMATS: {
+        ymd: 'YYYY-MM-DD',
+        mdy: 'MM/DD/YYYY',
+        dmy: 'DD/MM/YYYY'
+    },
+
+    /**
+     * Parse a CSV file and open the mapping dialog
+     */
+    open(text, fileName) {
+        const [headers, ...rows] = CsvUtils.parse(text);
+        if (!headers || rows.length === 0) {
+            NotificationManager.error('Import Failed', 'The CSV file has no rows below its header');
+            return;
+        }
+
+        this.headers = headers.map(header => header.trim());
+        this.rows = rows;
+        this.mapping = this.guessMapping(this.headers);
+        this.dateFormat = this.guessDateFormat(this.mapping.date);
+        this.renderDialog(fileName);
+    },
+
+    /**
+     * Match file headers to event fields by name
+     */
+    guessMapping(headers) {
+        const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+        const mapping = {};
+        const used = new Set();
+
+        this.FIELDS.forEach(field => {
+            const index = normalized.findIndex((header, i) => !used.has(i) && field.aliases.includes(header));
+            mapping[field.key] = index === -1 ? null : index;
+            if (index !== -1) used.add(index);
+        });
+        return mapping;
+    },
+
+    /**
+     * Pick the date format that fits the date column
+     * Slash dates with a first part over 12 can only be day-first.
+     */
+    guessDateFormat(column) {
+        if (column === null) return 'ymd';
+        const values = this.rows.map(row => (row[column] || '').trim()).filter(Boolean);
+
+        if (values.every(value => /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$/.test(value))) {
+            return 'ymd';
+        }
+        return values.some(value => Number(value.split(/[-/.]/)[0]) > 12) ? 'dmy' : 'mdy';
+    },
+
+    /**
+     * Read a date in the chosen format as YYYY-MM-DD (null if impossible)
+     */
+    parseDate(value, format) {
+        const parts = value.trim().split(/[-/.]/).map(Number);
+        if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+        let year;
+        let month;
+        let day;
+        if (/^\d{4}/.test(value.trim())) {
+            [year, month, day] = parts;
+        } else if (format === 'dmy') {
+            [day, month, year] = parts;
+        } else {
+            [month, day, year] = parts;
+        }
+        if (year < 100) year += 2000;
+
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return DateUtils.toDateString(date);
+    },
+
+    /**
+     * Read a time like "14:30", "2:30 PM" or "9am" as HH:MM (null if invalid)
+     */
+    parseTime(value) {
+        const match = /^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap])?\.?m?\.?$/i.exec(value.trim());
+        if (!match) return null;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        const period = match[3] && match[3].toLowerCase();
+        if ((!period && match[2] === undefined) || minutes > 59) return null;
+        if (period) {
+            if (hours < 1 || hours > 12) return null;
+            hours = (hours % 12) + (period === 'p' ? 12 : 0);
+        }
+        if (hours > 23) return null;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    },
+
+    /**
+     * Turn one CSV row into form data plus any validation errors
+     */
+    readRow(row) {
+        const cell = key => (this.mapping[key] === null ? '' : (row[this.mapping[key]] || '').trim());
+        const errors = [];
+
+        const rawDate = cell('date');
+        const date = rawDate ? this.parseDate(rawDate, this.dateFormat) : '';
+        const rawStart = cell('startTime');
+        const rawEnd = cell('endTime');
+        const startTime = rawStart ? this.parseTime(rawStart) : '';
+        const endTime = rawEnd ? this.parseTime(rawEnd) : '';
+
+        const formData = {
+            title: cell('title'),
+            date: date || '',
+            allDay: !startTime,
+            startTime: startTime || null,
+            endTime: endTime || null,
+            recurrence: null,
+            reminders: null,
+            description: cell('description'),
+            categoryName: cell('category')
+        };
+
+        const validation = FormValidator.validateForm(formData);
+        Object.entries(validation.errors)
+            .filter(([field]) => !(field === 'date' && rawDate))
+            .forEach(([, message]) => errors.push(message));
+
+        if (rawDate && !date) {
+            errors.push(`Invalid date "${rawDate}" (expected ${this.DATE_FORMATS[this.dateFormat]})`);
+        }
+        if (rawStart && !startTime) {
+            errors.push(`Invalid start time "${rawStart}"`);
+        }
+        if (rawEnd && !endTime) {
+            errors.push(`Invalid end time "${rawEnd}"`);
+        } else if (endTime && !startTime) {
+            errors.push('End time needs a start time');
+        }
+        const description = FormValidator.validateDescription(formData.description);
+        if (!description.valid) {
+            errors.push(description.message);
+        }
+
+        return { formData, errors };
+    },
+
+    /**
+     * Validate every row with the current mapping
+     */
+    check() {
+        return this.rows.map((row, index) => ({
+            // Line number as shown in a spreadsheet (the header is line 1)
+            line: index + 2,
+            ...this.readRow(row)
+        }));
+    },
+
+    /**
+     * Show the mapping dialog
+     */
+    renderDialog(fileName) {
+        const headerOptions = this.headers
+            .map((header, index) => `<option value="${index}">${UIRenderer.escapeHtml(header || `Column ${index + 1}`)}</option>`)
+            .join('');
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-dialog modal-dialog-wide" role="dialog" aria-modal="true" aria-labelledby="csvDialogTitle">
+                <h3 id="csvDialogTitle">Import "${UIRenderer.escapeHtml(fileName)}"</h3>
+                <p>${this.rows.length} ${this.rows.length === 1 ? 'row' : 'rows'} found. Match the columns to event fields:</p>
+                <div class="csv-mapping">
+                    ${this.FIELDS.map(field => `
+                        <label>
+                            <span>${field.label}</span>
+                            <select data-csv-field="${field.key}">
+                                <option value="">Don't import</option>
+                                ${headerOptions}
+                            </select>
+                        </label>
+                    `).join('')}
+                    <label>
+                        <span>Date format</span>
+                        <select data-csv-date-format>
+                            ${Object.entries(this.DATE_FORMATS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="csv-preview" data-csv-preview></div>
+                <div class="csv-report" data-csv-report aria-live="polite"></div>
+                <button type="button" class="btn btn-primary" data-choice="import">Import</button>
+                <button type="button" class="btn btn-cancel" data-choice="">Cancel</button>
+            </div>
+        `;
+
+        this.FIELDS.forEach(field => {
+            overlay.querySelector(`[data-csv-field="${field.key}"]`).value = this.mapping[field.key] === null ? '' : this.mapping[field.key];
+        });
+        overlay.querySelector('[data-csv-date-format]').value = this.dateFormat;
+
+        overlay.addEventListener('change', (e) => {
+            if (e.target.dataset.csvField) {
+                this.mapping[e.target.dataset.csvField] = e.target.value === '' ? null : Number(e.target.value);
+            }
+            if (e.target.dataset.csvDateFormat !== undefined) {
+                this.dateFormat = e.target.value;
+            }
+            this.renderCheck(overlay);
+        });
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target !== overlay && e.target.dataset.choice === undefined) return;
+            if (e.target.dataset.choice === 'import') {
+                this.commit(this.check().filter(result => result.errors.length === 0));
+            }
+            overlay.remove();
+        });
+
+        document.body.appendChild(overlay);
+        this.renderCheck(overlay);
+    },
+
+    /**
+     * Refresh the preview table and the per-row error report
+     */
+    renderCheck(overlay) {
+        const results = this.check();
+        const valid = results.filter(result => result.errors.length === 0);
+        const invalid = results.filter(result => result.errors.length > 0);
+        const escape = text => UIRenderer.escapeHtml(text || '');
+
+        overlay.querySelector('[data-csv-preview]').innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Line</th><th>Title</th><th>Date</th><th>Time</th><th>Category</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${results.slice(0, this.PREVIEW_ROWS).map(({ line, formData, errors }) => `
+                        <tr class="${errors.length ? 'csv-row-invalid' : ''}">
+                            <td>${line}</td>
+                            <td>${escape(formData.title)}</td>
+                            <td>${formData.date ? DateUtils.formatDateLong(formData.date) : ''}</td>
+                            <td>${formData.date ? DateUtils.formatEventTime(formData) : ''}</td>
+                            <td>${escape(formData.categoryName)}</td>
+                            <td>${errors.length ? '✕' : '✓'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        overlay.querySelector('[data-csv-report]').innerHTML = `
+            <p><strong>${valid.length}</strong> ready to import${invalid.length ? `, <strong>${invalid.length}</strong> with errors (skipped)` : ''}</p>
+            ${invalid.length ? `
+                <ul class="csv-errors">
+                    ${invalid.slice(0, this.MAX_REPORTED_ERRORS).map(({ line, errors }) => `
+                        <li>Line ${line}: ${errors.map(escape).join('; ')}</li>
+                    `).join('')}
+                    ${invalid.length > this.MAX_REPORTED_ERRORS ? `<li>…and ${invalid.length - this.MAX_REPORTED_ERRORS} more</li>` : ''}
+                </ul>
+            ` : ''}
+        `;
+
+        const importButton = overlay.querySelector('[data-choice="import"]');
+        importButton.disabled = valid.length === 0;
+        importButton.textContent = `Import ${valid.length} ${valid.length === 1 ? 'Event' : 'Events'}`;
+    },
+
+    /**
+     * Save the valid rows as events
+     * Categories are matched by name; missing ones are created.
+     */
+    commit(results) {
+        if (results.length === 0) return;
+
+        let createdCategories = 0;
+        const { added } = HistoryManager.record('Import from CSV', () => {
+            const events = results.map(({ formData }) => {
+                const { categoryName, ...eventData } = formData;
+                let category = null;
+
+                if (categoryName) {
+                    category = CategoryManager.categories.find(cat => cat.name.toLowerCase() === categoryName.toLowerCase());
+                    if (!category) {
+                        category = {
+                            id: `cat_${Date.now()}_${createdCategories}`,
+                            name: categoryName,
+                            color: this.CATEGORY_COLORS[CategoryManager.categories.length % this.CATEGORY_COLORS.length]
+                        };
+                        CategoryManager.categories.push(category);
+                        createdCategories++;
+                    }
+                }
+                return { ...eventData, title: eventData.title.trim(), categoryId: category ? category.id : null };
+            });
+
+            if (createdCategories > 0) {
+                CategoryManager.saveCategories();
+            }
+            return StateManager.importEvents(events);
+        });
+
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        CalendarManager.render();
+        CategoryManager.render();
+
+        HistoryManager.notify(
+            'Import Successful',
+            `Imported ${added} ${added === 1 ? 'event' : 'events'}${createdCategories ? ` and ${createdCategories} new ${createdCategories === 1 ? 'category' : 'categories'}` : ''}`
+        );
+    }
+};
+
+// ===========================
+// JSON Import
+// ===========================
+
+/**
+ * Import of this app's JSON backups
+ * The file is validated first and a dry run shows what would change
+ * (new, updated and conflicting events) before anything is saved. Events
+ * are matched by id, or by title and date for files from other copies of
+ * the app. A backup of the current data is taken before applying
+ * (BackupManager) and the import can be undone (HistoryManager).
+ */
+const JsonImporter = {
+    MAX_REPORTED_ERRORS: 50,
+    TIME_PATTERN: /^([01]\d|2[0-3]):[0-5]\d$/,
+    DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+    COLOR_PATTERN: /^#[0-9a-f]{6}$/i,
+
+    /**
+     * Parse and validate a backup file, then show the dry run
+     */
+    open(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            NotificationManager.error('Import Failed', 'Expected a JSON backup, an iCalendar (.ics) file or a CSV file');
+            return;
+        }
+
+        const result = this.validate(data);
+        if (result.error) {
+            NotificationManager.error('Import Failed', result.error);
+            return;
+        }
+
+        this.imported = result;
+        this.mode = 'merge';
+        this.conflictChoice = 'local';
+        this.renderDialog();
+    },
+
+    /**
+     * Check the file's structure and every event and category in it
+     * Returns { events, categories, hasEvents, hasCategories, invalid } or { error }.
+     */
+    validate(data) {
+        // Very old backups were a bare list of events
+        const file = Array.isArray(data) ? { events: data } : data;
+
+        if (!file || typeof file !== 'object') {
+            return { error: 'The file is not an Event Reminder backup' };
+        }
+        if (file.events !== undefined && !Array.isArray(file.events)) {
+            return { error: '"events" must be a list' };
+        }
+        if (file.categories !== undefined && !Array.isArray(file.categories)) {
+            return { error: '"categories" must be a list' };
+        }
+        if (!file.events && !file.categories) {
+            return { error: 'The file has no events or categories' };
+        }
+
+        const invalid = [];
+        const categories = (file.categories || []).filter((category, index) => {
+            const errors = this.validateCategory(category);
+            if (errors.length) {
+                invalid.push({ label: `Category ${index + 1}`, errors });
+            }
+            return errors.length === 0;
+        });
+
+        const events = (file.events || []).filter((event, index) => {
+            const errors = this.validateEvent(event);
+            if (errors.length) {
+                const title = event && typeof event.title === 'string' ? ` "${event.title}"` : '';
+                invalid.push({ label: `Event ${index + 1}${title}`, errors });
+            }
+            return errors.length === 0;
+        }).map(event => ({ ...StateManager.normalizeEvent(event), title: event.title.trim() }));
+
+        return {
+            events,
+            categories,
+            hasEvents: Array.isArray(file.events),
+            hasCategories: Array.isArray(file.categories),
+            invalid
+        };
+    },
+
+    /**
+     * Problems with one event (same rules as the event form)
+     */
+    validateEvent(event) {
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            return ['Not an event'];
+        }
+
+        const errors = [];
+        const allDay = event.allDay !== false || !event.startTime;
+        const formData = { ...event, allDay, title: typeof event.title === 'string' ? event.title : '' };
+
+        if (event.id !== undefined && (typeof event.id !== 'string' || !event.id)) {
+            errors.push('Invalid id');
+        }
+        if (typeof event.date !== 'string' || !this.DATE_PATTERN.test(event.date)
+            || DateUtils.toDateString(DateUtils.parseDate(event.date)) !== event.date) {
+            errors.push('Date must be a real YYYY-MM-DD date');
+        }
+        if (!allDay && (!this.TIME_PATTERN.test(event.startTime)
+            || (event.endTime && !this.TIME_PATTERN.test(event.endTime)))) {
+            errors.push('Times must be HH:MM');
+        }
+        if (event.description !== undefined && typeof event.description !== 'string') {
+            errors.push('Description must be text');
+        }
+        if (event.categoryId !== undefined && event.categoryId !== null && typeof event.categoryId !== 'string') {
+            errors.push('Invalid category');
+        }
+        ['createdAt', 'updatedAt'].forEach(field => {
+            if (event[field] !== undefined && isNaN(new Date(event[field]).getTime())) {
+                errors.push(`Invalid ${field}`);
             }
-            eventsByDate[event.date].push(event);
         });
-        
-        // Previous month days
-        for (let i = firstDay - 1; i >= 0; i--) {
-            const day = document.createElement('div');
-            day.className = 'calendar-day other-month';
-            day.textContent = daysInPrevMonth - i;
-            grid.appendChild(day);
+
+        const checks = [
+            // The date check above is stricter than the form's
+            ...Object.entries(FormValidator.validateForm(formData).errors)
+                .filter(([field]) => field !== 'date')
+                .map(([, message]) => ({ valid: false, message })),
+            FormValidator.validateDescription(typeof event.description === 'string' ? event.description : ''),
+            FormValidator.validateReminders(event.reminders),
+            FormValidator.validateChannels(event.channels)
+        ];
+        checks.filter(check => !check.valid).forEach(check => errors.push(check.message));
+
+        return [...new Set(errors)];
+    },
+
+    /**
+     * Problems with one category
+     */
+    validateCategory(category) {
+        if (!category || typeof category !== 'object') {
+            return ['Not a category'];
         }
-        
-        // Current month days
-        const today = new Date();
-        for (let i = 1; i <= daysInMonth; i++) {
-            const day = document.createElement('div');
-            day.className = 'calendar-day';
-            
-            const dateString = `${year}-${String(month + 1).padStart(2, '0')}-${String(i).padStart(2, '0')}`;
-            
-            // Check if today
-            const isToday = year === today.getFullYear() && month === today.getMonth() && i === today.getDate();
-            if (isToday) {
-                day.classList.add('today');
+        const errors = [];
+        if (typeof category.id !== 'string' || !category.id) errors.push('Invalid id');
+        if (typeof category.name !== 'string' || !category.name.trim()) errors.push('Name is required');
+        if (typeof category.color !== 'string' || !this.COLOR_PATTERN.test(category.color)) errors.push('Color must be #RRGGBB');
+        return errors;
+    },
+
+    /**
+     * Key for matching events from other copies of the app
+     */
+    matchKey(event) {
+        return `${event.title.trim().toLowerCase()}|${event.date}`;
+    },
+
+    /**
+     * Whether two events have the same content
+     */
+    isSame(a, b) {
+        const fields = ['title', 'date', 'allDay', 'startTime', 'endTime', 'recurrence', 'reminders', 'categoryId', 'description'];
+        return fields.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+    },
+
+    /**
+     * Dry run: work out what importing would do without changing anything
+     * Conflicts are events changed here after the imported copy was made.
+     */
+    plan() {
+        const byId = new Map(StateManager.events.map(event => [event.id, event]));
+        const byKey = new Map(StateManager.events.map(event => [this.matchKey(event), event]));
+        const matched = new Set();
+        const plan = { added: [], updated: [], unchanged: [], conflicts: [], removed: [] };
+
+        this.imported.events.forEach(event => {
+            const local = byId.get(event.id) || byKey.get(this.matchKey(event));
+            if (!local || matched.has(local.id)) {
+                plan.added.push({ event });
+                return;
             }
-            
-            // Check if has event
-            const dayEvents = eventsByDate[dateString];
-            if (dayEvents && dayEvents.length > 0) {
-                day.classList.add('has-event');
-                
-                // Create day number
-                const dayNumber = document.createElement('div');
-                dayNumber.className = 'calendar-day-number';
-                dayNumber.textContent = i;
-                day.appendChild(dayNumber);
-                
-                // Create event indicator
-                const eventIndicator = document.createElement('div');
-                eventIndicator.className = 'calendar-event-indicator';
-                eventIndicator.textContent = dayEvents.length;
-                eventIndicator.title = dayEvents.map(e => e.title).join('\n');
-                day.appendChild(eventIndicator);
+
+            matched.add(local.id);
+            const change = { event: { ...event, id: local.id }, local };
+            if (this.isSame(event, local)) {
+                plan.unchanged.push(change);
+            } else if (new Date(local.updatedAt) > new Date(event.updatedAt)) {
+                plan.conflicts.push(change);
             } else {
-                day.textContent = i;
+                plan.updated.push(change);
             }
-            
-            // Add click handler to show events for that day
-            day.addEventListener('click', () => {
-                if (dayEvents && dayEvents.length > 0) {
-                    this.showDayEvents(dateString, dayEvents);
-                }
-            });
-            
-            grid.appendChild(day);
-        }
-        
-        // Next month days
-        const remainingDays = 42 - (firstDay + daysInMonth);
-        for (let i = 1; i <= remainingDays; i++) {
-            const day = document.createElement('div');
-            day.className = 'calendar-day other-month';
-            day.textContent = i;
-            grid.appendChild(day);
-        }
+        });
+
+        plan.removed = StateManager.events.filter(event => !matched.has(event.id));
+        return plan;
     },
-    
-    showDayEvents(dateString, events) {
-        const formattedDate = DateUtils.formatDateLong(dateString);
-        
-        let eventsList = events.map(event => `
-            <div style="padding: 10px; background: var(--color-bg-secondary); border-radius: 8px; margin-bottom: 8px;">
-                <strong>${UIRenderer.escapeHtml(event.title)}</strong><br>
-                <small style="color: var(--color-text-secondary);">${event.description || 'No description'}</small>
-            </div>
-        `).join('');
-        
-        const message = `
-            <div style="max-height: 300px; overflow-y: auto;">
-                <h3 style="margin-bottom: 15px;">${formattedDate}</h3>
-                <div style="margin-bottom: 10px;">
-                    <strong>${events.length} event(s) on this day:</strong>
-                </div>
-                ${eventsList}
-            </div>
-        `;
-        
-        // Create modal or alert
-        const modal = document.createElement('div');
-        modal.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: var(--color-bg);
-            padding: 25px;
-            border-radius: 12px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.3);
-            z-index: 10000;
-            max-width: 500px;
-            width: 90%;
-        `;
-        
-        modal.innerHTML = message + `
-            <button onclick="this.parentElement.remove(); document.getElementById('modalOverlay').remove()" 
-                    style="margin-top: 15px; padding: 10px 20px; background: var(--color-primary); color: white; border: none; border-radius: 8px; cursor: pointer; width: 100%;">
-                Close
-            </button>
-        `;
-        
+
+    /**
+     * Show the dry run with the merge/replace choice
+     */
+    renderDialog() {
         const overlay = document.createElement('div');
-        overlay.id = 'modalOverlay';
-        overlay.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: rgba(0,0,0,0.5);
-            z-index: 9999;
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal-dialog modal-dialog-wide" role="dialog" aria-modal="true" aria-labelledby="jsonImportTitle">
+                <h3 id="jsonImportTitle">Import Backup</h3>
+                <fieldset class="import-mode">
+                    <legend>How to import</legend>
+                    <label>
+                        <input type="radio" name="importMode" value="merge" checked>
+                        Merge into my events
+                    </label>
+                    <label>
+                        <input type="radio" name="importMode" value="replace">
+                        Replace all my events
+                    </label>
+                </fieldset>
+                <label class="import-conflicts" data-import-conflicts>
+                    <span>When an event was changed here after the backup was made</span>
+                    <select data-import-conflict-choice>
+                        <option value="local">Keep my version</option>
+                        <option value="imported">Use the version from the file</option>
+                    </select>
+                </label>
+                <div class="import-summary" data-import-summary aria-live="polite"></div>
+                <p>A backup of your current data is saved first, so you can undo the import.</p>
+                <button type="button" class="btn btn-primary" data-choice="import">Import</button>
+                <button type="button" class="btn btn-cancel" data-choice="">Cancel</button>
+            </div>
         `;
-        overlay.onclick = () => {
-            modal.remove();
+
+        overlay.addEventListener('change', (e) => {
+            if (e.target.name === 'importMode') this.mode = e.target.value;
+            if (e.target.dataset.importConflictChoice !== undefined) this.conflictChoice = e.target.value;
+            this.renderSummary(overlay);
+        });
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target !== overlay && e.target.dataset.choice === undefined) return;
+            if (e.target.dataset.choice === 'import') {
+                this.apply();
+            }
             overlay.remove();
-        };
-        
+        });
+
         document.body.appendChild(overlay);
-        document.body.appendChild(modal);
+        this.renderSummary(overlay);
+    },
+
+    /**
+     * Refresh the dry-run counts for the chosen mode
+     */
+    renderSummary(overlay) {
+        const plan = this.plan();
+        const { categories, hasEvents, hasCategories, invalid } = this.imported;
+        const replacing = this.mode === 'replace';
+        const count = (n, singular, plural) => `<strong>${n}</strong> ${n === 1 ? singular : plural}`;
+        const newCategories = categories.filter(category => !CategoryManager.getCategory(category.id)).length;
+
+        overlay.querySelector('[data-import-conflicts]').classList.toggle('hidden', replacing || plan.conflicts.length === 0);
+
+        const lines = [
+            ...(hasEvents ? [
+                count(plan.added.length, 'new event', 'new events'),
+                count(plan.updated.length, 'updated event', 'updated events'),
+                replacing
+                    ? `${count(plan.conflicts.length, 'event', 'events')} changed here since the backup will be overwritten`
+                    : count(plan.conflicts.length, 'conflict', 'conflicts'),
+                `${count(plan.unchanged.length, 'event', 'events')} already up to date`
+            ] : []),
+            ...(hasEvents && replacing ? [`${count(plan.removed.length, 'event', 'events')} not in the file will be removed`] : []),
+            ...(hasCategories
+                ? [replacing
+                    ? `Categories replaced by the ${count(categories.length, 'category', 'categories')} in the file`
+                    : `${count(newCategories, 'new category', 'new categories')}`]
+                : [])
+        ];
+
+        overlay.querySelector('[data-import-summary]').innerHTML = `
+            <ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>
+            ${invalid.length ? `
+                <p>${count(invalid.length, 'entry', 'entries')} failed validation and will be skipped:</p>
+                <ul class="csv-errors">
+                    ${invalid.slice(0, this.MAX_REPORTED_ERRORS).map(({ label, errors }) => `
+                        <li>${UIRenderer.escapeHtml(label)}: ${errors.map(UIRenderer.escapeHtml).join('; ')}</li>
+                    `).join('')}
+                    ${invalid.length > this.MAX_REPORTED_ERRORS ? `<li>…and ${invalid.length - this.MAX_REPORTED_ERRORS} more</li>` : ''}
+                </ul>
+            ` : ''}
+        `;
+
+        const changes = plan.added.length + plan.updated.length + plan.conflicts.length
+            + (replacing ? plan.removed.length : 0) + (hasCategories ? categories.length : 0);
+        overlay.querySelector('[data-choice="import"]').disabled = changes === 0;
+    },
+
+    /**
+     * Apply the planned import
+     */
+    apply() {
+        const plan = this.plan();
+        const { categories, hasEvents, hasCategories } = this.imported;
+        BackupManager.snapshot('Before import', true);
+
+        let applied = [];
+        HistoryManager.record('Import backup file', () => {
+            if (hasCategories) {
+                if (this.mode === 'replace') {
+                    CategoryManager.categories = categories;
+                } else {
+                    categories.forEach(category => {
+                        const index = CategoryManager.categories.findIndex(cat => cat.id === category.id);
+                        if (index === -1) {
+                            CategoryManager.categories.push(category);
+                        } else {
+                            CategoryManager.categories[index] = category;
+                        }
+                    });
+                }
+                CategoryManager.saveCategories();
+            }
+
+            // Events pointing at categories that don't exist here lose them
+            const withCategory = ({ event }) => ({
+                ...event,
+                categoryId: CategoryManager.getCategory(event.categoryId) ? event.categoryId : null
+            });
+
+            // A file without an events list (categories only) leaves events alone
+            if (hasEvents && this.mode === 'replace') {
+                applied = [...plan.added, ...plan.updated, ...plan.conflicts, ...plan.unchanged].map(withCategory);
+                StateManager.replaceEvents(applied);
+            } else if (hasEvents) {
+                applied = [
+                    ...plan.added,
+                    ...plan.updated,
+                    ...(this.conflictChoice === 'imported' ? plan.conflicts : [])
+                ].map(withCategory);
+                StateManager.importEvents(applied);
+            }
+        });
+
+        this.refresh();
+        NotificationManager.showWithActions(
+            'success',
+            'Import Successful',
+            hasEvents
+                ? `${this.mode === 'replace' ? 'Replaced your events with' : 'Merged'} ${applied.length} ${applied.length === 1 ? 'event' : 'events'}`
+                : `Imported ${categories.length} ${categories.length === 1 ? 'category' : 'categories'}`,
+            [
+                ...HistoryManager.getUndoActions(),
+                { label: 'OK', onClick: () => {} }
+            ]
+        );
+    },
+
+    /**
+     * Re-render everything that shows events or categories
+     */
+    refresh() {
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        CalendarManager.render();
+        CategoryManager.render();
     }
 };
 
 // ===========================
-// Category Manager
+// Backup Manager
 // ===========================
 
-const CategoryManager = {
-    STORAGE_KEY: 'eventReminder_categories',
-    categories: [],
+/**
+ * Rolling snapshots of events, categories and settings
+ * A snapshot is taken automatically when the data has changed (at most
+ * every MIN_INTERVAL) and always before anything destructive: imports,
+ * clearing all data and restoring another snapshot. The newest MAX_LOCAL
+ * are kept in LocalStorage and each one is also uploaded to the server
+ * (server/backups.js), so any of them can be restored from Settings.
+ */
+const BackupManager = {
+    STORAGE_KEY: 'eventReminder_backups',
+    ENDPOINT: '/api/backups',
+    MAX_LOCAL: 10,
+    MIN_INTERVAL: 10 * 60 * 1000,
+    CHECK_INTERVAL: 10 * 60 * 1000,
+    snapshots: [],
+    remote: [],
+    available: false,
+    intervalId: null,
+
+    /**
+     * Load saved snapshots, take one if the data changed and keep checking
+     */
+    init() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            this.snapshots = Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Error loading backups:', error);
+            this.snapshots = [];
+        }
+
+        document.getElementById('backupNow')?.addEventListener('click', () => {
+            this.snapshot('Manual backup', true);
+            NotificationManager.success('Backup Saved', 'A snapshot of your data was saved');
+        });
+
+        document.getElementById('backupsList')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-backup-id]');
+            if (button) this.restore(button.dataset.backupId);
+        });
+
+        this.snapshot('Automatic');
+        this.intervalId = setInterval(() => {
+            this.snapshot('Automatic');
+            this.uploadPending();
+        }, this.CHECK_INTERVAL);
+
+        this.load();
+        return this;
+    },
+
+    /**
+     * LocalStorage keys holding the settings that are backed up
+     */
+    getSettingsKeys() {
+        return [
+            ThemeManager.STORAGE_KEY,
+            TabManager.DEFAULT_VIEW_KEY,
+            ReminderManager.STORAGE_KEY,
+            ChannelManager.STORAGE_KEY,
+            BrowserNotificationManager.STORAGE_KEY,
+            'emailNotifications',
+            'compactView',
+            'notificationEmail'
+        ];
+    },
+
+    /**
+     * Copy the current events, categories and settings
+     */
+    capture() {
+        const settings = {};
+        this.getSettingsKeys().forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) settings[key] = value;
+        });
+
+        return {
+            events: StateManager.events.map(event => ({ ...event })),
+            categories: CategoryManager.categories.map(category => ({ ...category })),
+            settings
+        };
+    },
+
+    /**
+     * Compare two copies of the data (ignores when they were taken)
+     */
+    isSameData(a, b) {
+        return JSON.stringify([a.events, a.categories, a.settings])
+            === JSON.stringify([b.events, b.categories, b.settings]);
+    },
+
+    /**
+     * Take a snapshot
+     * Unless forced, nothing is taken when the data hasn't changed since the
+     * latest snapshot or that snapshot is too recent. Returns the snapshot
+     * (or null when none was taken).
+     */
+    snapshot(reason, force = false) {
+        const data = this.capture();
+        const latest = this.snapshots[0];
+
+        if (!force && latest) {
+            const age = Date.now() - new Date(latest.createdAt).getTime();
+            if (this.isSameData(latest, data) || age < this.MIN_INTERVAL) {
+                return null;
+            }
+        }
+
+        const snapshot = {
+            id: `backup_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            createdAt: new Date().toISOString(),
+            reason,
+            ...data,
+            uploaded: false
+        };
+
+        this.snapshots.unshift(snapshot);
+        this.snapshots = this.snapshots.slice(0, this.MAX_LOCAL);
+        this.save();
+        this.upload(snapshot);
+        this.render();
+        return snapshot;
+    },
+
+    /**
+     * Save snapshots to LocalStorage
+     * When storage is full the oldest snapshots are dropped until they fit.
+     */
+    save() {
+        while (this.snapshots.length > 0) {
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.snapshots));
+                return;
+            } catch (error) {
+                console.warn('⚠️ Backup storage is full, dropping the oldest snapshot');
+                this.snapshots.pop();
+            }
+        }
+        localStorage.removeItem(this.STORAGE_KEY);
+    },
+
+    /**
+     * Send a snapshot to the server (retried later when offline)
+     */
+    async upload(snapshot) {
+        const { uploaded, ...body } = snapshot;
+
+        try {
+            const summary = await EmailService.request(this.ENDPOINT, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            snapshot.uploaded = true;
+            this.available = true;
+            this.remote = [summary, ...this.remote.filter(item => item.id !== summary.id)];
+            this.save();
+            this.render();
+        } catch (error) {
+            console.warn('⚠️ Backup not uploaded yet:', error.message);
+        }
+    },
+
+    /**
+     * Upload snapshots the server doesn't have yet
+     */
+    async uploadPending() {
+        for (const snapshot of this.snapshots.filter(item => !item.uploaded)) {
+            await this.upload(snapshot);
+        }
+    },
+
+    /**
+     * Fetch the list of snapshots stored on the server
+     * Without server.js (local-only mode) only this browser's snapshots are listed.
+     */
+    async load() {
+        try {
+            this.remote = await EmailService.request(this.ENDPOINT);
+            this.available = true;
+            await this.uploadPending();
+        } catch (error) {
+            this.remote = [];
+            this.available = false;
+            console.warn('⚠️ Server backups are unavailable:', error.message);
+        }
+        this.render();
+    },
+
+    /**
+     * Get a snapshot with its data (from this browser or the server)
+     */
+    async getSnapshot(backupId) {
+        const local = this.snapshots.find(snapshot => snapshot.id === backupId);
+        if (local) return local;
+        return EmailService.request(`${this.ENDPOINT}/${encodeURIComponent(backupId)}`);
+    },
 
-    init() {
-        this.loadCategories();
-        
-        document.getElementById('addCategoryBtn')?.addEventListener('click', () => this.addCategory());
-        document.getElementById('newCategory')?.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.addCategory();
+    /**
+     * Count how the current events differ from a snapshot's
+     * restored: only in the snapshot, removed: only now, changed: in both but edited
+     */
+    diff(snapshot) {
+        // Restoring stamps events with a new updatedAt, which isn't an edit
+        const content = ({ updatedAt, ...event }) => JSON.stringify(event);
+        const current = new Map(StateManager.events.map(event => [event.id, event]));
+        const saved = new Map(snapshot.events.map(event => [event.id, event]));
+        let restored = 0;
+        let changed = 0;
+
+        saved.forEach((event, id) => {
+            if (!current.has(id)) {
+                restored++;
+            } else if (content(current.get(id)) !== content(event)) {
+                changed++;
+            }
         });
+
+        const removed = [...current.keys()].filter(id => !saved.has(id)).length;
+        return { restored, removed, changed };
     },
 
-    loadCategories() {
-        const stored = localStorage.getItem(this.STORAGE_KEY);
-        this.categories = stored ? JSON.parse(stored) : [
-            { id: 'work', name: 'Work', color: '#667eea' },
-            { id: 'personal', name: 'Personal', color: '#f093fb' },
-            { id: 'family', name: 'Family', color: '#4facfe' }
-        ];
+    /**
+     * Restore a snapshot after confirming
+     * The current data is snapshotted first, so a restore can be undone.
+     */
+    async restore(backupId) {
+        let snapshot;
+        try {
+            snapshot = await this.getSnapshot(backupId);
+        } catch (error) {
+            NotificationManager.error('Restore Failed', error.message);
+            return;
+        }
+
+        const when = DateUtils.formatDateTimeShort(new Date(snapshot.createdAt));
+        if (!confirm(`Restore the backup from ${when}? Your current events, categories and settings will be replaced. A backup of them is taken first.`)) {
+            return;
+        }
+
+        const before = this.snapshot('Before restore', true);
+        await this.apply(snapshot);
+
+        NotificationManager.showWithActions(
+            'success',
+            'Backup Restored',
+            `Restored ${snapshot.events.length} ${snapshot.events.length === 1 ? 'event' : 'events'} from ${when}`,
+            [
+                {
+                    label: 'Undo',
+                    onClick: async () => {
+                        await this.apply(before);
+                        NotificationManager.success('Restore Undone', 'Your data is back to how it was before the restore');
+                    }
+                },
+                { label: 'OK', onClick: () => {} }
+            ]
+        );
     },
 
-    saveCategories() {
-        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.categories));
+    /**
+     * Replace the current data with a snapshot's
+     */
+    async apply(snapshot) {
+        StateManager.replaceEvents(snapshot.events);
+        CategoryManager.categories = snapshot.categories;
+        CategoryManager.saveCategories();
+
+        if (snapshot.settings) {
+            await this.applySettings(snapshot.settings);
+        }
+        this.refresh();
     },
 
-    addCategory() {
-        const input = document.getElementById('newCategory');
-        const colorInput = document.getElementById('categoryColor');
-        const name = input.value.trim();
-        
-        if (!name) return;
-        
-        const newCategory = {
-            id: `cat_${Date.now()}`,
-            name: name,
-            color: colorInput.value
-        };
-        
-        this.categories.push(newCategory);
-        this.saveCategories();
-        this.render();
-        
-        input.value = '';
+    /**
+     * Put back saved settings and push the notification ones to the server
+     * The server is updated before the settings are reloaded, since loading
+     * them prefers what the server has.
+     */
+    async applySettings(settings) {
+        Object.keys(settings)
+            .filter(key => this.getSettingsKeys().includes(key))
+            .forEach(key => localStorage.setItem(key, settings[key]));
+
+        ThemeManager.init();
+        ReminderManager.init();
+        ChannelManager.init();
+        BrowserNotificationManager.enabled = localStorage.getItem(BrowserNotificationManager.STORAGE_KEY) === 'true';
+
+        const remote = { defaultReminders: ReminderManager.defaults, channels: ChannelManager.defaults };
+        if (settings.notificationEmail) remote.notificationEmail = settings.notificationEmail;
+        if (settings.emailNotifications !== undefined) remote.emailNotifications = settings.emailNotifications !== 'false';
+        await EmailService.saveSettings(remote);
+
+        SettingsManager.loadSettings();
+        SettingsManager.applyDefaultReminders(ReminderManager.defaults, false);
+        SettingsManager.applyDefaultChannels(ChannelManager.defaults, false);
     },
 
-    deleteCategory(id) {
-        this.categories = this.categories.filter(cat => cat.id !== id);
-        this.saveCategories();
+    /**
+     * Re-render everything that shows events, categories or backups
+     */
+    refresh() {
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        CalendarManager.render();
+        CategoryManager.render();
         this.render();
     },
 
+    /**
+     * Describe how the current data differs from a snapshot
+     */
+    describeDiff(snapshot) {
+        const { restored, removed, changed } = this.diff(snapshot);
+        if (restored + removed + changed === 0) {
+            return 'Same events as now';
+        }
+        return [
+            restored ? `+${restored} back` : '',
+            removed ? `−${removed} removed` : '',
+            changed ? `~${changed} changed` : ''
+        ].filter(Boolean).join(' · ');
+    },
+
+    /**
+     * Render the snapshot list (this browser's and the server's, newest first)
+     */
     render() {
-        const list = document.getElementById('categoriesList');
+        const list = document.getElementById('backupsList');
         if (!list) return;
-        
-        list.innerHTML = this.categories.map(cat => `
-            <div class="category-item" style="border-left-color: ${cat.color}">
-                <div class="category-info">
-                    <span class="category-color-dot" style="background: ${cat.color}"></span>
-                    <span class="category-name">${cat.name}</span>
+
+        const localIds = new Set(this.snapshots.map(snapshot => snapshot.id));
+        const items = [
+            ...this.snapshots.map(snapshot => ({
+                ...snapshot,
+                eventCount: snapshot.events.length,
+                onServer: snapshot.uploaded
+            })),
+            ...this.remote
+                .filter(summary => !localIds.has(summary.id))
+                .map(summary => ({ ...summary, onServer: true }))
+        ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        if (items.length === 0) {
+            list.innerHTML = '<p class="setting-description">No backups yet.</p>';
+            return;
+        }
+
+        list.innerHTML = items.map(item => `
+            <div class="backup-item">
+                <div class="backup-info">
+                    <strong>${DateUtils.formatDateTimeShort(new Date(item.createdAt))}</strong>
+                    <small>
+                        ${UIRenderer.escapeHtml(item.reason)} ·
+                        ${item.eventCount} ${item.eventCount === 1 ? 'event' : 'events'}
+                        ${item.events ? ` · ${this.describeDiff(item)}` : ''}
+                    </small>
+                    <small class="backup-location">${[
+                        localIds.has(item.id) ? 'This browser' : '',
+                        item.onServer ? 'Server' : ''
+                    ].filter(Boolean).join(' + ')}</small>
                 </div>
-                <button class="btn btn-delete" onclick="CategoryManager.deleteCategory('${cat.id}')" style="padding: 4px 8px; font-size: 12px;">
-                    Delete
-                </button>
+                <button type="button" class="btn btn-secondary" data-backup-id="${item.id}">Restore</button>
             </div>
         `).join('');
-        
-        // Render filters
-        const filters = document.getElementById('categoryFilters');
-        if (filters) {
-            filters.innerHTML = `
-                <button class="category-filter-btn active" onclick="CategoryManager.filterByCategory(null)">All</button>
-                ${this.categories.map(cat => `
-                    <button class="category-filter-btn" onclick="CategoryManager.filterByCategory('${cat.id}')">
-                        ${cat.name}
-                    </button>
-                `).join('')}
-            `;
-        }
-    },
-
-    filterByCategory(categoryId) {
-        // Update active button
-        document.querySelectorAll('.category-filter-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        event.target.classList.add('active');
-        
-        // For now, just log - you can implement filtering in events tab
-        console.log('Filter by category:', categoryId);
     }
 };
 
@@ -1459,19 +7377,46 @@ const SettingsManager = {
         // Email notifications toggle
         document.getElementById('emailNotifications')?.addEventListener('change', (e) => {
             localStorage.setItem('emailNotifications', e.target.checked);
+            EmailService.saveSettings({ emailNotifications: e.target.checked });
         });
         
         // Notification email
         document.getElementById('notificationEmail')?.addEventListener('change', (e) => {
-            EmailService.RECIPIENT_EMAIL = e.target.value;
             localStorage.setItem('notificationEmail', e.target.value);
+            EmailService.saveSettings({ notificationEmail: e.target.value || null });
+        });
+        
+        // Default reminders
+        const reminderList = document.getElementById('defaultReminderList');
+        if (reminderList) {
+            this.reminderPicker = ReminderManager.createPicker({
+                list: reminderList,
+                select: document.getElementById('defaultReminderSelect'),
+                addButton: document.getElementById('addDefaultReminder'),
+                onChange: (offsets) => this.applyDefaultReminders(offsets, true)
+            });
+        }
+        
+        // Channels reminders go out on
+        document.getElementById('defaultChannels')?.addEventListener('change', (e) => {
+            if (!e.target.dataset.channel) return;
+            const channels = [...document.querySelectorAll('#defaultChannels input[data-channel]:checked')]
+                .map(input => input.dataset.channel);
+            this.applyDefaultChannels(channels, true);
         });
         
         // Browser notifications
-        document.getElementById('browserNotifications')?.addEventListener('change', (e) => {
-            if (e.target.checked) {
-                this.requestNotificationPermission();
+        document.getElementById('browserNotifications')?.addEventListener('change', async (e) => {
+            let enabled = e.target.checked;
+            if (enabled && !(await this.requestNotificationPermission())) {
+                enabled = false;
+                e.target.checked = false;
+                NotificationManager.error(
+                    'Notifications Blocked',
+                    'Allow notifications for this site in your browser settings'
+                );
             }
+            BrowserNotificationManager.setEnabled(enabled);
         });
         
         // Compact view
@@ -1480,6 +7425,19 @@ const SettingsManager = {
             localStorage.setItem('compactView', e.target.checked);
         });
         
+        // Default view (tab, or calendar view, opened on start)
+        document.getElementById('defaultView')?.addEventListener('change', (e) => {
+            if (e.target.value) {
+                localStorage.setItem(TabManager.DEFAULT_VIEW_KEY, e.target.value);
+            } else {
+                localStorage.removeItem(TabManager.DEFAULT_VIEW_KEY);
+            }
+            const { calendarView } = TabManager.getDefaultView();
+            if (calendarView) {
+                CalendarManager.setView(calendarView);
+            }
+        });
+        
         // Export data
         document.getElementById('exportData')?.addEventListener('click', () => this.exportData());
         
@@ -1490,7 +7448,13 @@ const SettingsManager = {
         
         document.getElementById('importFile')?.addEventListener('change', (e) => {
             this.importData(e.target.files[0]);
+            // Allow importing the same file again
+            e.target.value = '';
         });
+
+        // Export calendar (.ics) or spreadsheet (CSV)
+        document.getElementById('exportCalendar')?.addEventListener('click', () => this.exportCalendar());
+        document.getElementById('exportCsv')?.addEventListener('click', () => this.exportCsv());
         
         // Clear all data
         document.getElementById('clearAllData')?.addEventListener('click', () => this.clearAllData());
@@ -1502,23 +7466,111 @@ const SettingsManager = {
     loadSettings() {
         const emailEnabled = localStorage.getItem('emailNotifications') !== 'false';
         const compactView = localStorage.getItem('compactView') === 'true';
+        const browserNotifications = document.getElementById('browserNotifications');
         const savedEmail = localStorage.getItem('notificationEmail');
         
         if (document.getElementById('emailNotifications')) {
             document.getElementById('emailNotifications').checked = emailEnabled;
         }
         
+        if (browserNotifications) {
+            browserNotifications.checked = BrowserNotificationManager.enabled;
+        }
+        
         if (document.getElementById('compactView')) {
             document.getElementById('compactView').checked = compactView;
             document.body.classList.toggle('compact-view', compactView);
         }
+
+        if (document.getElementById('defaultView')) {
+            document.getElementById('defaultView').value = localStorage.getItem(TabManager.DEFAULT_VIEW_KEY) || '';
+        }
         
         if (savedEmail && document.getElementById('notificationEmail')) {
             document.getElementById('notificationEmail').value = savedEmail;
-            EmailService.RECIPIENT_EMAIL = savedEmail;
+        }
+
+        this.reminderPicker?.set(ReminderManager.defaults);
+        this.renderDefaultChannels();
+
+        this.syncNotificationSettings();
+    },
+
+    /**
+     * Use new default reminders (and save them when changed here)
+     * New events start with the defaults, so the add form follows along.
+     */
+    applyDefaultReminders(offsets, save) {
+        if (save) {
+            ReminderManager.setDefaults(offsets);
+        } else {
+            ReminderManager.defaults = ReminderManager.normalize(offsets);
+            localStorage.setItem(ReminderManager.STORAGE_KEY, JSON.stringify(ReminderManager.defaults));
+        }
+        this.reminderPicker?.set(ReminderManager.defaults);
+        if (!UIRenderer.editMode) {
+            UIRenderer.setReminders(ReminderManager.defaults, UIRenderer.channelPicker.get());
+        }
+        UIRenderer.renderEvents();
+    },
+
+    /**
+     * Tick the channels reminders go out on by default
+     */
+    renderDefaultChannels() {
+        document.querySelectorAll('#defaultChannels input[data-channel]').forEach(input => {
+            input.checked = ChannelManager.defaults.includes(input.dataset.channel);
+        });
+    },
+
+    /**
+     * Use new default channels (and save them when changed here)
+     * Reminders without their own channels follow along, in the form too.
+     */
+    applyDefaultChannels(channels, save) {
+        if (save) {
+            ChannelManager.setDefaults(channels);
+        } else {
+            ChannelManager.defaults = ChannelManager.normalize(channels);
+            localStorage.setItem(ChannelManager.STORAGE_KEY, JSON.stringify(ChannelManager.defaults));
+        }
+        this.renderDefaultChannels();
+        UIRenderer.channelPicker.refresh();
+        UIRenderer.renderEvents();
+        BrowserNotificationManager.check();
+    },
+
+    /**
+     * Load the account's notification settings from the server, which does the sending
+     * An empty email means mail goes to the address the user signs in with.
+     */
+    async syncNotificationSettings() {
+        try {
+            const remote = await EmailService.fetchSettings();
+
+            if (Array.isArray(remote.defaultReminders)) {
+                this.applyDefaultReminders(remote.defaultReminders, false);
+            }
+            if (Array.isArray(remote.channels)) {
+                this.applyDefaultChannels(remote.channels, false);
+            }
+
+            localStorage.setItem('notificationEmail', remote.notificationEmail || '');
+            localStorage.setItem('emailNotifications', remote.emailNotifications);
+
+            const emailInput = document.getElementById('notificationEmail');
+            if (emailInput) emailInput.value = remote.notificationEmail || '';
+            const emailToggle = document.getElementById('emailNotifications');
+            if (emailToggle) emailToggle.checked = remote.emailNotifications;
+        } catch (error) {
+            console.warn('⚠️ Could not load notification settings from the server:', error.message);
         }
     },
 
+    /**
+     * Ask for permission to show desktop notifications
+     * Resolves to true when notifications are allowed.
+     */
     async requestNotificationPermission() {
         if ('Notification' in window) {
             const permission = await Notification.requestPermission();
@@ -1527,8 +7579,23 @@ const SettingsManager = {
                     body: 'Notifications enabled! You will receive alerts for your events.',
                     icon: '📅'
                 });
+                return true;
             }
         }
+        return false;
+    },
+
+    /**
+     * Save text as a file download
+     */
+    downloadFile(content, type, filename) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
     },
 
     exportData() {
@@ -1538,82 +7605,246 @@ const SettingsManager = {
             exportDate: new Date().toISOString()
         };
         
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `event-reminder-backup-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        this.downloadFile(
+            JSON.stringify(data, null, 2),
+            'application/json',
+            `event-reminder-backup-${new Date().toISOString().split('T')[0]}.json`
+        );
         
         NotificationManager.success('Export Successful', 'Your data has been exported');
     },
 
+    /**
+     * Events to export: all of them, or one category's when one is picked
+     */
+    getExportEvents() {
+        const category = CategoryManager.getCategory(document.getElementById('exportCategory')?.value);
+        const events = category
+            ? StateManager.events.filter(event => event.categoryId === category.id)
+            : StateManager.events;
+        return { category, events };
+    },
+
+    /**
+     * File name for an export (e.g., event-reminder-work-2026-03-14.csv)
+     */
+    getExportFileName(category, extension) {
+        const slug = category ? `-${category.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}` : '';
+        return `event-reminder${slug}-${new Date().toISOString().split('T')[0]}.${extension}`;
+    },
+
+    /**
+     * Export events as a CSV spreadsheet
+     * Uses the same columns the CSV import recognizes.
+     */
+    exportCsv() {
+        const { category, events } = this.getExportEvents();
+        if (events.length === 0) {
+            NotificationManager.show('warning', 'Nothing to Export', 'There are no events to export');
+            return;
+        }
+
+        const rows = [
+            ['Title', 'Date', 'Start Time', 'End Time', 'Description', 'Category', 'Repeats'],
+            ...[...events]
+                .sort((a, b) => a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || ''))
+                .map(event => [
+                    event.title,
+                    event.date,
+                    event.startTime || '',
+                    event.endTime || '',
+                    event.description,
+                    CategoryManager.getCategory(event.categoryId)?.name || '',
+                    event.recurrence ? Recurrence.describe(event.recurrence, event.date) : ''
+                ])
+        ];
+
+        // The BOM makes Excel read the file as UTF-8
+        this.downloadFile(`\uFEFF${CsvUtils.stringify(rows)}`, 'text/csv', this.getExportFileName(category, 'csv'));
+
+        NotificationManager.success(
+            'Export Successful',
+            `Exported ${events.length} ${events.length === 1 ? 'event' : 'events'} to a CSV file`
+        );
+    },
+
+    /**
+     * Export events as an iCalendar (.ics) file
+     */
+    exportCalendar() {
+        const { category, events } = this.getExportEvents();
+        if (events.length === 0) {
+            NotificationManager.show('warning', 'Nothing to Export', 'There are no events to export');
+            return;
+        }
+
+        const calendar = ICal.stringify(events, {
+            name: category ? `Event Reminder · ${category.name}` : 'Event Reminder',
+            getReminders: event => ReminderManager.getOffsets(event),
+            getCategoryName: event => CategoryManager.getCategory(event.categoryId)?.name
+        });
+
+        this.downloadFile(calendar, ICal.MIME_TYPE, this.getExportFileName(category, 'ics'));
+
+        NotificationManager.success(
+            'Export Successful',
+            `Exported ${events.length} ${events.length === 1 ? 'event' : 'events'} to a calendar file`
+        );
+    },
+
+    /**
+     * Import events from iCalendar text
+     * Events are merged in: ones imported before are updated rather than
+     * duplicated, and categories are matched to existing ones by name.
+     */
+    importCalendar(text) {
+        const { events, skipped, simplified } = ICal.parse(text);
+
+        const imported = events.map(({ categoryName, ...event }) => {
+            const category = categoryName && CategoryManager.categories
+                .find(cat => cat.name.toLowerCase() === categoryName.toLowerCase());
+            return { ...event, categoryId: category ? category.id : null };
+        });
+        const { added, updated } = HistoryManager.record('Import calendar', () => StateManager.importEvents(imported));
+
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        CalendarManager.render();
+        CategoryManager.render();
+
+        const notes = [
+            `${added} added, ${updated} updated`,
+            ...(simplified > 0 ? [`${simplified} simplified to fit (first day of multi-day events, basic repeat rules)`] : []),
+            ...(skipped.length > 0 ? [`${skipped.length} skipped (${skipped.map(item => `${item.title}: ${item.reason}`).join('; ')})`] : [])
+        ];
+        if (events.length === 0) {
+            NotificationManager.error('Import Failed', skipped.length > 0 ? notes[notes.length - 1] : 'No events found in the file');
+            return;
+        }
+        // Longer than usual so there's time to read what was skipped
+        NotificationManager.show('success', 'Import Successful', notes.join(' · '), 6000, HistoryManager.getUndoActions());
+    },
+
     importData(file) {
         if (!file) return;
         
         const reader = new FileReader();
         reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                
-                if (data.events) {
-                    StateManager.events = data.events;
-                    StateManager.saveToStorage();
-                }
-                
-                if (data.categories) {
-                    CategoryManager.categories = data.categories;
-                    CategoryManager.saveCategories();
+            const text = e.target.result;
+
+            if (/\.(csv|tsv)$/i.test(file.name)) {
+                CsvImporter.open(text, file.name);
+                return;
+            }
+
+            if (/\.ics$/i.test(file.name) || /^\s*BEGIN:VCALENDAR/i.test(text)) {
+                try {
+                    this.importCalendar(text);
+                } catch (error) {
+                    console.error('❌ Calendar import failed:', error);
+                    NotificationManager.error('Import Failed', 'Not a valid iCalendar (.ics) file');
                 }
-                
-                // Refresh UI
-                UIRenderer.renderEvents();
-                DashboardManager.update();
-                CategoryManager.render();
-                
-                NotificationManager.success('Import Successful', `Imported ${data.events.length} events`);
-            } catch (error) {
-                NotificationManager.error('Import Failed', 'Invalid file format');
+                return;
             }
+
+            JsonImporter.open(text);
         };
         reader.readAsText(file);
     },
 
     clearAllData() {
-        if (confirm('Are you sure you want to delete ALL events and data? This cannot be undone!')) {
-            localStorage.clear();
-            StateManager.events = [];
-            CategoryManager.categories = [];
-            UIRenderer.renderEvents();
-            DashboardManager.update();
-            CategoryManager.render();
-            NotificationManager.success('Data Cleared', 'All data has been deleted');
+        if (!confirm('Delete ALL events, categories and settings? A backup is kept in Settings → Backups so you can restore them.')) {
+            return;
+        }
+
+        const backup = BackupManager.snapshot('Before clearing all data', true);
+        // Shared calendars' events stay on the server for the other members
+        const previousIds = StateManager.events.filter(event => !event.calendarId).map(event => event.id);
+
+        // Keep the backups so the cleared data can be restored, and which
+        // account this browser belongs to
+        const keep = [BackupManager.STORAGE_KEY, AuthManager.USER_KEY];
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
         }
+        keys.filter(key => !keep.includes(key)).forEach(key => localStorage.removeItem(key));
+
+        StateManager.events = [];
+        CategoryManager.categories = [];
+        CategoryManager.saveCategories();
+        TrashManager.items = [];
+
+        // Remove the events from the server as well
+        SyncManager.loadQueue();
+        SyncManager.queueReplacement(previousIds);
+
+        UIRenderer.renderEvents();
+        DashboardManager.update();
+        CategoryManager.render();
+        TrashManager.render();
+        BackupManager.render();
+        NotificationManager.showWithActions(
+            'success',
+            'Data Cleared',
+            'All data has been deleted. It can be restored from Settings → Backups.',
+            [
+                {
+                    label: 'Undo',
+                    onClick: async () => {
+                        await BackupManager.apply(backup);
+                        NotificationManager.success('Data Restored', 'Your events, categories and settings are back');
+                    }
+                },
+                { label: 'OK', onClick: () => {} }
+            ]
+        );
     }
 };
 
 // Update initApp to initialize new managers
 function initApp() {
-    // Initialize theme
-    ThemeManager.init();
-
     // Initialize email service
     EmailService.init();
 
     // Initialize state
     StateManager.init();
 
+    // Undo/redo history for this session
+    HistoryManager.init();
+
+    // Start syncing with the server (works offline too)
+    SyncManager.init();
+
+    // Load default reminder offsets and the channels reminders go out on
+    ReminderManager.init();
+    ChannelManager.init();
+
     // Initialize UI
     UIRenderer.init();
 
-    // Initialize new managers
+    // Raise desktop and in-app notifications for due reminders
+    BrowserNotificationManager.init();
+
+    // Initialize new managers (categories first: the other views color by them)
+    CategoryManager.init();
+    SharedCalendarManager.init();
+    EventFilter.init();
+    CategoryManager.render();
+    TrashManager.init();
     TabManager.init();
+
+    // A bookmarked search or filter opens on the Events tab
+    if (EventFilter.isActive()) {
+        TabManager.switchTab('events');
+    }
     DashboardManager.update();
     CalendarManager.init();
-    CategoryManager.init();
-    CategoryManager.render();
     SettingsManager.init();
+    CalendarFeedManager.init();
+    WebhookManager.init();
+    DeliveryHistoryManager.init();
+    BackupManager.init();
 
     // Render initial events
     UIRenderer.renderEvents();
@@ -1621,17 +7852,16 @@ function initApp() {
     // Start countdown timer
     CountdownManager.start();
 
-    // Check for event reminders on load
-    EmailService.checkAndSendReminders();
-
-    // Set up periodic reminder checks (check every hour)
-    setInterval(() => {
-        EmailService.checkAndSendReminders();
-    }, 60 * 60 * 1000);
+    // Reminder emails are sent by the server scheduler (server/scheduler.js)
+    EmailService.clearLegacyReminderFlags();
 
     // Attach event listeners
     UIRenderer.elements.eventForm.addEventListener('submit', EventHandlers.handleSubmit);
     UIRenderer.elements.eventDescription.addEventListener('input', EventHandlers.handleDescriptionInput);
+    UIRenderer.elements.eventAllDay.addEventListener('change', EventHandlers.handleAllDayToggle);
+    UIRenderer.elements.eventDate.addEventListener('change', EventHandlers.handleRecurrenceChange);
+    UIRenderer.elements.eventRepeat.addEventListener('change', EventHandlers.handleRecurrenceChange);
+    UIRenderer.elements.eventRepeatEnd.addEventListener('change', EventHandlers.handleRecurrenceChange);
     
     const themeToggle = document.getElementById('themeToggle');
     if (themeToggle) {
@@ -1654,9 +7884,17 @@ function initApp() {
     console.log('Event Reminder Tool v2.0 initialized successfully');
 }
 
+/**
+ * Apply the theme, then start the app once someone is signed in
+ */
+function startApp() {
+    ThemeManager.init();
+    AuthManager.init().then(initApp);
+}
+
 // Start application when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initApp);
+    document.addEventListener('DOMContentLoaded', startApp);
 } else {
-    initApp();
+    startApp();
 }
\ No newline at end of file
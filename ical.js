@@ -0,0 +1,639 @@
+/**
+ * iCalendar (RFC 5545) export and import
+ *
+ * Shared by the browser (loaded after recurrence.js, before app.js) and
+ * the server, so .ics files look the same wherever they are produced.
+ *
+ * Events are written with floating local times (no time zone), which is
+ * how the app stores them. Recurrence rules become RRULE/EXDATE and each
+ * reminder becomes a VALARM. On import, times with a TZID or in UTC are
+ * converted to this machine's local time, and anything the event model
+ * can't represent is simplified rather than rejected: multi-day events
+ * keep their first day and repeat rules keep their frequency, interval
+ * and end.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recurrence'));
+    } else {
+        root.ICal = factory(root.Recurrence);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Recurrence) {
+    const PRODUCT_ID = '-//Event Reminder//Event Reminder//EN';
+    const UID_DOMAIN = 'event-reminder';
+    // Same limits as the event form
+    const TITLE_MIN_LENGTH = 3;
+    const TITLE_MAX_LENGTH = 100;
+    const DESCRIPTION_MAX_LENGTH = 200;
+    const MAX_REMINDERS = 10;
+    const MAX_REMINDER_OFFSET = 4 * 7 * 24 * 60;
+    const MAX_COUNT = 999;
+    const MAX_LINE_OCTETS = 75;
+
+    const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly', YEARLY: 'yearly' };
+    // RRULE parts the event model has an equivalent for
+    const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+    const pad = n => String(n).padStart(2, '0');
+
+    // ===========================
+    // Writing
+    // ===========================
+
+    /**
+     * Escape a TEXT value
+     */
+    function escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line at 75 octets without splitting a character
+     */
+    function foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            // Continuation lines start with a space, which counts towards the limit
+            const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * YYYY-MM-DD to an iCalendar DATE
+     */
+    function formatDate(dateString) {
+        return dateString.replace(/-/g, '');
+    }
+
+    /**
+     * YYYY-MM-DD and HH:MM to a floating DATE-TIME
+     */
+    function formatLocalDateTime(dateString, time) {
+        return `${formatDate(dateString)}T${time.replace(':', '')}00`;
+    }
+
+    /**
+     * Date to a UTC DATE-TIME (for DTSTAMP and friends)
+     */
+    function formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Minutes before the start to a VALARM trigger (e.g., -PT15M, -P1D)
+     */
+    function formatTrigger(offset) {
+        if (offset === 0) return 'PT0M';
+        if (offset % (24 * 60) === 0) return `-P${offset / (24 * 60)}D`;
+        if (offset % 60 === 0) return `-PT${offset / 60}H`;
+        return `-PT${offset}M`;
+    }
+
+    /**
+     * Recurrence rule to an RRULE value
+     */
+    function formatRule(event) {
+        const rule = event.recurrence;
+        const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+
+        if (rule.interval > 1) {
+            parts.push(`INTERVAL=${rule.interval}`);
+        }
+        if (rule.freq === 'weekly') {
+            const weekdays = rule.byWeekday && rule.byWeekday.length
+                ? rule.byWeekday
+                : [new Date(`${event.date}T00:00:00Z`).getUTCDay()];
+            parts.push(`BYDAY=${weekdays.map(day => WEEKDAY_CODES[day]).join(',')}`);
+            // The app's weeks start on Sunday, which matters for INTERVAL > 1
+            parts.push('WKST=SU');
+        }
+        if (rule.freq === 'monthly' && rule.monthlyBy === 'weekday') {
+            const { weekday, nth } = Recurrence.getNthWeekday(event.date);
+            parts.push(`BYDAY=${nth}${WEEKDAY_CODES[weekday]}`);
+        }
+        if (rule.until) {
+            // UNTIL has to have the same value type as DTSTART
+            parts.push(`UNTIL=${event.allDay === false && event.startTime
+                ? `${formatDate(rule.until)}T235959`
+                : formatDate(rule.until)}`);
+        } else if (rule.count) {
+            parts.push(`COUNT=${rule.count}`);
+        }
+        return parts.join(';');
+    }
+
+    /**
+     * Content lines for one VEVENT
+     */
+    function eventLines(event, options, stamp) {
+        const timed = event.allDay === false && event.startTime;
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.id}@${UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${escapeText(event.title)}`
+        ];
+
+        if (timed) {
+            lines.push(`DTSTART:${formatLocalDateTime(event.date, event.startTime)}`);
+            if (event.endTime) {
+                lines.push(`DTEND:${formatLocalDateTime(event.date, event.endTime)}`);
+            }
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+            lines.push(`DTEND;VALUE=DATE:${formatDate(Recurrence.addDays(event.date, 1))}`);
+        }
+
+        if (Recurrence.isRecurring(event)) {
+            lines.push(`RRULE:${formatRule(event)}`);
+            (event.recurrence.exdates || []).forEach(date => {
+                lines.push(timed
+                    ? `EXDATE:${formatLocalDateTime(date, event.startTime)}`
+                    : `EXDATE;VALUE=DATE:${formatDate(date)}`);
+            });
+        }
+
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+
+        const category = options.getCategoryName ? options.getCategoryName(event) : null;
+        if (category) {
+            lines.push(`CATEGORIES:${escapeText(category)}`);
+        }
+
+        if (event.createdAt) {
+            lines.push(`CREATED:${formatUTC(new Date(event.createdAt))}`);
+        }
+        if (event.updatedAt) {
+            lines.push(`LAST-MODIFIED:${formatUTC(new Date(event.updatedAt))}`);
+        }
+
+        const reminders = options.getReminders ? options.getReminders(event) : (event.reminders || []);
+        reminders.forEach(offset => {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(event.title)}`,
+                `TRIGGER:${formatTrigger(offset)}`,
+                'END:VALARM'
+            );
+        });
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    // ===========================
+    // Reading
+    // ===========================
+
+    /**
+     * Undo TEXT escaping
+     */
+    function unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Split a TEXT list value on unescaped commas
+     */
+    function splitList(value) {
+        return (value.match(/(?:\\.|[^,])+/g) || []).map(item => unescapeText(item).trim()).filter(Boolean);
+    }
+
+    /**
+     * Parse one unfolded content line into { name, params, value }
+     */
+    function parseLine(line) {
+        let inQuotes = false;
+        let nameEnd = -1;
+        let valueStart = -1;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && char === ';' && nameEnd === -1) {
+                nameEnd = i;
+            } else if (!inQuotes && char === ':') {
+                valueStart = i + 1;
+                break;
+            }
+        }
+        if (valueStart === -1) {
+            return null;
+        }
+
+        const head = line.slice(0, valueStart - 1);
+        const name = (nameEnd === -1 ? head : line.slice(0, nameEnd)).toUpperCase();
+        const params = {};
+        if (nameEnd !== -1) {
+            (head.slice(nameEnd + 1).match(/[^;"]+(?:"[^"]*"[^;"]*)*/g) || []).forEach(param => {
+                const [key, ...rest] = param.split('=');
+                params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+            });
+        }
+        return { name, params, value: line.slice(valueStart) };
+    }
+
+    /**
+     * Build the component tree ({ name, properties, components })
+     */
+    function parseComponents(text) {
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const root = { name: 'ROOT', properties: [], components: [] };
+        const stack = [root];
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            const property = parseLine(line);
+            if (!property) return;
+
+            const current = stack[stack.length - 1];
+            if (property.name === 'BEGIN') {
+                const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+                current.components.push(component);
+                stack.push(component);
+            } else if (property.name === 'END') {
+                if (stack.length > 1) stack.pop();
+            } else {
+                current.properties.push(property);
+            }
+        });
+        return root;
+    }
+
+    /**
+     * Offset in minutes of a time zone at an instant, or null if unknown
+     */
+    function getZoneOffset(instant, timeZone) {
+        try {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }).formatToParts(instant).forEach(part => {
+                parts[part.type] = Number(part.value);
+            });
+            const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            return Math.round((wallTime - instant.getTime()) / 60000);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value into local { date, time }
+     * time is null for DATE values. Floating times and unknown time zones
+     * are taken as local.
+     */
+    function parseDateValue(value, params) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day, hours, minutes, seconds, utc] = match;
+        if (hours === undefined || params.VALUE === 'DATE') {
+            return { date: `${year}-${month}-${day}`, time: null };
+        }
+
+        const wallTime = Date.UTC(year, month - 1, day, hours, minutes, seconds || 0);
+        let instant = null;
+        if (utc) {
+            instant = new Date(wallTime);
+        } else if (params.TZID) {
+            const offset = getZoneOffset(new Date(wallTime), params.TZID);
+            if (offset !== null) {
+                // Re-check the offset at the real instant in case it straddles a DST change
+                const firstGuess = new Date(wallTime - offset * 60000);
+                instant = new Date(wallTime - getZoneOffset(firstGuess, params.TZID) * 60000);
+            }
+        }
+        if (!instant) {
+            return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+        }
+        return {
+            date: `${instant.getFullYear()}-${pad(instant.getMonth() + 1)}-${pad(instant.getDate())}`,
+            time: `${pad(instant.getHours())}:${pad(instant.getMinutes())}`
+        };
+    }
+
+    /**
+     * Parse a DURATION into minutes (negative for "before")
+     */
+    function parseDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!match) {
+            return null;
+        }
+        const [, sign, weeks, days, hours, minutes] = match.map(part => part || 0);
+        const total = Number(weeks) * 7 * 24 * 60 + Number(days) * 24 * 60 + Number(hours) * 60 + Number(minutes);
+        return sign === '-' ? -total : total;
+    }
+
+    /**
+     * Minutes between two local { date, time } values
+     */
+    function minutesBetween(from, to) {
+        const toMinutes = ({ date, time }) => {
+            const [year, month, day] = date.split('-').map(Number);
+            const [hours, minutes] = (time || '00:00').split(':').map(Number);
+            return Date.UTC(year, month - 1, day, hours, minutes) / 60000;
+        };
+        return toMinutes(to) - toMinutes(from);
+    }
+
+    /**
+     * Map VALARMs to reminder offsets
+     * Alarms after the start, or further ahead than the app allows, are dropped.
+     */
+    function parseAlarms(component, start, end) {
+        const offsets = component.components
+            .filter(child => child.name === 'VALARM')
+            .map(alarm => {
+                const trigger = alarm.properties.find(property => property.name === 'TRIGGER');
+                if (!trigger) return null;
+                if (trigger.params.VALUE === 'DATE-TIME') {
+                    const at = parseDateValue(trigger.value, trigger.params);
+                    return at ? minutesBetween(at, start) : null;
+                }
+                const duration = parseDuration(trigger.value);
+                if (duration === null) return null;
+                const relativeToEnd = trigger.params.RELATED === 'END' && end;
+                return (relativeToEnd ? minutesBetween(start, end) : 0) - duration;
+            })
+            .filter(offset => offset !== null && offset >= 0 && offset <= MAX_REMINDER_OFFSET);
+
+        return [...new Set(offsets)].sort((a, b) => b - a).slice(0, MAX_REMINDERS);
+    }
+
+    /**
+     * Map an RRULE onto the app's recurrence rule
+     * Returns { rule, simplified }.
+     */
+    function parseRule(value, start) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, partValue] = part.split('=');
+            if (key) parts[key.toUpperCase()] = (partValue || '').toUpperCase();
+        });
+
+        const freq = FREQUENCIES[parts.FREQ];
+        if (!freq) {
+            return { rule: null, simplified: true };
+        }
+
+        let simplified = Object.keys(parts).some(key => !SUPPORTED_RULE_PARTS.includes(key));
+        const rule = { freq, interval: Number(parts.INTERVAL) || 1, until: null, count: null, exdates: [] };
+
+        if (parts.UNTIL) {
+            const until = parseDateValue(parts.UNTIL, {});
+            rule.until = until ? until.date : null;
+        } else if (parts.COUNT) {
+            rule.count = Math.min(Number(parts.COUNT), MAX_COUNT);
+        }
+
+        const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+        if (freq === 'weekly' && byDay.length) {
+            rule.byWeekday = byDay
+                .map(day => WEEKDAY_CODES.indexOf(day.replace(/^[+-]?\d+/, '')))
+                .filter(day => day !== -1);
+        } else if (freq === 'monthly' && byDay.length) {
+            // "The 2nd Tuesday": follow the start date's own nth weekday
+            rule.monthlyBy = 'weekday';
+            const { weekday, nth } = Recurrence.getNthWeekday(start);
+            simplified = simplified || byDay.length > 1 || byDay[0] !== `${nth}${WEEKDAY_CODES[weekday]}`;
+        } else if (byDay.length) {
+            simplified = true;
+        }
+
+        const startDay = Number(start.slice(8, 10));
+        if (parts.BYMONTHDAY && (freq !== 'monthly' || Number(parts.BYMONTHDAY) !== startDay)) {
+            simplified = true;
+        }
+        if (parts.BYMONTH && (freq !== 'yearly' || Number(parts.BYMONTH) !== Number(start.slice(5, 7)))) {
+            simplified = true;
+        }
+
+        if (!Recurrence.validate(rule, start).valid) {
+            return { rule: null, simplified: true };
+        }
+        return { rule: Recurrence.normalize(rule), simplified };
+    }
+
+    /**
+     * Small stable hash for turning foreign UIDs into event ids
+     */
+    function hash(text) {
+        let a = 0x811c9dc5;
+        let b = 0x01000193;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            a = Math.imul(a ^ code, 0x01000193);
+            b = Math.imul(b ^ code, 0x5bd1e995);
+        }
+        return (a >>> 0).toString(36) + (b >>> 0).toString(36);
+    }
+
+    /**
+     * Event id for a UID
+     * The app's own exports round-trip to the same id, and other UIDs
+     * always map to the same id, so importing a file twice updates the
+     * events instead of duplicating them.
+     */
+    function idFromUid(uid, recurrenceDate) {
+        const suffix = `@${UID_DOMAIN}`;
+        if (!recurrenceDate && uid.endsWith(suffix)) {
+            return uid.slice(0, -suffix.length);
+        }
+        return `event_ics_${hash(recurrenceDate ? `${uid}/${recurrenceDate}` : uid)}`;
+    }
+
+    /**
+     * Map one VEVENT onto the event model
+     * Returns { event } or { skipped: reason }.
+     */
+    function parseEvent(component) {
+        const get = name => component.properties.find(property => property.name === name);
+        const getAll = name => component.properties.filter(property => property.name === name);
+        const text = name => (get(name) ? unescapeText(get(name).value).trim() : '');
+
+        const title = text('SUMMARY').replace(/\s+/g, ' ').slice(0, TITLE_MAX_LENGTH);
+        const dtstart = get('DTSTART');
+        const start = dtstart ? parseDateValue(dtstart.value, dtstart.params) : null;
+        const uid = text('UID');
+        const recurrenceId = get('RECURRENCE-ID');
+        const recurrenceDate = recurrenceId ? (parseDateValue(recurrenceId.value, recurrenceId.params) || {}).date : null;
+        const base = { uid, recurrenceDate, title: title || 'Untitled event' };
+
+        if (text('STATUS').toUpperCase() === 'CANCELLED') {
+            return { ...base, skipped: 'cancelled' };
+        }
+        if (!start) {
+            return { ...base, skipped: 'no start date' };
+        }
+        if (title.length > 0 && title.length < TITLE_MIN_LENGTH) {
+            return { ...base, skipped: `title shorter than ${TITLE_MIN_LENGTH} characters` };
+        }
+
+        let end = null;
+        const dtend = get('DTEND');
+        if (dtend) {
+            end = parseDateValue(dtend.value, dtend.params);
+        } else if (get('DURATION') && start.time) {
+            const minutes = parseDuration(get('DURATION').value);
+            if (minutes !== null) {
+                const [hours, mins] = start.time.split(':').map(Number);
+                const total = hours * 60 + mins + minutes;
+                end = total < 24 * 60 ? { date: start.date, time: `${pad(Math.floor(total / 60))}:${pad(total % 60)}` } : null;
+            }
+        }
+
+        const allDay = !start.time;
+        // Only same-day end times fit the event model
+        const endTime = !allDay && end && end.time && end.date === start.date && end.time > start.time
+            ? end.time
+            : null;
+
+        let recurrence = null;
+        // All-day DTENDs are exclusive, so a one-day event ends the next day
+        let simplified = Boolean(end) && (allDay
+            ? end.date > Recurrence.addDays(start.date, 1)
+            : end.date !== start.date);
+        const rrule = get('RRULE');
+        if (rrule && !recurrenceId) {
+            const parsed = parseRule(rrule.value, start.date);
+            recurrence = parsed.rule;
+            simplified = simplified || parsed.simplified;
+        }
+        if (recurrence) {
+            getAll('EXDATE').forEach(exdate => {
+                exdate.value.split(',').forEach(value => {
+                    const parsed = parseDateValue(value, exdate.params);
+                    if (parsed) recurrence.exdates.push(parsed.date);
+                });
+            });
+            recurrence = Recurrence.normalize(recurrence);
+        }
+
+        const alarms = component.components.some(child => child.name === 'VALARM');
+        const categories = getAll('CATEGORIES').flatMap(property => splitList(property.value));
+
+        return {
+            ...base,
+            simplified,
+            event: {
+                id: uid ? idFromUid(uid, recurrenceDate) : null,
+                title: base.title,
+                date: start.date,
+                allDay,
+                startTime: allDay ? null : start.time,
+                endTime,
+                recurrence,
+                // No alarms: fall back to the default reminders like a new event would
+                reminders: alarms ? parseAlarms(component, start, end) : null,
+                categoryName: categories[0] || null,
+                description: text('DESCRIPTION').slice(0, DESCRIPTION_MAX_LENGTH)
+            }
+        };
+    }
+
+    const ICal = {
+        MIME_TYPE: 'text/calendar',
+
+        /**
+         * Write events as an iCalendar file
+         * Options: name (calendar name), getReminders(event) and
+         * getCategoryName(event) to resolve defaults the event doesn't store,
+         * and now (for DTSTAMP).
+         */
+        stringify(events, options = {}) {
+            const stamp = formatUTC(options.now || new Date());
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                `PRODID:${PRODUCT_ID}`,
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH'
+            ];
+            if (options.name) {
+                lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+            }
+            events.forEach(event => lines.push(...eventLines(event, options, stamp)));
+            lines.push('END:VCALENDAR');
+
+            return lines.map(foldLine).join('\r\n') + '\r\n';
+        },
+
+        /**
+         * Read the events out of an iCalendar file
+         * Returns { events, skipped, simplified }: events are in the app's
+         * shape (plus categoryName), skipped lists { title, reason } for
+         * VEVENTs that couldn't be imported, and simplified counts events
+         * that lost detail on the way in. Throws when the text isn't an
+         * iCalendar file at all.
+         */
+        parse(text) {
+            const root = parseComponents(String(text));
+            const calendars = root.components.filter(component => component.name === 'VCALENDAR');
+            if (calendars.length === 0) {
+                throw new Error('Not an iCalendar file');
+            }
+
+            const results = calendars
+                .flatMap(calendar => calendar.components)
+                .filter(component => component.name === 'VEVENT')
+                .map(parseEvent);
+
+            // Moved or cancelled occurrences of a series come as separate
+            // VEVENTs with a RECURRENCE-ID: skip that date in the series
+            results.filter(result => result.recurrenceDate).forEach(override => {
+                const series = results.find(result => result.event && !result.recurrenceDate && result.uid === override.uid);
+                if (series && series.event.recurrence) {
+                    series.event.recurrence.exdates = [...new Set([
+                        ...series.event.recurrence.exdates,
+                        override.recurrenceDate
+                    ])].sort();
+                }
+            });
+
+            const imported = results.filter(result => result.event);
+            return {
+                events: imported.map(result => result.event),
+                skipped: results
+                    .filter(result => result.skipped && !(result.recurrenceDate && result.skipped === 'cancelled'))
+                    .map(result => ({ title: result.title, reason: result.skipped })),
+                simplified: imported.filter(result => result.simplified).length
+            };
+        }
+    };
+
+    return ICal;
+}));
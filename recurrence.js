@@ -0,0 +1,441 @@
+/**
+ * Recurrence rules
+ *
+ * Shared by the browser (loaded before app.js) and the server (the API
+ * and the reminder scheduler), so both expand recurring events the same
+ * way. A rule is stored on the event as `recurrence`:
+ *
+ *   {
+ *     freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *     interval: 2,                // every 2 days/weeks/months/years
+ *     byWeekday: [1, 3],          // weekly: 0 = Sunday ... 6 = Saturday
+ *     monthlyBy: 'monthday',      // monthly: 'monthday' (the 14th) or 'weekday' (the 2nd Tuesday)
+ *     until: '2026-12-31',        // optional last date, or
+ *     count: 10,                  // optional number of occurrences
+ *     exdates: ['2026-03-04']     // skipped occurrences
+ *   }
+ *
+ * The series starts on the event's own date. As with RRULE, `count`
+ * includes skipped dates. Dates are YYYY-MM-DD strings handled in UTC so
+ * daylight saving changes never move an occurrence.
+ *
+ * It also decides when an occurrence is over (getEnd), which the browser
+ * and the scheduler have to agree on to stop reminding at the same time.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Recurrence = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+    const MONTHLY_MODES = ['monthday', 'weekday'];
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const MAX_INTERVAL = 99;
+    const MAX_COUNT = 999;
+    // Upper bound on generated periods so a bad rule can't hang the page
+    const MAX_PERIODS = 5000;
+    // How long a timed event without an end time counts as lasting
+    const OPEN_ENDED_MINUTES = 15;
+
+    const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const WEEKDAY_LONG_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+    const UNITS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+
+    /**
+     * Parse YYYY-MM-DD to a UTC date
+     */
+    function toUTC(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * Format a UTC date as YYYY-MM-DD
+     */
+    function toDateString(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     */
+    function addDays(dateString, days) {
+        const date = toUTC(dateString);
+        date.setUTCDate(date.getUTCDate() + days);
+        return toDateString(date);
+    }
+
+    /**
+     * Whole days from one date to another
+     */
+    function daysBetween(from, to) {
+        return Math.round((toUTC(to) - toUTC(from)) / (24 * 60 * 60 * 1000));
+    }
+
+    function daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    function isValidDate(dateString) {
+        return typeof dateString === 'string'
+            && DATE_PATTERN.test(dateString)
+            && toDateString(toUTC(dateString)) === dateString;
+    }
+
+    /**
+     * Which weekday of its month a date falls on (e.g., 2nd Tuesday)
+     * The fifth weekday of a month is treated as "last" so the series
+     * doesn't skip months that only have four.
+     */
+    function getNthWeekday(dateString) {
+        const date = toUTC(dateString);
+        const nth = Math.ceil(date.getUTCDate() / 7);
+        return { weekday: date.getUTCDay(), nth: nth === 5 ? -1 : nth };
+    }
+
+    /**
+     * Day of the month for the nth weekday, or null if the month has none
+     */
+    function findNthWeekday(year, month, weekday, nth) {
+        const length = daysInMonth(year, month);
+        if (nth === -1) {
+            const lastWeekday = new Date(Date.UTC(year, month, length)).getUTCDay();
+            return length - ((lastWeekday - weekday + 7) % 7);
+        }
+        const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        const day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+        return day <= length ? day : null;
+    }
+
+    /**
+     * Number of whole periods between the series start and a date
+     * Used to skip ahead instead of walking every period since the start.
+     */
+    function periodsBetween(start, date, rule) {
+        const from = toUTC(start);
+        const to = toUTC(date);
+        switch (rule.freq) {
+            case 'daily':
+                return daysBetween(start, date);
+            case 'weekly':
+                return Math.floor(daysBetween(start, date) / 7);
+            case 'monthly':
+                return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+            default:
+                return to.getUTCFullYear() - from.getUTCFullYear();
+        }
+    }
+
+    /**
+     * Candidate dates in one period of the series, in order
+     */
+    function datesInPeriod(start, rule, period) {
+        const startDate = toUTC(start);
+        const year = startDate.getUTCFullYear();
+        const month = startDate.getUTCMonth();
+        const day = startDate.getUTCDate();
+        const step = period * rule.interval;
+
+        switch (rule.freq) {
+            case 'daily':
+                return [addDays(start, step)];
+
+            case 'weekly': {
+                const weekStart = addDays(start, step * 7 - startDate.getUTCDay());
+                const weekdays = rule.byWeekday && rule.byWeekday.length
+                    ? rule.byWeekday
+                    : [startDate.getUTCDay()];
+                return weekdays.map(weekday => addDays(weekStart, weekday));
+            }
+
+            case 'monthly': {
+                const target = new Date(Date.UTC(year, month + step, 1));
+                const targetYear = target.getUTCFullYear();
+                const targetMonth = target.getUTCMonth();
+                let targetDay = day;
+
+                if (rule.monthlyBy === 'weekday') {
+                    const { weekday, nth } = getNthWeekday(start);
+                    targetDay = findNthWeekday(targetYear, targetMonth, weekday, nth);
+                }
+                // Months without the day (e.g., the 31st) are skipped
+                if (!targetDay || targetDay > daysInMonth(targetYear, targetMonth)) {
+                    return [];
+                }
+                return [toDateString(new Date(Date.UTC(targetYear, targetMonth, targetDay)))];
+            }
+
+            default: {
+                // February 29th only occurs in leap years
+                if (day > daysInMonth(year + step, month)) {
+                    return [];
+                }
+                return [toDateString(new Date(Date.UTC(year + step, month, day)))];
+            }
+        }
+    }
+
+    /**
+     * Walk the series in order, calling visit(date, index) for each
+     * generated date (skipped dates included) until it returns false
+     */
+    function walk(start, rule, fromHint, visit) {
+        // Without a count nothing before `fromHint` matters, so skip ahead
+        let period = 0;
+        if (!rule.count && fromHint > start) {
+            period = Math.max(0, Math.floor(periodsBetween(start, fromHint, rule) / rule.interval) - 1);
+        }
+
+        let index = 0;
+        for (let checked = 0; checked < MAX_PERIODS; checked++, period++) {
+            const dates = datesInPeriod(start, rule, period);
+            for (const date of dates) {
+                if (date < start) continue;
+                if (rule.until && date > rule.until) return;
+                if (rule.count && index >= rule.count) return;
+                if (visit(date, index++) === false) return;
+            }
+        }
+    }
+
+    const Recurrence = {
+        FREQUENCIES,
+        MONTHLY_MODES,
+        WEEKDAY_NAMES,
+
+        addDays,
+        getNthWeekday,
+        isValidDate,
+
+        /**
+         * Check whether an event repeats
+         */
+        isRecurring(event) {
+            return Boolean(event && event.recurrence && event.recurrence.freq);
+        },
+
+        /**
+         * Clean up a rule, dropping fields that don't apply to its frequency
+         * Returns null for "doesn't repeat".
+         */
+        normalize(rule) {
+            if (!rule || !rule.freq) {
+                return null;
+            }
+            const normalized = {
+                freq: rule.freq,
+                interval: Number(rule.interval) || 1,
+                until: rule.until || null,
+                count: rule.count ? Number(rule.count) : null,
+                exdates: [...new Set(rule.exdates || [])].sort()
+            };
+            if (rule.freq === 'weekly') {
+                normalized.byWeekday = [...new Set((rule.byWeekday || []).map(Number))].sort((a, b) => a - b);
+            }
+            if (rule.freq === 'monthly') {
+                normalized.monthlyBy = rule.monthlyBy === 'weekday' ? 'weekday' : 'monthday';
+            }
+            return normalized;
+        },
+
+        /**
+         * Validate a rule for a series starting on startDate
+         */
+        validate(rule, startDate) {
+            if (rule === undefined || rule === null) {
+                return { valid: true, message: '' };
+            }
+            if (typeof rule !== 'object' || !FREQUENCIES.includes(rule.freq)) {
+                return { valid: false, message: 'Repeat must be daily, weekly, monthly or yearly' };
+            }
+            const interval = rule.interval === undefined ? 1 : rule.interval;
+            if (!Number.isInteger(Number(interval)) || interval < 1 || interval > MAX_INTERVAL) {
+                return { valid: false, message: `Repeat interval must be between 1 and ${MAX_INTERVAL}` };
+            }
+            if (rule.byWeekday !== undefined && (!Array.isArray(rule.byWeekday)
+                || !rule.byWeekday.every(day => Number.isInteger(Number(day)) && day >= 0 && day <= 6))) {
+                return { valid: false, message: 'Invalid weekdays' };
+            }
+            if (rule.monthlyBy !== undefined && !MONTHLY_MODES.includes(rule.monthlyBy)) {
+                return { valid: false, message: 'Invalid monthly repeat option' };
+            }
+            if (rule.until && rule.count) {
+                return { valid: false, message: 'Choose an end date or a number of occurrences, not both' };
+            }
+            if (rule.until && !isValidDate(rule.until)) {
+                return { valid: false, message: 'Invalid repeat end date' };
+            }
+            if (rule.until && startDate && rule.until < startDate) {
+                return { valid: false, message: 'Repeat end date must be on or after the event date' };
+            }
+            if (rule.count && (!Number.isInteger(Number(rule.count)) || rule.count < 1 || rule.count > MAX_COUNT)) {
+                return { valid: false, message: `Number of occurrences must be between 1 and ${MAX_COUNT}` };
+            }
+            if (rule.exdates !== undefined && (!Array.isArray(rule.exdates) || !rule.exdates.every(isValidDate))) {
+                return { valid: false, message: 'Invalid skipped dates' };
+            }
+            return { valid: true, message: '' };
+        },
+
+        /**
+         * Occurrence dates of an event between two dates (inclusive)
+         * Non-recurring events have a single occurrence on their date.
+         */
+        getDates(event, from, to) {
+            if (!this.isRecurring(event)) {
+                return event.date >= from && event.date <= to ? [event.date] : [];
+            }
+
+            const rule = event.recurrence;
+            const exdates = new Set(rule.exdates || []);
+            const dates = [];
+
+            walk(event.date, rule, from, date => {
+                if (date > to) return false;
+                if (date >= from && !exdates.has(date)) {
+                    dates.push(date);
+                }
+                return true;
+            });
+            return dates;
+        },
+
+        /**
+         * Expand events into occurrences between two dates (inclusive)
+         * Each occurrence is a copy of its event with `date` set to the
+         * occurrence date; `id` stays the series id.
+         */
+        expand(events, from, to) {
+            return events.flatMap(event => this.getDates(event, from, to)
+                .map(date => (date === event.date ? event : { ...event, date })));
+        },
+
+        /**
+         * First occurrence date on or after a date, or null
+         */
+        getNextDate(event, from) {
+            if (!this.isRecurring(event)) {
+                return event.date >= from ? event.date : null;
+            }
+            const exdates = new Set(event.recurrence.exdates || []);
+            let next = null;
+
+            walk(event.date, event.recurrence, from, date => {
+                if (date >= from && !exdates.has(date)) {
+                    next = date;
+                    return false;
+                }
+                return true;
+            });
+            return next;
+        },
+
+        /**
+         * Last occurrence date before a date, or null
+         */
+        getPreviousDate(event, before) {
+            const dates = this.getDates(event, event.date, addDays(before, -1));
+            return dates.length ? dates[dates.length - 1] : null;
+        },
+
+        /**
+         * When an occurrence ends, given the local time it starts
+         * All-day events run until the next midnight and timed events until
+         * their end time. Timed events without one last OPEN_ENDED_MINUTES,
+         * so their at-start reminders still have a window to go out in.
+         */
+        getEnd(occurrence, start) {
+            const end = new Date(start.getTime());
+            if (occurrence.allDay !== false) {
+                end.setDate(end.getDate() + 1);
+            } else if (occurrence.endTime) {
+                const [hours, minutes] = occurrence.endTime.split(':').map(Number);
+                end.setHours(hours, minutes, 0, 0);
+            } else {
+                end.setMinutes(end.getMinutes() + OPEN_ENDED_MINUTES);
+            }
+            return end;
+        },
+
+        /**
+         * Split a series at an occurrence for "this and future occurrences"
+         * Returns the rule that ends the original series the day before and
+         * the rule for a new series starting on `date`.
+         */
+        split(event, date) {
+            const rule = event.recurrence;
+            let generatedBefore = 0;
+
+            walk(event.date, rule, event.date, current => {
+                if (current >= date) return false;
+                generatedBefore++;
+                return true;
+            });
+
+            return {
+                head: {
+                    ...rule,
+                    until: addDays(date, -1),
+                    count: null,
+                    exdates: (rule.exdates || []).filter(exdate => exdate < date)
+                },
+                tail: {
+                    ...rule,
+                    count: rule.count ? Math.max(1, rule.count - generatedBefore) : null,
+                    exdates: (rule.exdates || []).filter(exdate => exdate >= date)
+                }
+            };
+        },
+
+        /**
+         * Describe a rule (e.g., "Every 2 weeks on Mon, Wed until Mar 4, 2027")
+         */
+        describe(rule, startDate) {
+            if (!rule || !rule.freq) {
+                return 'Does not repeat';
+            }
+
+            const unit = UNITS[rule.freq];
+            let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+
+            if (rule.freq === 'weekly' && rule.byWeekday && rule.byWeekday.length) {
+                text += ` on ${rule.byWeekday.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+            }
+            if (rule.freq === 'monthly' && startDate) {
+                if (rule.monthlyBy === 'weekday') {
+                    const { weekday, nth } = getNthWeekday(startDate);
+                    text += ` on the ${ORDINALS[nth]} ${WEEKDAY_LONG_NAMES[weekday]}`;
+                } else {
+                    text += ` on day ${toUTC(startDate).getUTCDate()}`;
+                }
+            }
+
+            if (rule.until) {
+                const until = toUTC(rule.until).toLocaleDateString('en-US', {
+                    year: 'numeric',
+                    month: 'short',
+                    day: 'numeric',
+                    timeZone: 'UTC'
+                });
+                text += ` until ${until}`;
+            } else if (rule.count) {
+                text += rule.count === 1 ? ', once' : `, ${rule.count} times`;
+            }
+            return text;
+        },
+
+        /**
+         * Describe a nth weekday option (e.g., "the second Tuesday")
+         */
+        describeNthWeekday(dateString) {
+            const { weekday, nth } = getNthWeekday(dateString);
+            return `the ${ORDINALS[nth]} ${WEEKDAY_LONG_NAMES[weekday]}`;
+        }
+    };
+
+    return Recurrence;
+}));
@@ -1,6 +1,11 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const Api = require('./server/api');
+const CalendarFeed = require('./server/calendar-feed');
+const Rsvp = require('./server/rsvp');
+const Store = require('./server/store');
+const Scheduler = require('./server/scheduler');
 
 const PORT = process.env.PORT || 8000;
 const HOST = '127.0.0.1'; // Changed to 127.0.0.1 for better Windows compatibility
@@ -21,18 +26,54 @@ const mimeTypes = {
     '.ttf': 'font/ttf'
 };
 
+// Files and directories that must never be served as static files
+const PRIVATE_PATHS = ['data', 'server', '.git', 'config.json'];
+
 const server = http.createServer((req, res) => {
     const timestamp = new Date().toLocaleTimeString();
-    console.log(`[${timestamp}] ${req.method} ${req.url}`);
+    console.log(`[${timestamp}] ${req.method} ${CalendarFeed.redact(req.url)}`);
     
-    let filePath = '.' + req.url;
+    // Only the path and query are used, so a fixed base keeps a bad Host header from mattering
+    let url;
+    try {
+        url = new URL(req.url, `http://${HOST}`);
+    } catch (error) {
+        console.log('   └─ 400 Bad Request: malformed URL');
+        res.writeHead(400, { 'Content-Type': 'text/html' });
+        res.end('<h1>400 - Bad Request</h1>', 'utf-8');
+        return;
+    }
+
+    // JSON API
+    if (Api.handles(url.pathname)) {
+        Api.handle(req, res, url);
+        return;
+    }
+
+    // Subscribable calendar feed
+    if (CalendarFeed.handles(url.pathname)) {
+        CalendarFeed.handle(req, res, url);
+        return;
+    }
+
+    // Attendees answering event invitations
+    if (Rsvp.handles(url.pathname)) {
+        Rsvp.handle(req, res, url);
+        return;
+    }
+
+    let filePath = '.' + url.pathname;
     if (filePath === './') {
         filePath = './index.html';
     }
 
-    // Prevent directory traversal attacks
+    // Prevent directory traversal attacks and keep server files private
     const absolutePath = path.resolve(__dirname, filePath);
-    if (!absolutePath.startsWith(__dirname)) {
+    const isPrivate = PRIVATE_PATHS.some(entry => {
+        const privatePath = path.join(__dirname, entry);
+        return absolutePath === privatePath || absolutePath.startsWith(privatePath + path.sep);
+    });
+    if (!absolutePath.startsWith(__dirname) || isPrivate) {
         res.writeHead(403, { 'Content-Type': 'text/html' });
         res.end('<h1>403 - Forbidden</h1>', 'utf-8');
         return;
@@ -97,11 +138,21 @@ server.listen(PORT, HOST, () => {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('📝 Request Log:\n');
     console.log('Press Ctrl+C to stop the server\n');
+
+    // Load (and migrate) stored data up front so problems surface at startup,
+    // then start sending reminders
+    Store.load()
+        .then(() => Scheduler.start())
+        .catch(error => {
+            console.error('❌ Failed to load stored data:', error.message);
+            process.exit(1);
+        });
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n\n🛑 Shutting down server...');
+    Scheduler.stop();
     server.close(() => {
         console.log('✅ Server closed successfully');
         process.exit(0);
@@ -110,6 +161,7 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
     console.log('\n\n🛑 Server terminated');
+    Scheduler.stop();
     server.close(() => {
         process.exit(0);
     });
@@ -0,0 +1,174 @@
+/**
+ * JSON API dispatcher
+ *
+ * Matches /api/* requests against the route table and takes care of
+ * body parsing, JSON responses and error reporting for every handler.
+ * Routes need a signed-in user unless they are marked `public`; the
+ * user is passed to the handler, which only touches that user's data.
+ */
+
+const Auth = require('./auth');
+const { HttpError } = require('./errors');
+const Store = require('./store');
+const authRoutes = require('./routes/auth');
+const calendarRoutes = require('./routes/calendars');
+const categoryRoutes = require('./routes/categories');
+const eventRoutes = require('./routes/events');
+const syncRoutes = require('./routes/sync');
+const notificationRoutes = require('./routes/notifications');
+const feedRoutes = require('./routes/feeds');
+const backupRoutes = require('./routes/backups');
+const webhookRoutes = require('./routes/webhooks');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+
+const routes = [
+    ...authRoutes,
+    ...categoryRoutes,
+    ...calendarRoutes,
+    ...eventRoutes,
+    ...syncRoutes,
+    ...notificationRoutes,
+    ...feedRoutes,
+    ...backupRoutes,
+    ...webhookRoutes
+];
+
+const Api = {
+    PREFIX: '/api/',
+
+    /**
+     * Check whether a pathname belongs to the API
+     */
+    handles(pathname) {
+        return pathname.startsWith(this.PREFIX);
+    },
+
+    /**
+     * Dispatch a request to the matching route handler
+     */
+    async handle(req, res, url) {
+        try {
+            let pathMatched = false;
+
+            for (const route of routes) {
+                const match = url.pathname.match(route.path);
+                if (!match) continue;
+
+                pathMatched = true;
+                if (route.method !== req.method) continue;
+
+                const user = route.public ? null : await this.authenticate(req);
+                const body = ['POST', 'PUT', 'PATCH'].includes(req.method)
+                    ? await this.readJsonBody(req)
+                    : null;
+
+                let params;
+                try {
+                    params = match.slice(1).map(decodeURIComponent);
+                } catch (error) {
+                    throw new HttpError(400, 'Malformed URL');
+                }
+
+                const result = await route.handler({
+                    params,
+                    query: url.searchParams,
+                    body,
+                    user,
+                    req
+                });
+
+                this.sendJson(res, result.status || 200, result.body, result.headers);
+                return;
+            }
+
+            if (pathMatched) {
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+            throw new HttpError(404, 'Not found');
+        } catch (error) {
+            if (error instanceof HttpError) {
+                console.log(`   └─ ${error.status} ${error.message}`);
+                this.sendJson(res, error.status, { error: error.message, ...(error.details && { errors: error.details }) });
+            } else {
+                console.error('   └─ 500 API Error:', error);
+                this.sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    },
+
+    /**
+     * Find the signed-in user or reject the request
+     */
+    async authenticate(req) {
+        const user = Auth.authenticate(await Store.load(), req);
+        if (!user) {
+            throw new HttpError(401, 'Sign in required');
+        }
+        return user;
+    },
+
+    /**
+     * Read and parse a JSON request body
+     */
+    readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_SIZE) {
+                    reject(new HttpError(413, 'Request body too large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                const raw = Buffer.concat(chunks).toString('utf-8');
+                if (!raw) {
+                    resolve({});
+                    return;
+                }
+                let parsed;
+                try {
+                    parsed = JSON.parse(raw);
+                } catch (error) {
+                    reject(new HttpError(400, 'Request body must be valid JSON'));
+                    return;
+                }
+                if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                    reject(new HttpError(400, 'Request body must be a JSON object'));
+                    return;
+                }
+                resolve(parsed);
+            });
+
+            req.on('error', reject);
+        });
+    },
+
+    /**
+     * Write a JSON response (with extra headers such as Set-Cookie)
+     */
+    sendJson(res, status, body, headers = {}) {
+        if (status === 204 || body === undefined) {
+            res.writeHead(status, { 'Cache-Control': 'no-store', ...headers });
+            res.end();
+            return;
+        }
+
+        const payload = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(payload),
+            'Cache-Control': 'no-store',
+            ...headers
+        });
+        res.end(payload, 'utf-8');
+    }
+};
+
+module.exports = Api;
@@ -0,0 +1,244 @@
+/**
+ * User accounts and sessions
+ *
+ * Passwords are stored as salted scrypt hashes. Signing in creates a
+ * session whose random token goes to the browser in an HttpOnly cookie;
+ * only a SHA-256 hash of the token is stored, so a leaked store.json
+ * can't be used to take over sessions.
+ *
+ * Events, tombstones, feeds and delivery records carry the id of the
+ * user they belong to (ownerId / userId), and each user record holds
+ * that user's notification settings and categories. Data stored before
+ * accounts existed has no owner and is claimed by the first account
+ * registered, so upgrading a single-user install keeps everything.
+ */
+
+const crypto = require('crypto');
+const Config = require('./config');
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const TOKEN_BYTES = 32;
+const COOKIE_NAME = 'session';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 200;
+const NAME_MAX_LENGTH = 100;
+
+/**
+ * scrypt as a promise
+ */
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+}
+
+/**
+ * SHA-256 of a session token (what the store keeps)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const Auth = {
+    COOKIE_NAME,
+    EMAIL_PATTERN,
+
+    /**
+     * Settings a new account starts with
+     * notificationEmail null means "send to the account's email".
+     */
+    DEFAULT_SETTINGS: {
+        notificationEmail: null,
+        emailNotifications: true,
+        defaultReminders: [0],
+        // Channels reminders go out on unless an event says otherwise
+        channels: ['email', 'browser', 'in-app', 'webhook']
+    },
+
+    /**
+     * Generate unique ID for users
+     */
+    generateId() {
+        return `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    },
+
+    /**
+     * Lower-case and trim an email so addresses compare reliably
+     */
+    normalizeEmail(email) {
+        return typeof email === 'string' ? email.trim().toLowerCase() : '';
+    },
+
+    /**
+     * Check registration or sign-in input
+     * Returns an errors object (empty when valid).
+     */
+    validateCredentials({ email, password, name }, { registering = false } = {}) {
+        const errors = {};
+
+        if (!EMAIL_PATTERN.test(this.normalizeEmail(email))) {
+            errors.email = 'Enter a valid email address';
+        }
+        if (typeof password !== 'string' || password.length === 0) {
+            errors.password = 'Password is required';
+        } else if (registering && password.length < PASSWORD_MIN_LENGTH) {
+            errors.password = `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+        } else if (password.length > PASSWORD_MAX_LENGTH) {
+            errors.password = `Password must not exceed ${PASSWORD_MAX_LENGTH} characters`;
+        }
+        if (registering && name !== undefined && name !== null
+            && (typeof name !== 'string' || name.trim().length > NAME_MAX_LENGTH)) {
+            errors.name = `Name must be text of at most ${NAME_MAX_LENGTH} characters`;
+        }
+
+        return errors;
+    },
+
+    /**
+     * Hash a password as "scrypt:<salt>:<key>" (hex)
+     */
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(SALT_BYTES);
+        const key = await scrypt(password, salt);
+        return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+    },
+
+    /**
+     * Check a password against a stored hash (in constant time)
+     * Without a stored hash a throwaway one is still computed, so unknown
+     * emails take as long to reject as wrong passwords.
+     */
+    async verifyPassword(password, stored) {
+        const [scheme, salt, key] = (stored || `scrypt:${'0'.repeat(SALT_BYTES * 2)}:`).split(':');
+        const derived = await scrypt(password, Buffer.from(salt, 'hex'));
+        const expected = Buffer.from(key, 'hex');
+        return scheme === 'scrypt' && expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+    },
+
+    /**
+     * The parts of a user record the browser may see
+     */
+    toPublicUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            createdAt: user.createdAt
+        };
+    },
+
+    /**
+     * Add a user to the document (call inside Store.update())
+     * The first account takes over data stored before accounts existed.
+     */
+    addUser(data, { email, name, passwordHash }) {
+        const user = {
+            id: this.generateId(),
+            email: this.normalizeEmail(email),
+            name: typeof name === 'string' && name.trim() ? name.trim() : null,
+            passwordHash,
+            settings: { ...this.DEFAULT_SETTINGS },
+            // null until the browser first uploads its categories
+            categories: null,
+            createdAt: new Date().toISOString()
+        };
+
+        if (data.unclaimed) {
+            this.claimUnowned(data, user);
+        }
+        data.users.push(user);
+        return user;
+    },
+
+    /**
+     * Give unowned data (from before accounts existed) to a user
+     */
+    claimUnowned(data, user) {
+        user.settings = { ...this.DEFAULT_SETTINGS, ...data.unclaimed.settings };
+        data.events.forEach(event => { if (!event.ownerId) event.ownerId = user.id; });
+        data.tombstones.forEach(tombstone => { if (!tombstone.ownerId) tombstone.ownerId = user.id; });
+        data.feeds.forEach(feed => { if (!feed.ownerId) feed.ownerId = user.id; });
+        data.deliveries.forEach(record => { if (!record.userId) record.userId = user.id; });
+        delete data.unclaimed;
+        console.log(`👤 ${user.email} took over the data stored before accounts were enabled`);
+    },
+
+    /**
+     * Start a session for a user (call inside Store.update())
+     * Returns the token for the cookie; expired sessions are dropped on the way.
+     */
+    createSession(data, userId, now = new Date()) {
+        const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+        data.sessions = data.sessions.filter(session => new Date(session.expiresAt) > now);
+        data.sessions.push({
+            id: hashToken(token),
+            userId,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + Config.auth.sessionTtlMs).toISOString()
+        });
+        return token;
+    },
+
+    /**
+     * End the session a token belongs to (call inside Store.update())
+     */
+    deleteSession(data, token) {
+        if (!token) return;
+        const id = hashToken(token);
+        data.sessions = data.sessions.filter(session => session.id !== id);
+    },
+
+    /**
+     * Read the session token from a request's cookies
+     * A value that isn't valid percent-encoding can't be one of our
+     * tokens, so the request is treated as signed out.
+     */
+    getToken(req) {
+        const header = req.headers.cookie || '';
+        const cookie = header.split(';')
+            .map(part => part.trim().split('='))
+            .find(([name]) => name === COOKIE_NAME);
+        if (!cookie) return null;
+
+        try {
+            return decodeURIComponent(cookie.slice(1).join('='));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Find the signed-in user for a request, or null
+     */
+    authenticate(data, req, now = new Date()) {
+        const token = this.getToken(req);
+        if (!token) return null;
+
+        const id = hashToken(token);
+        const session = data.sessions.find(item => item.id === id);
+        if (!session || new Date(session.expiresAt) <= now) return null;
+
+        return data.users.find(user => user.id === session.userId) || null;
+    },
+
+    /**
+     * Set-Cookie header for a new session (or clearing one with no token)
+     */
+    sessionCookie(token) {
+        const attributes = [
+            `${COOKIE_NAME}=${token ? encodeURIComponent(token) : ''}`,
+            'Path=/',
+            'HttpOnly',
+            'SameSite=Lax',
+            `Max-Age=${token ? Math.floor(Config.auth.sessionTtlMs / 1000) : 0}`
+        ];
+        if (Config.auth.secureCookies) {
+            attributes.push('Secure');
+        }
+        return attributes.join('; ');
+    }
+};
+
+module.exports = Auth;
@@ -0,0 +1,129 @@
+/**
+ * Server copies of the app's backup snapshots
+ *
+ * The browser takes rolling snapshots of its events, categories and
+ * settings (BackupManager in app.js) and uploads each one here, so a
+ * snapshot survives the browser's storage being cleared. Each user's
+ * snapshots live in data/backups/<user id>/, one file per snapshot
+ * (written atomically, like the store), and only the newest MAX_BACKUPS
+ * are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Store = require('./store');
+
+const BACKUP_DIR = path.join(Store.DATA_DIR, 'backups');
+const ID_PATTERN = /^backup_\d+_[a-z0-9]+$/;
+const MAX_BACKUPS = 30;
+
+const Backups = {
+    MAX_BACKUPS,
+
+    /**
+     * Check that an id is a backup id (and so a safe file name)
+     */
+    isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    },
+
+    /**
+     * Folder holding a user's snapshots
+     */
+    userDir(userId) {
+        return path.join(BACKUP_DIR, userId);
+    },
+
+    /**
+     * Path of a snapshot file
+     */
+    filePath(userId, id) {
+        return path.join(this.userDir(userId), `${id}.json`);
+    },
+
+    /**
+     * Summary of a snapshot for listings (everything but the data)
+     */
+    summarize(snapshot) {
+        return {
+            id: snapshot.id,
+            createdAt: snapshot.createdAt,
+            reason: snapshot.reason,
+            eventCount: snapshot.events.length,
+            categoryCount: snapshot.categories.length
+        };
+    },
+
+    /**
+     * List snapshot ids in a folder
+     */
+    async listIds(dir) {
+        let files;
+        try {
+            files = await fs.promises.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .filter(id => this.isValidId(id));
+    },
+
+    /**
+     * List a user's snapshots, newest first
+     */
+    async list(userId) {
+        const ids = await this.listIds(this.userDir(userId));
+        const snapshots = await Promise.all(ids.map(id => this.get(userId, id)));
+
+        return snapshots
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    /**
+     * Read one of a user's snapshots (null if missing or unreadable)
+     */
+    async get(userId, id) {
+        if (!this.isValidId(id)) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(userId, id), 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Backup ${id} is unreadable:`, error.message);
+            }
+            return null;
+        }
+    },
+
+    /**
+     * Store a user's snapshot and drop their oldest beyond MAX_BACKUPS
+     */
+    async save(userId, snapshot) {
+        await fs.promises.mkdir(this.userDir(userId), { recursive: true });
+
+        const target = this.filePath(userId, snapshot.id);
+        const tempFile = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(snapshot), 'utf-8');
+        await fs.promises.rename(tempFile, target);
+
+        const snapshots = await this.list(userId);
+        await Promise.all(snapshots.slice(MAX_BACKUPS).map(old => fs.promises.unlink(this.filePath(userId, old.id)).catch(() => {})));
+        return this.summarize(snapshot);
+    },
+
+    /**
+     * Move snapshots stored before accounts existed to the account that claimed the data
+     */
+    async claimLegacy(userId) {
+        const ids = await this.listIds(BACKUP_DIR);
+        if (ids.length === 0) return;
+
+        await fs.promises.mkdir(this.userDir(userId), { recursive: true });
+        await Promise.all(ids.map(id => fs.promises.rename(path.join(BACKUP_DIR, `${id}.json`), this.filePath(userId, id))));
+    }
+};
+
+module.exports = Backups;
@@ -0,0 +1,166 @@
+/**
+ * Subscribable iCalendar feed
+ *
+ * Serves GET /calendar.ics?token=<token> (also reachable as webcal://)
+ * so calendar apps can subscribe to the stored events and pick up
+ * changes on their own. Each feed has its own unguessable token, serves
+ * the events the user who created it can see (including their shared
+ * calendars) and can be limited to one category; feeds are managed
+ * through /api/feeds.
+ */
+
+const crypto = require('crypto');
+const Calendars = require('./calendars');
+const EventModel = require('./event-model');
+const Store = require('./store');
+const ICal = require('../ical');
+
+const TOKEN_BYTES = 24;
+// Calendar apps poll every few minutes; lastAccessedAt only needs to be roughly right
+const ACCESS_RECORD_INTERVAL = 60 * 60 * 1000;
+
+const CalendarFeed = {
+    PATH: '/calendar.ics',
+
+    /**
+     * Check whether a pathname is the feed
+     */
+    handles(pathname) {
+        return pathname === this.PATH;
+    },
+
+    /**
+     * Generate a new feed token
+     */
+    generateToken() {
+        return crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    },
+
+    /**
+     * Find the feed a token belongs to
+     * Tokens are compared in constant time so they can't be guessed byte by byte.
+     */
+    findByToken(feeds, token) {
+        if (typeof token !== 'string' || token.length === 0) {
+            return null;
+        }
+        const given = Buffer.from(token);
+        return feeds.find(feed => {
+            const expected = Buffer.from(feed.token);
+            return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+        }) || null;
+    },
+
+    /**
+     * Hide feed tokens in logged URLs
+     */
+    redact(url) {
+        return url.replace(/([?&]token=)[^&]+/, '$1…');
+    },
+
+    /**
+     * Build the calendar for a feed from its owner's events
+     */
+    render(feed, data) {
+        const owner = data.users.find(user => user.id === feed.ownerId);
+        const events = data.events.filter(event => Calendars.canView(data, event, feed.ownerId)
+            && (!feed.categoryId || event.categoryId === feed.categoryId));
+
+        return ICal.stringify(events, {
+            name: feed.name,
+            getReminders: event => EventModel.getReminderOffsets(event, owner && owner.settings),
+            getCategoryName: event => (feed.categoryId && event.categoryId === feed.categoryId ? feed.categoryName : null)
+        });
+    },
+
+    /**
+     * Version tag for a feed's calendar
+     * Covers everything render() reads: stored changes bump the revision,
+     * but the owner's settings (default reminders), their calendar
+     * memberships and the feed's own options don't.
+     */
+    getEtag(feed, data) {
+        const owner = data.users.find(user => user.id === feed.ownerId);
+        const calendarIds = data.calendars
+            .filter(calendar => Calendars.getRole(data, calendar.id, feed.ownerId))
+            .map(calendar => calendar.id);
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify([
+                data.revision || 0,
+                feed.name,
+                feed.categoryId,
+                feed.categoryName,
+                owner ? owner.settings : null,
+                calendarIds
+            ]))
+            .digest('hex')
+            .slice(0, 16);
+        return `"${feed.id}-${hash}"`;
+    },
+
+    /**
+     * Note when a feed was last fetched, at most once per ACCESS_RECORD_INTERVAL
+     */
+    async recordAccess(feed) {
+        const lastAccessed = feed.lastAccessedAt ? new Date(feed.lastAccessedAt).getTime() : 0;
+        if (Date.now() - lastAccessed < ACCESS_RECORD_INTERVAL) {
+            return;
+        }
+        await Store.update(draft => {
+            const stored = draft.feeds.find(item => item.id === feed.id);
+            if (stored) stored.lastAccessedAt = new Date().toISOString();
+        });
+    },
+
+    /**
+     * Serve a feed request
+     * Unknown tokens get a plain 404 so feed URLs can't be probed.
+     */
+    async handle(req, res, url) {
+        try {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.writeHead(405, { 'Allow': 'GET, HEAD' });
+                res.end();
+                return;
+            }
+
+            const data = await Store.load();
+            const feed = this.findByToken(data.feeds, url.searchParams.get('token'));
+            if (!feed) {
+                console.log('   └─ 404 Unknown calendar feed');
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Calendar feed not found');
+                return;
+            }
+
+            const etag = this.getEtag(feed, data);
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304, { 'ETag': etag });
+                res.end();
+                await this.recordAccess(feed);
+                return;
+            }
+
+            const calendar = this.render(feed, data);
+            res.writeHead(200, {
+                'Content-Type': `${ICal.MIME_TYPE}; charset=utf-8`,
+                'Content-Length': Buffer.byteLength(calendar),
+                'Content-Disposition': 'inline; filename="calendar.ics"',
+                'Cache-Control': 'no-cache',
+                'ETag': etag
+            });
+            res.end(req.method === 'HEAD' ? undefined : calendar, 'utf-8');
+            console.log(`   └─ 200 Calendar feed "${feed.name}"`);
+
+            await this.recordAccess(feed);
+        } catch (error) {
+            console.error('   └─ 500 Calendar feed error:', error);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            }
+            res.end('Internal server error');
+        }
+    }
+};
+
+module.exports = CalendarFeed;
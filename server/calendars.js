@@ -0,0 +1,181 @@
+/**
+ * Shared calendars and who may do what in them
+ *
+ * Events without a calendarId are personal and only their owner sees
+ * them. Events in a shared calendar are visible to all of its members:
+ * - owner:  manages the calendar (rename, invite, change roles, delete)
+ * - editor: adds, changes and deletes events
+ * - viewer: sees events only
+ *
+ * People are invited by email, so invitations can wait for someone to
+ * create an account. The email carries a single-use link with the
+ * invitation's token, and only that token accepts it: account emails
+ * aren't verified, so matching on them would let anyone who registers
+ * with the invitee's address join. Each member chooses whether the calendar's
+ * reminders reach them (subscribed); those that do are sent according
+ * to the member's own notification settings.
+ */
+
+const crypto = require('crypto');
+
+const INVITATION_TOKEN_BYTES = 24;
+const ROLES = ['owner', 'editor', 'viewer'];
+const EDIT_ROLES = ['owner', 'editor'];
+
+const Calendars = {
+    ROLES,
+    // Roles that can be given out (ownership stays with the creator)
+    INVITE_ROLES: ['editor', 'viewer'],
+
+    /**
+     * Generate unique ID for calendars
+     */
+    generateId() {
+        return `cal_${crypto.randomBytes(8).toString('hex')}`;
+    },
+
+    /**
+     * Generate the secret an invitation is accepted with
+     */
+    generateInvitationToken() {
+        return crypto.randomBytes(INVITATION_TOKEN_BYTES).toString('hex');
+    },
+
+    /**
+     * Find the calendar and invitation a token belongs to, or null
+     * Tokens are compared in constant time so they can't be guessed byte by byte.
+     */
+    findInvitation(data, token) {
+        if (typeof token !== 'string' || token.length === 0) {
+            return null;
+        }
+        const given = Buffer.from(token);
+        for (const calendar of data.calendars) {
+            const invitation = calendar.invitations.find(item => {
+                // Invitations sent before links existed have no token and can only be sent again
+                const expected = Buffer.from(item.token || '');
+                return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+            });
+            if (invitation) {
+                return { calendar, invitation };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Find a user's membership of a calendar, or null
+     */
+    getMember(data, calendarId, userId) {
+        const calendar = data.calendars.find(item => item.id === calendarId);
+        return (calendar && calendar.members.find(member => member.userId === userId)) || null;
+    },
+
+    /**
+     * A user's role in a calendar (null when not a member)
+     */
+    getRole(data, calendarId, userId) {
+        const member = this.getMember(data, calendarId, userId);
+        return member ? member.role : null;
+    },
+
+    /**
+     * Whether a user may add or change events in a calendar (null: personal events)
+     */
+    canEditCalendar(data, calendarId, userId) {
+        return !calendarId || EDIT_ROLES.includes(this.getRole(data, calendarId, userId));
+    },
+
+    /**
+     * Whether a user sees an event (or tombstone)
+     */
+    canView(data, item, userId) {
+        return item.calendarId
+            ? this.getRole(data, item.calendarId, userId) !== null
+            : item.ownerId === userId;
+    },
+
+    /**
+     * Whether a user may change or delete an event
+     */
+    canEdit(data, item, userId) {
+        return item.calendarId
+            ? this.canEditCalendar(data, item.calendarId, userId)
+            : item.ownerId === userId;
+    },
+
+    /**
+     * IDs of the users who see an event (or tombstone)
+     */
+    getViewerIds(data, item) {
+        if (!item.calendarId) {
+            return [item.ownerId];
+        }
+        const calendar = data.calendars.find(calendarItem => calendarItem.id === item.calendarId);
+        return calendar ? calendar.members.map(member => member.userId) : [];
+    },
+
+    /**
+     * Users who get an event's reminders
+     * Personal events remind their owner; shared ones every subscribed member.
+     */
+    getRecipients(data, event, usersById) {
+        if (!event.calendarId) {
+            return usersById.has(event.ownerId) ? [usersById.get(event.ownerId)] : [];
+        }
+        const calendar = data.calendars.find(item => item.id === event.calendarId);
+        if (!calendar) return [];
+
+        return calendar.members
+            .filter(member => member.subscribed && usersById.has(member.userId))
+            .map(member => usersById.get(member.userId));
+    },
+
+    /**
+     * A calendar as one of its members sees it
+     * Members are listed with their email; only the owner sees pending invitations.
+     */
+    toPublic(calendar, userId, data) {
+        const me = calendar.members.find(member => member.userId === userId);
+        const usersById = new Map(data.users.map(user => [user.id, user]));
+
+        return {
+            id: calendar.id,
+            name: calendar.name,
+            color: calendar.color,
+            role: me.role,
+            subscribed: me.subscribed,
+            members: calendar.members.map(member => {
+                const user = usersById.get(member.userId);
+                return {
+                    userId: member.userId,
+                    email: user ? user.email : null,
+                    name: user ? user.name : null,
+                    role: member.role,
+                    joinedAt: member.joinedAt
+                };
+            }),
+            invitations: me.role === 'owner'
+                ? calendar.invitations.map(({ token, ...invitation }) => invitation)
+                : [],
+            createdAt: calendar.createdAt
+        };
+    },
+
+    /**
+     * An invitation as the person holding its link sees it
+     */
+    toInvitation(data, calendar, invitation) {
+        const inviter = data.users.find(item => item.id === invitation.invitedBy);
+        return {
+            calendarId: calendar.id,
+            name: calendar.name,
+            color: calendar.color,
+            role: invitation.role,
+            invitedBy: inviter ? inviter.email : null,
+            invitedAt: invitation.invitedAt
+        };
+    }
+};
+
+module.exports = Calendars;
@@ -0,0 +1,20 @@
+/**
+ * Desktop notification channel
+ *
+ * Raised by the app (BrowserNotificationManager in app.js) while it is
+ * open, on devices where desktop notifications are allowed. The app
+ * reports each one to POST /api/deliveries for the delivery history.
+ */
+
+/**
+ * Create the desktop notification channel
+ */
+function createBrowserChannel() {
+    return {
+        id: 'browser',
+        label: 'Desktop notification',
+        runsOn: 'browser'
+    };
+}
+
+module.exports = { createBrowserChannel };
@@ -0,0 +1,26 @@
+/**
+ * Email channel
+ *
+ * Sends reminders through the Notifier to the recipient's notification
+ * address. Nothing is sent while the recipient has email notifications
+ * turned off.
+ */
+
+const Notifier = require('../notifier');
+
+/**
+ * Create the email channel
+ */
+function createEmailChannel() {
+    return {
+        id: 'email',
+        label: 'Email',
+        runsOn: 'server',
+
+        send(reminder) {
+            return Notifier.sendEventReminder(reminder.occurrence, reminder.user);
+        }
+    };
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,20 @@
+/**
+ * In-app channel
+ *
+ * Shown inside the app, with Snooze and Dismiss, while it is open. Like
+ * desktop notifications it works offline and is reported back to
+ * POST /api/deliveries once raised.
+ */
+
+/**
+ * Create the in-app channel
+ */
+function createInAppChannel() {
+    return {
+        id: 'in-app',
+        label: 'In-app',
+        runsOn: 'browser'
+    };
+}
+
+module.exports = { createInAppChannel };
@@ -0,0 +1,75 @@
+/**
+ * Notification channels
+ *
+ * Reminders go out on channels. Each channel has an `id`, a `label` and
+ * says where it `runsOn`:
+ * - server channels are sent by the scheduler through `send(reminder)`,
+ *   which resolves to { sent: true, ...details } or { sent: false, reason }
+ *   and throws when sending failed (the scheduler retries with backoff);
+ * - browser channels are raised by the app while it is open, and the app
+ *   reports each attempt to POST /api/deliveries.
+ * A channel that hands reminders to a queue of its own answers
+ * { sent: true, queued: true } and reads the outcome back in
+ * `resolve(record, data)`.
+ *
+ * Which channels a reminder uses comes from EventModel.getReminderChannels:
+ * the event's override for that offset, else the recipient's preferences.
+ * To add a channel, create its module here, list it below and add its id
+ * to EventModel.CHANNELS.
+ */
+
+const EventModel = require('../event-model');
+const { createEmailChannel } = require('./email');
+const { createBrowserChannel } = require('./browser');
+const { createInAppChannel } = require('./in-app');
+const { createWebhookChannel } = require('./webhook');
+
+const CHANNELS = [
+    createEmailChannel(),
+    createBrowserChannel(),
+    createInAppChannel(),
+    createWebhookChannel()
+];
+
+const Channels = {
+    /**
+     * Describe the channels for clients
+     */
+    list() {
+        return CHANNELS.map(({ id, label, runsOn }) => ({ id, label, runsOn }));
+    },
+
+    /**
+     * Find a channel by id
+     */
+    get(id) {
+        return CHANNELS.find(channel => channel.id === id) || null;
+    },
+
+    /**
+     * Server channels a reminder is sent on
+     */
+    getServerChannels(reminder) {
+        const ids = EventModel.getReminderChannels(reminder.occurrence, reminder.offset, reminder.user.settings);
+        return CHANNELS.filter(channel => channel.runsOn === 'server' && ids.includes(channel.id));
+    },
+
+    /**
+     * A delivery record as it appears in the delivery history
+     */
+    toHistoryEntry(record, data) {
+        const channel = this.get(record.channel);
+        const entry = channel && channel.resolve && record.status === 'queued'
+            ? channel.resolve(record, data)
+            : record;
+        const event = data.events.find(item => item.id === record.eventId);
+
+        return {
+            ...entry,
+            channelLabel: channel ? channel.label : record.channel,
+            eventTitle: event ? event.title : null
+        };
+    }
+};
+
+module.exports = Channels;
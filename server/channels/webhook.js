@@ -0,0 +1,81 @@
+/**
+ * Webhook channel
+ *
+ * Hands reminders to the recipient's "reminder.due" webhooks. The webhook
+ * queue (server/webhooks.js) makes the requests and retries them, so a
+ * reminder only gets queued here; its outcome is read back from the
+ * queued deliveries when the history is shown.
+ */
+
+const EventModel = require('../event-model');
+const Store = require('../store');
+const Webhooks = require('../webhooks');
+
+/**
+ * Create the webhook channel
+ */
+function createWebhookChannel() {
+    return {
+        id: 'webhook',
+        label: 'Webhooks',
+        runsOn: 'server',
+
+        async send(reminder) {
+            const userIds = [reminder.user.id];
+            // One delivery per webhook and due time, even if the record is lost
+            const dedupeKey = `reminder:${reminder.user.id}:${reminder.key}:${reminder.dueAt.toISOString()}`;
+
+            if (Webhooks.getTargets(await Store.load(), 'reminder.due', userIds, dedupeKey).length === 0) {
+                return { sent: false, reason: 'no-webhooks' };
+            }
+
+            const deliveryIds = await Store.update(data => {
+                const before = data.webhookDeliveries.length;
+                Webhooks.enqueue(data, 'reminder.due', {
+                    event: EventModel.toPublic(reminder.occurrence),
+                    reminder: {
+                        occurrenceDate: reminder.occurrence.date,
+                        offset: reminder.offset,
+                        dueAt: reminder.dueAt.toISOString()
+                    }
+                }, userIds, { dedupeKey });
+                return data.webhookDeliveries.slice(before).map(delivery => delivery.id);
+            });
+
+            return { sent: true, queued: true, deliveryIds };
+        },
+
+        /**
+         * Fill in a queued record from the webhook deliveries it became
+         * Failed as soon as one webhook gave up, sent once all delivered.
+         */
+        resolve(record, data) {
+            const deliveries = data.webhookDeliveries.filter(delivery => (record.deliveryIds || []).includes(delivery.id));
+            if (deliveries.length === 0) {
+                return record;
+            }
+
+            const failed = deliveries.find(delivery => delivery.status === 'failed');
+            const retrying = deliveries.find(delivery => delivery.status === 'pending' && delivery.error);
+            const attempted = deliveries.filter(delivery => delivery.lastAttemptAt);
+            let status = 'queued';
+            if (failed) {
+                status = 'failed';
+            } else if (deliveries.every(delivery => delivery.status === 'delivered')) {
+                status = 'sent';
+            }
+
+            return {
+                ...record,
+                status,
+                error: (failed || retrying || {}).error || null,
+                attempts: Math.max(0, ...deliveries.map(delivery => delivery.attempts)),
+                lastAttemptAt: attempted.length
+                    ? attempted.map(delivery => delivery.lastAttemptAt).sort().pop()
+                    : record.lastAttemptAt
+            };
+        }
+    };
+}
+
+module.exports = { createWebhookChannel };
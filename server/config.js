@@ -0,0 +1,97 @@
+/**
+ * Server configuration
+ *
+ * Values come from environment variables first, then from an optional
+ * config.json next to server.js (see config.example.json), then from
+ * defaults. Credentials live here and never ship to the browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, '..', 'config.json');
+
+/**
+ * Read config.json if present
+ */
+function readConfigFile() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ Could not read ${path.basename(CONFIG_FILE)}:`, error.message);
+        }
+        return {};
+    }
+}
+
+const file = readConfigFile();
+const fileMail = file.mail || {};
+const fileSmtp = fileMail.smtp || {};
+const fileScheduler = file.scheduler || {};
+const fileAuth = file.auth || {};
+const fileWebhooks = file.webhooks || {};
+const env = process.env;
+
+/**
+ * Parse "true"/"false" style values
+ */
+function toBoolean(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || String(value).toLowerCase() === 'true';
+}
+
+const smtpHost = env.SMTP_HOST || fileSmtp.host;
+
+const Config = {
+    CONFIG_FILE,
+
+    // Address the app is reached at, for links in emails (e.g. RSVP links)
+    publicUrl: (env.PUBLIC_URL || file.publicUrl || `http://localhost:${env.PORT || 8000}`).replace(/\/+$/, ''),
+
+    scheduler: {
+        enabled: toBoolean(env.SCHEDULER_ENABLED, toBoolean(fileScheduler.enabled, true)),
+        // How often stored events are scanned for due reminders
+        intervalMs: Number(env.SCHEDULER_INTERVAL_MS || fileScheduler.intervalMs || 60 * 1000),
+        // Failed deliveries are retried with backoff up to this many attempts
+        maxAttempts: Number(env.SCHEDULER_MAX_ATTEMPTS || fileScheduler.maxAttempts || 5)
+    },
+
+    webhooks: {
+        // How long to wait for a webhook receiver to answer
+        timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS || fileWebhooks.timeoutMs || 10 * 1000),
+        // Deliveries without a 2xx answer are retried with backoff up to this many attempts
+        maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS || fileWebhooks.maxAttempts || 6),
+        // Delay before the first retry; each later one waits twice as long
+        retryBaseMs: Number(env.WEBHOOK_RETRY_BASE_MS || fileWebhooks.retryBaseMs || 60 * 1000)
+    },
+
+    auth: {
+        // How long a sign-in lasts
+        sessionTtlMs: Number(env.SESSION_TTL_DAYS || fileAuth.sessionTtlDays || 30) * 24 * 60 * 60 * 1000,
+        // Only send the session cookie over HTTPS (turn on when served behind TLS)
+        secureCookies: toBoolean(env.SECURE_COOKIES, toBoolean(fileAuth.secureCookies, false))
+    },
+
+    mail: {
+        // 'smtp' | 'file' | 'console'
+        transport: env.MAIL_TRANSPORT || fileMail.transport || (smtpHost ? 'smtp' : 'console'),
+        from: env.MAIL_FROM || fileMail.from || 'Event Reminder <no-reply@localhost>',
+        outboxDir: env.MAIL_OUTBOX_DIR || fileMail.outboxDir || null,
+        smtp: {
+            host: smtpHost,
+            port: Number(env.SMTP_PORT || fileSmtp.port || 587),
+            // true = implicit TLS (port 465); otherwise STARTTLS is used when offered
+            secure: toBoolean(env.SMTP_SECURE, toBoolean(fileSmtp.secure, false)),
+            user: env.SMTP_USER || fileSmtp.user || null,
+            pass: env.SMTP_PASS || fileSmtp.pass || null,
+            // Send the login over a connection without TLS (only for local test servers)
+            allowInsecureAuth: toBoolean(env.SMTP_ALLOW_INSECURE_AUTH, toBoolean(fileSmtp.allowInsecureAuth, false)),
+            rejectUnauthorized: toBoolean(env.SMTP_REJECT_UNAUTHORIZED, toBoolean(fileSmtp.rejectUnauthorized, true)),
+            // How long to wait for the server (connecting, the TLS handshake and each reply)
+            timeoutMs: Number(env.SMTP_TIMEOUT_MS || fileSmtp.timeoutMs || 30 * 1000)
+        }
+    }
+};
+
+module.exports = Config;
@@ -0,0 +1,177 @@
+/**
+ * Email content for event notifications
+ *
+ * Replaces the EmailJS templates that used to live in the EmailJS
+ * dashboard. Each builder returns { subject, text, html }; the event
+ * builders take an event, invitation() a shared calendar invitation.
+ * The formatting helpers are shared with the RSVP pages (server/rsvp.js).
+ */
+
+const Recurrence = require('../recurrence');
+
+/**
+ * Format date for display (e.g., "January 8, 2026"), like DateUtils.formatDateLong
+ */
+function formatDateLong(dateString) {
+    const date = new Date(dateString + 'T00:00:00');
+    return date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Format HH:MM as a 12-hour time (e.g., "2:30 PM"), like DateUtils.formatTime
+ */
+function formatTime(timeString) {
+    const [hours, minutes] = timeString.split(':').map(Number);
+    const period = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Describe when the event happens on its day
+ */
+function formatEventTime(event) {
+    if (event.allDay !== false || !event.startTime) {
+        return 'All day';
+    }
+    return event.endTime
+        ? `${formatTime(event.startTime)} – ${formatTime(event.endTime)}`
+        : formatTime(event.startTime);
+}
+
+/**
+ * Escape text for the HTML part
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Shared layout for all event emails
+ * `intro` is a line above the event, `actions` a list of { label, url } links below it.
+ */
+function render(notificationType, event, { intro = null, actions = [] } = {}) {
+    const formattedDate = formatDateLong(event.date);
+    const formattedTime = formatEventTime(event);
+    const description = event.description || 'No description provided';
+    const repeats = event.recurrence ? Recurrence.describe(event.recurrence, event.date) : null;
+
+    const text = [
+        notificationType,
+        '',
+        ...(intro ? [intro, ''] : []),
+        `Event: ${event.title}`,
+        `Date: ${formattedDate}`,
+        `Time: ${formattedTime}`,
+        ...(repeats ? [`Repeats: ${repeats}`] : []),
+        `Description: ${description}`,
+        ...(actions.length ? ['', ...actions.map(action => `${action.label}: ${action.url}`)] : []),
+        '',
+        '— Event Reminder'
+    ].join('\n');
+
+    const html = `
+        <div style="font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; max-width: 480px;">
+            <h2 style="color: #6366f1; margin-bottom: 16px;">${escapeHtml(notificationType)}</h2>
+            ${intro ? `<p>${escapeHtml(intro)}</p>` : ''}
+            <p><strong>${escapeHtml(event.title)}</strong></p>
+            <p>📅 ${escapeHtml(formattedDate)} · ${escapeHtml(formattedTime)}</p>
+            ${repeats ? `<p>🔁 ${escapeHtml(repeats)}</p>` : ''}
+            <p style="color: #6b7280;">${escapeHtml(description)}</p>
+            ${actions.length ? `<p style="margin-top: 20px;">${actions.map(action => `
+                <a href="${escapeHtml(action.url)}" style="display: inline-block; margin: 0 8px 8px 0; padding: 8px 16px; border-radius: 6px; background: #6366f1; color: #ffffff; text-decoration: none;">${escapeHtml(action.label)}</a>`).join('')}
+            </p>` : ''}
+            <p style="color: #9ca3af; font-size: 12px; margin-top: 24px;">Sent by Event Reminder</p>
+        </div>
+    `;
+
+    return { text, html };
+}
+
+const EmailTemplates = {
+    formatDateLong,
+    formatEventTime,
+    escapeHtml,
+
+    /**
+     * Email sent when an event is added
+     */
+    newEvent(event) {
+        return {
+            subject: `New event: ${event.title}`,
+            ...render('New Event Added', event)
+        };
+    },
+
+    /**
+     * Email sent when an event is due
+     */
+    reminder(event) {
+        return {
+            subject: `Reminder: ${event.title} on ${formatDateLong(event.date)}`,
+            ...render('Event Reminder', event)
+        };
+    },
+
+    /**
+     * Email inviting an attendee to an event, with links to answer
+     * `links` maps each response (accepted, tentative, declined) to its RSVP URL.
+     */
+    attendeeInvitation(event, { attendee, organizer, links }) {
+        const greeting = attendee.name ? `Hi ${attendee.name}, ` : '';
+        const from = organizer ? `${organizer} invited you` : 'You are invited';
+        return {
+            subject: `Invitation: ${event.title} on ${formatDateLong(event.date)}`,
+            ...render('Event Invitation', event, {
+                intro: `${greeting}${from} to this event. Will you attend?`,
+                actions: [
+                    { label: 'Accept', url: links.accepted },
+                    { label: 'Maybe', url: links.tentative },
+                    { label: 'Decline', url: links.declined }
+                ]
+            })
+        };
+    },
+
+    /**
+     * Email sent when someone is invited to a shared calendar
+     */
+    invitation({ calendarName, invitedBy, role, link }) {
+        const access = role === 'editor' ? 'add and change events' : 'see events';
+        const text = [
+            'Calendar Invitation',
+            '',
+            `${invitedBy} invited you to the shared calendar "${calendarName}", where you can ${access}.`,
+            `Open this link and sign in to Event Reminder (or create an account) to accept: ${link}`,
+            'The link works once.',
+            '',
+            '— Event Reminder'
+        ].join('\n');
+
+        const html = `
+            <div style="font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; max-width: 480px;">
+                <h2 style="color: #6366f1; margin-bottom: 16px;">Calendar Invitation</h2>
+                <p>${escapeHtml(invitedBy)} invited you to the shared calendar <strong>${escapeHtml(calendarName)}</strong>, where you can ${access}.</p>
+                <p><a href="${escapeHtml(link)}" style="display: inline-block; padding: 8px 16px; border-radius: 6px; background: #6366f1; color: #ffffff; text-decoration: none;">View invitation</a></p>
+                <p style="color: #6b7280;">Sign in to Event Reminder (or create an account) to accept. The link works once.</p>
+                <p style="color: #9ca3af; font-size: 12px; margin-top: 24px;">Sent by Event Reminder</p>
+            </div>
+        `;
+
+        return {
+            subject: `${invitedBy} shared the calendar "${calendarName}" with you`,
+            text,
+            html
+        };
+    }
+};
+
+module.exports = EmailTemplates;
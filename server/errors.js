@@ -0,0 +1,17 @@
+/**
+ * Error types shared by the server modules
+ */
+
+/**
+ * Error carrying an HTTP status code back to the client
+ */
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,188 @@
+/**
+ * Event record helpers
+ *
+ * Single place that decides which fields an event stored on the server
+ * has, so the REST routes and the sync endpoint stay in agreement.
+ */
+
+const crypto = require('crypto');
+const Recurrence = require('../recurrence');
+
+const RSVP_TOKEN_BYTES = 24;
+
+const EventModel = {
+    ATTENDEE_STATUSES: ['pending', 'accepted', 'declined', 'tentative'],
+    // Notification channels reminders can go out on (see server/channels/)
+    CHANNELS: ['email', 'browser', 'in-app', 'webhook'],
+
+    /**
+     * Generate unique ID for events (same format as StateManager.generateId)
+     */
+    generateId() {
+        return `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    },
+
+    /**
+     * Build the stored record from validated input
+     * Fields missing from the input fall back to the existing record.
+     */
+    build(input, existing = {}) {
+        const pick = field => (input[field] !== undefined ? input[field] : existing[field]);
+        const now = new Date().toISOString();
+        const allDay = pick('allDay') !== false;
+        const reminders = this.normalizeReminders(pick('reminders'));
+
+        return {
+            id: existing.id || input.id || this.generateId(),
+            title: pick('title').trim(),
+            date: pick('date'),
+            allDay,
+            startTime: allDay ? null : pick('startTime'),
+            endTime: allDay ? null : (pick('endTime') || null),
+            recurrence: Recurrence.normalize(pick('recurrence')),
+            reminders,
+            channels: this.normalizeChannels(pick('channels'), reminders),
+            categoryId: pick('categoryId') || null,
+            calendarId: pick('calendarId') || null,
+            attendees: this.mergeAttendees(input.attendees, existing.attendees),
+            description: (pick('description') || '').trim(),
+            createdAt: existing.createdAt || input.createdAt || now,
+            updatedAt: input.updatedAt || now
+        };
+    },
+
+    /**
+     * Sort reminder offsets earliest first and drop duplicates
+     * null (use the default reminders) is kept as is.
+     */
+    normalizeReminders(reminders) {
+        if (!Array.isArray(reminders)) {
+            return null;
+        }
+        return [...new Set(reminders)].sort((a, b) => b - a);
+    },
+
+    /**
+     * Tidy an event's per-reminder channel overrides ({ "<offset>": [channel ids] })
+     * Channels are listed in CHANNELS order, and overrides for offsets the
+     * event no longer reminds at are dropped. null means "no overrides".
+     */
+    normalizeChannels(routes, reminders) {
+        if (!routes || typeof routes !== 'object') {
+            return null;
+        }
+        const entries = Object.keys(routes)
+            .filter(offset => !Array.isArray(reminders) || reminders.includes(Number(offset)))
+            .map(offset => [String(Number(offset)), this.CHANNELS.filter(channel => routes[offset].includes(channel))]);
+        return entries.length ? Object.fromEntries(entries) : null;
+    },
+
+    /**
+     * Merge an attendee list from a client with the stored one
+     * Attendees are matched on email. Each keeps its server-side RSVP
+     * token and invitation state, and the newer of the two responses
+     * (by respondedAt) wins, so an edit made from a stale copy doesn't
+     * undo an answer given through an RSVP link.
+     */
+    mergeAttendees(input, existing = []) {
+        const stored = existing || [];
+        if (!Array.isArray(input)) {
+            return stored;
+        }
+
+        return input.map(attendee => {
+            const email = attendee.email.trim().toLowerCase();
+            const previous = stored.find(item => item.email === email);
+            const response = previous && !this.isNewer(attendee.respondedAt, previous.respondedAt)
+                ? previous
+                : attendee;
+
+            return {
+                email,
+                name: (attendee.name || '').trim(),
+                status: response.status || 'pending',
+                respondedAt: response.respondedAt || null,
+                token: previous ? previous.token : crypto.randomBytes(RSVP_TOKEN_BYTES).toString('hex'),
+                invitedAt: previous ? previous.invitedAt : null,
+                inviteAttempts: previous ? previous.inviteAttempts : 0
+            };
+        });
+    },
+
+    /**
+     * An event as clients get it
+     * RSVP tokens are the attendees' own; nobody else may answer for them.
+     */
+    toPublic(event) {
+        return {
+            ...event,
+            attendees: (event.attendees || []).map(({ email, name, status, respondedAt }) => ({
+                email,
+                name,
+                status,
+                respondedAt
+            }))
+        };
+    },
+
+    /**
+     * Reminder offsets that apply to an event
+     */
+    getReminderOffsets(event, settings) {
+        if (Array.isArray(event.reminders)) {
+            return event.reminders;
+        }
+        return settings && Array.isArray(settings.defaultReminders) ? settings.defaultReminders : [0];
+    },
+
+    /**
+     * Channels a reminder goes out on
+     * The event's override for that offset wins over the recipient's
+     * channel preferences; without either, every channel is used.
+     */
+    getReminderChannels(event, offset, settings) {
+        if (event.channels && Array.isArray(event.channels[offset])) {
+            return event.channels[offset];
+        }
+        return settings && Array.isArray(settings.channels) ? settings.channels : this.CHANNELS;
+    },
+
+    /**
+     * When the event starts (local midnight for all-day events)
+     */
+    getStart(event) {
+        const time = event.allDay === false && event.startTime ? event.startTime : '00:00';
+        return new Date(`${event.date}T${time}:00`);
+    },
+
+    /**
+     * When the event ends (the rule the browser uses too, see Recurrence.getEnd)
+     */
+    getEnd(event) {
+        return Recurrence.getEnd(event, this.getStart(event));
+    },
+
+    /**
+     * Whether input would move an existing event to another calendar
+     * (not allowed: members of the old calendar would keep a stale copy)
+     */
+    changesCalendar(input, existing) {
+        return input.calendarId !== undefined && (input.calendarId || null) !== (existing.calendarId || null);
+    },
+
+    /**
+     * Merge input over an existing record without trimming (for validation)
+     */
+    merge(input, existing = {}) {
+        return { ...existing, ...input };
+    },
+
+    /**
+     * Compare two ISO timestamps, treating missing ones as oldest
+     */
+    isNewer(a, b) {
+        return new Date(a || 0).getTime() > new Date(b || 0).getTime();
+    }
+};
+
+module.exports = EventModel;
@@ -0,0 +1,298 @@
+/**
+ * Schema migrations for the server store
+ *
+ * Each migration upgrades the document from `version - 1` to `version`.
+ * Migrations run in order on load and must be pure transformations of
+ * the document: no I/O, no dependence on anything but their input
+ * (plus the clock for timestamps that were never recorded).
+ */
+
+const Recurrence = require('../recurrence');
+
+/**
+ * Generate unique ID for events (same format as StateManager.generateId)
+ */
+function generateId() {
+    return `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Work out the day an event with an unusable date belongs on
+ * Timestamps and dates without zero padding keep the day they name;
+ * anything else (missing, or a day that doesn't exist) moves to the day
+ * the event was created.
+ */
+function repairDate(event) {
+    const parts = typeof event.date === 'string' ? event.date.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)/) : null;
+    if (parts) {
+        const padded = `${parts[1]}-${parts[2].padStart(2, '0')}-${parts[3].padStart(2, '0')}`;
+        if (Recurrence.isValidDate(padded)) {
+            return padded;
+        }
+    }
+
+    const created = new Date(event.createdAt);
+    return (isNaN(created.getTime()) ? new Date() : created).toISOString().slice(0, 10);
+}
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Repair event records the way StateManager.loadFromStorage used to',
+        up(data) {
+            const now = new Date().toISOString();
+            const events = Array.isArray(data.events) ? data.events : [];
+
+            return {
+                ...data,
+                events: events
+                    .filter(event => event && typeof event === 'object')
+                    .map(event => ({
+                        ...event,
+                        id: event.id || generateId(),
+                        title: event.title || 'Untitled Event',
+                        // Missing or broken dates are repaired by version 15
+                        date: event.date,
+                        description: event.description || '',
+                        createdAt: event.createdAt || now
+                    }))
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Track updatedAt and a change revision on events, keep tombstones for deletions',
+        up(data) {
+            const events = data.events.map(event => ({
+                ...event,
+                updatedAt: event.updatedAt || event.createdAt,
+                revision: 1
+            }));
+
+            return {
+                ...data,
+                events,
+                tombstones: [],
+                revision: events.length ? 1 : 0
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Add server-side notification settings',
+        up(data) {
+            return {
+                ...data,
+                settings: {
+                    notificationEmail: null,
+                    emailNotifications: true,
+                    ...data.settings
+                }
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'Add durable reminder delivery records for the server scheduler',
+        up(data) {
+            return {
+                ...data,
+                deliveries: []
+            };
+        }
+    },
+    {
+        version: 5,
+        description: 'Add start/end times; existing events become all-day',
+        up(data) {
+            return {
+                ...data,
+                events: data.events.map(event => ({
+                    ...event,
+                    allDay: event.allDay !== false,
+                    startTime: event.allDay === false ? event.startTime : null,
+                    endTime: event.allDay === false ? (event.endTime || null) : null
+                }))
+            };
+        }
+    },
+    {
+        version: 6,
+        description: 'Add recurrence rules; existing events do not repeat',
+        up(data) {
+            return {
+                ...data,
+                events: data.events.map(event => ({ ...event, recurrence: event.recurrence || null }))
+            };
+        }
+    },
+    {
+        version: 7,
+        description: 'Add reminder offsets; existing events and deliveries use "at the start"',
+        up(data) {
+            return {
+                ...data,
+                events: data.events.map(event => ({ ...event, reminders: event.reminders || null })),
+                settings: { defaultReminders: [0], ...data.settings },
+                // Delivery keys now include the offset
+                deliveries: data.deliveries.map(record => (record.offset === undefined
+                    ? { ...record, key: `${record.key}:0`, offset: 0 }
+                    : record))
+            };
+        }
+    },
+    {
+        version: 8,
+        description: 'Add event categories; existing events are uncategorized',
+        up(data) {
+            return {
+                ...data,
+                events: data.events.map(event => ({ ...event, categoryId: event.categoryId || null }))
+            };
+        }
+    },
+    {
+        version: 9,
+        description: 'Add subscribable calendar feeds',
+        up(data) {
+            return {
+                ...data,
+                feeds: []
+            };
+        }
+    },
+    {
+        version: 10,
+        description: 'Add user accounts; existing data waits for the first account to claim it',
+        up(data) {
+            const { settings, ...rest } = data;
+            return {
+                ...rest,
+                users: [],
+                sessions: [],
+                // Handed to the first account registered (Auth.claimUnowned)
+                unclaimed: { settings },
+                events: data.events.map(event => ({ ...event, ownerId: null })),
+                tombstones: data.tombstones.map(tombstone => ({ ...tombstone, ownerId: null })),
+                feeds: data.feeds.map(feed => ({ ...feed, ownerId: null })),
+                deliveries: data.deliveries.map(record => ({ ...record, userId: null }))
+            };
+        }
+    },
+    {
+        version: 11,
+        description: 'Add shared calendars; existing events stay personal',
+        up(data) {
+            return {
+                ...data,
+                calendars: [],
+                events: data.events.map(event => ({ ...event, calendarId: event.calendarId || null })),
+                tombstones: data.tombstones.map(tombstone => ({ ...tombstone, calendarId: tombstone.calendarId || null }))
+            };
+        }
+    },
+    {
+        version: 12,
+        description: 'Add event attendees; existing events have none',
+        up(data) {
+            return {
+                ...data,
+                events: data.events.map(event => ({ ...event, attendees: event.attendees || [] }))
+            };
+        }
+    },
+    {
+        version: 13,
+        description: 'Add outgoing webhooks and their delivery queue',
+        up(data) {
+            return {
+                ...data,
+                webhooks: [],
+                webhookDeliveries: []
+            };
+        }
+    },
+    {
+        version: 14,
+        description: 'Add notification channels; reminders go out on every channel until routed otherwise',
+        up(data) {
+            return {
+                ...data,
+                users: data.users.map(user => ({
+                    ...user,
+                    settings: { channels: ['email', 'browser', 'in-app', 'webhook'], ...user.settings }
+                })),
+                events: data.events.map(event => ({ ...event, channels: event.channels || null })),
+                // Delivery records are now kept per channel; older ones were all email
+                deliveries: data.deliveries.map(record => ({ ...record, channel: record.channel || 'email' }))
+            };
+        }
+    },
+    {
+        version: 15,
+        description: 'Repair event dates that are not a real YYYY-MM-DD day (older versions stored them unchecked)',
+        up(data) {
+            const updatedAt = new Date().toISOString();
+            let revision = data.revision || 0;
+
+            // A new revision sends the repaired date to synced browsers too
+            const events = data.events.map(event => (Recurrence.isValidDate(event.date)
+                ? event
+                : { ...event, date: repairDate(event), updatedAt, revision: ++revision }));
+
+            return { ...data, events, revision };
+        }
+    }
+];
+
+const Migrations = {
+    /**
+     * Latest schema version this server understands
+     */
+    LATEST_VERSION: migrations.length ? migrations[migrations.length - 1].version : 0,
+
+    /**
+     * Read the schema version of a document
+     * Documents written before versioning (or bare event arrays) are version 0.
+     */
+    getVersion(data) {
+        if (!data || Array.isArray(data) || typeof data.schemaVersion !== 'number') {
+            return 0;
+        }
+        return data.schemaVersion;
+    },
+
+    /**
+     * Upgrade a document to the latest schema
+     * Returns the migrated document plus the versions it moved between.
+     */
+    migrate(data) {
+        const fromVersion = this.getVersion(data);
+
+        if (fromVersion > this.LATEST_VERSION) {
+            throw new Error(
+                `Store schema version ${fromVersion} is newer than this server supports (${this.LATEST_VERSION})`
+            );
+        }
+
+        let current = Array.isArray(data) ? { events: data } : { ...data };
+
+        migrations
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                current = migration.up(current);
+                current.schemaVersion = migration.version;
+            });
+
+        return { data: current, fromVersion, toVersion: this.getVersion(current) };
+    },
+
+    /**
+     * List registered migrations (for logging)
+     */
+    list() {
+        return migrations.map(({ version, description }) => ({ version, description }));
+    }
+};
+
+module.exports = Migrations;
@@ -0,0 +1,127 @@
+/**
+ * Email notifier
+ *
+ * Owns email delivery for the app. The transport is chosen by
+ * config.mail.transport:
+ * - smtp:    real delivery through the configured SMTP server
+ * - file:    .eml files in data/outbox (development and tests)
+ * - console: printed to the server log (default until SMTP is set up)
+ */
+
+const path = require('path');
+const Config = require('./config');
+const Store = require('./store');
+const EmailTemplates = require('./email-templates');
+const { createSmtpTransport } = require('./transports/smtp');
+const { createFileTransport } = require('./transports/file');
+const { createConsoleTransport } = require('./transports/console');
+
+const transportFactories = {
+    smtp: () => createSmtpTransport(Config.mail.smtp),
+    file: () => createFileTransport(Config.mail.outboxDir || path.join(Store.DATA_DIR, 'outbox')),
+    console: () => createConsoleTransport()
+};
+
+const Notifier = {
+    transport: null,
+
+    /**
+     * Get (and lazily create) the configured transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            const factory = transportFactories[Config.mail.transport];
+            if (!factory) {
+                throw new Error(`Unknown mail transport "${Config.mail.transport}" (use smtp, file or console)`);
+            }
+            this.transport = factory();
+        }
+        return this.transport;
+    },
+
+    /**
+     * Work out where a user's notifications go and whether they are enabled
+     * Without an address in their settings, mail goes to the account's email.
+     */
+    getDeliverySettings(user) {
+        const settings = user.settings || {};
+        return {
+            enabled: settings.emailNotifications !== false,
+            recipient: settings.notificationEmail || user.email
+        };
+    },
+
+    /**
+     * Render and send one of the EmailTemplates for an event to a user
+     * Resolves to { sent: true, messageId } or { sent: false, reason }.
+     */
+    async sendTemplate(templateName, event, user) {
+        const { enabled, recipient } = this.getDeliverySettings(user);
+
+        if (!enabled) {
+            return { sent: false, reason: 'disabled' };
+        }
+        if (!recipient) {
+            return { sent: false, reason: 'no-recipient' };
+        }
+
+        const content = EmailTemplates[templateName](event);
+        const transport = this.getTransport();
+        const result = await transport.send({
+            from: Config.mail.from,
+            to: recipient,
+            ...content
+        });
+
+        console.log(`   📧 ${templateName} email for "${event.title}" sent via ${transport.name}`);
+        return { sent: true, messageId: result.messageId };
+    },
+
+    /**
+     * Send email notification when a new event is added
+     */
+    sendNewEventNotification(event, user) {
+        return this.sendTemplate('newEvent', event, user);
+    },
+
+    /**
+     * Send reminder email for an event
+     */
+    sendEventReminder(event, user) {
+        return this.sendTemplate('reminder', event, user);
+    },
+
+    /**
+     * Email an invitation to a shared calendar
+     * Goes to the invited address itself, which may not have an account yet.
+     */
+    async sendInvitation(invitation, email) {
+        const transport = this.getTransport();
+        const result = await transport.send({
+            from: Config.mail.from,
+            to: email,
+            ...EmailTemplates.invitation(invitation)
+        });
+
+        console.log(`   📧 invitation email for "${invitation.calendarName}" sent via ${transport.name}`);
+        return { sent: true, messageId: result.messageId };
+    },
+
+    /**
+     * Email an event invitation to an attendee
+     * `details` is { attendee, organizer, links } (see EmailTemplates.attendeeInvitation).
+     */
+    async sendAttendeeInvitation(event, details) {
+        const transport = this.getTransport();
+        const result = await transport.send({
+            from: Config.mail.from,
+            to: details.attendee.email,
+            ...EmailTemplates.attendeeInvitation(event, details)
+        });
+
+        console.log(`   📧 attendee invitation for "${event.title}" sent via ${transport.name}`);
+        return { sent: true, messageId: result.messageId };
+    }
+};
+
+module.exports = Notifier;
@@ -0,0 +1,86 @@
+/**
+ * /api/auth routes
+ *
+ * POST /api/auth/register  - create an account ({ email, password, name? }) and sign in
+ * POST /api/auth/login     - sign in ({ email, password })
+ * POST /api/auth/logout    - sign out (ends the session)
+ * GET  /api/auth/session   - the signed-in user (401 when signed out)
+ *
+ * Signing in sets the session cookie; see server/auth.js.
+ */
+
+const Auth = require('../auth');
+const Backups = require('../backups');
+const { HttpError } = require('../errors');
+const Store = require('../store');
+
+async function register({ body }) {
+    const errors = Auth.validateCredentials(body, { registering: true });
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+
+    const email = Auth.normalizeEmail(body.email);
+    const passwordHash = await Auth.hashPassword(body.password);
+
+    const { user, token, claimed } = await Store.update(data => {
+        if (data.users.some(existing => existing.email === email)) {
+            throw new HttpError(409, 'An account with this email already exists');
+        }
+        const claimsUnowned = Boolean(data.unclaimed);
+        const created = Auth.addUser(data, { email, name: body.name, passwordHash });
+        return { user: created, token: Auth.createSession(data, created.id), claimed: claimsUnowned };
+    });
+    if (claimed) {
+        await Backups.claimLegacy(user.id);
+    }
+
+    console.log(`   └─ 👤 Registered ${user.email}`);
+    return {
+        status: 201,
+        body: { user: Auth.toPublicUser(user) },
+        headers: { 'Set-Cookie': Auth.sessionCookie(token) }
+    };
+}
+
+async function login({ body }) {
+    const errors = Auth.validateCredentials(body);
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+
+    const data = await Store.load();
+    const email = Auth.normalizeEmail(body.email);
+    const user = data.users.find(existing => existing.email === email);
+    const valid = await Auth.verifyPassword(body.password, user && user.passwordHash);
+    if (!user || !valid) {
+        throw new HttpError(401, 'Incorrect email or password');
+    }
+
+    const token = await Store.update(draft => Auth.createSession(draft, user.id));
+
+    return {
+        body: { user: Auth.toPublicUser(user) },
+        headers: { 'Set-Cookie': Auth.sessionCookie(token) }
+    };
+}
+
+async function logout({ req }) {
+    const token = Auth.getToken(req);
+    if (token) {
+        await Store.update(data => Auth.deleteSession(data, token));
+    }
+
+    return { status: 204, headers: { 'Set-Cookie': Auth.sessionCookie(null) } };
+}
+
+async function getSession({ user }) {
+    return { body: { user: Auth.toPublicUser(user) } };
+}
+
+module.exports = [
+    { method: 'POST', path: /^\/api\/auth\/register\/?$/, handler: register, public: true },
+    { method: 'POST', path: /^\/api\/auth\/login\/?$/, handler: login, public: true },
+    { method: 'POST', path: /^\/api\/auth\/logout\/?$/, handler: logout, public: true },
+    { method: 'GET', path: /^\/api\/auth\/session\/?$/, handler: getSession }
+];
@@ -0,0 +1,70 @@
+/**
+ * /api/backups routes
+ *
+ * GET  /api/backups       - list backup snapshots, newest first (without their data)
+ * POST /api/backups       - store a snapshot ({ id, createdAt, reason, events, categories, settings })
+ * GET  /api/backups/:id   - fetch one snapshot with its data
+ *
+ * Each user only sees their own snapshots.
+ */
+
+const { HttpError } = require('../errors');
+const Backups = require('../backups');
+
+const REASON_MAX_LENGTH = 100;
+
+async function listBackups({ user }) {
+    const snapshots = await Backups.list(user.id);
+    return { body: snapshots.map(snapshot => Backups.summarize(snapshot)) };
+}
+
+async function getBackup({ params: [backupId], user }) {
+    const snapshot = await Backups.get(user.id, backupId);
+    if (!snapshot) {
+        throw new HttpError(404, `Backup ${backupId} not found`);
+    }
+    return { body: snapshot };
+}
+
+async function createBackup({ body, user }) {
+    const errors = {};
+
+    if (!Backups.isValidId(body.id)) {
+        errors.id = 'Invalid backup id';
+    }
+    if (typeof body.createdAt !== 'string' || isNaN(new Date(body.createdAt).getTime())) {
+        errors.createdAt = 'createdAt must be a timestamp';
+    }
+    if (typeof body.reason !== 'string' || body.reason.length > REASON_MAX_LENGTH) {
+        errors.reason = `Reason must be text of at most ${REASON_MAX_LENGTH} characters`;
+    }
+    if (!Array.isArray(body.events) || !body.events.every(event => event && typeof event === 'object')) {
+        errors.events = 'events must be a list of events';
+    }
+    if (!Array.isArray(body.categories)) {
+        errors.categories = 'categories must be a list';
+    }
+    if (body.settings !== undefined && (!body.settings || typeof body.settings !== 'object' || Array.isArray(body.settings))) {
+        errors.settings = 'settings must be an object';
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+
+    const summary = await Backups.save(user.id, {
+        id: body.id,
+        createdAt: body.createdAt,
+        reason: body.reason,
+        events: body.events,
+        categories: body.categories,
+        settings: body.settings || {}
+    });
+
+    return { status: 201, body: summary };
+}
+
+module.exports = [
+    { method: 'GET', path: /^\/api\/backups\/?$/, handler: listBackups },
+    { method: 'POST', path: /^\/api\/backups\/?$/, handler: createBackup },
+    { method: 'GET', path: /^\/api\/backups\/([^/]+)$/, handler: getBackup }
+];
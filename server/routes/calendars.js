@@ -0,0 +1,320 @@
+/**
+ * /api/calendars routes
+ *
+ * GET    /api/calendars                          - calendars the user belongs to
+ * POST   /api/calendars                          - create a shared calendar ({ name, color })
+ * PUT    /api/calendars/:id                      - rename or recolor it (owner)
+ * DELETE /api/calendars/:id                      - delete it and its events (owner)
+ * POST   /api/calendars/:id/invitations          - invite someone by email ({ email, role }) (owner)
+ * DELETE /api/calendars/:id/invitations/:email   - withdraw an invitation (owner)
+ * GET    /api/calendars/invitations/:token       - the invitation an emailed link points to
+ * POST   /api/calendars/invitations/:token/accept  - accept it and join the calendar
+ * POST   /api/calendars/invitations/:token/decline - decline it
+ * PUT    /api/calendars/:id/members/:userId      - change a member's role ({ role }) (owner)
+ * DELETE /api/calendars/:id/members/:userId      - remove a member (owner), or leave
+ * PUT    /api/calendars/:id/subscription         - whether its reminders reach you ({ subscribed })
+ *
+ * Roles and what they allow are described in server/calendars.js.
+ * Calendars the user doesn't belong to are 404s, and so are invitation
+ * tokens that were answered, withdrawn or replaced by a newer invitation.
+ */
+
+const Auth = require('../auth');
+const Calendars = require('../calendars');
+const Config = require('../config');
+const { HttpError } = require('../errors');
+const EventModel = require('../event-model');
+const Notifier = require('../notifier');
+const Store = require('../store');
+const Webhooks = require('../webhooks');
+
+const NAME_MAX_LENGTH = 50;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_MEMBERS = 100;
+
+/**
+ * Check a calendar's name and color (partial input for updates)
+ */
+function validateCalendar(body, { partial = false } = {}) {
+    const errors = {};
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > NAME_MAX_LENGTH) {
+            errors.name = `Name is required (at most ${NAME_MAX_LENGTH} characters)`;
+        }
+    }
+    if (!partial || body.color !== undefined) {
+        if (typeof body.color !== 'string' || !COLOR_PATTERN.test(body.color)) {
+            errors.color = 'Color must be #RRGGBB';
+        }
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+}
+
+/**
+ * Check a role that can be given to a member
+ */
+function validateRole(role) {
+    if (!Calendars.INVITE_ROLES.includes(role)) {
+        throw new HttpError(400, 'Validation failed', { role: `Role must be ${Calendars.INVITE_ROLES.join(' or ')}` });
+    }
+}
+
+/**
+ * Find a calendar the user belongs to or throw 404
+ * With `ownerOnly`, members other than the owner get a 403.
+ */
+function findCalendarOrThrow(data, calendarId, userId, { ownerOnly = false } = {}) {
+    const calendar = data.calendars.find(item => item.id === calendarId);
+    const role = calendar ? Calendars.getRole(data, calendarId, userId) : null;
+    if (!role) {
+        throw new HttpError(404, `Calendar ${calendarId} not found`);
+    }
+    if (ownerOnly && role !== 'owner') {
+        throw new HttpError(403, 'Only the calendar\'s owner can do that');
+    }
+    return calendar;
+}
+
+/**
+ * Find the calendar and invitation a token belongs to or throw 404
+ */
+function findInvitationOrThrow(data, token) {
+    const found = Calendars.findInvitation(data, token);
+    if (!found) {
+        throw new HttpError(404, 'Invitation not found');
+    }
+    return found;
+}
+
+async function listCalendars({ user }) {
+    const data = await Store.load();
+    const calendars = data.calendars
+        .filter(calendar => Calendars.getRole(data, calendar.id, user.id))
+        .map(calendar => Calendars.toPublic(calendar, user.id, data));
+
+    return { body: { calendars } };
+}
+
+async function getInvitation({ params: [token] }) {
+    const data = await Store.load();
+    const { calendar, invitation } = findInvitationOrThrow(data, token);
+    return { body: Calendars.toInvitation(data, calendar, invitation) };
+}
+
+async function createCalendar({ body, user }) {
+    validateCalendar(body);
+
+    const now = new Date().toISOString();
+    const created = await Store.update(data => {
+        const calendar = {
+            id: Calendars.generateId(),
+            name: body.name.trim(),
+            color: body.color,
+            members: [{ userId: user.id, role: 'owner', subscribed: true, joinedAt: now }],
+            invitations: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        data.calendars.push(calendar);
+        return Calendars.toPublic(calendar, user.id, data);
+    });
+
+    console.log(`   └─ 📆 Created shared calendar "${created.name}"`);
+    return { status: 201, body: created };
+}
+
+async function updateCalendar({ params: [calendarId], body, user }) {
+    validateCalendar(body, { partial: true });
+
+    const updated = await Store.update(data => {
+        const calendar = findCalendarOrThrow(data, calendarId, user.id, { ownerOnly: true });
+        if (body.name !== undefined) calendar.name = body.name.trim();
+        if (body.color !== undefined) calendar.color = body.color;
+        calendar.updatedAt = new Date().toISOString();
+        return Calendars.toPublic(calendar, user.id, data);
+    });
+
+    return { body: updated };
+}
+
+async function deleteCalendar({ params: [calendarId], user }) {
+    await Store.update(data => {
+        const calendar = findCalendarOrThrow(data, calendarId, user.id, { ownerOnly: true });
+        const deletedAt = new Date().toISOString();
+        const memberIds = calendar.members.map(member => member.userId);
+
+        data.events
+            .filter(event => event.calendarId === calendar.id)
+            .forEach(event => {
+                data.tombstones.push({
+                    id: event.id,
+                    ownerId: event.ownerId,
+                    calendarId: calendar.id,
+                    deletedAt,
+                    revision: Store.nextRevision(data)
+                });
+                Webhooks.enqueue(data, 'event.deleted', { event: EventModel.toPublic(event) }, memberIds);
+            });
+        data.events = data.events.filter(event => event.calendarId !== calendar.id);
+        data.calendars = data.calendars.filter(item => item.id !== calendar.id);
+    });
+    Webhooks.processQueue();
+
+    return { status: 204 };
+}
+
+async function invite({ params: [calendarId], body, user }) {
+    const email = Auth.normalizeEmail(body.email);
+    if (!Auth.EMAIL_PATTERN.test(email)) {
+        throw new HttpError(400, 'Validation failed', { email: 'Enter a valid email address' });
+    }
+    validateRole(body.role);
+
+    const { calendar, invitation } = await Store.update(data => {
+        const found = findCalendarOrThrow(data, calendarId, user.id, { ownerOnly: true });
+        const invitee = data.users.find(item => item.email === email);
+        if (invitee && found.members.some(member => member.userId === invitee.id)) {
+            throw new HttpError(409, `${email} is already a member of this calendar`);
+        }
+        if (found.members.length + found.invitations.length >= MAX_MEMBERS) {
+            throw new HttpError(400, `A calendar can have at most ${MAX_MEMBERS} members`);
+        }
+
+        // Inviting again changes the role of the waiting invitation and sends a new link
+        const created = {
+            email,
+            role: body.role,
+            token: Calendars.generateInvitationToken(),
+            invitedBy: user.id,
+            invitedAt: new Date().toISOString()
+        };
+        found.invitations = found.invitations.filter(item => item.email !== email);
+        found.invitations.push(created);
+        return { calendar: Calendars.toPublic(found, user.id, data), invitation: created };
+    });
+
+    try {
+        await Notifier.sendInvitation({
+            calendarName: calendar.name,
+            invitedBy: user.email,
+            role: invitation.role,
+            link: `${Config.publicUrl}/?invitation=${invitation.token}`
+        }, email);
+    } catch (error) {
+        // The owner sees it as pending and can invite again to resend the link
+        console.error('   └─ ❌ Invitation email failed:', error.message);
+    }
+
+    return { status: 201, body: calendar };
+}
+
+async function withdrawInvitation({ params: [calendarId, email], user }) {
+    const updated = await Store.update(data => {
+        const calendar = findCalendarOrThrow(data, calendarId, user.id, { ownerOnly: true });
+        const normalized = Auth.normalizeEmail(email);
+        if (!calendar.invitations.some(invitation => invitation.email === normalized)) {
+            throw new HttpError(404, `No invitation for ${normalized}`);
+        }
+        calendar.invitations = calendar.invitations.filter(invitation => invitation.email !== normalized);
+        return Calendars.toPublic(calendar, user.id, data);
+    });
+
+    return { body: updated };
+}
+
+async function acceptInvitation({ params: [token], user }) {
+    const joined = await Store.update(data => {
+        const { calendar, invitation } = findInvitationOrThrow(data, token);
+        if (calendar.members.some(member => member.userId === user.id)) {
+            throw new HttpError(409, 'You are already a member of this calendar');
+        }
+        calendar.invitations = calendar.invitations.filter(item => item !== invitation);
+        calendar.members.push({
+            userId: user.id,
+            role: invitation.role,
+            subscribed: true,
+            joinedAt: new Date().toISOString()
+        });
+        return Calendars.toPublic(calendar, user.id, data);
+    });
+
+    console.log(`   └─ 📆 ${user.email} joined "${joined.name}"`);
+    return { body: joined };
+}
+
+async function declineInvitation({ params: [token] }) {
+    await Store.update(data => {
+        const { calendar, invitation } = findInvitationOrThrow(data, token);
+        calendar.invitations = calendar.invitations.filter(item => item !== invitation);
+    });
+
+    return { status: 204 };
+}
+
+async function updateMember({ params: [calendarId, memberId], body, user }) {
+    validateRole(body.role);
+
+    const updated = await Store.update(data => {
+        const calendar = findCalendarOrThrow(data, calendarId, user.id, { ownerOnly: true });
+        const member = calendar.members.find(item => item.userId === memberId);
+        if (!member) {
+            throw new HttpError(404, `Member ${memberId} not found`);
+        }
+        if (member.role === 'owner') {
+            throw new HttpError(400, 'The owner\'s role can\'t be changed');
+        }
+        member.role = body.role;
+        return Calendars.toPublic(calendar, user.id, data);
+    });
+
+    return { body: updated };
+}
+
+async function removeMember({ params: [calendarId, memberId], user }) {
+    await Store.update(data => {
+        const leaving = memberId === user.id;
+        const calendar = findCalendarOrThrow(data, calendarId, user.id, { ownerOnly: !leaving });
+        const member = calendar.members.find(item => item.userId === memberId);
+        if (!member) {
+            throw new HttpError(404, `Member ${memberId} not found`);
+        }
+        if (member.role === 'owner') {
+            throw new HttpError(400, 'The owner can\'t leave; delete the calendar instead');
+        }
+        calendar.members = calendar.members.filter(item => item !== member);
+    });
+
+    return { status: 204 };
+}
+
+async function updateSubscription({ params: [calendarId], body, user }) {
+    if (typeof body.subscribed !== 'boolean') {
+        throw new HttpError(400, 'Validation failed', { subscribed: 'Must be true or false' });
+    }
+
+    const updated = await Store.update(data => {
+        const calendar = findCalendarOrThrow(data, calendarId, user.id);
+        Calendars.getMember(data, calendar.id, user.id).subscribed = body.subscribed;
+        return Calendars.toPublic(calendar, user.id, data);
+    });
+
+    return { body: updated };
+}
+
+module.exports = [
+    { method: 'GET', path: /^\/api\/calendars\/?$/, handler: listCalendars },
+    { method: 'POST', path: /^\/api\/calendars\/?$/, handler: createCalendar },
+    { method: 'PUT', path: /^\/api\/calendars\/([^/]+)$/, handler: updateCalendar },
+    { method: 'DELETE', path: /^\/api\/calendars\/([^/]+)$/, handler: deleteCalendar },
+    { method: 'POST', path: /^\/api\/calendars\/([^/]+)\/invitations\/?$/, handler: invite },
+    { method: 'DELETE', path: /^\/api\/calendars\/([^/]+)\/invitations\/([^/]+)$/, handler: withdrawInvitation },
+    { method: 'GET', path: /^\/api\/calendars\/invitations\/([^/]+)$/, handler: getInvitation },
+    { method: 'POST', path: /^\/api\/calendars\/invitations\/([^/]+)\/accept\/?$/, handler: acceptInvitation },
+    { method: 'POST', path: /^\/api\/calendars\/invitations\/([^/]+)\/decline\/?$/, handler: declineInvitation },
+    { method: 'PUT', path: /^\/api\/calendars\/([^/]+)\/members\/([^/]+)$/, handler: updateMember },
+    { method: 'DELETE', path: /^\/api\/calendars\/([^/]+)\/members\/([^/]+)$/, handler: removeMember },
+    { method: 'PUT', path: /^\/api\/calendars\/([^/]+)\/subscription\/?$/, handler: updateSubscription }
+];
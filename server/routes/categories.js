@@ -0,0 +1,66 @@
+/**
+ * /api/categories routes
+ *
+ * GET /api/categories   - the user's categories ({ categories }, null until first saved)
+ * PUT /api/categories   - replace them ({ categories: [{ id, name, color }] })
+ *
+ * The browser edits categories locally (CategoryManager in app.js) and
+ * saves the whole list here, so every device the user signs in on gets it.
+ */
+
+const { HttpError } = require('../errors');
+const Store = require('../store');
+const Validation = require('../validation');
+
+const MAX_CATEGORIES = 100;
+const NAME_MAX_LENGTH = 50;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Check one category; returns an error message or null
+ */
+function validateCategory(category) {
+    if (!category || typeof category !== 'object') {
+        return 'Not a category';
+    }
+    if (!Validation.validateCategory(category.id).valid || !category.id) {
+        return 'Invalid id';
+    }
+    if (typeof category.name !== 'string' || !category.name.trim() || category.name.trim().length > NAME_MAX_LENGTH) {
+        return `Name is required (at most ${NAME_MAX_LENGTH} characters)`;
+    }
+    if (typeof category.color !== 'string' || !COLOR_PATTERN.test(category.color)) {
+        return 'Color must be #RRGGBB';
+    }
+    return null;
+}
+
+async function getCategories({ user }) {
+    return { body: { categories: user.categories } };
+}
+
+async function saveCategories({ body, user }) {
+    if (!Array.isArray(body.categories) || body.categories.length > MAX_CATEGORIES) {
+        throw new HttpError(400, `categories must be a list of at most ${MAX_CATEGORIES} categories`);
+    }
+    const errors = {};
+    body.categories.forEach((category, index) => {
+        const message = validateCategory(category);
+        if (message) errors[index] = message;
+    });
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+
+    const categories = body.categories.map(({ id, name, color }) => ({ id, name: name.trim(), color }));
+    await Store.update(data => {
+        data.users.find(item => item.id === user.id).categories = categories;
+    });
+
+    return { body: { categories } };
+}
+
+module.exports = [
+    { method: 'GET', path: /^\/api\/categories\/?$/, handler: getCategories },
+    { method: 'PUT', path: /^\/api\/categories\/?$/, handler: saveCategories }
+];
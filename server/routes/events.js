@@ -0,0 +1,146 @@
+/**
+ * /api/events routes
+ *
+ * GET    /api/events       - list events sorted by date
+ * POST   /api/events       - create an event
+ * GET    /api/events/:id   - fetch one event
+ * PUT    /api/events/:id   - update an event
+ * DELETE /api/events/:id   - delete an event
+ *
+ * The signed-in user sees their personal events and those of the shared
+ * calendars they belong to; anything else is a 404. Changing events in a
+ * shared calendar needs the editor or owner role (403 otherwise), and
+ * events can't be moved between calendars.
+ *
+ * Attendees added by a create or update are emailed an invitation with
+ * RSVP links once the event is saved (see server/rsvp.js), and every
+ * change goes out to the webhooks of those who see the event
+ * (see server/webhooks.js).
+ */
+
+const Calendars = require('../calendars');
+const { HttpError } = require('../errors');
+const EventModel = require('../event-model');
+const Rsvp = require('../rsvp');
+const Store = require('../store');
+const Validation = require('../validation');
+const Webhooks = require('../webhooks');
+
+/**
+ * Reject payloads that fail validation
+ */
+function assertValid(eventData) {
+    const validation = Validation.validateEvent(eventData);
+    if (!validation.isValid) {
+        throw new HttpError(400, 'Validation failed', validation.errors);
+    }
+}
+
+/**
+ * Find the index of an event the user can see or throw 404
+ */
+function findIndexOrThrow(data, eventId, userId) {
+    const index = data.events.findIndex(event => event.id === eventId && Calendars.canView(data, event, userId));
+    if (index === -1) {
+        throw new HttpError(404, `Event ${eventId} not found`);
+    }
+    return index;
+}
+
+/**
+ * Reject changes to events in calendars the user can only view
+ */
+function assertCanEdit(data, event, userId) {
+    if (!Calendars.canEdit(data, event, userId)) {
+        throw new HttpError(403, 'You can only view events in this calendar');
+    }
+}
+
+async function listEvents({ user }) {
+    const data = await Store.load();
+    const sorted = data.events
+        .filter(event => Calendars.canView(data, event, user.id))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(event => EventModel.toPublic(event));
+    return { body: sorted };
+}
+
+async function getEvent({ params: [eventId], user }) {
+    const data = await Store.load();
+    return { body: EventModel.toPublic(data.events[findIndexOrThrow(data, eventId, user.id)]) };
+}
+
+async function createEvent({ body, user }) {
+    assertValid(body);
+
+    const newEvent = await Store.update(data => {
+        if (body.calendarId && !Calendars.canEditCalendar(data, body.calendarId, user.id)) {
+            throw new HttpError(403, 'You can\'t add events to this calendar');
+        }
+        const event = {
+            ...EventModel.build({ ...body, id: undefined, createdAt: undefined, updatedAt: undefined }),
+            ownerId: user.id,
+            revision: Store.nextRevision(data)
+        };
+        data.events.push(event);
+        Webhooks.enqueue(data, 'event.created', { event: EventModel.toPublic(event) }, Calendars.getViewerIds(data, event));
+        return event;
+    });
+    Rsvp.sendInvitations();
+    Webhooks.processQueue();
+
+    return { status: 201, body: EventModel.toPublic(newEvent) };
+}
+
+async function updateEvent({ params: [eventId], body, user }) {
+    const updated = await Store.update(data => {
+        const index = findIndexOrThrow(data, eventId, user.id);
+        const existing = data.events[index];
+
+        assertCanEdit(data, existing, user.id);
+        if (EventModel.changesCalendar(body, existing)) {
+            throw new HttpError(400, 'Validation failed', { calendarId: 'Events can\'t be moved to another calendar' });
+        }
+        assertValid(EventModel.merge(body, existing));
+
+        data.events[index] = {
+            ...EventModel.build({ ...body, updatedAt: undefined }, existing),
+            ownerId: existing.ownerId,
+            revision: Store.nextRevision(data)
+        };
+        const event = data.events[index];
+        Webhooks.enqueue(data, 'event.updated', { event: EventModel.toPublic(event) }, Calendars.getViewerIds(data, event));
+        return event;
+    });
+    Rsvp.sendInvitations();
+    Webhooks.processQueue();
+
+    return { body: EventModel.toPublic(updated) };
+}
+
+async function deleteEvent({ params: [eventId], user }) {
+    await Store.update(data => {
+        const index = findIndexOrThrow(data, eventId, user.id);
+        assertCanEdit(data, data.events[index], user.id);
+        const [removed] = data.events.splice(index, 1);
+        data.tombstones.push({
+            id: eventId,
+            ownerId: removed.ownerId,
+            calendarId: removed.calendarId,
+            deletedAt: new Date().toISOString(),
+            revision: Store.nextRevision(data)
+        });
+        Webhooks.enqueue(data, 'event.deleted', { event: EventModel.toPublic(removed) }, Calendars.getViewerIds(data, removed));
+    });
+    Webhooks.processQueue();
+
+    return { status: 204 };
+}
+
+module.exports = [
+    { method: 'GET', path: /^\/api\/events\/?$/, handler: listEvents },
+    { method: 'POST', path: /^\/api\/events\/?$/, handler: createEvent },
+    { method: 'GET', path: /^\/api\/events\/([^/]+)$/, handler: getEvent },
+    { method: 'PUT', path: /^\/api\/events\/([^/]+)$/, handler: updateEvent },
+    { method: 'DELETE', path: /^\/api\/events\/([^/]+)$/, handler: deleteEvent }
+];
@@ -0,0 +1,82 @@
+/**
+ * /api/feeds routes
+ *
+ * GET    /api/feeds       - list calendar feeds
+ * POST   /api/feeds       - create a feed ({ name?, categoryId?, categoryName? })
+ * DELETE /api/feeds/:id   - revoke a feed (its URL stops working)
+ *
+ * Feeds belong to the signed-in user and serve only their events. A
+ * scoped feed stores the category's name alongside its id for the
+ * calendar it serves.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('../errors');
+const CalendarFeed = require('../calendar-feed');
+const Store = require('../store');
+const Validation = require('../validation');
+
+const NAME_MAX_LENGTH = 100;
+const DEFAULT_NAME = 'Event Reminder';
+
+async function listFeeds({ user }) {
+    const feeds = await Store.getAll('feeds');
+    return { body: feeds.filter(feed => feed.ownerId === user.id) };
+}
+
+async function createFeed({ body, user }) {
+    const errors = {};
+
+    if (body.name !== undefined && body.name !== null
+        && (typeof body.name !== 'string' || body.name.trim().length > NAME_MAX_LENGTH)) {
+        errors.name = `Name must be text of at most ${NAME_MAX_LENGTH} characters`;
+    }
+    const category = Validation.validateCategory(body.categoryId);
+    if (!category.valid) {
+        errors.categoryId = category.message;
+    }
+    if (body.categoryName !== undefined && body.categoryName !== null
+        && (typeof body.categoryName !== 'string' || body.categoryName.length > NAME_MAX_LENGTH)) {
+        errors.categoryName = 'Invalid category name';
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+
+    const categoryName = body.categoryId && body.categoryName ? body.categoryName.trim() : null;
+    const feed = {
+        id: `feed_${crypto.randomBytes(8).toString('hex')}`,
+        ownerId: user.id,
+        token: CalendarFeed.generateToken(),
+        name: (body.name && body.name.trim())
+            || (categoryName ? `${DEFAULT_NAME} · ${categoryName}` : DEFAULT_NAME),
+        categoryId: body.categoryId || null,
+        categoryName,
+        createdAt: new Date().toISOString(),
+        lastAccessedAt: null
+    };
+
+    await Store.update(data => {
+        data.feeds.push(feed);
+    });
+
+    return { status: 201, body: feed };
+}
+
+async function deleteFeed({ params: [feedId], user }) {
+    await Store.update(data => {
+        const index = data.feeds.findIndex(feed => feed.id === feedId && feed.ownerId === user.id);
+        if (index === -1) {
+            throw new HttpError(404, `Feed ${feedId} not found`);
+        }
+        data.feeds.splice(index, 1);
+    });
+
+    return { status: 204 };
+}
+
+module.exports = [
+    { method: 'GET', path: /^\/api\/feeds\/?$/, handler: listFeeds },
+    { method: 'POST', path: /^\/api\/feeds\/?$/, handler: createFeed },
+    { method: 'DELETE', path: /^\/api\/feeds\/([^/]+)$/, handler: deleteFeed }
+];
@@ -0,0 +1,210 @@
+/**
+ * Notification routes
+ *
+ * GET  /api/settings/notifications    - read notification settings (email, default reminders, channels)
+ * PUT  /api/settings/notifications    - update them
+ * POST /api/notifications/new-event   - email that an event was added
+ * POST /api/notifications/reminder    - email a reminder for an event
+ * GET  /api/deliveries                 - reminder delivery history for every channel, newest first
+ * POST /api/deliveries                 - record a reminder the app raised (desktop or in-app)
+ *
+ * The notification routes take { event } so they work for events the
+ * server hasn't received through sync yet. Settings and emails are the
+ * signed-in user's; an empty notificationEmail means the account's email.
+ */
+
+const { HttpError } = require('../errors');
+const Calendars = require('../calendars');
+const Channels = require('../channels');
+const EventModel = require('../event-model');
+const Notifier = require('../notifier');
+const Store = require('../store');
+const Validation = require('../validation');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const REPORTED_STATUSES = ['sent', 'failed'];
+const ERROR_MAX_LENGTH = 200;
+// Attempts kept per reported record (each device showing the reminder adds one)
+const MAX_OUTCOMES = 20;
+
+async function getSettings({ user }) {
+    return { body: user.settings };
+}
+
+async function updateSettings({ body, user }) {
+    const errors = {};
+
+    if (body.notificationEmail !== undefined && body.notificationEmail !== null
+        && (typeof body.notificationEmail !== 'string' || !EMAIL_PATTERN.test(body.notificationEmail.trim()))) {
+        errors.notificationEmail = 'Enter a valid email address';
+    }
+    if (body.emailNotifications !== undefined && typeof body.emailNotifications !== 'boolean') {
+        errors.emailNotifications = 'Must be true or false';
+    }
+    if (body.defaultReminders !== undefined) {
+        const reminders = Validation.validateReminders(body.defaultReminders);
+        if (!reminders.valid || body.defaultReminders === null) {
+            errors.defaultReminders = reminders.message || 'Default reminders must be a list';
+        }
+    }
+    if (body.channels !== undefined) {
+        const channels = Validation.validateChannelList(body.channels);
+        if (!channels.valid) {
+            errors.channels = channels.message;
+        }
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+
+    const settings = await Store.update(data => {
+        const { settings: stored } = data.users.find(item => item.id === user.id);
+        if (body.notificationEmail !== undefined) {
+            stored.notificationEmail = body.notificationEmail ? body.notificationEmail.trim() : null;
+        }
+        if (body.emailNotifications !== undefined) {
+            stored.emailNotifications = body.emailNotifications;
+        }
+        if (body.defaultReminders !== undefined) {
+            stored.defaultReminders = EventModel.normalizeReminders(body.defaultReminders);
+        }
+        if (body.channels !== undefined) {
+            stored.channels = EventModel.CHANNELS.filter(channel => body.channels.includes(channel));
+        }
+        return stored;
+    });
+
+    return { body: settings };
+}
+
+async function listDeliveries({ query, user }) {
+    const limit = Math.min(Number(query.get('limit')) || 100, 1000);
+    const channel = query.get('channel');
+    const data = await Store.load();
+    const sorted = data.deliveries
+        .filter(record => record.userId === user.id && (!channel || record.channel === channel))
+        .sort((a, b) => new Date(b.lastAttemptAt) - new Date(a.lastAttemptAt));
+    return { body: sorted.slice(0, limit).map(record => Channels.toHistoryEntry(record, data)) };
+}
+
+/**
+ * Check a reminder the app reports having raised
+ */
+function validateReport(body) {
+    const errors = {};
+    const channel = Channels.get(body.channel);
+
+    if (!channel || channel.runsOn !== 'browser') {
+        errors.channel = 'Only reminders the app raises itself can be reported';
+    }
+    if (typeof body.eventId !== 'string' || body.eventId.length === 0) {
+        errors.eventId = 'Event is required';
+    }
+    if (typeof body.occurrenceDate !== 'string' || !DATE_PATTERN.test(body.occurrenceDate)) {
+        errors.occurrenceDate = 'Enter the occurrence date as YYYY-MM-DD';
+    }
+    if (!Validation.validateReminders([body.offset]).valid) {
+        errors.offset = 'Offset must be minutes before the event';
+    }
+    if (typeof body.dueAt !== 'string' || isNaN(new Date(body.dueAt).getTime())) {
+        errors.dueAt = 'Invalid due time';
+    }
+    if (!REPORTED_STATUSES.includes(body.status)) {
+        errors.status = `Status must be one of ${REPORTED_STATUSES.join(', ')}`;
+    }
+    if (body.error !== undefined && body.error !== null && typeof body.error !== 'string') {
+        errors.error = 'Error must be text';
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+}
+
+/**
+ * Record a desktop or in-app reminder in the delivery history
+ * Every device that raises the reminder adds an attempt to the same record.
+ */
+async function reportDelivery({ body, user }) {
+    validateReport(body);
+
+    const now = new Date().toISOString();
+    const dueAt = new Date(body.dueAt).toISOString();
+    const key = `${body.eventId}:${body.occurrenceDate}:${body.offset}`;
+    const error = body.status === 'failed' ? (body.error || 'Could not be shown').slice(0, ERROR_MAX_LENGTH) : null;
+
+    const result = await Store.update(data => {
+        const event = data.events.find(item => item.id === body.eventId);
+        if (!event || !Calendars.canView(data, event, user.id)) {
+            throw new HttpError(404, `Event ${body.eventId} not found`);
+        }
+
+        // A record for another due time is from before the event moved
+        const existing = data.deliveries.find(record => record.userId === user.id
+            && record.channel === body.channel && record.key === key && record.dueAt === dueAt);
+        const record = {
+            key,
+            eventId: event.id,
+            userId: user.id,
+            occurrenceDate: body.occurrenceDate,
+            offset: body.offset,
+            channel: body.channel,
+            dueAt,
+            // Once shown on any device the reminder counts as sent
+            status: existing && existing.status === 'sent' ? 'sent' : body.status,
+            attempts: (existing ? existing.attempts : 0) + 1,
+            lastAttemptAt: now,
+            createdAt: existing ? existing.createdAt : now,
+            sentAt: body.status === 'sent' ? now : (existing && existing.sentAt) || null,
+            error,
+            outcomes: [
+                ...(existing ? existing.outcomes || [] : []),
+                { attemptedAt: now, status: body.status, error }
+            ].slice(-MAX_OUTCOMES)
+        };
+
+        data.deliveries = data.deliveries.filter(item =>
+            item.key !== key || item.userId !== user.id || item.channel !== body.channel);
+        data.deliveries.push(record);
+        return Channels.toHistoryEntry(record, data);
+    });
+
+    return { status: 201, body: result };
+}
+
+/**
+ * Build a handler that sends one kind of notification
+ */
+function notificationHandler(send) {
+    return async ({ body, user }) => {
+        const event = body.event || {};
+        const validation = Validation.validateEvent(event);
+        if (!validation.isValid) {
+            throw new HttpError(400, 'Validation failed', validation.errors);
+        }
+
+        try {
+            return { body: await send(event, user) };
+        } catch (error) {
+            console.error('   └─ ❌ Email delivery failed:', error.message);
+            throw new HttpError(502, `Email delivery failed: ${error.message}`);
+        }
+    };
+}
+
+module.exports = [
+    { method: 'GET', path: /^\/api\/settings\/notifications\/?$/, handler: getSettings },
+    { method: 'PUT', path: /^\/api\/settings\/notifications\/?$/, handler: updateSettings },
+    { method: 'GET', path: /^\/api\/deliveries\/?$/, handler: listDeliveries },
+    { method: 'POST', path: /^\/api\/deliveries\/?$/, handler: reportDelivery },
+    {
+        method: 'POST',
+        path: /^\/api\/notifications\/new-event\/?$/,
+        handler: notificationHandler((event, user) => Notifier.sendNewEventNotification(event, user))
+    },
+    {
+        method: 'POST',
+        path: /^\/api\/notifications\/reminder\/?$/,
+        handler: notificationHandler((event, user) => Notifier.sendEventReminder(event, user))
+    }
+];
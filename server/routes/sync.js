@@ -0,0 +1,189 @@
+/**
+ * /api/sync route
+ *
+ * POST /api/sync
+ *   { since: <revision>, changes: [{ op: 'upsert' | 'delete', id, event?, updatedAt }] }
+ *
+ * Applies queued client changes with last-writer-wins on `updatedAt`,
+ * then returns everything that changed on the server after `since`:
+ *   { revision, events: [...], deleted: [ids], conflicts: [{ id, title, reason }] }
+ *
+ * A change that loses to a newer server version is reported in
+ * `conflicts` and the winning version is included in the response so
+ * the client converges on it. Each user syncs their personal events and
+ * those of the shared calendars they belong to; changes to calendars the
+ * user may only view are rejected as 'read-only', and a rejected new
+ * event is listed in `deleted` so the client drops it. Ids are global:
+ * a change to an id that belongs to someone else's event (or tombstone)
+ * is rejected as 'id-taken' rather than stored next to it, and the client
+ * queues the event again under a new id. New attendees are
+ * invited once the changes are saved (see server/rsvp.js) and applied
+ * changes go out to webhooks (see server/webhooks.js).
+ */
+
+const Calendars = require('../calendars');
+const { HttpError } = require('../errors');
+const EventModel = require('../event-model');
+const Rsvp = require('../rsvp');
+const Store = require('../store');
+const Validation = require('../validation');
+const Webhooks = require('../webhooks');
+
+/**
+ * Apply a single client change to a user's events
+ * Returns a conflict descriptor when the change is rejected.
+ */
+function applyChange(data, change, userId) {
+    const visible = item => item.id === change.id && Calendars.canView(data, item, userId);
+    const index = data.events.findIndex(visible);
+    const existing = index === -1 ? null : data.events[index];
+    const tombstoneIndex = data.tombstones.findIndex(visible);
+    const tombstone = tombstoneIndex === -1 ? null : data.tombstones[tombstoneIndex];
+
+    // The id belongs to a record this user can't see: never store a second one
+    if (!existing && !tombstone
+        && (data.events.some(item => item.id === change.id) || data.tombstones.some(item => item.id === change.id))) {
+        return change.op === 'delete'
+            ? null
+            : { id: change.id, title: change.event.title, reason: 'id-taken' };
+    }
+
+    // Re-sent change the server already has (e.g. the previous response was lost)
+    const current = existing ? existing.updatedAt : tombstone && tombstone.deletedAt;
+    if (current === change.updatedAt && (change.op === 'delete') === !existing) {
+        return null;
+    }
+
+    if (existing && !EventModel.isNewer(change.updatedAt, existing.updatedAt)) {
+        return { id: change.id, title: existing.title, reason: 'newer-remote-edit' };
+    }
+    if (tombstone && !EventModel.isNewer(change.updatedAt, tombstone.deletedAt)) {
+        return { id: change.id, title: change.event && change.event.title, reason: 'deleted-remotely' };
+    }
+
+    const target = existing || tombstone || (change.event && { calendarId: change.event.calendarId, ownerId: userId });
+    if (target && !Calendars.canEdit(data, target, userId)) {
+        return { id: change.id, title: (existing || change.event || {}).title, reason: 'read-only' };
+    }
+
+    if (change.op === 'delete') {
+        if (existing) {
+            data.events.splice(index, 1);
+        }
+        if (tombstone) {
+            data.tombstones.splice(tombstoneIndex, 1);
+        }
+        const previous = existing || tombstone;
+        data.tombstones.push({
+            id: change.id,
+            ownerId: previous ? previous.ownerId : userId,
+            calendarId: previous ? previous.calendarId : null,
+            deletedAt: change.updatedAt,
+            revision: Store.nextRevision(data)
+        });
+        if (existing) {
+            Webhooks.enqueue(data, 'event.deleted', { event: EventModel.toPublic(existing) }, Calendars.getViewerIds(data, existing));
+        }
+        return null;
+    }
+
+    const validation = Validation.validateEvent(change.event);
+    if (!validation.isValid) {
+        return { id: change.id, title: change.event.title, reason: 'invalid', errors: validation.errors };
+    }
+    if (existing && EventModel.changesCalendar(change.event, existing)) {
+        return {
+            id: change.id,
+            title: change.event.title,
+            reason: 'invalid',
+            errors: { calendarId: 'Events can\'t be moved to another calendar' }
+        };
+    }
+
+    const stored = {
+        ...EventModel.build({ ...change.event, id: change.id, updatedAt: change.updatedAt }, existing || {}),
+        ownerId: existing ? existing.ownerId : userId,
+        revision: Store.nextRevision(data)
+    };
+
+    if (existing) {
+        data.events[index] = stored;
+    } else {
+        data.events.push(stored);
+    }
+    if (tombstone) {
+        data.tombstones.splice(tombstoneIndex, 1);
+    }
+    Webhooks.enqueue(
+        data,
+        existing ? 'event.updated' : 'event.created',
+        { event: EventModel.toPublic(stored) },
+        Calendars.getViewerIds(data, stored)
+    );
+    return null;
+}
+
+/**
+ * Check the shape of a queued change
+ */
+function isWellFormed(change) {
+    return change
+        && typeof change.id === 'string'
+        && typeof change.updatedAt === 'string'
+        && (change.op === 'delete' || (change.op === 'upsert' && change.event && typeof change.event === 'object'));
+}
+
+/**
+ * Gather everything of a user's that a client at revision `since` has not seen yet
+ */
+function collectChanges(data, since, conflicts, userId) {
+    const conflictIds = new Set(conflicts.map(conflict => conflict.id));
+    const isNew = item => Calendars.canView(data, item, userId) && (item.revision > since || conflictIds.has(item.id));
+    const events = data.events.filter(isNew).map(event => EventModel.toPublic(event));
+
+    // New events the user wasn't allowed to add: the client should let go of them
+    const returned = new Set(events.map(event => event.id));
+    const rejected = conflicts
+        .filter(conflict => conflict.reason === 'read-only' && !returned.has(conflict.id))
+        .map(conflict => conflict.id);
+
+    return {
+        revision: data.revision,
+        events,
+        deleted: [
+            ...data.tombstones
+                .filter(isNew)
+                .map(tombstone => tombstone.id),
+            ...rejected
+        ],
+        conflicts
+    };
+}
+
+async function sync({ body, user }) {
+    const since = Number(body.since) || 0;
+    const changes = Array.isArray(body.changes) ? body.changes : [];
+
+    if (!changes.every(isWellFormed)) {
+        throw new HttpError(400, 'Each change needs op, id, updatedAt and (for upserts) event');
+    }
+
+    if (changes.length === 0) {
+        return { body: collectChanges(await Store.load(), since, [], user.id) };
+    }
+
+    const result = await Store.update(data => {
+        const conflicts = changes
+            .map(change => applyChange(data, change, user.id))
+            .filter(Boolean);
+        return collectChanges(data, since, conflicts, user.id);
+    });
+    Rsvp.sendInvitations();
+    Webhooks.processQueue();
+
+    return { body: result };
+}
+
+module.exports = [
+    { method: 'POST', path: /^\/api\/sync\/?$/, handler: sync }
+];
@@ -0,0 +1,187 @@
+/**
+ * /api/webhooks routes
+ *
+ * GET    /api/webhooks                          - list webhooks (with their signing secrets)
+ * POST   /api/webhooks                          - add a webhook ({ url, events?, description? })
+ * PUT    /api/webhooks/:id                      - change it ({ url?, events?, description?, active? })
+ * DELETE /api/webhooks/:id                      - remove it and its queued deliveries
+ * POST   /api/webhooks/:id/test                 - send a "ping" delivery right away
+ * GET    /api/webhooks/deliveries               - delivery log, newest first (?webhookId=, ?limit=)
+ * POST   /api/webhooks/deliveries/:id/retry     - send a failed delivery again
+ *
+ * Webhooks belong to the signed-in user; delivery, signing and retries
+ * are described in server/webhooks.js.
+ */
+
+const { HttpError } = require('../errors');
+const Store = require('../store');
+const Webhooks = require('../webhooks');
+
+const MAX_WEBHOOKS = 10;
+const URL_MAX_LENGTH = 2000;
+const DESCRIPTION_MAX_LENGTH = 100;
+
+/**
+ * Check a webhook's fields (partial input for updates)
+ */
+function validateWebhook(body, { partial = false } = {}) {
+    const errors = {};
+
+    if (!partial || body.url !== undefined) {
+        let url = null;
+        try {
+            url = typeof body.url === 'string' && body.url.length <= URL_MAX_LENGTH ? new URL(body.url) : null;
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.url = 'Enter an http:// or https:// URL';
+        }
+    }
+    if (body.events !== undefined) {
+        if (!Array.isArray(body.events) || body.events.length === 0
+            || !body.events.every(type => Webhooks.EVENT_TYPES.includes(type))) {
+            errors.events = `Choose one or more of ${Webhooks.EVENT_TYPES.join(', ')}`;
+        }
+    }
+    if (body.description !== undefined && body.description !== null
+        && (typeof body.description !== 'string' || body.description.trim().length > DESCRIPTION_MAX_LENGTH)) {
+        errors.description = `Description must be text of at most ${DESCRIPTION_MAX_LENGTH} characters`;
+    }
+    if (body.active !== undefined && typeof body.active !== 'boolean') {
+        errors.active = 'Must be true or false';
+    }
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Validation failed', errors);
+    }
+}
+
+/**
+ * Find one of the user's webhooks or throw 404
+ */
+function findWebhookOrThrow(data, webhookId, userId) {
+    const webhook = data.webhooks.find(item => item.id === webhookId && item.ownerId === userId);
+    if (!webhook) {
+        throw new HttpError(404, `Webhook ${webhookId} not found`);
+    }
+    return webhook;
+}
+
+async function listWebhooks({ user }) {
+    const webhooks = await Store.getAll('webhooks');
+    return { body: webhooks.filter(webhook => webhook.ownerId === user.id) };
+}
+
+async function createWebhook({ body, user }) {
+    validateWebhook(body);
+
+    const now = new Date().toISOString();
+    const webhook = await Store.update(data => {
+        if (data.webhooks.filter(item => item.ownerId === user.id).length >= MAX_WEBHOOKS) {
+            throw new HttpError(400, `You can have at most ${MAX_WEBHOOKS} webhooks`);
+        }
+        const created = {
+            id: Webhooks.generateId('wh'),
+            ownerId: user.id,
+            url: body.url,
+            description: (body.description || '').trim(),
+            events: body.events ? [...new Set(body.events)] : [...Webhooks.EVENT_TYPES],
+            secret: Webhooks.generateSecret(),
+            active: true,
+            createdAt: now,
+            updatedAt: now
+        };
+        data.webhooks.push(created);
+        return created;
+    });
+
+    console.log(`   └─ 🪝 Added webhook to ${new URL(webhook.url).host}`);
+    return { status: 201, body: webhook };
+}
+
+async function updateWebhook({ params: [webhookId], body, user }) {
+    validateWebhook(body, { partial: true });
+
+    const updated = await Store.update(data => {
+        const webhook = findWebhookOrThrow(data, webhookId, user.id);
+        if (body.url !== undefined) webhook.url = body.url;
+        if (body.events !== undefined) webhook.events = [...new Set(body.events)];
+        if (body.description !== undefined) webhook.description = (body.description || '').trim();
+        if (body.active !== undefined) webhook.active = body.active;
+        webhook.updatedAt = new Date().toISOString();
+        return webhook;
+    });
+
+    return { body: updated };
+}
+
+async function deleteWebhook({ params: [webhookId], user }) {
+    await Store.update(data => {
+        const webhook = findWebhookOrThrow(data, webhookId, user.id);
+        data.webhooks = data.webhooks.filter(item => item !== webhook);
+        data.webhookDeliveries = data.webhookDeliveries.filter(delivery => delivery.webhookId !== webhook.id);
+    });
+
+    return { status: 204 };
+}
+
+async function testWebhook({ params: [webhookId], user }) {
+    const data = await Store.load();
+    const webhook = findWebhookOrThrow(data, webhookId, user.id);
+    if (!webhook.active) {
+        throw new HttpError(409, 'Resume the webhook before testing it');
+    }
+
+    // Answer with the outcome of the first attempt; later ones go through the queue
+    const delivery = await Webhooks.deliverNow(webhook, Webhooks.createDelivery(webhook, 'ping', { webhookId: webhook.id }));
+    return { status: 201, body: Webhooks.toLogEntry(delivery, webhook) };
+}
+
+async function listDeliveries({ query, user }) {
+    const limit = Math.min(Number(query.get('limit')) || 50, 500);
+    const webhookId = query.get('webhookId');
+    const data = await Store.load();
+    const webhooksById = new Map(data.webhooks.map(webhook => [webhook.id, webhook]));
+
+    const deliveries = data.webhookDeliveries
+        .filter(delivery => delivery.ownerId === user.id && (!webhookId || delivery.webhookId === webhookId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit)
+        .map(delivery => Webhooks.toLogEntry(delivery, webhooksById.get(delivery.webhookId)));
+
+    return { body: deliveries };
+}
+
+async function retryDelivery({ params: [deliveryId], user }) {
+    const { delivery, webhook } = await Store.update(data => {
+        const found = data.webhookDeliveries.find(item => item.id === deliveryId && item.ownerId === user.id);
+        if (!found) {
+            throw new HttpError(404, `Delivery ${deliveryId} not found`);
+        }
+        if (found.status !== 'failed') {
+            throw new HttpError(409, 'Only failed deliveries can be retried');
+        }
+        const target = data.webhooks.find(item => item.id === found.webhookId);
+        found.attempts = 0;
+        // Paused webhooks keep it queued until they are resumed
+        if (!target.active) {
+            found.status = 'pending';
+            found.nextAttemptAt = new Date().toISOString();
+        }
+        return { delivery: { ...found }, webhook: target };
+    });
+
+    // Still 'failed' in the store while this attempt runs, so the queue leaves it alone
+    const stored = webhook.active ? await Webhooks.deliverNow(webhook, delivery) : delivery;
+    return { body: Webhooks.toLogEntry(stored, webhook) };
+}
+
+module.exports = [
+    { method: 'GET', path: /^\/api\/webhooks\/deliveries\/?$/, handler: listDeliveries },
+    { method: 'POST', path: /^\/api\/webhooks\/deliveries\/([^/]+)\/retry\/?$/, handler: retryDelivery },
+    { method: 'GET', path: /^\/api\/webhooks\/?$/, handler: listWebhooks },
+    { method: 'POST', path: /^\/api\/webhooks\/?$/, handler: createWebhook },
+    { method: 'PUT', path: /^\/api\/webhooks\/([^/]+)$/, handler: updateWebhook },
+    { method: 'DELETE', path: /^\/api\/webhooks\/([^/]+)$/, handler: deleteWebhook },
+    { method: 'POST', path: /^\/api\/webhooks\/([^/]+)\/test\/?$/, handler: testWebhook }
+];
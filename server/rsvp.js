@@ -0,0 +1,261 @@
+/**
+ * Event invitations and RSVP links
+ *
+ * Every attendee of an event gets an invitation email with links to
+ * /rsvp?token=<token>&response=<accepted|tentative|declined>. Tokens are
+ * per attendee and unguessable, so answering doesn't need an account.
+ * Opening a link shows the event with buttons that POST the answer;
+ * answering on GET would let mail scanners that prefetch links reply
+ * on the attendee's behalf.
+ *
+ * Invitations go out after events are saved and on every scheduler
+ * tick; an attendee is invited once, and failed sends are retried up to
+ * config.scheduler.maxAttempts times.
+ */
+
+const crypto = require('crypto');
+const Config = require('./config');
+const EmailTemplates = require('./email-templates');
+const EventModel = require('./event-model');
+const Notifier = require('./notifier');
+const Store = require('./store');
+
+// Answers an attendee can give (pending is "not answered yet")
+const RESPONSES = EventModel.ATTENDEE_STATUSES.filter(status => status !== 'pending');
+const RESPONSE_LABELS = {
+    accepted: 'Accept',
+    tentative: 'Maybe',
+    declined: 'Decline'
+};
+const RESPONSE_MESSAGES = {
+    pending: 'You haven\'t answered yet.',
+    accepted: 'You\'re going.',
+    tentative: 'You might go.',
+    declined: 'You\'re not going.'
+};
+
+const Rsvp = {
+    PATH: '/rsvp',
+    sending: false,
+    pendingRun: false,
+
+    /**
+     * Check whether a pathname is the RSVP page
+     */
+    handles(pathname) {
+        return pathname === this.PATH;
+    },
+
+    /**
+     * RSVP links for an attendee, keyed by response
+     */
+    getLinks(attendee) {
+        return Object.fromEntries(RESPONSES.map(response => [
+            response,
+            `${Config.publicUrl}${this.PATH}?token=${attendee.token}&response=${response}`
+        ]));
+    },
+
+    /**
+     * Find the event and attendee a token belongs to
+     * Tokens are compared in constant time so they can't be guessed byte by byte.
+     */
+    findByToken(events, token) {
+        if (typeof token !== 'string' || token.length === 0) {
+            return null;
+        }
+        const given = Buffer.from(token);
+        for (const event of events) {
+            const attendee = (event.attendees || []).find(item => {
+                const expected = Buffer.from(item.token);
+                return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+            });
+            if (attendee) {
+                return { event, attendee };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Record an attendee's answer
+     * The event's revision moves so clients pick the answer up, but
+     * updatedAt stays: an answer isn't an edit and shouldn't make
+     * concurrent edits of the event conflict.
+     */
+    async respond(token, response) {
+        return Store.update(data => {
+            const found = this.findByToken(data.events, token);
+            if (!found) return null;
+
+            found.attendee.status = response;
+            found.attendee.respondedAt = new Date().toISOString();
+            found.event.revision = Store.nextRevision(data);
+            return found;
+        });
+    },
+
+    /**
+     * Render the RSVP page for an attendee
+     */
+    renderPage({ event, attendee }, { selected = null, message = null } = {}) {
+        const escape = EmailTemplates.escapeHtml;
+        const buttons = RESPONSES.map(response => {
+            const primary = response === selected;
+            return `
+                <form method="post" action="${this.PATH}?token=${escape(attendee.token)}&amp;response=${response}" style="display: inline;">
+                    <button type="submit" style="margin: 0 8px 8px 0; padding: 8px 16px; border-radius: 6px; border: 1px solid #6366f1; cursor: pointer; background: ${primary ? '#6366f1' : '#ffffff'}; color: ${primary ? '#ffffff' : '#6366f1'};">${RESPONSE_LABELS[response]}</button>
+                </form>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(event.title)} · Event Reminder</title>
+</head>
+<body style="font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px; color: #111827;">
+    <h2 style="color: #6366f1; margin-bottom: 16px;">Event Invitation</h2>
+    <p><strong>${escape(event.title)}</strong></p>
+    <p>📅 ${escape(EmailTemplates.formatDateLong(event.date))} · ${escape(EmailTemplates.formatEventTime(event))}</p>
+    ${event.description ? `<p style="color: #6b7280;">${escape(event.description)}</p>` : ''}
+    <p>${message ? `<strong>${escape(message)}</strong>` : escape(RESPONSE_MESSAGES[attendee.status] || RESPONSE_MESSAGES.pending)}</p>
+    <p>${attendee.name ? `${escape(attendee.name)}, will` : 'Will'} you attend?</p>
+    ${buttons}
+</body>
+</html>`;
+    },
+
+    /**
+     * Send an HTML page
+     */
+    sendPage(res, status, html, method) {
+        res.writeHead(status, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(html),
+            'Cache-Control': 'no-store'
+        });
+        res.end(method === 'HEAD' ? undefined : html, 'utf-8');
+    },
+
+    /**
+     * Serve an RSVP request
+     * GET shows the invitation, POST records the answer. Unknown tokens
+     * get a plain 404 so RSVP links can't be probed.
+     */
+    async handle(req, res, url) {
+        try {
+            if (!['GET', 'HEAD', 'POST'].includes(req.method)) {
+                res.writeHead(405, { 'Allow': 'GET, HEAD, POST' });
+                res.end();
+                return;
+            }
+
+            const token = url.searchParams.get('token');
+            const response = url.searchParams.get('response');
+            if (req.method === 'POST' && !RESPONSES.includes(response)) {
+                res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end(`Response must be one of ${RESPONSES.join(', ')}`);
+                return;
+            }
+
+            const found = req.method === 'POST'
+                ? await this.respond(token, response)
+                : this.findByToken((await Store.load()).events, token);
+            if (!found) {
+                console.log('   └─ 404 Unknown RSVP token');
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Invitation not found');
+                return;
+            }
+
+            if (req.method === 'POST') {
+                console.log(`   └─ 200 RSVP "${response}" for "${found.event.title}"`);
+                this.sendPage(res, 200, this.renderPage(found, {
+                    selected: response,
+                    message: `Thanks! ${RESPONSE_MESSAGES[response]}`
+                }), req.method);
+                return;
+            }
+
+            this.sendPage(res, 200, this.renderPage(found, {
+                selected: RESPONSES.includes(response) ? response : found.attendee.status
+            }), req.method);
+        } catch (error) {
+            console.error('   └─ 500 RSVP error:', error);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            }
+            res.end('Internal server error');
+        }
+    },
+
+    /**
+     * Email attendees who haven't been invited yet
+     * Calls made while a run is in progress start another run once it
+     * finishes, so attendees added meanwhile aren't left waiting.
+     */
+    async sendInvitations(now = new Date()) {
+        if (this.sending) {
+            this.pendingRun = true;
+            return;
+        }
+        this.sending = true;
+
+        try {
+            do {
+                this.pendingRun = false;
+                await this.sendPending(now);
+            } while (this.pendingRun);
+        } catch (error) {
+            console.error('❌ Attendee invitation error:', error);
+        } finally {
+            this.sending = false;
+        }
+    },
+
+    /**
+     * Send the invitations that are due and record the outcome
+     * Events that are already over (and don't repeat) are skipped.
+     */
+    async sendPending(now) {
+        const data = await Store.load();
+        const usersById = new Map(data.users.map(user => [user.id, user]));
+        const pending = data.events
+            .filter(event => event.recurrence || EventModel.getEnd(event) > now)
+            .flatMap(event => (event.attendees || [])
+                .filter(attendee => !attendee.invitedAt && attendee.inviteAttempts < Config.scheduler.maxAttempts)
+                .map(attendee => ({ event, attendee })));
+
+        for (const { event, attendee } of pending) {
+            const owner = usersById.get(event.ownerId);
+            let sent = false;
+
+            try {
+                await Notifier.sendAttendeeInvitation(event, {
+                    attendee,
+                    organizer: owner ? (owner.name || owner.email) : null,
+                    links: this.getLinks(attendee)
+                });
+                sent = true;
+            } catch (error) {
+                console.error(`❌ Invitation to "${event.title}" for ${attendee.email} failed:`, error.message);
+            }
+
+            // Bookkeeping only: clients never see it, so the revision stays
+            await Store.update(draft => {
+                const stored = draft.events.find(item => item.id === event.id);
+                const current = stored && (stored.attendees || []).find(item => item.token === attendee.token);
+                if (!current) return;
+                if (sent) {
+                    current.invitedAt = new Date().toISOString();
+                } else {
+                    current.inviteAttempts += 1;
+                }
+            });
+        }
+    }
+};
+
+module.exports = Rsvp;
@@ -0,0 +1,269 @@
+/**
+ * Reminder scheduler
+ *
+ * Runs inside the server process, so reminders go out even when no
+ * browser has the app open. Every tick it scans stored events, works out
+ * which reminders are due and sends them on the recipient's channels
+ * (see server/channels/): personal events to their owner, events in shared
+ * calendars to every subscribed member (see server/calendars.js). Each
+ * reminder uses the channels the event routes its offset to, or the
+ * recipient's channel preferences; desktop and in-app reminders are raised
+ * by the app itself, so the scheduler only sends the server channels.
+ *
+ * Each event has a list of reminder offsets (minutes before it starts,
+ * falling back to the recipient's default reminders). Recurring events
+ * are only expanded as far ahead as the earliest reminder reaches, so a
+ * long-running series never has to be walked in full.
+ *
+ * Each reminder gets a durable delivery record per recipient and channel,
+ * keyed by event, occurrence date and offset, which makes ticks
+ * idempotent: a reminder is sent once per channel and failed sends are
+ * retried with backoff. Every attempt's outcome is kept on the record, so
+ * the records double as the delivery history. When an event moves, the
+ * records made for its old due times are replaced, so each of its
+ * reminders goes out once more for the new time. Reminders that
+ * came due while the server was down are caught up on the next tick as
+ * long as the event hasn't ended yet; when several reminders for the
+ * same occurrence are overdue only the latest is sent, and reminders for
+ * events that are already over are skipped rather than sent late.
+ *
+ * Each tick also sends event invitations that haven't gone out yet, which
+ * retries the ones that failed (see server/rsvp.js), and sends webhook
+ * deliveries that are queued or waiting for a retry (see server/webhooks.js).
+ */
+
+const Calendars = require('./calendars');
+const Channels = require('./channels');
+const Config = require('./config');
+const EventModel = require('./event-model');
+const Rsvp = require('./rsvp');
+const Store = require('./store');
+const Webhooks = require('./webhooks');
+const Recurrence = require('../recurrence');
+
+const RETRY_BASE_DELAY = 60 * 1000;
+const MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+const RECORD_RETENTION = 180 * 24 * 60 * 60 * 1000;
+
+/**
+ * Format a Date as a local YYYY-MM-DD date
+ */
+function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+const Scheduler = {
+    intervalId: null,
+    running: false,
+
+    /**
+     * Start scanning on an interval
+     */
+    start() {
+        if (!Config.scheduler.enabled || this.intervalId) return;
+
+        this.intervalId = setInterval(() => this.tick(), Config.scheduler.intervalMs);
+        this.tick();
+        console.log(`⏰ Reminder scheduler running (every ${Math.round(Config.scheduler.intervalMs / 1000)}s)`);
+    },
+
+    /**
+     * Stop scanning
+     */
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    },
+
+    /**
+     * Work out the reminders an event needs around `now`
+     * Only occurrences that haven't ended and whose earliest reminder can
+     * already be due are expanded. Each reminder has a stable key and the
+     * time it becomes due.
+     */
+    getReminders(event, offsets, user, now = new Date()) {
+        const today = toDateString(now);
+        const lookaheadDays = Math.ceil(Math.max(0, ...offsets) / MINUTES_PER_DAY);
+        const occurrences = Recurrence.expand([event], today, Recurrence.addDays(today, lookaheadDays));
+
+        return occurrences.flatMap(occurrence => {
+            const start = EventModel.getStart(occurrence);
+            return offsets.map(offset => ({
+                key: `${event.id}:${occurrence.date}:${offset}`,
+                eventId: event.id,
+                user,
+                occurrence,
+                offset,
+                dueAt: new Date(start.getTime() - offset * MINUTE),
+                expiresAt: EventModel.getEnd(occurrence)
+            }));
+        });
+    },
+
+    /**
+     * Keep only the latest due reminder for each occurrence and recipient
+     * Earlier ones are superseded (e.g., a "1 week before" reminder that
+     * was missed while the server was down once "1 day before" is due).
+     */
+    latestPerOccurrence(reminders) {
+        const latest = new Map();
+        reminders.forEach(reminder => {
+            const occurrenceKey = `${reminder.user.id}:${reminder.eventId}:${reminder.occurrence.date}`;
+            const current = latest.get(occurrenceKey);
+            if (!current || reminder.dueAt > current.dueAt) {
+                latest.set(occurrenceKey, reminder);
+            }
+        });
+        return [...latest.values()];
+    },
+
+    /**
+     * Decide whether a reminder should be attempted now
+     */
+    shouldAttempt(record, now) {
+        if (!record) return true;
+        if (record.status !== 'failed') return false;
+        if (record.attempts >= Config.scheduler.maxAttempts) return false;
+
+        // Exponential backoff: 1, 2, 4, 8... minutes after the last attempt
+        const delay = RETRY_BASE_DELAY * Math.pow(2, record.attempts - 1);
+        return now - new Date(record.lastAttemptAt) >= delay;
+    },
+
+    /**
+     * Scan events and deliver due reminders
+     */
+    async tick(now = new Date()) {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const data = await Store.load();
+
+            // Unclaimed events have no recipients yet (see server/auth.js)
+            const usersById = new Map(data.users.map(user => [user.id, user]));
+            const reminders = data.events
+                .flatMap(event => Calendars.getRecipients(data, event, usersById).flatMap(user => this.getReminders(
+                    event,
+                    EventModel.getReminderOffsets(event, user.settings),
+                    user,
+                    now
+                )));
+
+            const deliveries = await this.dropMovedRecords(data.deliveries, reminders);
+            const recordsByKey = new Map(deliveries.map(record => [
+                `${record.userId}:${record.channel}:${record.key}`,
+                record
+            ]));
+            const getRecord = (reminder, channel) => recordsByKey.get(`${reminder.user.id}:${channel.id}:${reminder.key}`) || null;
+
+            const dueReminders = reminders.filter(reminder => reminder.dueAt <= now && reminder.expiresAt > now);
+
+            const due = this.latestPerOccurrence(dueReminders)
+                .flatMap(reminder => Channels.getServerChannels(reminder)
+                    .map(channel => ({ reminder, channel, record: getRecord(reminder, channel) })))
+                .filter(({ record }) => this.shouldAttempt(record, now));
+
+            for (const { reminder, channel, record } of due) {
+                await this.deliver(reminder, channel, record, now);
+            }
+
+            await Rsvp.sendInvitations(now);
+            await Webhooks.processQueue();
+            await this.pruneRecords(now);
+        } catch (error) {
+            console.error('❌ Reminder scheduler error:', error);
+        } finally {
+            this.running = false;
+        }
+    },
+
+    /**
+     * Remove the records of reminders whose event has moved since
+     * A record made for another due time than the reminder's is from
+     * before the move; without it the reminder is sent again, once.
+     * Resolves to the records that are left.
+     */
+    async dropMovedRecords(deliveries, reminders) {
+        const dueAtByKey = new Map(reminders.map(reminder => [
+            `${reminder.user.id}:${reminder.key}`,
+            reminder.dueAt.toISOString()
+        ]));
+        const hasMoved = record => {
+            const dueAt = dueAtByKey.get(`${record.userId}:${record.key}`);
+            return dueAt !== undefined && record.dueAt !== dueAt;
+        };
+
+        if (!deliveries.some(hasMoved)) {
+            return deliveries;
+        }
+        return Store.update(draft => {
+            draft.deliveries = draft.deliveries.filter(record => !hasMoved(record));
+            return draft.deliveries;
+        });
+    },
+
+    /**
+     * Send one reminder to a recipient on one channel and record the outcome
+     */
+    async deliver(reminder, channel, existing, now) {
+        const attempts = (existing ? existing.attempts : 0) + 1;
+        const record = {
+            key: reminder.key,
+            eventId: reminder.eventId,
+            userId: reminder.user.id,
+            occurrenceDate: reminder.occurrence.date,
+            offset: reminder.offset,
+            channel: channel.id,
+            dueAt: reminder.dueAt.toISOString(),
+            attempts,
+            lastAttemptAt: now.toISOString(),
+            createdAt: existing ? existing.createdAt : now.toISOString()
+        };
+
+        try {
+            const { sent, queued, reason, ...details } = await channel.send(reminder);
+            if (!sent) {
+                // Channel turned off or nowhere to send yet: try again on a later tick
+                return;
+            }
+            Object.assign(record, details, {
+                status: queued ? 'queued' : 'sent',
+                sentAt: new Date().toISOString()
+            });
+        } catch (error) {
+            record.status = 'failed';
+            record.error = error.message;
+            console.error(`❌ ${channel.label} reminder for "${reminder.occurrence.title}" failed (attempt ${attempts}):`, error.message);
+        }
+
+        record.outcomes = [
+            ...(existing && existing.outcomes ? existing.outcomes : []),
+            { attemptedAt: record.lastAttemptAt, status: record.status, error: record.error || null }
+        ];
+
+        await Store.update(data => {
+            data.deliveries = data.deliveries.filter(item =>
+                item.key !== record.key || item.userId !== record.userId || item.channel !== record.channel);
+            data.deliveries.push(record);
+        });
+    },
+
+    /**
+     * Forget old delivery records so the store doesn't grow forever
+     */
+    async pruneRecords(now) {
+        const data = await Store.load();
+        const cutoff = now.getTime() - RECORD_RETENTION;
+        const isStale = record => new Date(record.dueAt).getTime() < cutoff;
+
+        if (data.deliveries.some(isStale)) {
+            await Store.update(draft => {
+                draft.deliveries = draft.deliveries.filter(record => !isStale(record));
+            });
+        }
+    }
+};
+
+module.exports = Scheduler;
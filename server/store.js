@@ -0,0 +1,200 @@
+/**
+ * Persistent JSON store for server-side data
+ *
+ * Keeps the whole document in memory and writes it to data/store.json
+ * after every change:
+ * - Writes are atomic: the document goes to a temp file which is flushed
+ *   to disk and then renamed over the live file, so a crash mid-write
+ *   leaves the previous version intact.
+ * - The previous version is also kept as store.json.bak and used to
+ *   recover if the live file is ever unreadable.
+ * - The document carries a schemaVersion and is upgraded through
+ *   server/migrations.js on load; the pre-migration file is kept as
+ *   store.v<N>.json.
+ * - Writes are serialized and applied to a copy, so a failed mutation
+ *   or write never leaves memory and disk out of step.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Migrations = require('./migrations');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const STORE_FILE = path.join(DATA_DIR, 'store.json');
+const BACKUP_FILE = `${STORE_FILE}.bak`;
+const TEMP_SUFFIX = '.tmp';
+
+const Store = {
+    DATA_DIR,
+    data: null,
+    loading: null,
+    writeQueue: Promise.resolve(),
+
+    /**
+     * Load the document from disk (once), migrating it if needed
+     */
+    load() {
+        if (this.data) {
+            return Promise.resolve(this.data);
+        }
+        if (!this.loading) {
+            this.loading = this.loadFromDisk().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    },
+
+    async loadFromDisk() {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await this.removeStaleTempFiles();
+
+        let raw = await this.readDocument(STORE_FILE);
+        let recovered = false;
+        if (raw === undefined) {
+            raw = await this.readDocument(BACKUP_FILE);
+            if (raw !== undefined) {
+                recovered = true;
+                await this.quarantine(STORE_FILE);
+                console.warn('⚠️  store.json was missing or unreadable, recovered from store.json.bak');
+            }
+        }
+
+        const { data, fromVersion, toVersion } = Migrations.migrate(raw === undefined ? {} : raw);
+
+        if (raw !== undefined && fromVersion !== toVersion) {
+            const snapshot = path.join(DATA_DIR, `store.v${fromVersion}.json`);
+            await fs.promises.writeFile(snapshot, JSON.stringify(raw, null, 2), 'utf-8');
+            console.log(`🔄 Migrated store from schema v${fromVersion} to v${toVersion} (previous copy: ${path.basename(snapshot)})`);
+        }
+
+        if (fromVersion !== toVersion || raw === undefined || recovered) {
+            await this.writeAtomic(data);
+        }
+
+        this.data = data;
+        return this.data;
+    },
+
+    /**
+     * Read and parse a JSON file
+     * Returns undefined when the file is missing or corrupt.
+     */
+    async readDocument(filePath) {
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            console.error(`❌ ${path.basename(filePath)} is corrupt:`, error.message);
+            return undefined;
+        }
+    },
+
+    /**
+     * Move an unreadable file aside so it can't overwrite the backup
+     */
+    async quarantine(filePath) {
+        try {
+            await fs.promises.rename(filePath, `${filePath}.corrupt-${Date.now()}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    },
+
+    /**
+     * Delete temp files left behind by a crash mid-write
+     */
+    async removeStaleTempFiles() {
+        const files = await fs.promises.readdir(DATA_DIR);
+        await Promise.all(files
+            .filter(file => file.endsWith(TEMP_SUFFIX))
+            .map(file => fs.promises.unlink(path.join(DATA_DIR, file)).catch(() => {})));
+    },
+
+    /**
+     * Write the document atomically: temp file, fsync, keep backup, rename
+     */
+    async writeAtomic(data) {
+        const tempFile = `${STORE_FILE}.${process.pid}.${Date.now()}${TEMP_SUFFIX}`;
+        const handle = await fs.promises.open(tempFile, 'w');
+
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2), 'utf-8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.promises.copyFile(STORE_FILE, BACKUP_FILE);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        await fs.promises.rename(tempFile, STORE_FILE);
+        await this.syncDirectory();
+    },
+
+    /**
+     * Flush the directory entry so the rename itself survives a power loss
+     * (not supported on Windows, where rename is already durable enough)
+     */
+    async syncDirectory() {
+        if (process.platform === 'win32') return;
+
+        const handle = await fs.promises.open(DATA_DIR, 'r');
+        try {
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    },
+
+    /**
+     * Read a collection
+     */
+    async getAll(collection) {
+        const data = await this.load();
+        return data[collection];
+    },
+
+    /**
+     * Advance the document's change counter (call inside update())
+     * Every stored change is stamped with the new value so sync clients
+     * can ask for "everything after revision N".
+     */
+    nextRevision(data) {
+        data.revision = (data.revision || 0) + 1;
+        return data.revision;
+    },
+
+    /**
+     * Apply a mutation and persist it
+     * The mutator receives a working copy of the document and its return
+     * value is passed through. If the mutator throws or the write fails,
+     * the stored document is left untouched.
+     */
+    update(mutator) {
+        const run = async () => {
+            const data = await this.load();
+            const draft = JSON.parse(JSON.stringify(data));
+            const result = mutator(draft);
+            await this.writeAtomic(draft);
+            this.data = draft;
+            return result;
+        };
+
+        const pending = this.writeQueue.then(run);
+        this.writeQueue = pending.catch(() => {});
+        return pending;
+    }
+};
+
+module.exports = Store;
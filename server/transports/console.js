@@ -0,0 +1,25 @@
+/**
+ * Console mail transport
+ *
+ * Prints messages to the server log instead of sending them. This is the
+ * default until SMTP is configured.
+ */
+
+/**
+ * Create a console transport
+ */
+function createConsoleTransport() {
+    return {
+        name: 'console',
+
+        async send(message) {
+            console.log('   📧 Email (console transport, not sent):');
+            console.log(`      To:      ${message.to}`);
+            console.log(`      Subject: ${message.subject}`);
+            message.text.split('\n').forEach(line => console.log(`      ${line}`));
+            return { messageId: `console-${Date.now()}` };
+        }
+    };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,33 @@
+/**
+ * File mail transport
+ *
+ * Writes each message as an .eml file into an outbox folder instead of
+ * sending it. Meant for development and tests: open the files in any
+ * mail client or inspect them directly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildMessage } = require('./smtp');
+
+/**
+ * Create a file transport writing into outboxDir
+ */
+function createFileTransport(outboxDir) {
+    return {
+        name: 'file',
+
+        async send(message) {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+
+            const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40);
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}.eml`;
+            const filePath = path.join(outboxDir, fileName);
+
+            await fs.promises.writeFile(filePath, buildMessage(message), 'utf-8');
+            return { messageId: fileName };
+        }
+    };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,311 @@
+/**
+ * SMTP mail transport
+ *
+ * Minimal SMTP client on top of net/tls so the server keeps running
+ * without any npm dependencies. Supports implicit TLS (port 465),
+ * STARTTLS, and AUTH PLAIN / LOGIN. The login is only sent over TLS
+ * unless allowInsecureAuth is set.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+/**
+ * One SMTP conversation over a (possibly upgraded) socket
+ */
+class SmtpSession {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.buffer = '';
+        this.replies = [];
+        this.waiters = [];
+        this.error = null;
+        this.attach(socket);
+    }
+
+    /**
+     * Start reading replies from a socket
+     */
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        socket.setTimeout(this.timeout, () => this.fail(new Error('SMTP connection timed out')));
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed unexpectedly')));
+    }
+
+    /**
+     * Stop reading from the current socket (before a TLS upgrade)
+     */
+    detach() {
+        this.socket.removeAllListeners('data');
+        this.socket.removeAllListeners('error');
+        this.socket.removeAllListeners('close');
+        this.socket.setTimeout(0);
+        // A late reset on a socket we're done with must not crash the process
+        this.socket.on('error', () => {});
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf-8');
+
+        // A reply is complete once a line reads "NNN text" (no dash after the code)
+        const lines = this.buffer.split('\r\n');
+        let start = 0;
+        for (let i = 0; i < lines.length - 1; i++) {
+            if (/^\d{3}(?: |$)/.test(lines[i])) {
+                this.pushReply(lines.slice(start, i + 1));
+                start = i + 1;
+            }
+        }
+        this.buffer = lines.slice(start).join('\r\n');
+    }
+
+    pushReply(lines) {
+        const reply = {
+            code: parseInt(lines[lines.length - 1].slice(0, 3), 10),
+            lines: lines.map(line => line.slice(4)),
+            text: lines.join('\n')
+        };
+
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            waiter.resolve(reply);
+        } else {
+            this.replies.push(reply);
+        }
+    }
+
+    fail(error) {
+        if (this.error) return;
+        this.error = error;
+        this.waiters.splice(0).forEach(waiter => waiter.reject(error));
+    }
+
+    /**
+     * Wait for the next server reply
+     */
+    read() {
+        if (this.replies.length) {
+            return Promise.resolve(this.replies.shift());
+        }
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+    }
+
+    /**
+     * Send a command and check the reply code
+     */
+    async command(line, expectedCodes, displayLine = line) {
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+        const reply = await this.read();
+        if (!expectedCodes.includes(reply.code)) {
+            throw new Error(`SMTP ${displayLine || 'greeting'} failed: ${reply.text}`);
+        }
+        return reply;
+    }
+
+    close() {
+        this.detach();
+        this.socket.end();
+    }
+}
+
+/**
+ * Open a plain or TLS socket (giving up if the connection or TLS handshake stalls)
+ */
+function connect(options, timeout) {
+    return new Promise((resolve, reject) => {
+        const socket = options.secure
+            ? tls.connect({
+                host: options.host,
+                port: options.port,
+                servername: options.host,
+                rejectUnauthorized: options.rejectUnauthorized
+            })
+            : net.connect({ host: options.host, port: options.port });
+
+        socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+            socket.removeListener('error', reject);
+            socket.setTimeout(0);
+            resolve(socket);
+        });
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Upgrade an open socket with STARTTLS (giving up if the handshake stalls)
+ */
+function upgrade(socket, options, timeout) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({
+            socket,
+            servername: options.host,
+            rejectUnauthorized: options.rejectUnauthorized
+        });
+        const onClose = () => reject(new Error('SMTP connection closed during the TLS handshake'));
+
+        secureSocket.setTimeout(timeout, () => secureSocket.destroy(new Error('SMTP TLS handshake timed out')));
+        secureSocket.once('secureConnect', () => {
+            secureSocket.removeListener('error', reject);
+            secureSocket.removeListener('close', onClose);
+            secureSocket.setTimeout(0);
+            resolve(secureSocket);
+        });
+        secureSocket.once('error', reject);
+        secureSocket.once('close', onClose);
+    });
+}
+
+/**
+ * Flatten line breaks so user text can't inject extra headers
+ */
+function sanitizeHeader(value) {
+    return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Encode a header value as RFC 2047 if it isn't plain ASCII
+ */
+function encodeHeader(raw) {
+    const value = sanitizeHeader(raw);
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+/**
+ * Base64 body wrapped at 76 characters
+ */
+function encodeBody(text) {
+    return Buffer.from(text, 'utf-8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Extract the bare address from "Name <address>"
+ */
+function addressOf(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : value).trim();
+}
+
+/**
+ * Build the MIME message (text + optional HTML alternative)
+ */
+function buildMessage(message) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const domain = addressOf(message.from).split('@')[1] || 'localhost';
+    const headers = [
+        `From: ${sanitizeHeader(message.from)}`,
+        `To: ${sanitizeHeader(message.to)}`,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${domain}>`,
+        'MIME-Version: 1.0'
+    ];
+
+    if (!message.html) {
+        return [
+            ...headers,
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            encodeBody(message.text)
+        ].join('\r\n');
+    }
+
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(message.text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(message.html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+/**
+ * Create an SMTP transport from config.mail.smtp
+ */
+function createSmtpTransport(options) {
+    if (!options.host) {
+        throw new Error('SMTP transport needs SMTP_HOST (or mail.smtp.host in config.json)');
+    }
+    const timeout = options.timeoutMs || DEFAULT_TIMEOUT;
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            let socket = await connect(options, timeout);
+            const session = new SmtpSession(socket, timeout);
+
+            try {
+                await session.command(null, [220]);
+                let hello = await session.command(`EHLO ${os.hostname()}`, [250]);
+
+                let encrypted = Boolean(options.secure);
+                const supportsStartTls = hello.lines.some(line => /^STARTTLS/i.test(line));
+                if (!encrypted && supportsStartTls) {
+                    await session.command('STARTTLS', [220]);
+                    session.detach();
+                    socket = await upgrade(socket, options, timeout);
+                    session.attach(socket);
+                    encrypted = true;
+                    hello = await session.command(`EHLO ${os.hostname()}`, [250]);
+                }
+
+                if (options.user) {
+                    if (!encrypted && !options.allowInsecureAuth) {
+                        throw new Error('SMTP server offers no TLS, so the login would be sent unencrypted '
+                            + '(set SMTP_ALLOW_INSECURE_AUTH=true to allow it)');
+                    }
+                    const authLine = hello.lines.find(line => /^AUTH\b/i.test(line)) || '';
+                    if (/\bPLAIN\b/i.test(authLine) || !/\bLOGIN\b/i.test(authLine)) {
+                        const token = Buffer.from(`\u0000${options.user}\u0000${options.pass}`).toString('base64');
+                        await session.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+                    } else {
+                        await session.command('AUTH LOGIN', [334]);
+                        await session.command(Buffer.from(options.user).toString('base64'), [334], 'AUTH LOGIN user');
+                        await session.command(Buffer.from(options.pass).toString('base64'), [235], 'AUTH LOGIN password');
+                    }
+                }
+
+                await session.command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+                await session.command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+                await session.command('DATA', [354]);
+
+                // Dot-stuff lines that start with "." and terminate with <CRLF>.<CRLF>
+                const data = buildMessage(message).replace(/\r\n\./g, '\r\n..');
+                const reply = await session.command(`${data}\r\n.`, [250], 'message body');
+
+                await session.command('QUIT', [221]).catch(() => {});
+                return { messageId: reply.text };
+            } finally {
+                session.close();
+            }
+        }
+    };
+}
+
+module.exports = { createSmtpTransport, buildMessage };
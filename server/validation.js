@@ -0,0 +1,253 @@
+/**
+ * Server-side event validation
+ *
+ * Mirrors FormValidator in app.js so the API accepts exactly what the
+ * event form accepts.
+ */
+
+const Recurrence = require('../recurrence');
+
+const DESCRIPTION_MAX_LENGTH = 200;
+const CATEGORY_ID_MAX_LENGTH = 64;
+const CALENDAR_ID_MAX_LENGTH = 64;
+const MAX_REMINDERS = 10;
+const MAX_ATTENDEES = 50;
+const ATTENDEE_NAME_MAX_LENGTH = 100;
+const ATTENDEE_STATUSES = ['pending', 'accepted', 'declined', 'tentative'];
+const CHANNELS = ['email', 'browser', 'in-app', 'webhook'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Reminders can be set up to four weeks ahead (offsets are in minutes)
+const MAX_REMINDER_OFFSET = 4 * 7 * 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const Validation = {
+    /**
+     * Validate event title
+     */
+    validateTitle(title) {
+        if (typeof title !== 'string' || title.trim().length === 0) {
+            return { valid: false, message: 'Event title is required' };
+        }
+        if (title.trim().length < 3) {
+            return { valid: false, message: 'Event title must be at least 3 characters' };
+        }
+        if (title.trim().length > 100) {
+            return { valid: false, message: 'Event title must not exceed 100 characters' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate event date (a real calendar day as YYYY-MM-DD)
+     */
+    validateDate(dateString) {
+        if (!dateString) {
+            return { valid: false, message: 'Event date is required' };
+        }
+
+        if (!Recurrence.isValidDate(dateString)) {
+            return { valid: false, message: 'Date must be a real YYYY-MM-DD date' };
+        }
+
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate optional description
+     */
+    validateDescription(description) {
+        if (description === undefined || description === null) {
+            return { valid: true, message: '' };
+        }
+        if (typeof description !== 'string') {
+            return { valid: false, message: 'Description must be text' };
+        }
+        if (description.trim().length > DESCRIPTION_MAX_LENGTH) {
+            return { valid: false, message: `Description must not exceed ${DESCRIPTION_MAX_LENGTH} characters` };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate start/end times (HH:MM) for events that aren't all-day
+     */
+    validateTimes(eventData) {
+        if (eventData.allDay === undefined || eventData.allDay === true) {
+            return { valid: true, message: '' };
+        }
+        if (eventData.allDay !== false) {
+            return { valid: false, message: 'All-day must be true or false' };
+        }
+        if (!eventData.startTime) {
+            return { valid: false, message: 'Start time is required unless the event is all-day' };
+        }
+        if (!TIME_PATTERN.test(eventData.startTime)
+            || (eventData.endTime && !TIME_PATTERN.test(eventData.endTime))) {
+            return { valid: false, message: 'Invalid time format' };
+        }
+        if (eventData.endTime && eventData.endTime <= eventData.startTime) {
+            return { valid: false, message: 'End time must be after start time' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate an optional recurrence rule
+     */
+    validateRecurrence(eventData) {
+        return Recurrence.validate(eventData.recurrence, eventData.date);
+    },
+
+    /**
+     * Validate an optional category id
+     * Categories themselves live in the browser, so only the id's shape is checked.
+     */
+    validateCategory(categoryId) {
+        if (categoryId === undefined || categoryId === null) {
+            return { valid: true, message: '' };
+        }
+        if (typeof categoryId !== 'string' || categoryId.length === 0 || categoryId.length > CATEGORY_ID_MAX_LENGTH) {
+            return { valid: false, message: 'Invalid category' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate an optional shared calendar id
+     * Whether the user may use the calendar is checked by the routes.
+     */
+    validateCalendar(calendarId) {
+        if (calendarId === undefined || calendarId === null) {
+            return { valid: true, message: '' };
+        }
+        if (typeof calendarId !== 'string' || calendarId.length === 0 || calendarId.length > CALENDAR_ID_MAX_LENGTH) {
+            return { valid: false, message: 'Invalid calendar' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate a list of reminder offsets (minutes before the event starts)
+     * null means "use the default reminders".
+     */
+    validateReminders(reminders) {
+        if (reminders === undefined || reminders === null) {
+            return { valid: true, message: '' };
+        }
+        if (!Array.isArray(reminders)) {
+            return { valid: false, message: 'Reminders must be a list of minutes before the event' };
+        }
+        if (reminders.length > MAX_REMINDERS) {
+            return { valid: false, message: `No more than ${MAX_REMINDERS} reminders per event` };
+        }
+        if (!reminders.every(offset => Number.isInteger(offset) && offset >= 0 && offset <= MAX_REMINDER_OFFSET)) {
+            return { valid: false, message: 'Reminders must be between 0 minutes and 4 weeks before the event' };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate a list of notification channel ids
+     */
+    validateChannelList(channels) {
+        if (!Array.isArray(channels) || !channels.every(channel => CHANNELS.includes(channel))) {
+            return { valid: false, message: `Channels must be a list of ${CHANNELS.join(', ')}` };
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate optional per-reminder channel overrides ({ "<offset>": [channel ids] })
+     */
+    validateChannels(channels) {
+        if (channels === undefined || channels === null) {
+            return { valid: true, message: '' };
+        }
+        if (typeof channels !== 'object' || Array.isArray(channels)) {
+            return { valid: false, message: 'Channels must map reminder offsets to lists of channels' };
+        }
+        const offsets = Object.keys(channels);
+        if (offsets.length > MAX_REMINDERS) {
+            return { valid: false, message: `No more than ${MAX_REMINDERS} channel overrides per event` };
+        }
+        if (!offsets.every(offset => /^\d+$/.test(offset) && Number(offset) <= MAX_REMINDER_OFFSET)) {
+            return { valid: false, message: 'Channel overrides must be keyed by a reminder offset in minutes' };
+        }
+        const invalid = offsets.map(offset => this.validateChannelList(channels[offset])).find(check => !check.valid);
+        return invalid || { valid: true, message: '' };
+    },
+
+    /**
+     * Validate an optional list of attendees ({ email, name?, status?, respondedAt? })
+     */
+    validateAttendees(attendees) {
+        if (attendees === undefined || attendees === null) {
+            return { valid: true, message: '' };
+        }
+        if (!Array.isArray(attendees)) {
+            return { valid: false, message: 'Attendees must be a list' };
+        }
+        if (attendees.length > MAX_ATTENDEES) {
+            return { valid: false, message: `No more than ${MAX_ATTENDEES} attendees per event` };
+        }
+
+        const emails = new Set();
+        for (const attendee of attendees) {
+            if (!attendee || typeof attendee !== 'object'
+                || typeof attendee.email !== 'string' || !EMAIL_PATTERN.test(attendee.email.trim())) {
+                return { valid: false, message: 'Each attendee needs a valid email address' };
+            }
+            const email = attendee.email.trim().toLowerCase();
+            if (emails.has(email)) {
+                return { valid: false, message: `${email} is listed more than once` };
+            }
+            emails.add(email);
+
+            if (attendee.name !== undefined && attendee.name !== null
+                && (typeof attendee.name !== 'string' || attendee.name.trim().length > ATTENDEE_NAME_MAX_LENGTH)) {
+                return { valid: false, message: `Attendee names must not exceed ${ATTENDEE_NAME_MAX_LENGTH} characters` };
+            }
+            if (attendee.status !== undefined && !ATTENDEE_STATUSES.includes(attendee.status)) {
+                return { valid: false, message: `Response must be one of ${ATTENDEE_STATUSES.join(', ')}` };
+            }
+            if (attendee.respondedAt !== undefined && attendee.respondedAt !== null
+                && (typeof attendee.respondedAt !== 'string' || isNaN(new Date(attendee.respondedAt).getTime()))) {
+                return { valid: false, message: 'Invalid response time' };
+            }
+        }
+        return { valid: true, message: '' };
+    },
+
+    /**
+     * Validate a full event payload
+     * Returns the same { isValid, errors } shape as FormValidator.validateForm
+     */
+    validateEvent(data) {
+        const errors = {};
+        let isValid = true;
+
+        const checks = {
+            title: this.validateTitle(data.title),
+            date: this.validateDate(data.date),
+            description: this.validateDescription(data.description),
+            time: this.validateTimes(data),
+            recurrence: this.validateRecurrence(data),
+            reminders: this.validateReminders(data.reminders),
+            categoryId: this.validateCategory(data.categoryId),
+            calendarId: this.validateCalendar(data.calendarId),
+            attendees: this.validateAttendees(data.attendees),
+            channels: this.validateChannels(data.channels)
+        };
+
+        Object.keys(checks).forEach(field => {
+            if (!checks[field].valid) {
+                errors[field] = checks[field].message;
+                isValid = false;
+            }
+        });
+
+        return { isValid, errors };
+    }
+};
+
+module.exports = Validation;
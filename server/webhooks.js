@@ -0,0 +1,283 @@
+/**
+ * Outgoing webhooks
+ *
+ * Users register URLs that get a signed JSON POST when one of their
+ * events is created, updated or deleted, and when a reminder comes due.
+ * Everyone who can see an event gets its changes, so members of a
+ * shared calendar each receive them on their own webhooks.
+ *
+ * Deliveries are queued in the store together with the change that
+ * caused them and sent right after it is saved. A delivery that gets no
+ * 2xx answer is retried with backoff (1, 2, 4... minutes by default) on
+ * later scheduler ticks until config.webhooks.maxAttempts is reached.
+ * The queue doubles as the delivery log shown in Settings.
+ *
+ * Each request carries:
+ *   X-Webhook-Id         - the delivery id (the same on every retry)
+ *   X-Webhook-Event      - the event type
+ *   X-Webhook-Timestamp  - seconds since the epoch when it was sent
+ *   X-Webhook-Signature  - sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook's secret>
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Config = require('./config');
+const Store = require('./store');
+
+const EVENT_TYPES = ['event.created', 'event.updated', 'event.deleted', 'reminder.due'];
+// Long enough to outlive the window in which a reminder stays due, so it isn't queued twice
+const RECORD_RETENTION = 60 * 24 * 60 * 60 * 1000;
+const ERROR_MAX_LENGTH = 200;
+
+const Webhooks = {
+    EVENT_TYPES,
+    sending: false,
+    pendingRun: false,
+
+    /**
+     * Generate unique IDs for webhooks and deliveries
+     */
+    generateId(prefix) {
+        return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+    },
+
+    /**
+     * Generate a signing secret
+     */
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    },
+
+    /**
+     * Sign a request body the way receivers should verify it
+     */
+    sign(secret, timestamp, body) {
+        return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    },
+
+    /**
+     * Queue a delivery to every active webhook of the given users that listens for `type`
+     * Call inside Store.update() so the deliveries are saved with the change.
+     * With a `dedupeKey`, webhooks that already have a delivery for it are skipped.
+     */
+    enqueue(data, type, payload, userIds, { dedupeKey = null } = {}) {
+        const targets = this.getTargets(data, type, userIds, dedupeKey);
+        targets.forEach(webhook => {
+            data.webhookDeliveries.push(this.createDelivery(webhook, type, payload, dedupeKey));
+        });
+        return targets.length;
+    },
+
+    /**
+     * Build a queued delivery record
+     */
+    createDelivery(webhook, type, payload, dedupeKey = null) {
+        const id = this.generateId('whd');
+        const now = new Date().toISOString();
+        return {
+            id,
+            webhookId: webhook.id,
+            ownerId: webhook.ownerId,
+            type,
+            dedupeKey,
+            payload: { id, type, createdAt: now, data: payload },
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            lastAttemptAt: null,
+            responseStatus: null,
+            error: null,
+            createdAt: now,
+            deliveredAt: null
+        };
+    },
+
+    /**
+     * Webhooks a delivery of `type` for the given users would go to
+     */
+    getTargets(data, type, userIds, dedupeKey = null) {
+        return data.webhooks.filter(webhook => webhook.active
+            && userIds.includes(webhook.ownerId)
+            && webhook.events.includes(type)
+            && !(dedupeKey && data.webhookDeliveries.some(delivery =>
+                delivery.webhookId === webhook.id && delivery.dedupeKey === dedupeKey)));
+    },
+
+    /**
+     * Send due deliveries
+     * Calls made while a run is in progress start another run once it
+     * finishes, so deliveries queued meanwhile go out promptly.
+     */
+    async processQueue() {
+        if (this.sending) {
+            this.pendingRun = true;
+            return;
+        }
+        this.sending = true;
+
+        try {
+            do {
+                this.pendingRun = false;
+                await this.sendDue(new Date());
+            } while (this.pendingRun);
+            await this.pruneRecords(new Date());
+        } catch (error) {
+            console.error('❌ Webhook queue error:', error);
+        } finally {
+            this.sending = false;
+        }
+    },
+
+    /**
+     * Attempt every pending delivery whose time has come and record the outcome
+     */
+    async sendDue(now) {
+        const data = await Store.load();
+        const webhooksById = new Map(data.webhooks.map(webhook => [webhook.id, webhook]));
+        // Paused webhooks keep their queued deliveries until they are resumed
+        const due = data.webhookDeliveries.filter(delivery => delivery.status === 'pending'
+            && new Date(delivery.nextAttemptAt) <= now
+            && webhooksById.has(delivery.webhookId)
+            && webhooksById.get(delivery.webhookId).active);
+
+        for (const delivery of due) {
+            const outcome = await this.send(webhooksById.get(delivery.webhookId), delivery);
+
+            await Store.update(draft => {
+                const stored = draft.webhookDeliveries.find(item => item.id === delivery.id);
+                if (stored) this.recordAttempt(stored, outcome);
+            });
+
+            if (!outcome.ok) {
+                console.error(`❌ Webhook ${delivery.type} to ${webhooksById.get(delivery.webhookId).url} failed:`, outcome.error);
+            }
+        }
+    },
+
+    /**
+     * Send a delivery right away instead of through the queue
+     * Test pings and manual retries answer with the outcome of this
+     * attempt; a queue run already in progress would make them wait or
+     * miss it. The delivery must not be pending in the store, or a queue
+     * run could send it as well. Saves it (adding it if it's new) with
+     * the outcome recorded and resolves to the stored copy.
+     */
+    async deliverNow(webhook, delivery) {
+        const outcome = await this.send(webhook, delivery);
+
+        const stored = await Store.update(draft => {
+            let record = draft.webhookDeliveries.find(item => item.id === delivery.id);
+            if (!record) {
+                record = { ...delivery };
+                // Not logged if the webhook was removed while it was being sent
+                if (draft.webhooks.some(item => item.id === webhook.id)) {
+                    draft.webhookDeliveries.push(record);
+                }
+            }
+            this.recordAttempt(record, outcome);
+            return { ...record };
+        });
+
+        if (!outcome.ok) {
+            console.error(`❌ Webhook ${delivery.type} to ${webhook.url} failed:`, outcome.error);
+        }
+        return stored;
+    },
+
+    /**
+     * Apply the outcome of one attempt to a delivery record
+     * Failed attempts are retried with backoff until maxAttempts is reached.
+     */
+    recordAttempt(delivery, outcome) {
+        const attemptedAt = new Date();
+        delivery.attempts += 1;
+        delivery.lastAttemptAt = attemptedAt.toISOString();
+        delivery.responseStatus = outcome.status;
+        delivery.error = outcome.error;
+
+        if (outcome.ok) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = attemptedAt.toISOString();
+        } else if (delivery.attempts >= Config.webhooks.maxAttempts) {
+            delivery.status = 'failed';
+        } else {
+            // Exponential backoff: 1, 2, 4, 8... retry delays after each failed attempt
+            const delay = Config.webhooks.retryBaseMs * Math.pow(2, delivery.attempts - 1);
+            delivery.status = 'pending';
+            delivery.nextAttemptAt = new Date(attemptedAt.getTime() + delay).toISOString();
+        }
+    },
+
+    /**
+     * POST one delivery to its webhook
+     * Redirects are not followed. Resolves to { ok, status, error }; never throws.
+     */
+    send(webhook, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const fail = message => ({ ok: false, status: null, error: message.slice(0, ERROR_MAX_LENGTH) });
+
+        return new Promise(resolve => {
+            let request;
+            try {
+                const url = new URL(webhook.url);
+                request = (url.protocol === 'https:' ? https : http).request(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Content-Length': Buffer.byteLength(body),
+                        'User-Agent': 'EventReminder-Webhook/1.0',
+                        'X-Webhook-Id': delivery.id,
+                        'X-Webhook-Event': delivery.type,
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+                    },
+                    timeout: Config.webhooks.timeoutMs
+                });
+            } catch (error) {
+                resolve(fail(error.message));
+                return;
+            }
+
+            request.on('response', response => {
+                // The answer isn't used; drain it so the socket is released
+                response.resume();
+                const ok = response.statusCode >= 200 && response.statusCode < 300;
+                resolve(ok
+                    ? { ok: true, status: response.statusCode, error: null }
+                    : { ok: false, status: response.statusCode, error: `Responded with ${response.statusCode}` });
+            });
+            request.on('timeout', () => {
+                request.destroy(new Error(`No response within ${Config.webhooks.timeoutMs} ms`));
+            });
+            request.on('error', error => resolve(fail(error.message)));
+            request.end(body);
+        });
+    },
+
+    /**
+     * Forget old deliveries so the store doesn't grow forever
+     */
+    async pruneRecords(now) {
+        const data = await Store.load();
+        const cutoff = now.getTime() - RECORD_RETENTION;
+        const isStale = delivery => delivery.status !== 'pending' && new Date(delivery.createdAt).getTime() < cutoff;
+
+        if (data.webhookDeliveries.some(isStale)) {
+            await Store.update(draft => {
+                draft.webhookDeliveries = draft.webhookDeliveries.filter(delivery => !isStale(delivery));
+            });
+        }
+    },
+
+    /**
+     * A delivery as it appears in the log (without the payload)
+     */
+    toLogEntry(delivery, webhook) {
+        const { payload, dedupeKey, ...entry } = delivery;
+        return { ...entry, url: webhook ? webhook.url : null };
+    }
+};
+
+module.exports = Webhooks;
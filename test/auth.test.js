@@ -0,0 +1,66 @@
+const assert = require('assert');
+const Store = require('../server/store');
+const { test, request, signUp, makeEvent } = require('./helpers');
+
+test('API routes need a session', async () => {
+    const response = await request('GET', '/api/events');
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.error, 'Sign in required');
+});
+
+test('registering signs in and rejects a second account for the same email', async () => {
+    const { user, cookie } = await signUp('register');
+    const session = await request('GET', '/api/auth/session', { cookie });
+    assert.strictEqual(session.status, 200);
+    assert.strictEqual(session.body.user.id, user.id);
+    assert.strictEqual(session.body.user.passwordHash, undefined);
+
+    const again = await request('POST', '/api/auth/register', { body: { email: user.email.toUpperCase(), password: 'another password' } });
+    assert.strictEqual(again.status, 409);
+});
+
+test('login checks the password and logout ends the session', async () => {
+    const { user } = await signUp('login');
+
+    const wrong = await request('POST', '/api/auth/login', { body: { email: user.email, password: 'wrong password' } });
+    assert.strictEqual(wrong.status, 401);
+
+    const login = await request('POST', '/api/auth/login', { body: { email: user.email, password: 'correct horse' } });
+    assert.strictEqual(login.status, 200);
+    const cookie = login.headers['Set-Cookie'].split(';')[0];
+
+    assert.strictEqual((await request('POST', '/api/auth/logout', { cookie })).status, 204);
+    assert.strictEqual((await request('GET', '/api/auth/session', { cookie })).status, 401);
+});
+
+test('users only see their own personal events', async () => {
+    const owner = await signUp('owner');
+    const other = await signUp('other');
+
+    const created = await request('POST', '/api/events', { cookie: owner.cookie, body: makeEvent() });
+    assert.strictEqual(created.status, 201);
+    const path = `/api/events/${created.body.id}`;
+
+    assert.strictEqual((await request('GET', path, { cookie: owner.cookie })).status, 200);
+    assert.strictEqual((await request('GET', path, { cookie: other.cookie })).status, 404);
+    assert.strictEqual((await request('PUT', path, { cookie: other.cookie, body: makeEvent({ title: 'Taken over' }) })).status, 404);
+    assert.strictEqual((await request('DELETE', path, { cookie: other.cookie })).status, 404);
+    const list = await request('GET', '/api/events', { cookie: other.cookie });
+    assert.ok(!list.body.some(event => event.id === created.body.id));
+});
+
+test('a malformed session cookie is treated as signed out', async () => {
+    const response = await request('GET', '/api/events', { cookie: 'session=%E0%A4%A' });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual((await request('GET', '/api/auth/session', { cookie: 'theme=dark; session=%' })).status, 401);
+});
+
+test('passwords are stored as salted hashes', async () => {
+    const first = await signUp('hash');
+    const second = await signUp('hash');
+    const data = await Store.load();
+    const stored = [first, second].map(({ user }) => data.users.find(item => item.id === user.id));
+
+    assert.ok(stored.every(user => !JSON.stringify(user).includes('correct horse')));
+    assert.notStrictEqual(stored[0].passwordHash, stored[1].passwordHash);
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const Store = require('../server/store');
+const EmailTemplates = require('../server/email-templates');
+const { test, request, signUp, makeEvent } = require('./helpers');
+
+/**
+ * Create a calendar owned by a new user and invite a second user to it
+ * Resolves to { owner, invitee, calendar, token }.
+ */
+async function inviteToCalendar(role) {
+    const owner = await signUp('owner');
+    const invitee = await signUp('invitee');
+
+    const created = await request('POST', '/api/calendars', { cookie: owner.cookie, body: { name: 'Family', color: '#336699' } });
+    assert.strictEqual(created.status, 201);
+    const calendar = created.body;
+
+    const invited = await request('POST', `/api/calendars/${calendar.id}/invitations`, {
+        cookie: owner.cookie,
+        body: { email: invitee.user.email, role }
+    });
+    assert.strictEqual(invited.status, 201);
+
+    // The token only travels in the invitation email
+    const data = await Store.load();
+    const { token } = data.calendars.find(item => item.id === calendar.id).invitations[0];
+    return { owner, invitee, calendar, token };
+}
+
+test('invitations are accepted with their emailed token, once', async () => {
+    const { owner, invitee, calendar, token } = await inviteToCalendar('editor');
+
+    const ownerView = await request('GET', '/api/calendars', { cookie: owner.cookie });
+    assert.strictEqual(ownerView.body.calendars[0].invitations.length, 1);
+    assert.strictEqual(ownerView.body.calendars[0].invitations[0].token, undefined);
+
+    const preview = await request('GET', `/api/calendars/invitations/${token}`, { cookie: invitee.cookie });
+    assert.strictEqual(preview.status, 200);
+    assert.deepStrictEqual([preview.body.calendarId, preview.body.role], [calendar.id, 'editor']);
+
+    const accepted = await request('POST', `/api/calendars/invitations/${token}/accept`, { cookie: invitee.cookie });
+    assert.strictEqual(accepted.status, 200);
+    assert.strictEqual(accepted.body.role, 'editor');
+
+    const reused = await request('POST', `/api/calendars/invitations/${token}/accept`, { cookie: invitee.cookie });
+    assert.strictEqual(reused.status, 404);
+});
+
+test('a matching account email alone does not reveal or accept an invitation', async () => {
+    const { invitee, calendar } = await inviteToCalendar('viewer');
+
+    const list = await request('GET', '/api/calendars', { cookie: invitee.cookie });
+    assert.deepStrictEqual(list.body.calendars, []);
+    assert.strictEqual(list.body.invitations, undefined);
+
+    assert.strictEqual((await request('POST', `/api/calendars/${calendar.id}/accept`, { cookie: invitee.cookie })).status, 404);
+    assert.strictEqual((await request('GET', '/api/calendars/invitations/not-a-token', { cookie: invitee.cookie })).status, 404);
+});
+
+test('inviting again replaces the link', async () => {
+    const { owner, invitee, calendar, token } = await inviteToCalendar('viewer');
+    await request('POST', `/api/calendars/${calendar.id}/invitations`, {
+        cookie: owner.cookie,
+        body: { email: invitee.user.email, role: 'editor' }
+    });
+
+    assert.strictEqual((await request('POST', `/api/calendars/invitations/${token}/accept`, { cookie: invitee.cookie })).status, 404);
+});
+
+test('declining removes the invitation', async () => {
+    const { owner, invitee, token } = await inviteToCalendar('viewer');
+
+    assert.strictEqual((await request('POST', `/api/calendars/invitations/${token}/decline`, { cookie: invitee.cookie })).status, 204);
+    const ownerView = await request('GET', '/api/calendars', { cookie: owner.cookie });
+    assert.deepStrictEqual(ownerView.body.calendars[0].invitations, []);
+});
+
+test('the invitation email carries the accept link', () => {
+    const email = EmailTemplates.invitation({
+        calendarName: 'Family',
+        invitedBy: 'owner@example.com',
+        role: 'viewer',
+        link: 'http://localhost:8000/?invitation=abc123'
+    });
+    assert.ok(email.text.includes('http://localhost:8000/?invitation=abc123'));
+    assert.ok(email.html.includes('href="http://localhost:8000/?invitation=abc123"'));
+});
+
+test('viewers can read shared events but not change them; editors can', async () => {
+    const viewerSetup = await inviteToCalendar('viewer');
+    const { owner, calendar } = viewerSetup;
+    await request('POST', `/api/calendars/invitations/${viewerSetup.token}/accept`, { cookie: viewerSetup.invitee.cookie });
+
+    const created = await request('POST', '/api/events', { cookie: owner.cookie, body: makeEvent({ calendarId: calendar.id }) });
+    assert.strictEqual(created.status, 201);
+    const path = `/api/events/${created.body.id}`;
+
+    const viewer = viewerSetup.invitee;
+    assert.strictEqual((await request('GET', path, { cookie: viewer.cookie })).status, 200);
+    assert.strictEqual((await request('PUT', path, { cookie: viewer.cookie, body: makeEvent({ title: 'Changed' }) })).status, 403);
+    assert.strictEqual((await request('DELETE', path, { cookie: viewer.cookie })).status, 403);
+    assert.strictEqual((await request('POST', '/api/events', { cookie: viewer.cookie, body: makeEvent({ calendarId: calendar.id }) })).status, 403);
+
+    const editor = await signUp('editor');
+    await request('POST', `/api/calendars/${calendar.id}/invitations`, { cookie: owner.cookie, body: { email: editor.user.email, role: 'editor' } });
+    const data = await Store.load();
+    const { token } = data.calendars.find(item => item.id === calendar.id).invitations[0];
+    await request('POST', `/api/calendars/invitations/${token}/accept`, { cookie: editor.cookie });
+
+    const updated = await request('PUT', path, { cookie: editor.cookie, body: makeEvent({ title: 'Changed by editor' }) });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.title, 'Changed by editor');
+});
+
+test('only the owner manages members', async () => {
+    const { owner, invitee, calendar, token } = await inviteToCalendar('editor');
+    await request('POST', `/api/calendars/invitations/${token}/accept`, { cookie: invitee.cookie });
+
+    const asEditor = await request('POST', `/api/calendars/${calendar.id}/invitations`, {
+        cookie: invitee.cookie,
+        body: { email: 'someone@example.com', role: 'viewer' }
+    });
+    assert.strictEqual(asEditor.status, 403);
+
+    const demoted = await request('PUT', `/api/calendars/${calendar.id}/members/${invitee.user.id}`, {
+        cookie: owner.cookie,
+        body: { role: 'viewer' }
+    });
+    assert.strictEqual(demoted.status, 200);
+    assert.strictEqual(demoted.body.members.find(member => member.userId === invitee.user.id).role, 'viewer');
+
+    const outsider = await signUp('outsider');
+    assert.strictEqual((await request('DELETE', `/api/calendars/${calendar.id}`, { cookie: outsider.cookie })).status, 404);
+});
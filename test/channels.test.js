@@ -0,0 +1,174 @@
+const assert = require('assert');
+const http = require('http');
+const EventModel = require('../server/event-model');
+const Scheduler = require('../server/scheduler');
+const Store = require('../server/store');
+const Validation = require('../server/validation');
+const { test, request, signUp, makeEvent } = require('./helpers');
+
+/**
+ * Sign up and create one event; resolves to { user, cookie, event }
+ * Each test uses its own date so other tests' events never come due.
+ */
+async function setUp(overrides) {
+    const { user, cookie } = await signUp('channels');
+    const created = await request('POST', '/api/events', { cookie, body: makeEvent(overrides) });
+    assert.strictEqual(created.status, 201);
+    return { user, cookie, event: created.body };
+}
+
+/**
+ * A user's delivery records as [channel, status] pairs
+ */
+async function deliveredOn(userId) {
+    const data = await Store.load();
+    return data.deliveries
+        .filter(record => record.userId === userId)
+        .map(record => [record.channel, record.status])
+        .sort();
+}
+
+/**
+ * A local time on a YYYY-MM-DD date
+ */
+function at(date, time) {
+    return new Date(`${date}T${time}`);
+}
+
+/**
+ * A desktop or in-app reminder report for an event
+ */
+function report(event, overrides = {}) {
+    return {
+        channel: 'in-app',
+        eventId: event.id,
+        occurrenceDate: event.date,
+        offset: 15,
+        dueAt: at(event.date, '08:45:00').toISOString(),
+        status: 'sent',
+        ...overrides
+    };
+}
+
+test('an event\'s channel override wins over the recipient\'s preferences', () => {
+    const event = { channels: { 15: ['webhook'] } };
+    assert.deepStrictEqual(EventModel.getReminderChannels(event, 15, { channels: ['email'] }), ['webhook']);
+    assert.deepStrictEqual(EventModel.getReminderChannels(event, 60, { channels: ['email'] }), ['email']);
+    assert.deepStrictEqual(EventModel.getReminderChannels({ channels: null }, 60, {}), EventModel.CHANNELS);
+});
+
+test('channel overrides are kept in channel order for the event\'s own offsets only', () => {
+    assert.deepStrictEqual(
+        EventModel.normalizeChannels({ 15: ['webhook', 'email'], 60: ['browser'] }, [15]),
+        { 15: ['email', 'webhook'] }
+    );
+    assert.strictEqual(EventModel.normalizeChannels({ 60: ['browser'] }, [15]), null);
+    assert.strictEqual(EventModel.normalizeChannels(null, [15]), null);
+});
+
+test('channel preferences are validated and stored in channel order', async () => {
+    const { cookie } = await signUp('channels');
+
+    const saved = await request('PUT', '/api/settings/notifications', { cookie, body: { channels: ['in-app', 'email'] } });
+    assert.strictEqual(saved.status, 200);
+    assert.deepStrictEqual(saved.body.channels, ['email', 'in-app']);
+
+    const rejected = await request('PUT', '/api/settings/notifications', { cookie, body: { channels: ['sms'] } });
+    assert.strictEqual(rejected.status, 400);
+    assert.ok(rejected.body.errors.channels);
+});
+
+test('the scheduler only sends reminders on the channels they are routed to', async () => {
+    const { user, cookie } = await setUp({ date: '2033-04-10', reminders: [15] });
+    await request('PUT', '/api/settings/notifications', { cookie, body: { channels: ['browser'] } });
+    await request('POST', '/api/events', {
+        cookie,
+        body: makeEvent({ date: '2033-04-10', startTime: '12:00', endTime: '13:00', reminders: [15], channels: { 15: ['email'] } })
+    });
+
+    await Scheduler.tick(at('2033-04-10', '08:45:30'));
+    assert.deepStrictEqual(await deliveredOn(user.id), []);
+
+    await Scheduler.tick(at('2033-04-10', '11:45:30'));
+    assert.deepStrictEqual(await deliveredOn(user.id), [['email', 'sent']]);
+});
+
+test('reminders the app raises are recorded once per reminder, with every attempt', async () => {
+    const { user, cookie, event } = await setUp({ date: '2033-04-11', reminders: [15] });
+
+    const failed = await request('POST', '/api/deliveries', { cookie, body: report(event, { status: 'failed', error: 'Permission denied' }) });
+    assert.strictEqual(failed.status, 201);
+    assert.deepStrictEqual([failed.body.status, failed.body.error, failed.body.eventTitle], ['failed', 'Permission denied', 'Team meeting']);
+
+    const shown = await request('POST', '/api/deliveries', { cookie, body: report(event) });
+    const again = await request('POST', '/api/deliveries', { cookie, body: report(event, { status: 'failed' }) });
+    assert.deepStrictEqual([shown.body.status, shown.body.attempts], ['sent', 2]);
+    // Once shown on any device the reminder stays sent
+    assert.deepStrictEqual([again.body.status, again.body.attempts], ['sent', 3]);
+    assert.deepStrictEqual(await deliveredOn(user.id), [['in-app', 'sent']]);
+});
+
+test('only browser channels can be reported, and only for events the user can see', async () => {
+    const { cookie, event } = await setUp({ date: '2033-04-12', reminders: [15] });
+    const other = await signUp('channels');
+
+    const email = await request('POST', '/api/deliveries', { cookie, body: report(event, { channel: 'email' }) });
+    assert.strictEqual(email.status, 400);
+    assert.ok(email.body.errors.channel);
+    assert.strictEqual((await request('POST', '/api/deliveries', { cookie: other.cookie, body: report(event) })).status, 404);
+});
+
+test('the delivery history lists every channel newest first and filters by channel', async () => {
+    const { cookie, event } = await setUp({ date: '2033-04-13', reminders: [60, 15] });
+    await request('POST', '/api/deliveries', { cookie, body: report(event, { channel: 'browser', offset: 60, dueAt: at(event.date, '08:00:00').toISOString() }) });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await request('POST', '/api/deliveries', { cookie, body: report(event) });
+
+    const history = await request('GET', '/api/deliveries', { cookie });
+    assert.deepStrictEqual(
+        history.body.map(entry => [entry.channel, entry.channelLabel, entry.offset]),
+        [['in-app', 'In-app', 15], ['browser', 'Desktop notification', 60]]
+    );
+
+    const browserOnly = await request('GET', '/api/deliveries?channel=browser', { cookie });
+    assert.deepStrictEqual(browserOnly.body.map(entry => entry.channel), ['browser']);
+});
+
+test('webhook reminders are shown as sent once their queued deliveries went out', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            received.push(req.headers['x-webhook-event']);
+            res.writeHead(200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const { cookie } = await setUp({ date: '2033-04-14', reminders: [15], channels: { 15: ['webhook'] } });
+        const hook = await request('POST', '/api/webhooks', {
+            cookie,
+            body: { url: `http://127.0.0.1:${server.address().port}/hook`, events: ['reminder.due'] }
+        });
+        assert.strictEqual(hook.status, 201);
+
+        await Scheduler.tick(at('2033-04-14', '08:45:30'));
+        const [entry] = (await request('GET', '/api/deliveries?channel=webhook', { cookie })).body;
+        assert.strictEqual(received.length, 1);
+        assert.deepStrictEqual([entry.status, entry.attempts, entry.error], ['sent', 1, null]);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('validateChannels accepts channel lists keyed by reminder offset', () => {
+    assert.strictEqual(Validation.validateChannels(null).valid, true);
+    assert.strictEqual(Validation.validateChannels({ 0: [], 15: ['webhook'] }).valid, true);
+    assert.strictEqual(Validation.validateChannels(['email']).valid, false);
+    assert.strictEqual(Validation.validateChannels({ soon: ['email'] }).valid, false);
+    assert.strictEqual(Validation.validateChannels({ 99999: ['email'] }).valid, false);
+    assert.strictEqual(Validation.validateChannels({ 15: ['sms'] }).valid, false);
+    assert.strictEqual(Validation.validateChannels({ 15: 'email' }).valid, false);
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { test, loadBrowserApp } = require('./helpers');
+
+const browser = loadBrowserApp();
+const CsvImporter = browser('CsvImporter');
+const CsvUtils = browser('CsvUtils');
+
+// Arrays made inside the sandbox have its own prototypes, which deepStrictEqual compares
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('CSV cells may be quoted and files may use semicolons', () => {
+    assert.deepStrictEqual(plain(CsvUtils.parse('title,notes\n"Lunch, with Sam","Say ""hi""\nat noon"\n')), [
+        ['title', 'notes'],
+        ['Lunch, with Sam', 'Say "hi"\nat noon']
+    ]);
+    assert.deepStrictEqual(plain(CsvUtils.parse('title;date\nLunch;2030-01-01')), [['title', 'date'], ['Lunch', '2030-01-01']]);
+});
+
+test('CSV dates and times are read in the chosen format', () => {
+    assert.strictEqual(CsvImporter.parseDate('2030-01-05', 'dmy'), '2030-01-05');
+    assert.strictEqual(CsvImporter.parseDate('05/01/2030', 'dmy'), '2030-01-05');
+    assert.strictEqual(CsvImporter.parseDate('01/05/2030', 'mdy'), '2030-01-05');
+    assert.strictEqual(CsvImporter.parseDate('31/02/2030', 'dmy'), null);
+    assert.strictEqual(CsvImporter.parseDate('tomorrow', 'ymd'), null);
+
+    assert.strictEqual(CsvImporter.parseTime('14:30'), '14:30');
+    assert.strictEqual(CsvImporter.parseTime('2:30 PM'), '14:30');
+    assert.strictEqual(CsvImporter.parseTime('12am'), '00:00');
+    assert.strictEqual(CsvImporter.parseTime('25:00'), null);
+    assert.strictEqual(CsvImporter.parseTime('14'), null);
+});
+
+test('CSV rows map onto events with their problems listed', () => {
+    CsvImporter.headers = ['Subject', 'When', 'Start', 'Notes'];
+    CsvImporter.mapping = CsvImporter.guessMapping(CsvImporter.headers);
+    CsvImporter.dateFormat = 'ymd';
+
+    const good = CsvImporter.readRow(['Lunch with Sam', '2030-01-05', '12:30', 'At the usual place']);
+    assert.deepStrictEqual(plain(good.errors), []);
+    assert.deepStrictEqual(
+        [good.formData.title, good.formData.date, good.formData.allDay, good.formData.startTime],
+        ['Lunch with Sam', '2030-01-05', false, '12:30']
+    );
+
+    const bad = CsvImporter.readRow(['Lunch with Sam', '2030-02-31', 'noonish', '']);
+    assert.ok(bad.errors.includes('Invalid date "2030-02-31" (expected YYYY-MM-DD)'));
+    assert.ok(bad.errors.includes('Invalid start time "noonish"'));
+});
+
+test('CSV export quotes cells and defuses formulas', () => {
+    const text = CsvUtils.stringify([['title', 'notes'], ['Lunch, with Sam', 'Say "hi"'], ['=HYPERLINK("x")', null]]);
+    assert.strictEqual(text, 'title,notes\r\n"Lunch, with Sam","Say ""hi"""\r\n"\'=HYPERLINK(""x"")",\r\n');
+    assert.deepStrictEqual(plain(CsvUtils.parse(text))[1], ['Lunch, with Sam', 'Say "hi"']);
+});
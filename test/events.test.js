@@ -0,0 +1,58 @@
+const assert = require('assert');
+const { test, request, signUp, makeEvent } = require('./helpers');
+
+test('events can be created, read, updated and deleted', async () => {
+    const { cookie } = await signUp('events');
+
+    const created = await request('POST', '/api/events', { cookie, body: makeEvent({ id: 'chosen_by_client' }) });
+    assert.strictEqual(created.status, 201);
+    assert.notStrictEqual(created.body.id, 'chosen_by_client');
+    assert.strictEqual(created.body.title, 'Team meeting');
+    const path = `/api/events/${created.body.id}`;
+
+    const fetched = await request('GET', path, { cookie });
+    assert.strictEqual(fetched.status, 200);
+    assert.strictEqual(fetched.body.date, '2030-06-15');
+
+    const updated = await request('PUT', path, { cookie, body: { title: 'Team retro' } });
+    assert.strictEqual(updated.status, 200);
+    assert.deepStrictEqual([updated.body.title, updated.body.date], ['Team retro', '2030-06-15']);
+
+    const list = await request('GET', '/api/events', { cookie });
+    assert.deepStrictEqual(list.body.map(event => event.title), ['Team retro']);
+
+    assert.strictEqual((await request('DELETE', path, { cookie })).status, 204);
+    assert.strictEqual((await request('GET', path, { cookie })).status, 404);
+    assert.strictEqual((await request('DELETE', path, { cookie })).status, 404);
+});
+
+test('events are listed by date', async () => {
+    const { cookie } = await signUp('events');
+    for (const date of ['2030-03-01', '2029-12-24', '2030-01-15']) {
+        await request('POST', '/api/events', { cookie, body: makeEvent({ date }) });
+    }
+
+    const list = await request('GET', '/api/events', { cookie });
+    assert.deepStrictEqual(list.body.map(event => event.date), ['2029-12-24', '2030-01-15', '2030-03-01']);
+});
+
+test('invalid events are rejected with per-field errors', async () => {
+    const { cookie } = await signUp('events');
+    const response = await request('POST', '/api/events', { cookie, body: makeEvent({ title: '', date: '2030-02-31' }) });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.errors.title, 'Event title is required');
+    assert.strictEqual(response.body.errors.date, 'Date must be a real YYYY-MM-DD date');
+
+    const created = await request('POST', '/api/events', { cookie, body: makeEvent() });
+    const update = await request('PUT', `/api/events/${created.body.id}`, { cookie, body: { date: '2030-6-1' } });
+    assert.strictEqual(update.status, 400);
+    assert.strictEqual((await request('GET', `/api/events/${created.body.id}`, { cookie })).body.date, '2030-06-15');
+});
+
+test('malformed paths and bodies are 400s', async () => {
+    const { cookie } = await signUp('events');
+    assert.strictEqual((await request('GET', '/api/events/%E0%A4%A', { cookie })).status, 400);
+
+    const notAnObject = await request('POST', '/api/events', { cookie, body: ['not', 'an', 'object'] });
+    assert.strictEqual(notAnObject.status, 400);
+});
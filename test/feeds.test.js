@@ -0,0 +1,113 @@
+const assert = require('assert');
+const CalendarFeed = require('../server/calendar-feed');
+const Store = require('../server/store');
+const { test, request, signUp, makeEvent } = require('./helpers');
+
+/**
+ * Fetch a feed through CalendarFeed.handle
+ * Resolves to { status, headers, text }.
+ */
+async function fetchFeed(token, { method = 'GET', headers = {} } = {}) {
+    const url = new URL(`${CalendarFeed.PATH}?token=${encodeURIComponent(token)}`, 'http://localhost');
+    const response = { status: null, headers: {}, text: '' };
+    const res = {
+        headersSent: false,
+        writeHead(status, sent = {}) {
+            response.status = status;
+            response.headers = sent;
+            this.headersSent = true;
+        },
+        end(payload) {
+            response.text = payload ? String(payload) : '';
+        }
+    };
+
+    await CalendarFeed.handle({ method, headers }, res, url);
+    return response;
+}
+
+/**
+ * Titles of the events in an iCalendar file
+ */
+function summaries(text) {
+    return text.split('\r\n').filter(line => line.startsWith('SUMMARY:')).map(line => line.slice(8)).sort();
+}
+
+test('a feed serves its owner\'s events, optionally one category', async () => {
+    const { cookie } = await signUp('feed');
+    await request('POST', '/api/events', { cookie, body: makeEvent({ title: 'Dentist', categoryId: 'health' }) });
+    await request('POST', '/api/events', { cookie, body: makeEvent({ title: 'Planning' }) });
+    const other = await signUp('feed');
+    await request('POST', '/api/events', { cookie: other.cookie, body: makeEvent({ title: 'Not mine' }) });
+
+    const everything = await request('POST', '/api/feeds', { cookie, body: {} });
+    assert.strictEqual(everything.status, 201);
+    const response = await fetchFeed(everything.body.token);
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.headers['Content-Type'].startsWith('text/calendar'));
+    assert.deepStrictEqual(summaries(response.text), ['Dentist', 'Planning']);
+
+    const health = await request('POST', '/api/feeds', { cookie, body: { categoryId: 'health', categoryName: 'Health' } });
+    assert.strictEqual(health.body.name, 'Event Reminder · Health');
+    const scoped = await fetchFeed(health.body.token);
+    assert.deepStrictEqual(summaries(scoped.text), ['Dentist']);
+    assert.ok(scoped.text.includes('CATEGORIES:Health'));
+});
+
+test('unknown and revoked feed tokens are 404s', async () => {
+    const { cookie } = await signUp('feed');
+    const feed = await request('POST', '/api/feeds', { cookie, body: {} });
+
+    assert.strictEqual((await fetchFeed('not-a-token')).status, 404);
+    assert.strictEqual((await fetchFeed(feed.body.token, { method: 'POST' })).status, 405);
+
+    assert.strictEqual((await request('DELETE', `/api/feeds/${feed.body.id}`, { cookie })).status, 204);
+    assert.strictEqual((await fetchFeed(feed.body.token)).status, 404);
+});
+
+test('the ETag changes with events and with the owner\'s default reminders', async () => {
+    const { cookie } = await signUp('feed');
+    await request('POST', '/api/events', { cookie, body: makeEvent() });
+    const feed = await request('POST', '/api/feeds', { cookie, body: {} });
+
+    const first = await fetchFeed(feed.body.token);
+    const etag = first.headers.ETag;
+    const cached = await fetchFeed(feed.body.token, { headers: { 'if-none-match': etag } });
+    assert.deepStrictEqual([cached.status, cached.text], [304, '']);
+
+    // Default reminders become the VALARMs of events without their own
+    await request('PUT', '/api/settings/notifications', { cookie, body: { defaultReminders: [60] } });
+    const afterSettings = await fetchFeed(feed.body.token, { headers: { 'if-none-match': etag } });
+    assert.strictEqual(afterSettings.status, 200);
+    assert.ok(afterSettings.text.includes('TRIGGER:-PT1H'));
+
+    await request('POST', '/api/events', { cookie, body: makeEvent({ title: 'Added later' }) });
+    const afterEdit = await fetchFeed(feed.body.token, { headers: { 'if-none-match': afterSettings.headers.ETag } });
+    assert.strictEqual(afterEdit.status, 200);
+    assert.ok(afterEdit.text.includes('SUMMARY:Added later'));
+});
+
+test('feed fetches are recorded at most once an hour', async () => {
+    const { cookie } = await signUp('feed');
+    const feed = await request('POST', '/api/feeds', { cookie, body: {} });
+    const lastAccessed = async () => (await Store.load()).feeds.find(item => item.id === feed.body.id).lastAccessedAt;
+
+    const first = await fetchFeed(feed.body.token);
+    const recorded = await lastAccessed();
+    assert.ok(recorded);
+
+    let writes = 0;
+    const { writeAtomic } = Store;
+    Store.writeAtomic = function (...args) {
+        writes += 1;
+        return writeAtomic.apply(this, args);
+    };
+    try {
+        await fetchFeed(feed.body.token);
+        await fetchFeed(feed.body.token, { headers: { 'if-none-match': first.headers.ETag } });
+    } finally {
+        Store.writeAtomic = writeAtomic;
+    }
+    assert.strictEqual(writes, 0);
+    assert.strictEqual(await lastAccessed(), recorded);
+});
@@ -0,0 +1,123 @@
+/**
+ * Shared helpers for the test suite
+ *
+ * test/run.js points DATA_DIR at a temporary directory before any test
+ * file is loaded, so requests here go through the real API dispatcher
+ * and store without touching data/. The store is shared by every test:
+ * tests sign up their own users (unique emails) instead of resetting it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const vm = require('vm');
+const Api = require('../server/api');
+
+const tests = [];
+let userCount = 0;
+
+/**
+ * Register a test (run in file order by test/run.js)
+ */
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+/**
+ * Send a request through Api.handle and collect the response
+ * Resolves to { status, headers, body } with the body parsed as JSON.
+ */
+async function request(method, url, { body, cookie } = {}) {
+    const req = Readable.from(body === undefined ? [] : [Buffer.from(JSON.stringify(body))]);
+    req.method = method;
+    req.url = url;
+    req.headers = cookie ? { cookie } : {};
+
+    const response = { status: null, headers: {}, body: null };
+    const res = {
+        headersSent: false,
+        writeHead(status, headers = {}) {
+            response.status = status;
+            response.headers = headers;
+            this.headersSent = true;
+        },
+        end(payload) {
+            response.body = payload ? JSON.parse(payload) : null;
+        }
+    };
+
+    await Api.handle(req, res, new URL(url, 'http://localhost'));
+    return response;
+}
+
+/**
+ * Create an account and return { user, cookie } for its session
+ */
+async function signUp(prefix = 'user') {
+    userCount += 1;
+    const email = `${prefix}${userCount}@example.com`;
+    const response = await request('POST', '/api/auth/register', { body: { email, password: 'correct horse' } });
+    if (response.status !== 201) {
+        throw new Error(`Sign-up failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+    return {
+        user: response.body.user,
+        cookie: response.headers['Set-Cookie'].split(';')[0]
+    };
+}
+
+/**
+ * A valid event payload with some fields overridden
+ */
+function makeEvent(overrides = {}) {
+    return {
+        title: 'Team meeting',
+        date: '2030-06-15',
+        allDay: false,
+        startTime: '09:00',
+        endTime: '10:00',
+        description: '',
+        ...overrides
+    };
+}
+
+/**
+ * Load the browser scripts into a sandbox and return its globals
+ * app.js waits for DOMContentLoaded before starting, so only its
+ * object-literal managers are defined; nothing touches the DOM stubs.
+ */
+function loadBrowserApp() {
+    const noop = () => {};
+    const context = {
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        URLSearchParams,
+        addEventListener: noop,
+        navigator: { onLine: true },
+        localStorage: { getItem: () => null, setItem: noop, removeItem: noop },
+        document: {
+            readyState: 'loading',
+            addEventListener: noop,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        }
+    };
+    context.window = context;
+    context.self = context;
+    vm.createContext(context);
+
+    ['recurrence.js', 'ical.js', 'app.js'].forEach(file => {
+        const filename = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf-8'), context, { filename });
+    });
+
+    // Top-level consts aren't properties of the sandbox, so read them by name
+    return name => vm.runInContext(name, context);
+}
+
+module.exports = { tests, test, request, signUp, makeEvent, loadBrowserApp };
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const ICal = require('../ical');
+const { test, makeEvent } = require('./helpers');
+
+test('iCalendar export and import round-trip an event', () => {
+    const event = {
+        ...makeEvent({ id: 'event_1', description: 'Bring slides' }),
+        reminders: [15],
+        recurrence: { freq: 'weekly', interval: 1, byWeekday: [6], until: '2030-08-31' }
+    };
+    const { events, skipped } = ICal.parse(ICal.stringify([event], { name: 'Test' }));
+
+    assert.deepStrictEqual(skipped, []);
+    assert.strictEqual(events.length, 1);
+    const [imported] = events;
+    assert.deepStrictEqual(
+        [imported.title, imported.date, imported.startTime, imported.endTime, imported.description],
+        ['Team meeting', '2030-06-15', '09:00', '10:00', 'Bring slides']
+    );
+    assert.deepStrictEqual(imported.reminders, [15]);
+    assert.strictEqual(imported.recurrence.freq, 'weekly');
+    assert.deepStrictEqual(imported.recurrence.byWeekday, [6]);
+    assert.strictEqual(imported.recurrence.until, '2030-08-31');
+});
+
+test('iCalendar import rejects other files and skips unusable events', () => {
+    assert.throws(() => ICal.parse('title,date\nLunch,2030-01-01'), /Not an iCalendar file/);
+
+    const { events, skipped } = ICal.parse([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:no-date',
+        'SUMMARY:Missing its start',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:ok',
+        'SUMMARY:Lunch with Sam',
+        'DTSTART;VALUE=DATE:20300101',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+    assert.deepStrictEqual(events.map(event => [event.title, event.date, event.allDay]), [['Lunch with Sam', '2030-01-01', true]]);
+    assert.strictEqual(skipped.length, 1);
+});
+
+test('text is escaped and long lines are folded', () => {
+    const description = 'Agenda; budget, hiring\\plans\nand a long tail ' + 'é'.repeat(60);
+    const text = ICal.stringify([{ ...makeEvent({ id: 'event_2', description }), reminders: [] }]);
+
+    assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(text.includes('DESCRIPTION:Agenda\\; budget\\, hiring\\\\plans\\nand'));
+    assert.strictEqual(ICal.parse(text).events[0].description, description);
+});
+
+test('importing a file again gives its events the same ids', () => {
+    const file = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:standup@example.com',
+        'SUMMARY:Stand-up',
+        'DTSTART:20300107T090000',
+        'DTEND:20300107T091500',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:standup@example.com',
+        'RECURRENCE-ID:20300109T090000',
+        'STATUS:CANCELLED',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    const first = ICal.parse(file);
+    const second = ICal.parse(file);
+    assert.strictEqual(first.events.length, 1);
+    assert.ok(/^event_ics_/.test(first.events[0].id));
+    assert.strictEqual(second.events[0].id, first.events[0].id);
+    // The cancelled occurrence becomes a skipped date of the series
+    assert.deepStrictEqual(first.events[0].recurrence.exdates, ['2030-01-09']);
+    assert.deepStrictEqual(first.skipped, []);
+
+    // The app's own exports keep their ids
+    const exported = ICal.stringify([{ ...makeEvent({ id: 'event_123_abc' }), reminders: [] }]);
+    assert.strictEqual(ICal.parse(exported).events[0].id, 'event_123_abc');
+});
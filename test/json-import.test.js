@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { test, makeEvent, loadBrowserApp } = require('./helpers');
+
+const browser = loadBrowserApp();
+const JsonImporter = browser('JsonImporter');
+
+// Arrays made inside the sandbox have its own prototypes, which deepStrictEqual compares
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('JSON backups keep valid events and report bad ones per entry', () => {
+    const result = JsonImporter.validate({
+        events: [
+            makeEvent({ id: 'event_ok' }),
+            makeEvent({ title: 'No weekdays', recurrence: { freq: 'weekly' } }),
+            makeEvent({ title: 'Bad channels', reminders: [15], channels: { 15: ['sms'] } }),
+            makeEvent({ title: 'Impossible day', date: '2030-02-31' }),
+            'not an event'
+        ]
+    });
+
+    assert.strictEqual(result.error, undefined);
+    assert.deepStrictEqual(plain(result.events.map(event => event.id)), ['event_ok']);
+    assert.deepStrictEqual(plain(result.invalid.map(entry => entry.label)), [
+        'Event 2 "No weekdays"',
+        'Event 3 "Bad channels"',
+        'Event 4 "Impossible day"',
+        'Event 5'
+    ]);
+    assert.ok(result.invalid[0].errors.includes('Choose at least one weekday'));
+    assert.ok(result.invalid[1].errors.includes('Channels must be a list of email, browser, in-app, webhook'));
+    assert.ok(result.invalid[2].errors.includes('Date must be a real YYYY-MM-DD date'));
+});
+
+test('JSON backups with the wrong shape are refused as a whole', () => {
+    assert.strictEqual(JsonImporter.validate({ events: {} }).error, '"events" must be a list');
+    assert.strictEqual(JsonImporter.validate({}).error, 'The file has no events or categories');
+    assert.strictEqual(JsonImporter.validate(null).error, 'The file is not an Event Reminder backup');
+    // Very old backups were a bare list of events
+    assert.strictEqual(JsonImporter.validate([makeEvent()]).events.length, 1);
+});
+
+test('the dry run sorts a backup into added, updated, unchanged, conflicting and removed events', () => {
+    const stored = (id, overrides) => makeEvent({
+        id,
+        reminders: null,
+        recurrence: null,
+        categoryId: null,
+        updatedAt: '2030-01-01T10:00:00.000Z',
+        ...overrides
+    });
+    browser('StateManager').events = [
+        stored('same', { title: 'Unchanged' }),
+        stored('edited', { title: 'Edited in the backup' }),
+        stored('newer', { title: 'Edited here since', updatedAt: '2030-01-03T10:00:00.000Z' }),
+        stored('local_id', { title: 'Matched by title and day' }),
+        stored('gone', { title: 'Only here' })
+    ];
+    JsonImporter.imported = JsonImporter.validate({
+        events: [
+            stored('same', { title: 'Unchanged' }),
+            stored('edited', { title: 'Edited in the backup', description: 'New notes', updatedAt: '2030-01-02T10:00:00.000Z' }),
+            stored('newer', { title: 'Edited here since', description: 'Old notes', updatedAt: '2030-01-02T10:00:00.000Z' }),
+            stored('other_id', { title: 'Matched by title and day' }),
+            stored('brand_new', { title: 'Only in the backup' })
+        ]
+    });
+
+    const plan = JsonImporter.plan();
+    const ids = list => plain(list.map(change => (change.event || change).id));
+    assert.deepStrictEqual(ids(plan.added), ['brand_new']);
+    assert.deepStrictEqual(ids(plan.updated), ['edited']);
+    assert.deepStrictEqual(ids(plan.unchanged), ['same', 'local_id']);
+    assert.deepStrictEqual(ids(plan.conflicts), ['newer']);
+    assert.deepStrictEqual(ids(plan.removed), ['gone']);
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const Migrations = require('../server/migrations');
+const { test } = require('./helpers');
+
+test('a bare event list from localStorage is upgraded to the latest schema', () => {
+    const { data, fromVersion, toVersion } = Migrations.migrate([
+        { id: 'event_1', title: 'Dentist', date: '2030-01-05', createdAt: '2029-12-01T10:00:00.000Z' },
+        { date: '2030-01-06' },
+        null
+    ]);
+
+    assert.deepStrictEqual([fromVersion, toVersion, data.schemaVersion], [0, Migrations.LATEST_VERSION, Migrations.LATEST_VERSION]);
+    assert.strictEqual(data.events.length, 2);
+
+    const [dentist, untitled] = data.events;
+    assert.deepStrictEqual(
+        [dentist.title, dentist.allDay, dentist.recurrence, dentist.reminders, dentist.ownerId, dentist.updatedAt],
+        ['Dentist', true, null, null, null, '2029-12-01T10:00:00.000Z']
+    );
+    assert.strictEqual(untitled.title, 'Untitled Event');
+    assert.strictEqual(untitled.description, '');
+    assert.ok(/^event_\d+_/.test(untitled.id));
+
+    // Settings from before accounts wait for the first account to claim them
+    assert.deepStrictEqual(data.users, []);
+    assert.strictEqual(data.unclaimed.settings.emailNotifications, true);
+});
+
+test('migrating is a no-op for a document that is already current', () => {
+    const { data } = Migrations.migrate([{ id: 'event_1', title: 'Dentist', date: '2030-01-05' }]);
+    const again = Migrations.migrate(data);
+    assert.deepStrictEqual([again.fromVersion, again.toVersion], [Migrations.LATEST_VERSION, Migrations.LATEST_VERSION]);
+    assert.deepStrictEqual(again.data, data);
+});
+
+test('delivery records from before offsets and channels keep working', () => {
+    const { data } = Migrations.migrate({
+        schemaVersion: 6,
+        events: [],
+        tombstones: [],
+        settings: {},
+        deliveries: [{ key: 'event_1:2030-01-05', status: 'sent' }]
+    });
+    assert.deepStrictEqual(data.deliveries, [{ key: 'event_1:2030-01-05:0', offset: 0, status: 'sent', userId: null, channel: 'email' }]);
+});
+
+test('events with impossible dates are repaired, not deleted', () => {
+    const stored = {
+        ...Migrations.migrate([]).data,
+        schemaVersion: 14,
+        revision: 7,
+        events: [
+            { id: 'ok', date: '2030-01-05', createdAt: '2029-12-01T10:00:00.000Z', updatedAt: '2029-12-01T10:00:00.000Z', revision: 7 },
+            { id: 'unpadded', date: '2030-1-5', createdAt: '2029-12-01T10:00:00.000Z', revision: 3 },
+            { id: 'timestamp', date: '2030-01-05T09:30:00.000Z', createdAt: '2029-12-01T10:00:00.000Z', revision: 4 },
+            { id: 'impossible', date: '2030-02-31', createdAt: '2029-12-01T10:00:00.000Z', revision: 5 },
+            { id: 'missing', createdAt: '2029-11-20T08:00:00.000Z', revision: 6 }
+        ]
+    };
+    const { data } = Migrations.migrate(stored);
+
+    assert.deepStrictEqual(
+        data.events.map(event => [event.id, event.date]),
+        [['ok', '2030-01-05'], ['unpadded', '2030-01-05'], ['timestamp', '2030-01-05'], ['impossible', '2029-12-01'], ['missing', '2029-11-20']]
+    );
+    assert.deepStrictEqual(data.tombstones, []);
+
+    // Repaired events get new revisions so synced browsers pull the fix
+    assert.deepStrictEqual(data.events.map(event => event.revision), [7, 8, 9, 10, 11]);
+    assert.strictEqual(data.revision, 11);
+    assert.strictEqual(data.events[0].updatedAt, '2029-12-01T10:00:00.000Z');
+    assert.ok(data.events.slice(1).every(event => Date.now() - new Date(event.updatedAt) < 60 * 1000));
+});
+
+test('documents from a newer server are refused', () => {
+    assert.throws(
+        () => Migrations.migrate({ schemaVersion: Migrations.LATEST_VERSION + 1 }),
+        /newer than this server supports/
+    );
+});
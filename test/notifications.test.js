@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { test, loadBrowserApp } = require('./helpers');
+
+/**
+ * Load the app with `events` stored and "today" fixed to `date`
+ * Resolves to { Manager, raised } where raised collects the
+ * [offset, channels] of every reminder the app shows.
+ */
+function setUp(events, date) {
+    const browser = loadBrowserApp();
+    const Manager = browser('BrowserNotificationManager');
+    const raised = [];
+
+    browser('StateManager').events = events;
+    browser('DateUtils').getToday = () => new Date(`${date}T00:00:00`);
+    Manager.raise = (reminder, channels) => {
+        // Remembered as raised when due (the real clock is years before these events)
+        Manager.notified[reminder.key] = reminder.dueAt.toISOString();
+        raised.push([reminder.offset, Array.from(channels)]);
+    };
+    return { Manager, raised };
+}
+
+/**
+ * A timed event on 2032-03-16 at 09:00
+ */
+function makeEvent(overrides = {}) {
+    return {
+        id: 'event_browser',
+        title: 'Stand-up',
+        date: '2032-03-16',
+        allDay: false,
+        startTime: '09:00',
+        endTime: null,
+        reminders: [0, 15],
+        channels: null,
+        ...overrides
+    };
+}
+
+test('due reminders are raised in the app once, latest first', () => {
+    const { Manager, raised } = setUp([makeEvent({ endTime: '09:30', reminders: [60, 15] })], '2032-03-16');
+
+    Manager.check(new Date('2032-03-16T07:59:00'));
+    assert.deepStrictEqual(raised, []);
+
+    // Both are overdue; only the later one is shown
+    Manager.check(new Date('2032-03-16T08:50:00'));
+    Manager.check(new Date('2032-03-16T08:51:00'));
+    assert.deepStrictEqual(raised, [[15, ['in-app']]]);
+});
+
+test('at-start reminders are raised for events without an end time', () => {
+    const { Manager, raised } = setUp([makeEvent()], '2032-03-16');
+
+    Manager.check(new Date('2032-03-16T08:45:30'));
+    Manager.check(new Date('2032-03-16T09:00:30'));
+    assert.deepStrictEqual(raised.map(([offset]) => offset), [15, 0]);
+});
+
+test('reminders for events that are over are not raised', () => {
+    const { Manager, raised } = setUp([makeEvent({ reminders: [0] })], '2032-03-16');
+    Manager.check(new Date('2032-03-16T09:15:00'));
+    assert.deepStrictEqual(raised, []);
+});
+
+test('the browser and the server agree on when an event ends', () => {
+    const browser = loadBrowserApp();
+    const DateUtils = browser('DateUtils');
+    const EventModel = require('../server/event-model');
+
+    [
+        makeEvent(),
+        makeEvent({ endTime: '10:30' }),
+        makeEvent({ allDay: true, startTime: null })
+    ].forEach(event => {
+        assert.strictEqual(DateUtils.getEventEnd(event).getTime(), EventModel.getEnd(event).getTime(), JSON.stringify(event));
+    });
+    assert.strictEqual(EventModel.getEnd(makeEvent()).getTime(), new Date('2032-03-16T09:15:00').getTime());
+});
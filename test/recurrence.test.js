@@ -0,0 +1,86 @@
+const assert = require('assert');
+const Recurrence = require('../recurrence');
+const Validation = require('../server/validation');
+const { test, makeEvent } = require('./helpers');
+
+/**
+ * Occurrence dates of a series starting on `date` between two dates
+ */
+function dates(rule, date, from, to) {
+    return Recurrence.getDates({ date, recurrence: Recurrence.normalize(rule) }, from, to);
+}
+
+test('daily and weekly series honour the interval and weekdays', () => {
+    assert.deepStrictEqual(dates({ freq: 'daily', interval: 2, count: 4 }, '2030-01-01', '2030-01-01', '2030-12-31'),
+        ['2030-01-01', '2030-01-03', '2030-01-05', '2030-01-07']);
+
+    // 2030-01-01 is a Tuesday
+    assert.deepStrictEqual(dates({ freq: 'weekly', byWeekday: [1, 3] }, '2030-01-01', '2030-01-01', '2030-01-14'),
+        ['2030-01-02', '2030-01-07', '2030-01-09', '2030-01-14']);
+    assert.deepStrictEqual(dates({ freq: 'weekly', interval: 2, byWeekday: [3] }, '2030-01-01', '2030-01-01', '2030-01-31'),
+        ['2030-01-02', '2030-01-16', '2030-01-30']);
+});
+
+test('monthly series repeat by day of the month or by nth weekday', () => {
+    // Months without a 31st are skipped
+    assert.deepStrictEqual(dates({ freq: 'monthly' }, '2030-01-31', '2030-01-01', '2030-06-30'),
+        ['2030-01-31', '2030-03-31', '2030-05-31']);
+    // The second Tuesday
+    assert.deepStrictEqual(dates({ freq: 'monthly', monthlyBy: 'weekday' }, '2030-01-08', '2030-01-01', '2030-03-31'),
+        ['2030-01-08', '2030-02-12', '2030-03-12']);
+    // A fifth Tuesday means the last one, so months with four aren't skipped
+    assert.deepStrictEqual(dates({ freq: 'monthly', monthlyBy: 'weekday' }, '2030-01-29', '2030-01-01', '2030-03-31'),
+        ['2030-01-29', '2030-02-26', '2030-03-26']);
+});
+
+test('yearly series on February 29th only occur in leap years', () => {
+    assert.deepStrictEqual(dates({ freq: 'yearly' }, '2028-02-29', '2028-01-01', '2036-12-31'),
+        ['2028-02-29', '2032-02-29', '2036-02-29']);
+});
+
+test('series end on their until date or count, and skipped dates count', () => {
+    assert.deepStrictEqual(dates({ freq: 'daily', until: '2030-01-03' }, '2030-01-01', '2030-01-01', '2030-12-31'),
+        ['2030-01-01', '2030-01-02', '2030-01-03']);
+    assert.deepStrictEqual(dates({ freq: 'daily', count: 3, exdates: ['2030-01-02'] }, '2030-01-01', '2030-01-01', '2030-12-31'),
+        ['2030-01-01', '2030-01-03']);
+    // A long-running series is only expanded over the range asked for
+    assert.deepStrictEqual(dates({ freq: 'daily' }, '2000-01-01', '2030-01-01', '2030-01-02'), ['2030-01-01', '2030-01-02']);
+});
+
+test('the next and previous occurrences are found around a date', () => {
+    const event = { date: '2030-01-01', recurrence: Recurrence.normalize({ freq: 'weekly', byWeekday: [1, 3], exdates: ['2030-01-07'] }) };
+    assert.strictEqual(Recurrence.getNextDate(event, '2030-01-03'), '2030-01-09');
+    assert.strictEqual(Recurrence.getPreviousDate(event, '2030-01-09'), '2030-01-02');
+    assert.strictEqual(Recurrence.getNextDate({ date: '2030-01-01' }, '2030-01-02'), null);
+});
+
+test('splitting a series keeps its remaining occurrences', () => {
+    const event = { date: '2030-01-01', recurrence: Recurrence.normalize({ freq: 'daily', count: 5, exdates: ['2030-01-02', '2030-01-04'] }) };
+    const { head, tail } = Recurrence.split(event, '2030-01-03');
+
+    assert.deepStrictEqual([head.until, head.count, head.exdates], ['2030-01-02', null, ['2030-01-02']]);
+    assert.deepStrictEqual([tail.count, tail.exdates], [3, ['2030-01-04']]);
+    assert.deepStrictEqual(
+        [...Recurrence.getDates({ ...event, recurrence: head }, '2030-01-01', '2030-12-31'),
+            ...Recurrence.getDates({ date: '2030-01-03', recurrence: tail }, '2030-01-01', '2030-12-31')],
+        Recurrence.getDates(event, '2030-01-01', '2030-12-31')
+    );
+});
+
+test('rules are described in words', () => {
+    assert.strictEqual(Recurrence.describe(null), 'Does not repeat');
+    assert.strictEqual(Recurrence.describe({ freq: 'weekly', interval: 2, byWeekday: [1, 3], until: '2030-03-04' }, '2030-01-01'),
+        'Every 2 weeks on Mon, Wed until Mar 4, 2030');
+    assert.strictEqual(Recurrence.describe({ freq: 'monthly', interval: 1, monthlyBy: 'weekday', count: 5 }, '2030-01-08'),
+        'Every month on the second Tuesday, 5 times');
+});
+
+test('repeat rules are validated against the event date', () => {
+    assert.strictEqual(Validation.validateRecurrence(makeEvent({ recurrence: { freq: 'daily', interval: 1 } })).valid, true);
+    assert.strictEqual(Validation.validateRecurrence(makeEvent({ recurrence: { freq: 'hourly' } })).valid, false);
+    assert.strictEqual(Validation.validateRecurrence(makeEvent({ recurrence: { freq: 'daily', interval: 100 } })).valid, false);
+    assert.strictEqual(Validation.validateRecurrence(makeEvent({ recurrence: { freq: 'daily', until: '2030-01-01', count: 2 } })).valid, false);
+    assert.strictEqual(Validation.validateRecurrence(makeEvent({
+        recurrence: { freq: 'daily', interval: 1, until: '2030-01-01' }
+    })).valid, false);
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const Notifier = require('../server/notifier');
+const Rsvp = require('../server/rsvp');
+const Store = require('../server/store');
+const Validation = require('../server/validation');
+const { test, request, signUp, makeEvent } = require('./helpers');
+
+/**
+ * Send a request to the RSVP page and collect the HTML response
+ */
+async function rsvp(method, token, response) {
+    const query = new URLSearchParams({ token });
+    if (response) query.set('response', response);
+    const url = `${Rsvp.PATH}?${query}`;
+
+    const req = Readable.from([]);
+    req.method = method;
+    req.url = url;
+    req.headers = {};
+
+    const result = { status: null, body: '' };
+    const res = {
+        headersSent: false,
+        writeHead(status) {
+            result.status = status;
+            this.headersSent = true;
+        },
+        end(payload) {
+            result.body = payload ? String(payload) : '';
+        }
+    };
+
+    await Rsvp.handle(req, res, new URL(url, 'http://localhost'));
+    return result;
+}
+
+/**
+ * Wait for invitation runs started by the event routes to finish
+ */
+async function invitationsSettled() {
+    while (Rsvp.sending) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Create an event with attendees while capturing the emails sent for it
+ * Resolves to { cookie, event, sent, stored } where stored is the event as saved.
+ */
+async function createWithAttendees(attendees, transport) {
+    const { cookie } = await signUp('organizer');
+    const sent = [];
+    Notifier.transport = transport || { name: 'capture', send: message => { sent.push(message); return { messageId: `capture-${sent.length}` }; } };
+    try {
+        const created = await request('POST', '/api/events', { cookie, body: makeEvent({ title: 'Launch party', attendees }) });
+        assert.strictEqual(created.status, 201);
+        await invitationsSettled();
+
+        const data = await Store.load();
+        return { cookie, event: created.body, sent, stored: data.events.find(event => event.id === created.body.id) };
+    } finally {
+        Notifier.transport = null;
+    }
+}
+
+test('attendees get their RSVP tokens on the server only', async () => {
+    const { event, stored } = await createWithAttendees([{ email: 'Guest@Example.com', name: 'Guest' }]);
+
+    assert.deepStrictEqual(event.attendees, [{ email: 'guest@example.com', name: 'Guest', status: 'pending', respondedAt: null }]);
+    assert.match(stored.attendees[0].token, /^[0-9a-f]{32,}$/);
+});
+
+test('each attendee is emailed an invitation with RSVP links once', async () => {
+    const { sent, stored } = await createWithAttendees([{ email: 'one@example.com' }, { email: 'two@example.com' }]);
+
+    assert.deepStrictEqual(sent.map(message => message.to).sort(), ['one@example.com', 'two@example.com']);
+    const [attendee] = stored.attendees.filter(item => item.email === 'one@example.com');
+    const message = sent.find(item => item.to === 'one@example.com');
+    assert.ok(message.text.includes(`${Rsvp.PATH}?token=${attendee.token}&response=accepted`));
+    assert.ok(stored.attendees.every(item => item.invitedAt));
+
+    await Rsvp.sendInvitations();
+    assert.strictEqual(sent.length, 2);
+});
+
+test('failed invitations are counted and retried', async () => {
+    const broken = { name: 'broken', send: () => Promise.reject(new Error('SMTP is down')) };
+    const { stored } = await createWithAttendees([{ email: 'retry@example.com' }], broken);
+    assert.deepStrictEqual([stored.attendees[0].invitedAt, stored.attendees[0].inviteAttempts], [null, 1]);
+
+    await Rsvp.sendInvitations();
+    const data = await Store.load();
+    assert.ok(data.events.find(event => event.id === stored.id).attendees[0].invitedAt);
+});
+
+test('opening an RSVP link only shows the invitation; posting records the answer', async () => {
+    const { cookie, stored } = await createWithAttendees([{ email: 'answer@example.com' }]);
+    const { token } = stored.attendees[0];
+
+    const page = await rsvp('GET', token, 'declined');
+    assert.strictEqual(page.status, 200);
+    assert.ok(page.body.includes('Launch party'));
+    let data = await Store.load();
+    assert.strictEqual(data.events.find(event => event.id === stored.id).attendees[0].status, 'pending');
+
+    const answered = await rsvp('POST', token, 'accepted');
+    assert.strictEqual(answered.status, 200);
+    data = await Store.load();
+    const event = data.events.find(item => item.id === stored.id);
+    assert.strictEqual(event.attendees[0].status, 'accepted');
+    // An answer isn't an edit: the event syncs again without its updatedAt moving
+    assert.ok(event.revision > stored.revision);
+    assert.strictEqual(event.updatedAt, stored.updatedAt);
+
+    const fetched = await request('GET', `/api/events/${stored.id}`, { cookie });
+    assert.strictEqual(fetched.body.attendees[0].status, 'accepted');
+});
+
+test('unknown tokens are a 404 and unknown answers a 400', async () => {
+    const { stored } = await createWithAttendees([{ email: 'probe@example.com' }]);
+
+    assert.strictEqual((await rsvp('GET', 'not-a-token')).status, 404);
+    assert.strictEqual((await rsvp('POST', 'not-a-token', 'accepted')).status, 404);
+    assert.strictEqual((await rsvp('POST', stored.attendees[0].token, 'maybe')).status, 400);
+});
+
+test('an edit from a stale copy keeps the attendee\'s newer answer', async () => {
+    const { cookie, event, stored } = await createWithAttendees([{ email: 'stale@example.com' }]);
+    await rsvp('POST', stored.attendees[0].token, 'declined');
+
+    const updated = await request('PUT', `/api/events/${event.id}`, { cookie, body: { ...event, title: 'Launch party (moved)' } });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.attendees[0].status, 'declined');
+});
+
+test('validateAttendees accepts distinct valid addresses only', () => {
+    assert.strictEqual(Validation.validateAttendees(undefined).valid, true);
+    assert.strictEqual(Validation.validateAttendees([{ email: 'a@example.com' }, { email: 'b@example.com', name: 'B' }]).valid, true);
+    assert.strictEqual(Validation.validateAttendees('a@example.com').valid, false);
+    assert.strictEqual(Validation.validateAttendees([{ email: 'not an address' }]).valid, false);
+    assert.strictEqual(Validation.validateAttendees([{ email: 'a@example.com' }, { email: 'A@Example.com' }]).valid, false);
+    assert.strictEqual(Validation.validateAttendees([{ email: 'a@example.com', status: 'maybe' }]).valid, false);
+});
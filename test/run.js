@@ -0,0 +1,92 @@
+/**
+ * Test runner (npm test)
+ *
+ * Runs every test/*.test.js file with nothing but Node's assert module,
+ * so the suite works on every Node version the server supports. Tests
+ * run one after another against a store in a temporary directory; the
+ * server's own log output is held back and only shown for failures.
+ *
+ *   node test/run.js            - run everything
+ *   node test/run.js sync       - only files whose name contains "sync"
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-reminder-test-'));
+Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    MAIL_TRANSPORT: 'console',
+    PUBLIC_URL: 'http://localhost:8000',
+    SCHEDULER_ENABLED: 'false'
+});
+
+const { tests } = require('./helpers');
+
+const filter = process.argv[2] || '';
+const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js') && file.includes(filter))
+    .sort();
+
+/**
+ * Run one test with console output captured
+ */
+async function runTest({ name, fn }) {
+    const output = [];
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    ['log', 'warn', 'error'].forEach(level => {
+        console[level] = (...args) => output.push(args.map(String).join(' '));
+    });
+
+    try {
+        await fn();
+        return { name, passed: true, output };
+    } catch (error) {
+        return { name, passed: false, error, output };
+    } finally {
+        Object.assign(console, original);
+    }
+}
+
+async function main() {
+    let failed = 0;
+    let total = 0;
+
+    for (const file of files) {
+        const start = tests.length;
+        require(path.join(__dirname, file));
+        console.log(`\n${file}`);
+
+        for (const entry of tests.slice(start)) {
+            total += 1;
+            const result = await runTest(entry);
+            if (result.passed) {
+                console.log(`  ✅ ${result.name}`);
+                continue;
+            }
+            failed += 1;
+            console.log(`  ❌ ${result.name}`);
+            console.log(`     ${String(result.error.stack || result.error).split('\n').join('\n     ')}`);
+            if (result.output.length) {
+                console.log(`     Output:\n       ${result.output.join('\n       ')}`);
+            }
+        }
+    }
+
+    console.log(`\n${total - failed} of ${total} tests passed`);
+    return failed === 0 ? 0 : 1;
+}
+
+main()
+    .catch(error => {
+        console.error(error);
+        return 1;
+    })
+    .then(code => {
+        // Let queued store writes finish before removing their directory
+        setTimeout(() => {
+            (fs.rmSync || fs.rmdirSync)(dataDir, { recursive: true, force: true });
+            process.exit(code);
+        }, 100);
+    });
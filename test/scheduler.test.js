@@ -0,0 +1,159 @@
+const assert = require('assert');
+const Notifier = require('../server/notifier');
+const Scheduler = require('../server/scheduler');
+const Store = require('../server/store');
+const { test, request, signUp, makeEvent } = require('./helpers');
+
+/**
+ * Sign up and create one event; resolves to { user, event }
+ * Each test uses its own date so other tests' events never come due.
+ */
+async function setUp(overrides) {
+    const { user, cookie } = await signUp('scheduler');
+    const created = await request('POST', '/api/events', { cookie, body: makeEvent(overrides) });
+    assert.strictEqual(created.status, 201);
+    return { user, cookie, event: created.body };
+}
+
+/**
+ * A user's email delivery records
+ */
+async function emailRecords(userId) {
+    const data = await Store.load();
+    return data.deliveries.filter(record => record.userId === userId && record.channel === 'email');
+}
+
+/**
+ * A local time on a YYYY-MM-DD date
+ */
+function at(date, time) {
+    return new Date(`${date}T${time}`);
+}
+
+test('a reminder is sent once when it comes due', async () => {
+    const { user, event } = await setUp({ date: '2032-03-10', reminders: [15] });
+
+    await Scheduler.tick(at('2032-03-10', '08:44:30'));
+    assert.deepStrictEqual(await emailRecords(user.id), []);
+
+    await Scheduler.tick(at('2032-03-10', '08:45:30'));
+    await Scheduler.tick(at('2032-03-10', '08:50:00'));
+    const records = await emailRecords(user.id);
+    assert.strictEqual(records.length, 1);
+    assert.deepStrictEqual(
+        [records[0].key, records[0].status, records[0].attempts, records[0].dueAt],
+        [`${event.id}:2032-03-10:15`, 'sent', 1, at('2032-03-10', '08:45:00').toISOString()]
+    );
+});
+
+test('after downtime only the latest overdue reminder is sent', async () => {
+    const { user } = await setUp({ date: '2032-03-11', reminders: [1440, 60, 15] });
+
+    await Scheduler.tick(at('2032-03-11', '08:30:00'));
+    assert.deepStrictEqual((await emailRecords(user.id)).map(record => record.offset), [60]);
+});
+
+test('reminders for events that are over are skipped', async () => {
+    const { user } = await setUp({ date: '2032-03-12', reminders: [15] });
+
+    await Scheduler.tick(at('2032-03-12', '10:00:30'));
+    assert.deepStrictEqual(await emailRecords(user.id), []);
+});
+
+test('failed sends are retried with backoff', async () => {
+    const { user } = await setUp({ date: '2032-03-15', reminders: [15] });
+    Notifier.transport = { name: 'broken', send: () => Promise.reject(new Error('SMTP is down')) };
+    try {
+        await Scheduler.tick(at('2032-03-15', '08:45:30'));
+        await Scheduler.tick(at('2032-03-15', '08:46:00'));
+        let [record] = await emailRecords(user.id);
+        assert.deepStrictEqual([record.status, record.attempts, record.error], ['failed', 1, 'SMTP is down']);
+
+        // The second attempt waits a minute, the third two more
+        await Scheduler.tick(at('2032-03-15', '08:46:31'));
+        await Scheduler.tick(at('2032-03-15', '08:47:31'));
+        [record] = await emailRecords(user.id);
+        assert.strictEqual(record.attempts, 2);
+    } finally {
+        Notifier.transport = null;
+    }
+
+    await Scheduler.tick(at('2032-03-15', '08:48:31'));
+    const [record] = await emailRecords(user.id);
+    assert.deepStrictEqual([record.status, record.attempts], ['sent', 3]);
+    assert.deepStrictEqual(record.outcomes.map(outcome => outcome.status), ['failed', 'failed', 'sent']);
+});
+
+test('each occurrence of a recurring event gets its own reminder', async () => {
+    const { user, event } = await setUp({
+        date: '2032-04-01',
+        reminders: [15],
+        recurrence: { freq: 'daily', interval: 1, count: 3 }
+    });
+
+    for (const date of ['2032-04-01', '2032-04-02', '2032-04-03', '2032-04-04']) {
+        await Scheduler.tick(at(date, '08:45:30'));
+    }
+    assert.deepStrictEqual(
+        (await emailRecords(user.id)).map(record => record.key),
+        ['2032-04-01', '2032-04-02', '2032-04-03'].map(date => `${event.id}:${date}:15`)
+    );
+});
+test('reminders follow the recipient\'s defaults and email settings', async () => {
+    const { user, cookie } = await setUp({ date: '2032-03-13' });
+    await request('PUT', '/api/settings/notifications', { cookie, body: { defaultReminders: [30] } });
+
+    await Scheduler.tick(at('2032-03-13', '08:30:30'));
+    assert.deepStrictEqual((await emailRecords(user.id)).map(record => record.offset), [30]);
+
+    const other = await setUp({ date: '2032-03-14', reminders: [15] });
+    await request('PUT', '/api/settings/notifications', { cookie: other.cookie, body: { emailNotifications: false } });
+    await Scheduler.tick(at('2032-03-14', '08:45:30'));
+    assert.deepStrictEqual(await emailRecords(other.user.id), []);
+});
+
+
+test('at-start reminders go out for events without an end time', async () => {
+    const { user } = await setUp({ date: '2032-03-16', endTime: null, reminders: [0, 15] });
+
+    await Scheduler.tick(at('2032-03-16', '08:45:30'));
+    await Scheduler.tick(at('2032-03-16', '09:00:30'));
+    assert.deepStrictEqual((await emailRecords(user.id)).map(record => record.offset), [15, 0]);
+
+    // They still count as over once the grace period has passed
+    const late = await setUp({ date: '2032-03-17', endTime: null, reminders: [0] });
+    await Scheduler.tick(at('2032-03-17', '09:15:00'));
+    assert.deepStrictEqual(await emailRecords(late.user.id), []);
+});
+
+test('moving an event sends each reminder once more for its new time', async () => {
+    const { user, cookie, event } = await setUp({ date: '2032-03-18', reminders: [15] });
+    const path = `/api/events/${event.id}`;
+    let sends = 0;
+    const { send } = Notifier.getTransport();
+    Notifier.transport = { name: 'counting', send: message => { sends += 1; return send(message); } };
+
+    try {
+        await Scheduler.tick(at('2032-03-18', '08:45:30'));
+
+        // Later: the old record is replaced straight away and the reminder waits for its new time
+        await request('PUT', path, { cookie, body: { startTime: '09:30', endTime: '10:30' } });
+        await Scheduler.tick(at('2032-03-18', '08:50:00'));
+        assert.deepStrictEqual(await emailRecords(user.id), []);
+        await Scheduler.tick(at('2032-03-18', '09:15:30'));
+        await Scheduler.tick(at('2032-03-18', '09:16:00'));
+        assert.strictEqual(sends, 2);
+
+        // Earlier, after it was sent: it goes out once more, right away
+        await request('PUT', path, { cookie, body: { startTime: '09:20', endTime: '10:20' } });
+        await Scheduler.tick(at('2032-03-18', '09:16:30'));
+        await Scheduler.tick(at('2032-03-18', '09:17:00'));
+        assert.strictEqual(sends, 3);
+    } finally {
+        Notifier.transport = null;
+    }
+
+    const records = await emailRecords(user.id);
+    assert.strictEqual(records.length, 1);
+    assert.deepStrictEqual([records[0].dueAt, records[0].attempts], [at('2032-03-18', '09:05:00').toISOString(), 1]);
+});
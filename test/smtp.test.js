@@ -0,0 +1,137 @@
+const assert = require('assert');
+const net = require('net');
+const { createSmtpTransport } = require('../server/transports/smtp');
+const { test } = require('./helpers');
+
+const MESSAGE = { from: 'Event Reminder <reminders@example.com>', to: 'you@example.com', subject: 'Reminder', text: 'Hello' };
+
+/**
+ * Start a fake SMTP server on a free port
+ * `answer(line, socket)` returns the reply for each command line (or null
+ * to stay silent); the greeting is sent on connect. Resolves to { port, lines, close }.
+ */
+function startServer(answer, { greet = true } = {}) {
+    const lines = [];
+    const sockets = [];
+    const server = net.createServer(socket => {
+        sockets.push(socket);
+        socket.on('error', () => {});
+        let buffer = '';
+        let inData = false;
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf-8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                lines.push(line);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 Queued as 42\r\n');
+                    }
+                    continue;
+                }
+                inData = /^DATA$/i.test(line);
+                const reply = answer(line, socket);
+                if (reply) socket.write(`${reply}\r\n`);
+            }
+        });
+        if (greet) socket.write('220 test.example.com ESMTP\r\n');
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.address().port,
+            lines,
+            close: () => {
+                sockets.forEach(socket => socket.destroy());
+                return new Promise(done => server.close(done));
+            }
+        }));
+    });
+}
+
+/**
+ * Answers of a plain server that offers `extensions` after EHLO
+ */
+function plainServer(extensions = []) {
+    return line => {
+        const [command] = line.split(' ');
+        switch (command.toUpperCase()) {
+            case 'EHLO':
+                return ['250-test.example.com', ...extensions.map(ext => `250-${ext}`), '250 8BITMIME'].join('\r\n');
+            case 'MAIL':
+            case 'RCPT':
+                return '250 OK';
+            case 'DATA':
+                return '354 Go ahead';
+            case 'QUIT':
+                return '221 Bye';
+            default:
+                return '502 Not implemented';
+        }
+    };
+}
+
+test('a message is sent over a plain connection when no login is needed', async () => {
+    const server = await startServer(plainServer());
+    try {
+        const transport = createSmtpTransport({ host: '127.0.0.1', port: server.port, timeoutMs: 2000 });
+        const result = await transport.send(MESSAGE);
+        assert.strictEqual(result.messageId, '250 Queued as 42');
+        assert.ok(server.lines.includes('MAIL FROM:<reminders@example.com>'));
+        assert.ok(server.lines.includes('RCPT TO:<you@example.com>'));
+        assert.ok(server.lines.includes('Subject: Reminder'));
+    } finally {
+        await server.close();
+    }
+});
+
+test('the login is never sent without TLS unless allowed', async () => {
+    const server = await startServer(plainServer(['AUTH PLAIN LOGIN']));
+    try {
+        const options = { host: '127.0.0.1', port: server.port, user: 'me', pass: 'secret', timeoutMs: 2000 };
+        await assert.rejects(createSmtpTransport(options).send(MESSAGE), /login would be sent unencrypted/);
+        assert.ok(!server.lines.some(line => /^AUTH/i.test(line)));
+    } finally {
+        await server.close();
+    }
+});
+
+test('a server that never answers makes the send fail', async () => {
+    const server = await startServer(() => null, { greet: false });
+    try {
+        const transport = createSmtpTransport({ host: '127.0.0.1', port: server.port, timeoutMs: 200 });
+        await assert.rejects(transport.send(MESSAGE), /timed out/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a STARTTLS handshake that stalls makes the send fail', async () => {
+    const answer = plainServer(['STARTTLS']);
+    // Agree to STARTTLS, then never take part in the handshake
+    const server = await startServer(line => (/^STARTTLS$/i.test(line) ? '220 Ready to start TLS' : answer(line)));
+    try {
+        const transport = createSmtpTransport({ host: '127.0.0.1', port: server.port, timeoutMs: 200 });
+        await assert.rejects(transport.send(MESSAGE), /TLS handshake timed out/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a connection dropped during the STARTTLS handshake makes the send fail', async () => {
+    const answer = plainServer(['STARTTLS']);
+    const server = await startServer((line, socket) => {
+        if (!/^STARTTLS$/i.test(line)) return answer(line);
+        socket.end('220 Ready to start TLS\r\n');
+        return null;
+    });
+    try {
+        const transport = createSmtpTransport({ host: '127.0.0.1', port: server.port, timeoutMs: 5000 });
+        await assert.rejects(transport.send(MESSAGE), /closed|disconnected|ECONNRESET/);
+    } finally {
+        await server.close();
+    }
+});
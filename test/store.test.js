@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Store = require('../server/store');
+const { test } = require('./helpers');
+
+const STORE_FILE = path.join(Store.DATA_DIR, 'store.json');
+
+/**
+ * Read store.json (or another file in the data directory) from disk
+ */
+function readFromDisk(file = 'store.json') {
+    return JSON.parse(fs.readFileSync(path.join(Store.DATA_DIR, file), 'utf-8'));
+}
+
+test('every update is on disk, with the previous version kept as a backup', async () => {
+    await Store.update(data => {
+        data.storeTest = 'first';
+    });
+    const result = await Store.update(data => {
+        data.storeTest = 'second';
+        return 'passed through';
+    });
+
+    assert.strictEqual(result, 'passed through');
+    assert.strictEqual(readFromDisk().storeTest, 'second');
+    assert.strictEqual(readFromDisk('store.json.bak').storeTest, 'first');
+    assert.deepStrictEqual(readFromDisk(), await Store.load());
+    assert.deepStrictEqual(fs.readdirSync(Store.DATA_DIR).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('a failed mutation changes nothing in memory or on disk', async () => {
+    const before = JSON.stringify(await Store.load());
+
+    await assert.rejects(Store.update(data => {
+        data.storeTest = 'half done';
+        throw new Error('mutation failed');
+    }), /mutation failed/);
+
+    assert.strictEqual(JSON.stringify(await Store.load()), before);
+    assert.strictEqual(JSON.stringify(readFromDisk()), before);
+});
+
+test('a failed write leaves memory as it was and later updates still run', async () => {
+    const before = JSON.stringify(await Store.load());
+    const { writeAtomic } = Store;
+    Store.writeAtomic = () => Promise.reject(new Error('disk full'));
+    try {
+        await assert.rejects(Store.update(data => {
+            data.storeTest = 'never written';
+        }), /disk full/);
+    } finally {
+        Store.writeAtomic = writeAtomic;
+    }
+
+    assert.strictEqual(JSON.stringify(await Store.load()), before);
+    await Store.update(data => {
+        data.storeTest = 'after the failure';
+    });
+    assert.strictEqual(readFromDisk().storeTest, 'after the failure');
+});
+
+test('concurrent updates are applied one after another', async () => {
+    await Store.update(data => {
+        data.storeCounter = 0;
+    });
+    await Promise.all(Array.from({ length: 5 }, () => Store.update(data => {
+        data.storeCounter += 1;
+    })));
+    assert.strictEqual(readFromDisk().storeCounter, 5);
+});
+
+test('a crash mid-write is recovered from on the next start', async () => {
+    // Write twice so the backup matches the live file before "crashing"
+    await Store.update(data => {
+        data.storeTest = 'before the crash';
+    });
+    await Store.update(() => {});
+    const expected = readFromDisk();
+
+    const leftover = `${STORE_FILE}.12345.67890.tmp`;
+    fs.writeFileSync(leftover, '{"half": "writ');
+    fs.writeFileSync(STORE_FILE, '{"truncated": ');
+    Store.data = null;
+
+    const recovered = await Store.load();
+    assert.deepStrictEqual(recovered, expected);
+    assert.deepStrictEqual(readFromDisk(), expected);
+    assert.strictEqual(fs.existsSync(leftover), false);
+    assert.ok(fs.readdirSync(Store.DATA_DIR).some(file => file.startsWith('store.json.corrupt-')));
+});
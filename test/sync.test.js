@@ -0,0 +1,124 @@
+const assert = require('assert');
+const { test, request, signUp, makeEvent, loadBrowserApp } = require('./helpers');
+
+let idCount = 0;
+
+/**
+ * An upsert change for a new event id
+ */
+function upsert(overrides = {}, updatedAt = new Date().toISOString()) {
+    idCount += 1;
+    const id = overrides.id || `event_sync_${Date.now()}_${idCount}`;
+    return { op: 'upsert', id, updatedAt, event: { ...makeEvent(overrides), id, updatedAt } };
+}
+
+function sync(cookie, since, changes) {
+    return request('POST', '/api/sync', { cookie, body: { since, changes } });
+}
+
+test('pushed events come back to other devices after their revision', async () => {
+    const { cookie } = await signUp('sync');
+    const first = await sync(cookie, 0, [upsert({ title: 'Dentist' })]);
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(first.body.conflicts, []);
+    assert.deepStrictEqual(first.body.events.map(event => event.title), ['Dentist']);
+
+    const later = await sync(cookie, first.body.revision, []);
+    assert.deepStrictEqual(later.body.events, []);
+
+    const otherDevice = await sync(cookie, 0, []);
+    assert.deepStrictEqual(otherDevice.body.events.map(event => event.title), ['Dentist']);
+});
+
+test('the newer edit wins and the older one is reported as a conflict', async () => {
+    const { cookie } = await signUp('sync');
+    const change = upsert({ title: 'Original' }, '2030-01-01T10:00:00.000Z');
+    await sync(cookie, 0, [change]);
+
+    const newer = { ...change, updatedAt: '2030-01-01T11:00:00.000Z', event: { ...change.event, title: 'Newer', updatedAt: '2030-01-01T11:00:00.000Z' } };
+    await sync(cookie, 0, [newer]);
+
+    const older = { ...change, updatedAt: '2030-01-01T10:30:00.000Z', event: { ...change.event, title: 'Older', updatedAt: '2030-01-01T10:30:00.000Z' } };
+    const result = await sync(cookie, 0, [older]);
+    // Conflicts name the event by the version that was kept
+    assert.deepStrictEqual(result.body.conflicts, [{ id: change.id, title: 'Newer', reason: 'newer-remote-edit' }]);
+    assert.strictEqual(result.body.events.find(event => event.id === change.id).title, 'Newer');
+});
+
+test('deletes leave a tombstone that other devices pick up', async () => {
+    const { cookie } = await signUp('sync');
+    const change = upsert();
+    const pushed = await sync(cookie, 0, [change]);
+
+    await sync(cookie, pushed.body.revision, [{ op: 'delete', id: change.id, updatedAt: new Date(Date.now() + 1000).toISOString() }]);
+    const otherDevice = await sync(cookie, pushed.body.revision, []);
+    assert.deepStrictEqual(otherDevice.body.deleted, [change.id]);
+});
+
+test('invalid events are rejected as conflicts', async () => {
+    const { cookie } = await signUp('sync');
+    const result = await sync(cookie, 0, [upsert({ title: 'x', date: '2030' })]);
+    assert.strictEqual(result.body.conflicts.length, 1);
+    assert.strictEqual(result.body.conflicts[0].reason, 'invalid');
+    assert.deepStrictEqual(result.body.events, []);
+});
+
+test('malformed change lists are a 400', async () => {
+    const { cookie } = await signUp('sync');
+    const result = await sync(cookie, 0, [{ op: 'rename', id: 'x' }]);
+    assert.strictEqual(result.status, 400);
+});
+
+test('the browser uploads a large queue in batches under the body limit', () => {
+    const SyncManager = loadBrowserApp()('SyncManager');
+    const description = 'é'.repeat(200);
+    SyncManager.queue = Array.from({ length: 3000 }, (_, index) => upsert({ description, title: `Event ${index}` }));
+
+    const batch = SyncManager.nextBatch();
+    assert.ok(batch.length > 0 && batch.length < SyncManager.queue.length);
+    assert.ok(Buffer.byteLength(JSON.stringify({ since: 0, changes: batch })) < 1024 * 1024);
+    assert.strictEqual(batch[0], SyncManager.queue[0]);
+});
+
+test('an id that belongs to another user is rejected, not stored twice', async () => {
+    const alice = await signUp('alice');
+    const bob = await signUp('bob');
+    const change = upsert({ title: 'Private plans' });
+    await sync(alice.cookie, 0, [change]);
+
+    const result = await sync(bob.cookie, 0, [{ ...change, event: { ...change.event, title: 'Imposter' } }]);
+    assert.deepStrictEqual(result.body.conflicts, [{ id: change.id, title: 'Imposter', reason: 'id-taken' }]);
+    assert.deepStrictEqual(result.body.events, []);
+
+    await sync(bob.cookie, 0, [{ op: 'delete', id: change.id, updatedAt: new Date(Date.now() + 1000).toISOString() }]);
+    const aliceView = await sync(alice.cookie, 0, []);
+    assert.deepStrictEqual(aliceView.body.events.map(event => event.title), ['Private plans']);
+    assert.deepStrictEqual(aliceView.body.deleted, []);
+});
+
+test('the browser gives an event whose id is taken a new id and syncs it again', async () => {
+    const alice = await signUp('alice');
+    const bob = await signUp('bob');
+    // Both imported the same file, so their events share an id
+    const change = upsert({ title: 'Team offsite' });
+    await sync(alice.cookie, 0, [change]);
+
+    const browser = loadBrowserApp();
+    const StateManager = browser('StateManager');
+    const SyncManager = browser('SyncManager');
+    SyncManager.scheduleSync = () => {};
+    StateManager.events = [{ ...change.event }];
+    SyncManager.queue = [change];
+
+    const rejected = await sync(bob.cookie, 0, SyncManager.queue);
+    assert.strictEqual(SyncManager.reassignTakenIds(rejected.body.conflicts), true);
+
+    const [event] = StateManager.events;
+    assert.notStrictEqual(event.id, change.id);
+    assert.strictEqual(event.title, 'Team offsite');
+    assert.deepStrictEqual(SyncManager.queue.map(queued => [queued.op, queued.id]), [['upsert', event.id]]);
+
+    const retried = await sync(bob.cookie, 0, JSON.parse(JSON.stringify(SyncManager.queue)));
+    assert.deepStrictEqual(retried.body.conflicts, []);
+    assert.deepStrictEqual(retried.body.events.map(synced => [synced.id, synced.title]), [[event.id, 'Team offsite']]);
+});
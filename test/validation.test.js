@@ -0,0 +1,30 @@
+const assert = require('assert');
+const Validation = require('../server/validation');
+const { test, makeEvent } = require('./helpers');
+
+test('validateDate accepts only real YYYY-MM-DD days', () => {
+    ['2030-06-15', '2028-02-29', '2030-12-31'].forEach(date => {
+        assert.strictEqual(Validation.validateDate(date).valid, true, date);
+    });
+    ['2030', '2030-02-31', '2029-02-29', '2030-6-15', '15/06/2030', '2030-06-15T10:00', 20300615].forEach(date => {
+        assert.strictEqual(Validation.validateDate(date).valid, false, String(date));
+    });
+    assert.strictEqual(Validation.validateDate('').message, 'Event date is required');
+});
+
+test('validateTitle needs 3 to 100 characters', () => {
+    assert.strictEqual(Validation.validateTitle('Lunch').valid, true);
+    assert.strictEqual(Validation.validateTitle('  ab ').valid, false);
+    assert.strictEqual(Validation.validateTitle('x'.repeat(101)).valid, false);
+    assert.strictEqual(Validation.validateTitle(42).valid, false);
+});
+
+test('validateEvent accepts a complete event', () => {
+    assert.deepStrictEqual(Validation.validateEvent(makeEvent()), { isValid: true, errors: {} });
+});
+
+test('validateEvent reports every invalid field', () => {
+    const result = Validation.validateEvent(makeEvent({ title: 'ab', date: '2030-13-01', description: 'x'.repeat(201) }));
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(Object.keys(result.errors).sort(), ['date', 'description', 'title']);
+});
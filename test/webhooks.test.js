@@ -0,0 +1,96 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const Webhooks = require('../server/webhooks');
+const { test, request, signUp } = require('./helpers');
+
+/**
+ * Start a receiver on a free port that answers every POST with `status`
+ * Resolves to { url, received, close }; received collects { headers, body }.
+ */
+function startReceiver(status) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(status);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/hook`,
+            received,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+test('signatures are an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    assert.strictEqual(Webhooks.sign('secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+    assert.notStrictEqual(Webhooks.sign('other secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('a test ping is delivered signed and reported from its first attempt', async () => {
+    const receiver = await startReceiver(200);
+    try {
+        const { cookie } = await signUp('webhook');
+        const created = await request('POST', '/api/webhooks', { cookie, body: { url: receiver.url } });
+        assert.strictEqual(created.status, 201);
+
+        const ping = await request('POST', `/api/webhooks/${created.body.id}/test`, { cookie });
+        assert.strictEqual(ping.status, 201);
+        assert.strictEqual(ping.body.status, 'delivered');
+        assert.strictEqual(ping.body.attempts, 1);
+
+        assert.strictEqual(receiver.received.length, 1);
+        const { headers, body } = receiver.received[0];
+        assert.strictEqual(headers['x-webhook-event'], 'ping');
+        assert.strictEqual(headers['x-webhook-id'], ping.body.id);
+        assert.strictEqual(headers['x-webhook-signature'], Webhooks.sign(created.body.secret, headers['x-webhook-timestamp'], body));
+        assert.strictEqual(JSON.parse(body).type, 'ping');
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('a failed attempt is kept for a retry with its error', async () => {
+    const receiver = await startReceiver(500);
+    try {
+        const { cookie } = await signUp('webhook');
+        const created = await request('POST', '/api/webhooks', { cookie, body: { url: receiver.url } });
+
+        const ping = await request('POST', `/api/webhooks/${created.body.id}/test`, { cookie });
+        assert.strictEqual(ping.body.status, 'pending');
+        assert.strictEqual(ping.body.responseStatus, 500);
+        assert.strictEqual(ping.body.error, 'Responded with 500');
+        assert.ok(new Date(ping.body.nextAttemptAt) > new Date());
+
+        const log = await request('GET', '/api/webhooks/deliveries', { cookie });
+        assert.deepStrictEqual(log.body.map(delivery => delivery.id), [ping.body.id]);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('paused webhooks can\'t be tested and other users\' webhooks are 404s', async () => {
+    const owner = await signUp('webhook');
+    const other = await signUp('webhook');
+    const created = await request('POST', '/api/webhooks', { cookie: owner.cookie, body: { url: 'http://127.0.0.1:9/hook' } });
+
+    assert.strictEqual((await request('POST', `/api/webhooks/${created.body.id}/test`, { cookie: other.cookie })).status, 404);
+
+    await request('PUT', `/api/webhooks/${created.body.id}`, { cookie: owner.cookie, body: { active: false } });
+    assert.strictEqual((await request('POST', `/api/webhooks/${created.body.id}/test`, { cookie: owner.cookie })).status, 409);
+});
+
+test('webhook urls must be http or https', async () => {
+    const { cookie } = await signUp('webhook');
+    const response = await request('POST', '/api/webhooks', { cookie, body: { url: 'ftp://example.com/hook' } });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.errors.url);
+});